@@ -0,0 +1,286 @@
+/**
+ * 편집 기록 클래스
+ * 사용자가 바꾼 장면(자석 추가/제거/이동/회전/세기/속성, 철가루 제거)을 명령으로 쌓아 되돌리기/다시 실행
+ * 명령은 {label, undo, redo} 객체이고 시뮬레이션 상태만 바꾸므로 메시 동기화는 호출한 쪽에서 처리
+ * DOM에 의존하지 않아 Node에서도 그대로 사용 가능
+ */
+
+class EditHistory {
+    constructor(options = {}) {
+        // 기본 옵션
+        const defaults = {
+            limit: 100, // 기억할 최대 명령 수 (넘치면 가장 오래된 것부터 버림)
+            mergeWindow: 800, // 같은 mergeKey 명령을 하나로 합치는 간격 (ms, 슬라이더를 끄는 동안 한 번으로)
+            onChange: null // 기록이 바뀔 때 호출 (버튼 상태 갱신용)
+        };
+
+        this.options = { ...defaults, ...options };
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastRecordTime = -Infinity; // 마지막으로 기록한 시각 (되돌리거나 비우면 합치지 않도록 초기화)
+    }
+
+    /**
+     * 이미 적용한 편집을 기록 (다시 실행할 목록은 비움)
+     * 바로 앞 명령과 mergeKey와 대상 자석이 같고 mergeWindow 안이면 앞 명령의 되돌리기는 두고 다시 실행만 새 것으로 바꿈
+     * @param {object} command {label, undo, redo, mergeKey?, magnet?}
+     */
+    record(command) {
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (last && command.mergeKey && last.mergeKey === command.mergeKey && last.magnet === command.magnet &&
+            now - this.lastRecordTime <= this.options.mergeWindow) {
+            last.redo = command.redo;
+        } else {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.options.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack.length = 0;
+        this.lastRecordTime = now;
+        this.notifyChange();
+    }
+
+    /**
+     * 마지막 편집 되돌리기
+     * @returns {object|null} 되돌린 명령 (없으면 null)
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        this.redoStack.push(command);
+        this.lastRecordTime = -Infinity;
+        this.notifyChange();
+
+        return command;
+    }
+
+    /**
+     * 되돌린 편집 다시 실행
+     * @returns {object|null} 다시 실행한 명령 (없으면 null)
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.redo();
+        this.undoStack.push(command);
+        this.lastRecordTime = -Infinity;
+        this.notifyChange();
+
+        return command;
+    }
+
+    /**
+     * 되돌릴 편집이 있는지 여부
+     * @returns {boolean} 되돌리기 가능 여부
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * 다시 실행할 편집이 있는지 여부
+     * @returns {boolean} 다시 실행 가능 여부
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 기록 모두 지우기 (장면을 통째로 바꿀 때)
+     */
+    clear() {
+        this.undoStack.length = 0;
+        this.redoStack.length = 0;
+        this.lastRecordTime = -Infinity;
+        this.notifyChange();
+    }
+
+    /**
+     * 변경 알림
+     */
+    notifyChange() {
+        if (this.options.onChange) {
+            this.options.onChange(this);
+        }
+    }
+
+    /**
+     * 자석 추가 명령 (이미 추가한 자석)
+     * @param {Simulation} simulation 시뮬레이션
+     * @param {Magnet} magnet 추가한 자석
+     * @returns {object} 명령
+     */
+    static addMagnet(simulation, magnet) {
+        const index = simulation.magnets.indexOf(magnet);
+
+        return {
+            label: `${Magnet.TYPE_NAMES[magnet.type]} 추가`,
+            undo: () => simulation.removeMagnet(magnet),
+            redo: () => simulation.insertMagnet(magnet, index)
+        };
+    }
+
+    /**
+     * 자석 제거 명령 (제거하기 전에 만들어야 원래 순서로 되돌릴 수 있음)
+     * @param {Simulation} simulation 시뮬레이션
+     * @param {Magnet} magnet 제거할 자석
+     * @returns {object} 명령
+     */
+    static removeMagnet(simulation, magnet) {
+        const index = simulation.magnets.indexOf(magnet);
+
+        return {
+            label: `${Magnet.TYPE_NAMES[magnet.type]} 제거`,
+            undo: () => simulation.insertMagnet(magnet, index),
+            redo: () => simulation.removeMagnet(magnet)
+        };
+    }
+
+    /**
+     * 자석 위치/방향 기록
+     * @param {Magnet} magnet 자석
+     * @returns {object} {position, rotation}
+     */
+    static getTransform(magnet) {
+        return {
+            position: magnet.position.clone(),
+            rotation: magnet.rotation.clone()
+        };
+    }
+
+    /**
+     * 자석 이동/회전 명령
+     * @param {Magnet} magnet 자석
+     * @param {object} before 바꾸기 전 EditHistory.getTransform 결과
+     * @param {object} after 바꾼 뒤 EditHistory.getTransform 결과
+     * @param {string} label 표시 이름
+     * @returns {object} 명령
+     */
+    static transformMagnet(magnet, before, after, label = `${Magnet.TYPE_NAMES[magnet.type]} 이동`) {
+        const apply = (transform) => {
+            magnet.teleportTo(transform.position);
+            magnet.rotation.copy(transform.rotation);
+        };
+
+        return {
+            label,
+            undo: () => apply(before),
+            redo: () => apply(after)
+        };
+    }
+
+    /**
+     * 자석 세기/전류 기록
+     * @param {Array} magnets 자석 배열
+     * @returns {Array} 자석별 {magnet, strength, current}
+     */
+    static getMagnetValues(magnets) {
+        return magnets.map(magnet => ({
+            magnet,
+            strength: magnet.strength,
+            current: magnet.current
+        }));
+    }
+
+    /**
+     * 자석 세기/전류 변경 명령 (이어서 바꾸면 하나로 합침)
+     * @param {Array} before 바꾸기 전 EditHistory.getMagnetValues 결과
+     * @param {Array} after 바꾼 뒤 EditHistory.getMagnetValues 결과
+     * @param {string} label 표시 이름 (같은 이름의 연속 변경을 합침)
+     * @returns {object} 명령
+     */
+    static changeMagnetValues(before, after, label = '자석 세기 변경') {
+        const apply = (values) => {
+            values.forEach(({ magnet, strength, current }) => {
+                magnet.setStrength(strength);
+                magnet.setCurrent(current);
+            });
+        };
+
+        return {
+            label,
+            mergeKey: label,
+            undo: () => apply(before),
+            redo: () => apply(after)
+        };
+    }
+
+    /**
+     * 자석 속성 전체 기록 (종류, 자세, 세기/전류, 극성, 크기, 색 등 옵션)
+     * @param {Magnet} magnet 자석
+     * @returns {object} {type, position, rotation, strength, current, options}
+     */
+    static getMagnetProperties(magnet) {
+        return {
+            ...EditHistory.getTransform(magnet),
+            type: magnet.type,
+            strength: magnet.strength,
+            current: magnet.current,
+            options: JSON.parse(JSON.stringify(magnet.options))
+        };
+    }
+
+    /**
+     * 자석 속성 변경 명령 (슬라이더처럼 이어지는 같은 자석의 변경은 같은 이름끼리 하나로 합칠 수 있음)
+     * 옵션이 바뀌므로 되돌린 뒤 메시를 다시 만들어야 함 (MagnetMesh.getShapeKey로 확인)
+     * @param {Magnet} magnet 자석
+     * @param {object} before 바꾸기 전 EditHistory.getMagnetProperties 결과
+     * @param {object} after 바꾼 뒤 EditHistory.getMagnetProperties 결과
+     * @param {string} label 표시 이름
+     * @param {boolean} merge 같은 자석, 같은 이름의 연속 변경과 합칠지 여부
+     * @returns {object} 명령
+     */
+    static changeMagnetProperties(magnet, before, after, label, merge = false) {
+        const apply = (properties) => {
+            magnet.type = properties.type;
+            magnet.teleportTo(properties.position);
+            magnet.rotation.copy(properties.rotation);
+            magnet.options = JSON.parse(JSON.stringify(properties.options));
+            magnet.setStrength(properties.strength);
+            magnet.setCurrent(properties.current);
+        };
+
+        return {
+            label,
+            mergeKey: merge ? label : null,
+            magnet,
+            undo: () => apply(before),
+            redo: () => apply(after)
+        };
+    }
+
+    /**
+     * 철가루 제거 명령 (제거하기 전에 만들어야 위치와 방향을 기억함)
+     * 되돌리면 장면 파일처럼 같은 자리에 같은 바닥 위 방향으로 다시 놓음 (속도는 0에서 시작)
+     * @param {Simulation} simulation 시뮬레이션
+     * @returns {object} 명령
+     */
+    static clearParticles(simulation) {
+        const { count, positions, orientations } = simulation.getParticleState();
+        const savedPositions = positions.slice(0, count * 3);
+        const savedAngles = new Float32Array(count);
+
+        for (let i = 0; i < count; i++) {
+            savedAngles[i] = Math.atan2(orientations[i * 3 + 2], orientations[i * 3]);
+        }
+
+        return {
+            label: '철가루 제거',
+            undo: () => {
+                simulation.clearParticles();
+                for (let i = 0; i < count; i++) {
+                    simulation.particleSystem.spawn(new THREE.Vector3().fromArray(savedPositions, i * 3), savedAngles[i]);
+                }
+            },
+            redo: () => simulation.clearParticles()
+        };
+    }
+}
@@ -0,0 +1,406 @@
+/**
+ * 철가루 입자 시스템 클래스
+ * 모든 입자 상태를 타입 배열(구조체 배열 대신 배열 구조체)로 보관하고 한 스텝씩 진행
+ * 웹 워커 안에서 실행되며, 워커를 쓸 수 없을 때는 메인 스레드에서 그대로 사용
+ */
+
+class ParticleSystem {
+    constructor(physics, capacity, options = {}) {
+        // 기본 옵션
+        const defaults = {
+            boundary: 15 // 이 범위를 벗어난 입자는 제거
+        };
+
+        this.options = { ...defaults, ...options };
+        this.physics = physics;
+        this.capacity = capacity;
+        this.count = 0;
+
+        // 입자 상태 (벡터는 입자당 3칸)
+        this.positions = new Float32Array(capacity * 3);
+        this.velocities = new Float32Array(capacity * 3);
+        this.accelerations = new Float32Array(capacity * 3); // 입자 간 자기력으로 누적된 가속도
+        this.orientations = new Float32Array(capacity * 3);
+        this.angularVelocities = new Float32Array(capacity * 3);
+        this.moments = new Float32Array(capacity * 3);
+        this.ages = new Float32Array(capacity);
+        this.magnetized = new Uint8Array(capacity);
+
+        // 추가한 순서대로 입자 인덱스를 담는 원형 버퍼 (가득 찼을 때 가장 오래된 입자를 바로 찾음)
+        // 제거된 입자 자리는 -1로 두고 맨 앞에 오면 건너뜀
+        this.spawnOrder = new Int32Array(capacity);
+        this.spawnOrderSlots = new Int32Array(capacity); // 입자 인덱스 → spawnOrder 안의 위치
+        this.spawnOrderHead = 0;
+        this.spawnOrderLength = 0;
+
+        // 셀 크기는 가장 긴 입자 간 상호작용 거리에 맞춤
+        this.spatialHash = new SpatialHash(physics.DIPOLE_INTERACTION_RANGE);
+
+        // Physics의 입자 계산에 넘길 임시 입자 (배열 값을 읽고 써서 재사용)
+        this.view = new IronParticle(new THREE.Vector3());
+    }
+
+    /**
+     * 입자 추가 (가득 차면 가장 오래된 입자를 대체)
+     * @param {number} x X 좌표
+     * @param {number} y Y 좌표
+     * @param {number} z Z 좌표
+     * @param {number} angle 바닥에 누운 바늘의 초기 방향 각도
+     * @returns {number} 추가된 입자 인덱스
+     */
+    add(x, y, z, angle) {
+        if (this.count >= this.capacity) {
+            this.removeOldest();
+        }
+        if (this.spawnOrderLength >= this.capacity) {
+            this.compactSpawnOrder();
+        }
+
+        const index = this.count++;
+        const i3 = index * 3;
+        const slot = (this.spawnOrderHead + this.spawnOrderLength++) % this.capacity;
+
+        this.spawnOrder[slot] = index;
+        this.spawnOrderSlots[index] = slot;
+
+        this.positions[i3] = x;
+        this.positions[i3 + 1] = y;
+        this.positions[i3 + 2] = z;
+        this.orientations[i3] = Math.cos(angle);
+        this.orientations[i3 + 1] = 0;
+        this.orientations[i3 + 2] = Math.sin(angle);
+
+        this.velocities.fill(0, i3, i3 + 3);
+        this.accelerations.fill(0, i3, i3 + 3);
+        this.angularVelocities.fill(0, i3, i3 + 3);
+        this.moments.fill(0, i3, i3 + 3);
+        this.ages[index] = 0;
+        this.magnetized[index] = 0;
+
+        return index;
+    }
+
+    /**
+     * 입자 제거 (마지막 입자를 빈 자리로 옮겨 배열을 빽빽하게 유지)
+     * @param {number} index 입자 인덱스
+     */
+    removeAt(index) {
+        if (index < 0 || index >= this.count) return;
+
+        const last = --this.count;
+        this.spawnOrder[this.spawnOrderSlots[index]] = -1;
+        this.trimSpawnOrder();
+        if (index === last) return;
+
+        const i3 = index * 3;
+        const last3 = last * 3;
+
+        // 옮겨 온 입자는 추가 순서는 그대로 두고 인덱스만 바뀜
+        this.spawnOrderSlots[index] = this.spawnOrderSlots[last];
+        this.spawnOrder[this.spawnOrderSlots[index]] = index;
+
+        this.positions.copyWithin(i3, last3, last3 + 3);
+        this.velocities.copyWithin(i3, last3, last3 + 3);
+        this.accelerations.copyWithin(i3, last3, last3 + 3);
+        this.orientations.copyWithin(i3, last3, last3 + 3);
+        this.angularVelocities.copyWithin(i3, last3, last3 + 3);
+        this.moments.copyWithin(i3, last3, last3 + 3);
+        this.ages[index] = this.ages[last];
+        this.magnetized[index] = this.magnetized[last];
+    }
+
+    /**
+     * 가장 오래된 입자 제거 (추가 순서 원형 버퍼의 맨 앞)
+     */
+    removeOldest() {
+        if (this.count === 0) return;
+
+        this.removeAt(this.spawnOrder[this.spawnOrderHead]);
+    }
+
+    /**
+     * 추가 순서 원형 버퍼 맨 앞의 제거된 자리 건너뛰기
+     */
+    trimSpawnOrder() {
+        while (this.spawnOrderLength > 0 && this.spawnOrder[this.spawnOrderHead] === -1) {
+            this.spawnOrderHead = (this.spawnOrderHead + 1) % this.capacity;
+            this.spawnOrderLength--;
+        }
+    }
+
+    /**
+     * 추가 순서 원형 버퍼 중간의 제거된 자리를 없애 앞으로 모으기 (버퍼가 가득 찼을 때만)
+     */
+    compactSpawnOrder() {
+        const capacity = this.capacity;
+        let length = 0;
+
+        for (let i = 0; i < this.spawnOrderLength; i++) {
+            const index = this.spawnOrder[(this.spawnOrderHead + i) % capacity];
+            if (index === -1) continue;
+
+            const slot = (this.spawnOrderHead + length++) % capacity;
+            this.spawnOrder[slot] = index;
+            this.spawnOrderSlots[index] = slot;
+        }
+
+        this.spawnOrderLength = length;
+    }
+
+    /**
+     * 모든 입자 제거
+     */
+    clear() {
+        this.count = 0;
+        this.spawnOrderHead = 0;
+        this.spawnOrderLength = 0;
+    }
+
+    /**
+     * 추가/제거 요청 반영 (제거를 먼저 적용)
+     * @param {ArrayLike} spawns [x, y, z, angle, ...]
+     * @param {boolean} clear 모든 입자를 먼저 제거할지 여부
+     */
+    applyChanges(spawns, clear) {
+        if (clear) {
+            this.clear();
+        }
+
+        for (let i = 0; i < spawns.length; i += 4) {
+            this.add(spawns[i], spawns[i + 1], spawns[i + 2], spawns[i + 3]);
+        }
+    }
+
+    /**
+     * 배열에 저장된 입자 상태를 임시 입자로 읽기
+     * @param {number} index 입자 인덱스
+     * @param {IronParticle} view 임시 입자
+     */
+    readParticle(index, view) {
+        const i3 = index * 3;
+
+        view.position.fromArray(this.positions, i3);
+        view.velocity.fromArray(this.velocities, i3);
+        view.acceleration.fromArray(this.accelerations, i3);
+        view.orientation.fromArray(this.orientations, i3);
+        view.angularVelocity.fromArray(this.angularVelocities, i3);
+        view.magneticMoment.fromArray(this.moments, i3);
+        view.isMagnetized = this.magnetized[index] === 1;
+        view.age = this.ages[index];
+        view.isDead = false;
+    }
+
+    /**
+     * 임시 입자의 상태를 배열에 다시 쓰기
+     * @param {number} index 입자 인덱스
+     * @param {IronParticle} view 임시 입자
+     */
+    writeParticle(index, view) {
+        const i3 = index * 3;
+
+        view.position.toArray(this.positions, i3);
+        view.velocity.toArray(this.velocities, i3);
+        view.acceleration.toArray(this.accelerations, i3);
+        view.orientation.toArray(this.orientations, i3);
+        view.angularVelocity.toArray(this.angularVelocities, i3);
+        view.magneticMoment.toArray(this.moments, i3);
+        this.magnetized[index] = view.isMagnetized ? 1 : 0;
+        this.ages[index] = view.age;
+    }
+
+    /**
+     * 한 스텝 진행
+     * @param {number} deltaTime 시간 간격
+     * @param {Array} poles 자극 배열 (Physics.collectPoles 결과)
+     */
+    step(deltaTime, poles) {
+        const view = this.view;
+
+        // 뒤에서부터 순회해야 제거 시 옮겨 온 입자가 이미 처리된 입자임
+        for (let i = this.count - 1; i >= 0; i--) {
+            this.readParticle(i, view);
+            view.update(deltaTime, poles, this.physics);
+
+            if (view.isDead || view.isOutOfBounds(this.options.boundary)) {
+                this.removeAt(i);
+                continue;
+            }
+
+            this.writeParticle(i, view);
+        }
+
+        // 입자 간 충돌 및 자기화된 입자 간 인력 (쌍극자 인력은 다음 스텝에 반영됨)
+        this.handleInteractions();
+    }
+
+    /**
+     * 입자 간 상호작용 처리
+     * 공간 해시로 이웃한 쌍만 골라 충돌과 쌍극자 인력을 배열에 직접 적용
+     * (쌍이 많아 임시 입자로 읽고 쓰면 너무 느리므로 Physics의 같은 계산을 풀어서 사용)
+     */
+    handleInteractions() {
+        const positions = this.positions;
+        const magnetized = this.magnetized;
+        const range = this.physics.DIPOLE_INTERACTION_RANGE;
+        const rangeSq = range * range;
+        const contact = this.view.radius * 2; // 모든 입자의 반지름이 같음
+
+        this.spatialHash.clear();
+        for (let i = 0; i < this.count; i++) {
+            this.spatialHash.insert(i, positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        }
+
+        this.spatialHash.forEachPair((i, j) => {
+            const dx = positions[j * 3] - positions[i * 3];
+            const dy = positions[j * 3 + 1] - positions[i * 3 + 1];
+            const dz = positions[j * 3 + 2] - positions[i * 3 + 2];
+            const distanceSq = dx * dx + dy * dy + dz * dz;
+            if (distanceSq > rangeSq || distanceSq === 0) return;
+
+            const distance = Math.sqrt(distanceSq);
+            const nx = dx / distance;
+            const ny = dy / distance;
+            const nz = dz / distance;
+
+            if (distance < contact) {
+                this.resolveCollision(i, j, nx, ny, nz, contact - distance);
+            }
+
+            if (magnetized[i] && magnetized[j]) {
+                // 입자가 겹쳐도 접촉 거리보다 가깝게 계산하지 않음
+                this.applyDipoleForce(i, j, nx, ny, nz, Math.max(distance, contact));
+            }
+        });
+    }
+
+    /**
+     * 겹친 두 입자를 분리하고 탄성 충돌 (Physics.handleParticleCollision과 같은 계산)
+     * @param {number} i 첫 번째 입자 인덱스
+     * @param {number} j 두 번째 입자 인덱스
+     * @param {number} nx i에서 j로 향하는 단위 벡터 X
+     * @param {number} ny 단위 벡터 Y
+     * @param {number} nz 단위 벡터 Z
+     * @param {number} overlap 겹친 거리
+     */
+    resolveCollision(i, j, nx, ny, nz, overlap) {
+        const positions = this.positions;
+        const velocities = this.velocities;
+        const i3 = i * 3;
+        const j3 = j * 3;
+        const half = overlap * 0.5;
+
+        positions[i3] -= nx * half;
+        positions[i3 + 1] -= ny * half;
+        positions[i3 + 2] -= nz * half;
+        positions[j3] += nx * half;
+        positions[j3 + 1] += ny * half;
+        positions[j3 + 2] += nz * half;
+
+        const velocityAlongNormal =
+            (velocities[i3] - velocities[j3]) * nx +
+            (velocities[i3 + 1] - velocities[j3 + 1]) * ny +
+            (velocities[i3 + 2] - velocities[j3 + 2]) * nz;
+
+        if (velocityAlongNormal <= 0) return; // 이미 분리되는 중
+
+        // 질량이 같으므로 법선 방향 속도 성분을 서로 교환
+        velocities[i3] -= nx * velocityAlongNormal;
+        velocities[i3 + 1] -= ny * velocityAlongNormal;
+        velocities[i3 + 2] -= nz * velocityAlongNormal;
+        velocities[j3] += nx * velocityAlongNormal;
+        velocities[j3 + 1] += ny * velocityAlongNormal;
+        velocities[j3 + 2] += nz * velocityAlongNormal;
+    }
+
+    /**
+     * 두 자기화된 입자 간의 쌍극자 힘을 가속도에 누적 (Physics.calculateDipoleForce와 같은 계산)
+     * @param {number} i 첫 번째 입자 인덱스
+     * @param {number} j 두 번째 입자 인덱스 (계산된 힘을 받는 쪽)
+     * @param {number} nx i에서 j로 향하는 단위 벡터 X
+     * @param {number} ny 단위 벡터 Y
+     * @param {number} nz 단위 벡터 Z
+     * @param {number} r 계산에 쓸 거리
+     */
+    applyDipoleForce(i, j, nx, ny, nz, r) {
+        const moments = this.moments;
+        const accelerations = this.accelerations;
+        const i3 = i * 3;
+        const j3 = j * 3;
+
+        const m1x = moments[i3], m1y = moments[i3 + 1], m1z = moments[i3 + 2];
+        const m2x = moments[j3], m2y = moments[j3 + 1], m2z = moments[j3 + 2];
+        const m1r = m1x * nx + m1y * ny + m1z * nz;
+        const m2r = m2x * nx + m2y * ny + m2z * nz;
+        const radial = m1x * m2x + m1y * m2y + m1z * m2z - 5 * m1r * m2r;
+        const scale = 3 / (r * r * r * r);
+
+        let fx = (m2x * m1r + m1x * m2r + nx * radial) * scale;
+        let fy = (m2y * m1r + m1y * m2r + ny * radial) * scale;
+        let fz = (m2z * m1r + m1z * m2r + nz * radial) * scale;
+
+        const magnitude = Math.sqrt(fx * fx + fy * fy + fz * fz);
+        if (magnitude > this.physics.MAX_FORCE) {
+            const clamp = this.physics.MAX_FORCE / magnitude;
+            fx *= clamp;
+            fy *= clamp;
+            fz *= clamp;
+        }
+
+        // a = F/m (작용-반작용)
+        const inverseMass = 1 / this.view.mass;
+        accelerations[j3] += fx * inverseMass;
+        accelerations[j3 + 1] += fy * inverseMass;
+        accelerations[j3 + 2] += fz * inverseMass;
+        accelerations[i3] -= fx * inverseMass;
+        accelerations[i3 + 1] -= fy * inverseMass;
+        accelerations[i3 + 2] -= fz * inverseMass;
+    }
+
+    /**
+     * 렌더링에 필요한 상태만 복사
+     * @param {object} state ParticleSystem.createRenderState로 만든 버퍼
+     * @returns {object} 채워진 렌더 상태
+     */
+    copyRenderState(state) {
+        const length = this.count * 3;
+
+        state.count = this.count;
+        state.positions.set(this.positions.subarray(0, length));
+        state.orientations.set(this.orientations.subarray(0, length));
+        state.magnetized.set(this.magnetized.subarray(0, this.count));
+
+        return state;
+    }
+
+    /**
+     * 렌더 상태로 입자 다시 채우기 (워커에서 메인 스레드로 넘겨받을 때)
+     * 렌더 상태에 없는 속도와 자기모멘트는 0에서 시작하고 다음 스텝에서 다시 계산됨
+     * @param {object} state 렌더 상태 ({count, positions, orientations, magnetized})
+     */
+    loadRenderState(state) {
+        const count = Math.min(state.count, this.capacity);
+        const length = count * 3;
+
+        this.clear();
+        for (let i = 0; i < count; i++) {
+            this.add(state.positions[i * 3], state.positions[i * 3 + 1], state.positions[i * 3 + 2], 0);
+        }
+
+        this.orientations.set(state.orientations.subarray(0, length));
+        this.magnetized.set(state.magnetized.subarray(0, count));
+    }
+
+    /**
+     * 렌더 상태 버퍼 생성 (워커와 메인 스레드가 주고받는 단위)
+     * @param {number} capacity 최대 입자 수
+     * @returns {object} {count, positions, orientations, magnetized}
+     */
+    static createRenderState(capacity) {
+        return {
+            count: 0,
+            positions: new Float32Array(capacity * 3),
+            orientations: new Float32Array(capacity * 3),
+            magnetized: new Uint8Array(capacity)
+        };
+    }
+}
@@ -8,99 +8,657 @@ class Physics {
         // 물리 상수들
         this.GRAVITY = -9.81; // 중력 가속도 (m/s²)
         this.MAGNETIC_CONSTANT = 4 * Math.PI * 1e-7; // 자기 상수
-        this.DAMPING = 0.98; // 감쇠 계수
+        this.DAMPING = 0.98; // 감쇠 계수 (고정 스텝 1회당)
         this.AIR_RESISTANCE = 0.99; // 공기 저항
-        this.MAGNETIC_FORCE_SCALE = 50; // 자기력 스케일링
-        this.MIN_FORCE = 0.001; // 최소 힘
+        this.MAGNETIC_FORCE_SCALE = 0.02; // 유도 자기모멘트 계수 (χV/2μ₀)
         this.MAX_FORCE = 10; // 최대 힘
 
+        // 자기장 모델 설정
+        this.POLE_STRENGTH = 1.0; // 자석 세기 1.0일 때의 자하
+        this.FIELD_SOFTENING = 0.05; // 자극 근처 특이점 완화 거리
+        this.RING_POLE_SEGMENTS = 12; // 고리자석 테두리 자극 분할 수
+        this.BIOT_SAVART_SCALE = 1.0; // 전류 요소의 자기장 계수 (μ₀/4π, 시뮬레이션 단위)
+        this.SOLENOID_SEGMENTS_PER_TURN = 24; // 전자석 코일 한 바퀴를 나누는 전류 요소 수
+        this.WIRE_SOFTENING = 0.02; // 도선 근처 특이점 완화 거리 (코일 안쪽 자기장이 줄지 않도록 자극보다 작게)
+        this.WIRE_ELEMENT_LENGTH = 0.05; // 직선 도선을 나누는 전류 요소 길이
+        this.MAX_CURRENT_ELEMENTS = 2000; // 전류원 하나의 최대 전류 요소 수 (감은 수나 길이가 지나치게 커도 배열이 커지지 않도록)
+        this.FIELD_UNIT_TESLA = 0.01; // 시뮬레이션 자기장 1 단위의 실제 크기 (T, 측정 도구 표시용)
+
+        // 철가루 자기화 설정
+        this.INDUCED_MOMENT_SCALE = 0.0004; // 유도 자기모멘트 계수 (m = k·B)
+        this.SATURATION_MOMENT = 0.002; // 포화 자기모멘트 (연철은 강한 자기장에서 포화)
+        this.DIPOLE_INTERACTION_RANGE = 0.2; // 입자 간 쌍극자 상호작용 최대 거리
+        this.NEEDLE_ALIGN_SCALE = 0.02; // 바늘 모양 철가루의 자기장 정렬 토크 계수
+        this.MAX_NEEDLE_TORQUE = 0.1; // 최대 정렬 토크
+        this.ANGULAR_DAMPING = 10; // 회전 감쇠 (1/s, 종이 위 마찰)
+
+        // 나침반 설정
+        this.COMPASS_DAMPING = 2.5; // 바늘 회전 감쇠 (1/s, 몇 번 흔들리다 멈추도록 작게)
+        this.MAX_COMPASS_TORQUE = 0.04; // 최대 바늘 토크 (자극 바로 옆에서 고정 스텝 발산 방지)
+
+        // 자기력선 설정
+        this.FIELD_LINES_PER_CHARGE = 16; // 단위 자하당 자기력선 개수
+        this.FIELD_LINE_SEED_RADIUS = 0.08; // 자극에서 선이 출발하는 거리
+        this.FIELD_LINE_STEP = 0.05; // 추적 스텝 크기
+        this.FIELD_LINE_MAX_STEPS = 400; // 선 하나당 최대 스텝 수
+        this.FIELD_LINE_MAX_DISTANCE = 10; // 원점에서 이 거리를 넘으면 추적 중단
+        this.WIRE_FIELD_LINES_PER_CURRENT = 4; // 직선 도선 주위 원형 자기력선 개수 (전류 1A당)
+        this.MAX_FIELD_LINES_PER_SOURCE = 200; // 자극이나 전류원 하나에서 출발하는 최대 자기력선 수
+
+        // 자기장 화살표 격자 설정
+        this.FIELD_GRID_EXTENT = 6; // 격자 범위 (중심에서 ±, 세로 평면은 바닥 위 0 ~ 이 높이)
+        this.FIELD_GRID_SPACING = 0.5; // 화살표 간격
+        this.FIELD_GRID_HEIGHT = 0.15; // 바닥 평면 격자 높이 (눕혀 놓은 자석의 중심 높이)
+
+        // 자석 간 상호작용 설정
+        this.MAGNET_FORCE_SCALE = 1.0; // 자극 간 힘 스케일링
+        this.MAGNET_FRICTION = 0.3; // 자석-바닥 마찰 계수
+        this.MAGNET_REST_SPEED = 0.01; // 정지 마찰로 판단할 최대 속도
+        this.MAX_MAGNET_FORCE = 3; // 자석 간 최대 힘 (극끼리 맞닿을 때 폭주 방지)
+        this.MAX_MAGNET_TORQUE = 0.5; // 자석 간 최대 토크
+
         // 시뮬레이션 설정
-        this.timeStep = 1/60; // 60 FPS
+        this.timeStep = 1/60; // 고정 시간 간격 (화면 주사율과 무관하게 항상 이 간격으로 진행)
+        this.integrator = 'euler'; // 입자 적분 방식 (Physics.INTEGRATORS 중 하나)
         this.maxVelocity = 20; // 최대 속도
+        this.maxAngularVelocity = 30; // 최대 각속도 (rad/s)
         this.restitution = 0.3; // 바닥 충돌 시 반발 계수
+        this.restingSpeed = 0.5; // 이보다 느리게 바닥에 닿으면 튀지 않고 멈춤 (정지 입자의 떨림 방지)
+        this.SURFACE_HEIGHT = 0; // 철가루가 놓이는 면의 높이 (0이면 바닥, 자석 위에 유리판을 얹는 실험에서는 유리판 높이)
     }
 
     /**
-     * 두 점 사이의 자기장 계산 (쿨롱의 법칙 변형)
-     * @param {THREE.Vector3} sourcePos 자석 위치
-     * @param {THREE.Vector3} targetPos 철가루 위치
-     * @param {number} magnetStrength 자석 세기
-     * @param {string} magnetType 자석 종류 ('bar', 'ring')
-     * @returns {THREE.Vector3} 자기력 벡터
+     * 모든 자석이 만드는 합성 자기장 계산
+     * @param {THREE.Vector3} point 측정 위치
+     * @param {Array} magnets 자석 배열
+     * @returns {THREE.Vector3} 자기장 벡터 B
+     */
+    calculateMagneticField(point, magnets) {
+        const field = new THREE.Vector3(0, 0, 0);
+
+        magnets.forEach(magnet => {
+            field.add(this.calculateMagnetField(magnet, point));
+        });
+
+        return field;
+    }
+
+    /**
+     * 자석 하나가 만드는 자기장 계산
+     * @param {Magnet} magnet 자석
+     * @param {THREE.Vector3} point 측정 위치
+     * @returns {THREE.Vector3} 자기장 벡터 B
+     */
+    calculateMagnetField(magnet, point) {
+        return this.calculatePolesField(this.getMagnetPoles(magnet), point);
+    }
+
+    /**
+     * 자극 배열이 만드는 자기장 계산
+     * @param {Array} poles {position, charge} 자극 배열
+     * @param {THREE.Vector3} point 측정 위치
+     * @returns {THREE.Vector3} 자기장 벡터 B
+     */
+    calculatePolesField(poles, point) {
+        const field = new THREE.Vector3(0, 0, 0);
+
+        poles.forEach(pole => {
+            if (pole.current) {
+                this.addCurrentElementField(pole.position, pole.current, point, field);
+            } else {
+                this.addPoleField(pole.position, pole.charge, point, field);
+            }
+        });
+
+        return field;
+    }
+
+    /**
+     * 한 점의 합성 자기장과 자석별 기여 계산 (측정 도구용)
+     * @param {THREE.Vector3} point 측정 위치
+     * @param {Array} magnets 자석 배열
+     * @returns {object} {field, contributions: [{magnet, field}]} (contributions는 magnets와 같은 순서)
+     */
+    probeField(point, magnets) {
+        const contributions = magnets.map(magnet => ({
+            magnet,
+            field: this.calculateMagnetField(magnet, point)
+        }));
+
+        const field = new THREE.Vector3(0, 0, 0);
+        contributions.forEach(contribution => field.add(contribution.field));
+
+        return { field, contributions };
+    }
+
+    /**
+     * 자석의 자극(자하) 배치 계산 (자석 종류별 모델 선택)
+     * 자기장 모델은 자석 로컬 좌표계(중심축 Y)에서 정의하고 자석의 회전으로 월드 좌표로 옮김
+     * 전류원(전자석, 직선 도선, 원형 도선)은 자극 대신 전류 요소를 돌려줌
+     * @param {Magnet} magnet 자석
+     * @returns {Array} {position, charge} 자극 배열 (N극 +, S극 -)
+     */
+    getMagnetPoles(magnet) {
+        switch (magnet.type) {
+            case 'ring':
+                return this.getRingMagnetPoles(magnet);
+            case 'horseshoe':
+                return this.getHorseshoeMagnetPoles(magnet);
+            case 'solenoid':
+                return this.getSolenoidCurrentElements(magnet);
+            case 'wire':
+                return this.getWireCurrentElements(magnet);
+            case 'loop':
+                return this.getLoopCurrentElements(magnet);
+            case 'bar':
+            default:
+                return this.getBarMagnetPoles(magnet);
+        }
+    }
+
+    /**
+     * 자석의 회전을 쿼터니언으로 변환
+     * @param {Magnet} magnet 자석
+     * @returns {THREE.Quaternion} 자석 방향
+     */
+    getMagnetOrientation(magnet) {
+        return new THREE.Quaternion().setFromEuler(magnet.rotation);
+    }
+
+    /**
+     * 점 자극(자하)이 만드는 자기장을 누적
+     * B = q·r / |r|³ (자극 근처 특이점은 FIELD_SOFTENING으로 완화)
+     * @param {THREE.Vector3} polePos 자극 위치
+     * @param {number} charge 자하 (N극 +, S극 -)
+     * @param {THREE.Vector3} point 측정 위치
+     * @param {THREE.Vector3} target 결과를 더할 벡터
+     * @returns {THREE.Vector3} target
+     */
+    addPoleField(polePos, charge, point, target) {
+        const dx = point.x - polePos.x;
+        const dy = point.y - polePos.y;
+        const dz = point.z - polePos.z;
+        const r2 = dx * dx + dy * dy + dz * dz + this.FIELD_SOFTENING * this.FIELD_SOFTENING;
+        const factor = charge / (r2 * Math.sqrt(r2));
+
+        target.x += dx * factor;
+        target.y += dy * factor;
+        target.z += dz * factor;
+
+        return target;
+    }
+
+    /**
+     * 전류 요소가 만드는 자기장을 누적 (비오-사바르 법칙)
+     * dB = k·(I·dl × r) / |r|³ (도선 근처 특이점은 WIRE_SOFTENING으로 완화)
+     * @param {THREE.Vector3} position 전류 요소 위치 (도선 조각의 중점)
+     * @param {THREE.Vector3} current 전류 요소 벡터 I·dl
+     * @param {THREE.Vector3} point 측정 위치
+     * @param {THREE.Vector3} target 결과를 더할 벡터
+     * @returns {THREE.Vector3} target
+     */
+    addCurrentElementField(position, current, point, target) {
+        const dx = point.x - position.x;
+        const dy = point.y - position.y;
+        const dz = point.z - position.z;
+        const r2 = dx * dx + dy * dy + dz * dz + this.WIRE_SOFTENING * this.WIRE_SOFTENING;
+        const factor = this.BIOT_SAVART_SCALE / (r2 * Math.sqrt(r2));
+
+        target.x += (current.y * dz - current.z * dy) * factor;
+        target.y += (current.z * dx - current.x * dz) * factor;
+        target.z += (current.x * dy - current.y * dx) * factor;
+
+        return target;
+    }
+
+    /**
+     * 막대자석의 자극 배치
+     * 양 끝면에 같은 크기, 반대 부호의 자극이 있는 자하 모델
+     * @param {Magnet} magnet 자석
+     * @returns {Array} 자극 배열
+     */
+    getBarMagnetPoles(magnet) {
+        // 막대자석의 방향 (S → N, 자석의 회전 반영)
+        const magnetDirection = new THREE.Vector3(0, 1, 0)
+            .applyQuaternion(this.getMagnetOrientation(magnet));
+        const halfLength = magnet.options.size.height / 2;
+        const charge = magnet.getPoleStrength() * this.POLE_STRENGTH;
+
+        return [
+            {
+                position: magnet.position.clone().addScaledVector(magnetDirection, halfLength),
+                charge: charge
+            },
+            {
+                position: magnet.position.clone().addScaledVector(magnetDirection, -halfLength),
+                charge: -charge
+            }
+        ];
+    }
+
+    /**
+     * 고리자석의 자극 배치
+     * 바깥 테두리(N극)와 안쪽 테두리(S극)를 따라 자극을 나눠 배치
+     * @param {Magnet} magnet 자석
+     * @returns {Array} 자극 배열
+     */
+    getRingMagnetPoles(magnet) {
+        const { outerRadius, innerRadius } = magnet.options.ring;
+        const segments = this.RING_POLE_SEGMENTS;
+        const charge = magnet.getPoleStrength() * this.POLE_STRENGTH / segments;
+        const orientation = this.getMagnetOrientation(magnet);
+
+        const poles = [];
+
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+
+            // 중심축(로컬 Y)에 수직인 XZ 평면에 배치한 뒤 회전 적용
+            poles.push({
+                position: new THREE.Vector3(cos * outerRadius, 0, sin * outerRadius)
+                    .applyQuaternion(orientation)
+                    .add(magnet.position),
+                charge: charge
+            });
+            poles.push({
+                position: new THREE.Vector3(cos * innerRadius, 0, sin * innerRadius)
+                    .applyQuaternion(orientation)
+                    .add(magnet.position),
+                charge: -charge
+            });
+        }
+
+        return poles;
+    }
+
+    /**
+     * 말굽자석의 자극 배치
+     * 자속은 U자 몸체 안에 갇혀 있고 두 극 끝에서만 밖으로 나오므로
+     * 양쪽 끝에 반대 부호의 자극을 두어 극 사이 틈에 강한 자기장이 생기게 함
+     * @param {Magnet} magnet 자석
+     * @returns {Array} 자극 배열
+     */
+    getHorseshoeMagnetPoles(magnet) {
+        const { radius } = magnet.options.horseshoe;
+        const orientation = this.getMagnetOrientation(magnet);
+        const charge = magnet.getPoleStrength() * this.POLE_STRENGTH;
+
+        // 두 극 끝은 자석 로컬 X축 위에 마주 보고 있음 (N: -X, S: +X)
+        return [
+            {
+                position: new THREE.Vector3(-radius, 0, 0)
+                    .applyQuaternion(orientation)
+                    .add(magnet.position),
+                charge: charge
+            },
+            {
+                position: new THREE.Vector3(radius, 0, 0)
+                    .applyQuaternion(orientation)
+                    .add(magnet.position),
+                charge: -charge
+            }
+        ];
+    }
+
+    /**
+     * 전자석(솔레노이드) 코일의 전류 요소 배치
+     * 전류가 양수면 +Y 끝이 N극 (오른나사 법칙)
+     * @param {Magnet} magnet 자석
+     * @returns {Array} {position, charge: 0, current} 전류 요소 배열 (전류가 0이면 빈 배열)
+     */
+    getSolenoidCurrentElements(magnet) {
+        const { turns, radius, length } = magnet.options.solenoid;
+        return this.getCoilCurrentElements(magnet, turns, radius, length);
+    }
+
+    /**
+     * 원형 도선의 전류 요소 배치 (길이가 0인 한 바퀴 코일)
+     * 전류가 양수면 고리면을 지나는 자기장이 +Y 방향
+     * @param {Magnet} magnet 자석
+     * @returns {Array} 전류 요소 배열
+     */
+    getLoopCurrentElements(magnet) {
+        return this.getCoilCurrentElements(magnet, 1, magnet.options.loop.radius, 0);
+    }
+
+    /**
+     * 중심축(로컬 Y)을 따라 감긴 나선 도선의 전류 요소 배치
+     * 도선을 짧은 조각으로 나누고 각 조각의 중점에 접선 방향 I·dl 전류 요소를 두어
+     * 비오-사바르 적분을 중점 규칙으로 근사
+     * 전류가 양수면 +Y 쪽에서 볼 때 반시계 방향으로 흐름
+     * @param {Magnet} magnet 자석
+     * @param {number} turns 감은 횟수
+     * @param {number} radius 코일 반지름
+     * @param {number} length 코일 길이 (0이면 원형 도선)
+     * @returns {Array} {position, charge: 0, current} 전류 요소 배열 (전류가 0이면 빈 배열)
+     */
+    getCoilCurrentElements(magnet, turns, radius, length) {
+        if (magnet.current === 0 || !(radius > 0)) return [];
+
+        const segments = this.limitCount(turns * this.SOLENOID_SEGMENTS_PER_TURN, this.MAX_CURRENT_ELEMENTS);
+        const totalAngle = turns * Math.PI * 2;
+        const orientation = this.getMagnetOrientation(magnet);
+
+        const dt = 1 / segments;
+        const elements = [];
+
+        for (let i = 0; i < segments; i++) {
+            // 조각 중점의 나선 매개변수 t (0 ~ 1), θ가 커질수록 +Y 축 기준 반시계 방향으로 감김
+            const t = (i + 0.5) * dt;
+            const angle = t * totalAngle;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+
+            // dl = (dp/dt)·dt (나선의 접선 방향)
+            const tangent = new THREE.Vector3(-radius * sin * totalAngle, length, -radius * cos * totalAngle);
+
+            elements.push({
+                position: new THREE.Vector3(radius * cos, (t - 0.5) * length, -radius * sin)
+                    .applyQuaternion(orientation)
+                    .add(magnet.position),
+                charge: 0,
+                current: tangent
+                    .multiplyScalar(magnet.current * dt)
+                    .applyQuaternion(orientation)
+            });
+        }
+
+        return elements;
+    }
+
+    /**
+     * 직선 도선의 전류 요소 배치
+     * 로컬 Y축을 따라 놓인 도선을 WIRE_ELEMENT_LENGTH 간격으로 나눔 (전류가 양수면 +Y 방향으로 흐름)
+     * 도선이 충분히 길어 가운데 근처에서는 무한 직선 도선의 B = 2kI/r 에 가까움
+     * @param {Magnet} magnet 자석
+     * @returns {Array} 전류 요소 배열
+     */
+    getWireCurrentElements(magnet) {
+        if (magnet.current === 0) return [];
+
+        const { length } = magnet.options.wire;
+        if (!(length > 0)) return [];
+
+        const segments = this.limitCount(length / this.WIRE_ELEMENT_LENGTH, this.MAX_CURRENT_ELEMENTS);
+        const step = length / segments;
+        const current = magnet.getAxis().multiplyScalar(magnet.current * step);
+
+        const elements = [];
+
+        for (let i = 0; i < segments; i++) {
+            elements.push({
+                position: magnet.localToWorld(new THREE.Vector3(0, (i + 0.5) * step - length / 2, 0)),
+                charge: 0,
+                current: current.clone()
+            });
+        }
+
+        return elements;
+    }
+
+    /**
+     * 모든 자석의 자극과 전류 요소를 하나의 배열로 모음
+     * 한 스텝 동안 자석은 움직이지 않으므로 입자마다 다시 계산하지 않도록 미리 모아 둠
+     * (웹 워커로 보낼 때도 이 배열을 직렬화)
+     * @param {Array} magnets 자석 배열
+     * @returns {Array} {position, charge} 자극 또는 {position, current} 전류 요소 배열
+     */
+    collectPoles(magnets) {
+        const poles = [];
+
+        magnets.forEach(magnet => {
+            poles.push(...this.getMagnetPoles(magnet));
+        });
+
+        return poles;
+    }
+
+    /**
+     * 자기장과 자기장 세기 제곱의 기울기 ∇|B|² 를 함께 계산
+     * 자극마다 해석적 야코비안 ∂Bᵢ/∂xⱼ = q(δᵢⱼ/s³ - 3dᵢdⱼ/s⁵),
+     * 전류 요소마다 ∂B/∂xⱼ = k(c × eⱼ)/s³ - 3k(c × d)dⱼ/s⁵ 을 누적한 뒤 ∇|B|² = 2·Jᵀ·B
+     * @param {THREE.Vector3} point 측정 위치
+     * @param {Array} poles 자극/전류 요소 배열
+     * @returns {object} {field, gradient}
      */
-    calculateMagneticForce(sourcePos, targetPos, magnetStrength, magnetType = 'bar') {
-        const distance = Utils.distance(sourcePos, targetPos);
+    calculateFieldAndGradient(point, poles) {
+        const softening2 = this.FIELD_SOFTENING * this.FIELD_SOFTENING;
+        const wireSoftening2 = this.WIRE_SOFTENING * this.WIRE_SOFTENING;
+        const biotSavart = this.BIOT_SAVART_SCALE;
+        let bx = 0, by = 0, bz = 0;
+        // jab = ∂Bₐ/∂b (자극만 있으면 대칭이지만 전류 요소 하나하나는 대칭이 아님)
+        let jxx = 0, jyy = 0, jzz = 0;
+        let jxy = 0, jxz = 0, jyx = 0, jyz = 0, jzx = 0, jzy = 0;
 
-        // 거리가 너무 가까우면 힘을 제한
-        if (distance < 0.1) return new THREE.Vector3(0, 0, 0);
+        for (let i = 0; i < poles.length; i++) {
+            const pole = poles[i];
+            const dx = point.x - pole.position.x;
+            const dy = point.y - pole.position.y;
+            const dz = point.z - pole.position.z;
+            const r2 = dx * dx + dy * dy + dz * dz;
+            const current = pole.current;
 
-        // 거리에 따른 힘 감소 (역제곱 법칙)
-        let forceMagnitude = (magnetStrength * this.MAGNETIC_FORCE_SCALE) / Math.pow(distance, 2);
+            if (current) {
+                const s2 = r2 + wireSoftening2;
+                const inv3 = biotSavart / (s2 * Math.sqrt(s2));
+                const inv5 = 3 * inv3 / s2;
+                const cx = current.x, cy = current.y, cz = current.z;
 
-        // 자석 종류에 따른 힘 계산
-        if (magnetType === 'bar') {
-            // 막대자석: 양극과 음극을 고려
-            forceMagnitude *= this.calculateBarMagnetField(sourcePos, targetPos);
-        } else if (magnetType === 'ring') {
-            // 고리자석: 중심에서의 방향성 고려
-            forceMagnitude *= this.calculateRingMagnetField(sourcePos, targetPos);
+                // c × d
+                const ux = cy * dz - cz * dy;
+                const uy = cz * dx - cx * dz;
+                const uz = cx * dy - cy * dx;
+
+                bx += ux * inv3;
+                by += uy * inv3;
+                bz += uz * inv3;
+
+                jxx -= ux * dx * inv5;
+                jxy += -cz * inv3 - ux * dy * inv5;
+                jxz += cy * inv3 - ux * dz * inv5;
+                jyx += cz * inv3 - uy * dx * inv5;
+                jyy -= uy * dy * inv5;
+                jyz += -cx * inv3 - uy * dz * inv5;
+                jzx += -cy * inv3 - uz * dx * inv5;
+                jzy += cx * inv3 - uz * dy * inv5;
+                jzz -= uz * dz * inv5;
+            } else {
+                const s2 = r2 + softening2;
+                const inv3 = pole.charge / (s2 * Math.sqrt(s2));
+                const inv5 = 3 * inv3 / s2;
+                const xy = dx * dy * inv5;
+                const xz = dx * dz * inv5;
+                const yz = dy * dz * inv5;
+
+                bx += dx * inv3;
+                by += dy * inv3;
+                bz += dz * inv3;
+
+                jxx += inv3 - dx * dx * inv5;
+                jyy += inv3 - dy * dy * inv5;
+                jzz += inv3 - dz * dz * inv5;
+                jxy -= xy;
+                jyx -= xy;
+                jxz -= xz;
+                jzx -= xz;
+                jyz -= yz;
+                jzy -= yz;
+            }
         }
 
-        // 힘의 방향 계산 (자석 쪽으로)
-        const direction = new THREE.Vector3()
-            .subVectors(sourcePos, targetPos)
-            .normalize();
+        return {
+            field: new THREE.Vector3(bx, by, bz),
+            gradient: new THREE.Vector3(
+                2 * (jxx * bx + jyx * by + jzx * bz),
+                2 * (jxy * bx + jyy * by + jzy * bz),
+                2 * (jxz * bx + jyz * by + jzz * bz)
+            )
+        };
+    }
+
+    /**
+     * 철가루 입자에 작용하는 자기력 계산
+     * 연철 입자는 외부 자기장에 비례하는 자기모멘트 m = χV·B/μ₀ 가 유도되므로
+     * F = ∇(m·B)/2 = (χV/2μ₀)·∇|B|²
+     * @param {THREE.Vector3} point 입자 위치
+     * @param {Array} magnets 자석 배열
+     * @returns {THREE.Vector3} 자기력 벡터
+     */
+    calculateMagneticForce(point, magnets) {
+        const { gradient } = this.calculateFieldAndGradient(point, this.collectPoles(magnets));
+        return this.calculateInducedForce(gradient);
+    }
+
+    /**
+     * ∇|B|² 로부터 유도 자기력 계산
+     * @param {THREE.Vector3} gradient 자기장 세기 제곱의 기울기
+     * @returns {THREE.Vector3} 자기력 벡터
+     */
+    calculateInducedForce(gradient) {
+        const force = gradient.clone().multiplyScalar(this.MAGNETIC_FORCE_SCALE);
+
+        // 자극에 너무 가까울 때 수치 폭주 방지
+        if (force.length() > this.MAX_FORCE) {
+            force.setLength(this.MAX_FORCE);
+        }
+
+        return force;
+    }
+
+    /**
+     * 자석이 다른 자석들로부터 받는 힘과 토크 계산
+     * 자하 모델에서 자극 q가 받는 힘은 F = q·B, 전류 요소가 받는 힘은 F = I·dl × B
+     * (B는 다른 자석들의 합성 자기장)
+     * @param {Magnet} magnet 힘을 받는 자석
+     * @param {Array} magnets 전체 자석 배열
+     * @returns {object} {force, torque} 자석 중심 기준 힘과 토크
+     */
+    calculateMagnetInteraction(magnet, magnets) {
+        const force = new THREE.Vector3(0, 0, 0);
+        const torque = new THREE.Vector3(0, 0, 0);
+        const others = magnets.filter(other => other !== magnet);
+
+        if (others.length === 0) return { force, torque };
+
+        this.getMagnetPoles(magnet).forEach(pole => {
+            const field = this.calculateMagneticField(pole.position, others);
+
+            // 전류 요소는 로렌츠 힘 F = I·dl × B
+            const poleForce = pole.current
+                ? new THREE.Vector3().crossVectors(pole.current, field).multiplyScalar(this.MAGNET_FORCE_SCALE)
+                : field.multiplyScalar(pole.charge * this.MAGNET_FORCE_SCALE);
+
+            const leverArm = new THREE.Vector3().subVectors(pole.position, magnet.position);
+
+            force.add(poleForce);
+            torque.add(leverArm.cross(poleForce));
+        });
 
-        // 힘 제한
-        forceMagnitude = Utils.clamp(forceMagnitude, this.MIN_FORCE, this.MAX_FORCE);
+        // 자극끼리 맞닿을 때 수치 폭주 방지
+        if (force.length() > this.MAX_MAGNET_FORCE) {
+            force.setLength(this.MAX_MAGNET_FORCE);
+        }
+        if (torque.length() > this.MAX_MAGNET_TORQUE) {
+            torque.setLength(this.MAX_MAGNET_TORQUE);
+        }
 
-        return direction.multiplyScalar(forceMagnitude);
+        return { force, torque };
     }
 
     /**
-     * 막대자석의 자기장 패턴 계산
-     * @param {THREE.Vector3} magnetPos 자석 위치
-     * @param {THREE.Vector3} particlePos 입자 위치
-     * @returns {number} 자기장 강도 배율
+     * 자석의 강체 운동 업데이트 (책상 위 평면 운동)
+     * 수평 이동과 수직축(Y) 회전만 허용하고, 바닥 마찰로 약한 힘에는 움직이지 않음
+     * @param {Magnet} magnet 자석
+     * @param {object} interaction calculateMagnetInteraction 결과
+     * @param {number} deltaTime 시간 간격
      */
-    calculateBarMagnetField(magnetPos, particlePos) {
-        // 막대자석의 방향 (기본적으로 Y축)
-        const magnetDirection = new THREE.Vector3(0, 1, 0);
+    updateMagnet(magnet, interaction, deltaTime) {
+        const normalForce = magnet.mass * -this.GRAVITY;
+        const maxFriction = this.MAGNET_FRICTION * normalForce;
 
-        // 자석에서 입자로의 벡터
-        const toParticle = new THREE.Vector3()
-            .subVectors(particlePos, magnetPos)
-            .normalize();
+        // 병진 운동 (수평 성분만)
+        const force = interaction.force.clone();
+        force.y = 0;
+
+        if (magnet.velocity.length() < this.MAGNET_REST_SPEED && force.length() <= maxFriction) {
+            // 정지 마찰
+            magnet.velocity.set(0, 0, 0);
+        } else {
+            magnet.velocity.addScaledVector(force, deltaTime / magnet.mass);
+
+            // 운동 마찰: 속도 반대 방향으로 감속하되 방향이 뒤집히지는 않게
+            const speed = magnet.velocity.length();
+            const frictionDelta = maxFriction / magnet.mass * deltaTime;
+            magnet.velocity.multiplyScalar(speed > frictionDelta ? (speed - frictionDelta) / speed : 0);
+        }
 
-        // 자석의 방향과 입자 방향의 내적으로 극성 효과 계산
-        const dotProduct = toParticle.dot(magnetDirection);
+        magnet.position.addScaledVector(magnet.velocity, deltaTime);
 
-        // 극 근처에서 더 강한 자기장 (코사인 함수 변형)
-        return Math.abs(Math.cos(dotProduct * Math.PI)) + 0.3;
+        // 회전 운동 (수직축 성분만)
+        const torque = interaction.torque.y;
+        const inertia = magnet.getMomentOfInertia();
+        const maxFrictionTorque = maxFriction * magnet.getBoundingRadius() * 0.5;
+
+        if (Math.abs(magnet.angularVelocity) < this.MAGNET_REST_SPEED && Math.abs(torque) <= maxFrictionTorque) {
+            magnet.angularVelocity = 0;
+        } else {
+            magnet.angularVelocity += torque / inertia * deltaTime;
+
+            const spin = Math.abs(magnet.angularVelocity);
+            const frictionDelta = maxFrictionTorque / inertia * deltaTime;
+            magnet.angularVelocity *= spin > frictionDelta ? (spin - frictionDelta) / spin : 0;
+        }
+
+        if (magnet.angularVelocity !== 0) {
+            // 월드 Y축 기준 회전을 현재 방향에 합성
+            const spinRotation = new THREE.Quaternion().setFromAxisAngle(
+                new THREE.Vector3(0, 1, 0),
+                magnet.angularVelocity * deltaTime
+            );
+            const orientation = this.getMagnetOrientation(magnet).premultiply(spinRotation);
+            magnet.rotation.setFromQuaternion(orientation);
+        }
     }
 
     /**
-     * 고리자석의 자기장 패턴 계산
-     * @param {THREE.Vector3} magnetPos 자석 위치
-     * @param {THREE.Vector3} particlePos 입자 위치
-     * @returns {number} 자기장 강도 배율
+     * 두 자석 간의 충돌 처리 (수평면 위 원형 경계)
+     * 드래그 중인 자석은 움직이지 않는 것으로 취급
+     * @param {Magnet} magnet1 첫 번째 자석
+     * @param {Magnet} magnet2 두 번째 자석
      */
-    calculateRingMagnetField(magnetPos, particlePos) {
-        // 고리자석의 중심축 (기본적으로 Y축)
-        const magnetAxis = new THREE.Vector3(0, 1, 0);
+    handleMagnetCollision(magnet1, magnet2) {
+        const offset = new THREE.Vector3().subVectors(magnet2.position, magnet1.position);
+        offset.y = 0;
 
-        // 자석에서 입자로의 벡터
-        const toParticle = new THREE.Vector3()
-            .subVectors(particlePos, magnetPos);
+        const distance = offset.length();
+        const minDistance = magnet1.getBoundingRadius() + magnet2.getBoundingRadius();
 
-        // 축에서의 거리 계산
-        const axisDistance = Math.abs(toParticle.dot(magnetAxis));
-        const radialDistance = Math.sqrt(toParticle.lengthSq() - axisDistance * axisDistance);
+        if (distance >= minDistance || distance === 0) return;
 
-        // 고리 모양의 자기장 패턴
-        const ringEffect = Math.exp(-Math.pow(radialDistance - 1, 2) * 2);
+        const movable1 = magnet1.isDragging ? 0 : 1;
+        const movable2 = magnet2.isDragging ? 0 : 1;
+        if (movable1 + movable2 === 0) return;
 
-        return ringEffect + 0.2;
+        // 겹친 만큼 분리
+        const normal = offset.divideScalar(distance);
+        const overlap = minDistance - distance;
+        const share1 = movable1 / (movable1 + movable2);
+        const share2 = movable2 / (movable1 + movable2);
+
+        magnet1.position.addScaledVector(normal, -overlap * share1);
+        magnet2.position.addScaledVector(normal, overlap * share2);
+
+        // 서로 다가가는 속도 성분 제거 (비탄성 충돌)
+        const approachSpeed = new THREE.Vector3()
+            .subVectors(magnet1.velocity, magnet2.velocity)
+            .dot(normal);
+
+        if (approachSpeed > 0) {
+            magnet1.velocity.addScaledVector(normal, -approachSpeed * share1);
+            magnet2.velocity.addScaledVector(normal, approachSpeed * share2);
+        }
     }
 
     /**
@@ -122,49 +680,111 @@ class Physics {
     }
 
     /**
-     * 입자의 물리 업데이트
-     * @param {object} particle 입자 객체
-     * @param {Array} magnets 자석 배열
-     * @param {number} deltaTime 시간 간격
+     * 입자 적분 방식 변경
+     * @param {string} integrator 'euler' (반암시적 오일러), 'verlet' (속도 베를레), 'rk4'
      */
-    updateParticle(particle, magnets, deltaTime) {
-        // 힘 초기화
-        const totalForce = new THREE.Vector3(0, 0, 0);
+    setIntegrator(integrator) {
+        if (!Physics.INTEGRATORS.includes(integrator)) {
+            Utils.warn(`Unknown integrator: ${integrator}`);
+            return;
+        }
 
-        // 중력 적용
-        const gravity = this.calculateGravity(particle.mass);
-        totalForce.add(gravity);
+        this.integrator = integrator;
+    }
 
-        // 모든 자석의 자기력 계산
-        magnets.forEach(magnet => {
-            const magneticForce = this.calculateMagneticForce(
-                magnet.position,
-                particle.position,
-                magnet.strength,
-                magnet.type
-            );
-            totalForce.add(magneticForce);
+    /**
+     * 숫자로 된 물리 상수와 시뮬레이션 설정 (장면 파일 저장용)
+     * @returns {object} {상수 이름: 값}
+     */
+    getConstants() {
+        const constants = {};
+
+        Object.keys(this).forEach(name => {
+            if (typeof this[name] === 'number') {
+                constants[name] = this[name];
+            }
         });
 
-        // 공기 저항 적용
-        const airResistance = this.calculateAirResistance(particle.velocity);
-        totalForce.add(airResistance);
+        return constants;
+    }
 
-        // 가속도 계산 (F = ma, a = F/m)
-        const acceleration = totalForce.divideScalar(particle.mass);
+    /**
+     * 물리 상수 변경 (숫자 상수만, 모르는 이름은 무시)
+     * @param {object} constants {상수 이름: 값}
+     */
+    setConstants(constants) {
+        Object.keys(constants).forEach(name => {
+            if (typeof this[name] !== 'number' || !Number.isFinite(constants[name])) {
+                Utils.warn(`Unknown physics constant: ${name}`);
+                return;
+            }
 
-        // 속도 업데이트 (v = v + a*dt)
-        particle.velocity.add(acceleration.multiplyScalar(deltaTime));
+            this[name] = constants[name];
+        });
+    }
+
+    /**
+     * 주어진 위치/속도에서 입자의 가속도 계산
+     * 적분 방식에 따라 한 스텝 안에서 여러 번 호출됨
+     * @param {object} particle 입자 객체 (질량, 외부에서 누적된 가속도)
+     * @param {THREE.Vector3} position 위치
+     * @param {THREE.Vector3} velocity 속도
+     * @param {Array} poles 자극 배열
+     * @returns {object} {acceleration, field}
+     */
+    calculateParticleAcceleration(particle, position, velocity, poles) {
+        // 중력
+        const totalForce = this.calculateGravity(particle.mass);
+
+        // 모든 자석의 합성 자기장에 의한 자기력
+        const { field, gradient } = this.calculateFieldAndGradient(position, poles);
+        totalForce.add(this.calculateInducedForce(gradient));
+
+        // 공기 저항
+        totalForce.add(this.calculateAirResistance(velocity));
+
+        // 가속도 계산 (F = ma, a = F/m) + 외부에서 누적된 가속도 (입자 간 자기력 등)
+        const acceleration = totalForce.divideScalar(particle.mass).add(particle.acceleration);
+
+        return { acceleration, field };
+    }
+
+    /**
+     * 입자의 물리 업데이트 (고정 시간 간격 한 스텝)
+     * @param {object} particle 입자 객체
+     * @param {Array} poles 자극 배열 (collectPoles 결과)
+     * @param {number} deltaTime 시간 간격
+     */
+    updateParticle(particle, poles, deltaTime) {
+        const { acceleration, field } = this.calculateParticleAcceleration(
+            particle, particle.position, particle.velocity, poles
+        );
+
+        // 현재 위치의 자기장으로 바늘 방향 회전 및 유도 자기모멘트 갱신 (입자 간 인력에 사용)
+        this.updateParticleRotation(particle, field, deltaTime);
+        particle.magnetize(this.calculateInducedMoment(field, particle.orientation));
+
+        // 위치/속도 적분
+        switch (this.integrator) {
+            case 'verlet':
+                this.integrateVelocityVerlet(particle, acceleration, poles, deltaTime);
+                break;
+            case 'rk4':
+                this.integrateRK4(particle, acceleration, poles, deltaTime);
+                break;
+            default:
+                this.integrateSemiImplicitEuler(particle, acceleration, deltaTime);
+                break;
+        }
+
+        // 외부에서 누적된 가속도는 이번 스텝에서 소모
+        particle.acceleration.set(0, 0, 0);
 
         // 속도 제한
         if (particle.velocity.length() > this.maxVelocity) {
             particle.velocity.normalize().multiplyScalar(this.maxVelocity);
         }
 
-        // 위치 업데이트 (p = p + v*dt)
-        const displacement = particle.velocity.clone().multiplyScalar(deltaTime);
-        particle.position.add(displacement);
-
         // 바닥 충돌 처리
         this.handleGroundCollision(particle);
 
@@ -173,18 +793,221 @@ class Physics {
     }
 
     /**
-     * 바닥 충돌 처리
+     * 반암시적 오일러 적분 (새 속도로 위치를 갱신, 1차 정확도지만 에너지가 잘 보존됨)
+     * @param {object} particle 입자 객체
+     * @param {THREE.Vector3} acceleration 현재 가속도
+     * @param {number} deltaTime 시간 간격
+     */
+    integrateSemiImplicitEuler(particle, acceleration, deltaTime) {
+        particle.velocity.addScaledVector(acceleration, deltaTime);
+        particle.position.addScaledVector(particle.velocity, deltaTime);
+    }
+
+    /**
+     * 속도 베를레 적분 (2차 정확도)
+     * 가속도가 속도에 의존(공기 저항)하므로 새 위치의 가속도는 예측 속도로 계산
+     * @param {object} particle 입자 객체
+     * @param {THREE.Vector3} acceleration 현재 가속도
+     * @param {Array} poles 자극 배열
+     * @param {number} deltaTime 시간 간격
+     */
+    integrateVelocityVerlet(particle, acceleration, poles, deltaTime) {
+        const predictedVelocity = particle.velocity.clone().addScaledVector(acceleration, deltaTime);
+
+        particle.position
+            .addScaledVector(particle.velocity, deltaTime)
+            .addScaledVector(acceleration, 0.5 * deltaTime * deltaTime);
+
+        const next = this.calculateParticleAcceleration(particle, particle.position, predictedVelocity, poles);
+
+        particle.velocity.addScaledVector(acceleration.add(next.acceleration), 0.5 * deltaTime);
+    }
+
+    /**
+     * 4차 룽게-쿠타 적분 (4차 정확도, 스텝당 가속도 4회 계산)
+     * @param {object} particle 입자 객체
+     * @param {THREE.Vector3} acceleration 현재 가속도 (k1)
+     * @param {Array} poles 자극 배열
+     * @param {number} deltaTime 시간 간격
+     */
+    integrateRK4(particle, acceleration, poles, deltaTime) {
+        const halfStep = deltaTime * 0.5;
+        const x1 = particle.position;
+        const v1 = particle.velocity;
+        const a1 = acceleration;
+
+        const x2 = x1.clone().addScaledVector(v1, halfStep);
+        const v2 = v1.clone().addScaledVector(a1, halfStep);
+        const a2 = this.calculateParticleAcceleration(particle, x2, v2, poles).acceleration;
+
+        const x3 = x1.clone().addScaledVector(v2, halfStep);
+        const v3 = v1.clone().addScaledVector(a2, halfStep);
+        const a3 = this.calculateParticleAcceleration(particle, x3, v3, poles).acceleration;
+
+        const x4 = x1.clone().addScaledVector(v3, deltaTime);
+        const v4 = v1.clone().addScaledVector(a3, deltaTime);
+        const a4 = this.calculateParticleAcceleration(particle, x4, v4, poles).acceleration;
+
+        // 가중 평균 (1, 2, 2, 1) / 6
+        const velocitySum = v1.clone().add(v4).addScaledVector(v2, 2).addScaledVector(v3, 2);
+        const accelerationSum = a1.clone().add(a4).addScaledVector(a2, 2).addScaledVector(a3, 2);
+
+        particle.position.addScaledVector(velocitySum, deltaTime / 6);
+        particle.velocity.addScaledVector(accelerationSum, deltaTime / 6);
+    }
+
+    /**
+     * 바늘 모양 철가루의 회전 업데이트
+     * 길쭉한 연철은 긴 축 방향으로 자화되기 쉬워(형상 이방성) 에너지 U ∝ -(a·B)² 이므로
+     * 토크 τ ∝ (a·B)(a × B) 가 긴 축 a를 자기장 방향(양방향 모두)으로 돌림
+     * @param {object} particle 입자 객체
+     * @param {THREE.Vector3} field 입자 위치의 자기장
+     * @param {number} deltaTime 시간 간격
+     */
+    updateParticleRotation(particle, field, deltaTime) {
+        const axis = particle.orientation;
+
+        const torque = new THREE.Vector3()
+            .crossVectors(axis, field)
+            .multiplyScalar(this.NEEDLE_ALIGN_SCALE * axis.dot(field));
+
+        if (torque.length() > this.MAX_NEEDLE_TORQUE) {
+            torque.setLength(this.MAX_NEEDLE_TORQUE);
+        }
+
+        // 각속도 업데이트 (감쇠는 암시적으로 적용해 큰 토크에서도 안정)
+        particle.angularVelocity
+            .addScaledVector(torque, deltaTime / particle.getMomentOfInertia())
+            .divideScalar(1 + this.ANGULAR_DAMPING * deltaTime);
+
+        if (particle.angularVelocity.length() > this.maxAngularVelocity) {
+            particle.angularVelocity.setLength(this.maxAngularVelocity);
+        }
+
+        // 방향 업데이트 (da/dt = ω × a)
+        const rotation = new THREE.Vector3().crossVectors(particle.angularVelocity, axis);
+        axis.addScaledVector(rotation, deltaTime).normalize();
+    }
+
+    /**
+     * 나침반 바늘 회전 업데이트
+     * 영구 자기모멘트 m이 받는 토크 τ = m·(a × B)의 수직 성분만으로 수평면에서 회전
+     * (수직 자기장 성분은 바늘을 돌리지 않으므로 수평 자기장 방향을 가리킴)
+     * @param {Compass} compass 나침반
+     * @param {THREE.Vector3} field 나침반 위치의 자기장 B
+     * @param {number} deltaTime 시간 간격
+     */
+    updateCompass(compass, field, deltaTime) {
+        const direction = compass.getDirection();
+
+        // 최대 토크 m·|B수평|을 제한 (토크만 자르면 평형점 근처 복원력이 너무 세져 고정 스텝에서 발산)
+        const maxTorque = compass.moment * Math.hypot(field.x, field.z);
+        const scale = maxTorque > this.MAX_COMPASS_TORQUE ? this.MAX_COMPASS_TORQUE / maxTorque : 1;
+
+        // m·(a × B)·ŷ
+        const torque = compass.moment * (direction.z * field.x - direction.x * field.z) * scale;
+
+        // 각속도 업데이트 (감쇠는 암시적으로 적용)
+        compass.angularVelocity = Utils.clamp(
+            (compass.angularVelocity + torque / compass.getMomentOfInertia() * deltaTime) /
+                (1 + this.COMPASS_DAMPING * deltaTime),
+            -this.maxAngularVelocity,
+            this.maxAngularVelocity
+        );
+
+        compass.heading = Utils.normalizeAngle(compass.heading + compass.angularVelocity * deltaTime);
+    }
+
+    /**
+     * 외부 자기장에 의해 철가루에 유도되는 자기모멘트 계산
+     * 약한 자기장에서는 B에 비례하고, 강한 자기장에서는 포화
+     * 바늘 모양 입자는 긴 축 방향 성분만 자화됨
+     * @param {THREE.Vector3} field 입자 위치의 자기장
+     * @param {THREE.Vector3} axis 입자의 긴 축 방향 (생략 시 등방성)
+     * @returns {THREE.Vector3} 유도 자기모멘트
+     */
+    calculateInducedMoment(field, axis = null) {
+        const moment = field.clone().multiplyScalar(this.INDUCED_MOMENT_SCALE);
+
+        if (axis) {
+            const projection = moment.dot(axis);
+            moment.copy(axis).multiplyScalar(projection);
+        }
+
+        if (moment.length() > this.SATURATION_MOMENT) {
+            moment.setLength(this.SATURATION_MOMENT);
+        }
+
+        return moment;
+    }
+
+    /**
+     * 두 자기쌍극자 사이의 힘 계산 (particle1이 particle2에 작용하는 힘)
+     * F = 3/r⁴ [(m₁·r̂)m₂ + (m₂·r̂)m₁ + (m₁·m₂)r̂ - 5(m₁·r̂)(m₂·r̂)r̂]
+     * 자기장 방향으로 늘어선 입자끼리는 당기고 옆으로 나란한 입자끼리는 밀어내어 사슬이 생김
+     * @param {object} particle1 첫 번째 입자
+     * @param {object} particle2 두 번째 입자
+     * @returns {THREE.Vector3} particle2가 받는 힘
+     */
+    calculateDipoleForce(particle1, particle2) {
+        const offset = new THREE.Vector3().subVectors(particle2.position, particle1.position);
+        const distance = offset.length();
+
+        if (distance === 0 || distance > this.DIPOLE_INTERACTION_RANGE) {
+            return new THREE.Vector3(0, 0, 0);
+        }
+
+        // 입자가 겹쳐도 접촉 거리보다 가깝게 계산하지 않음
+        const r = Math.max(distance, particle1.radius + particle2.radius);
+        const direction = offset.divideScalar(distance);
+
+        const m1 = particle1.magneticMoment;
+        const m2 = particle2.magneticMoment;
+        const m1r = m1.dot(direction);
+        const m2r = m2.dot(direction);
+
+        const force = new THREE.Vector3()
+            .addScaledVector(m2, m1r)
+            .addScaledVector(m1, m2r)
+            .addScaledVector(direction, m1.dot(m2) - 5 * m1r * m2r)
+            .multiplyScalar(3 / Math.pow(r, 4));
+
+        if (force.length() > this.MAX_FORCE) {
+            force.setLength(this.MAX_FORCE);
+        }
+
+        return force;
+    }
+
+    /**
+     * 두 자기화된 입자 간의 자기력 적용 (작용-반작용)
+     * @param {object} particle1 첫 번째 입자
+     * @param {object} particle2 두 번째 입자
+     */
+    handleParticleDipoleInteraction(particle1, particle2) {
+        const force = this.calculateDipoleForce(particle1, particle2);
+
+        particle2.applyForce(force);
+        particle1.applyForce(force.negate());
+    }
+
+    /**
+     * 바닥(또는 유리판) 충돌 처리
      * @param {object} particle 입자 객체
      */
     handleGroundCollision(particle) {
-        const groundLevel = 0;
+        const groundLevel = this.SURFACE_HEIGHT;
 
         if (particle.position.y <= groundLevel) {
             particle.position.y = groundLevel;
 
             // 수직 속도 반전 및 감쇠
-            if (particle.velocity.y < 0) {
+            // 느리게 닿으면 (바닥에 놓인 입자가 한 스텝 동안 중력으로 얻은 속도 등) 튀지 않음:
+            // 바닥 아래로 들어간 위치를 끌어올리며 얻은 위치 에너지가 튀는 속도에 더해지지 않도록
+            if (particle.velocity.y < -this.restingSpeed) {
                 particle.velocity.y = -particle.velocity.y * this.restitution;
+            } else if (particle.velocity.y < 0) {
+                particle.velocity.y = 0;
             }
 
             // 수평 속도 마찰 적용
@@ -221,7 +1044,8 @@ class Physics {
 
             const velocityAlongNormal = relativeVelocity.dot(collisionDirection);
 
-            if (velocityAlongNormal > 0) return; // 이미 분리되는 중
+            // 상대 속도가 법선 방향(1 → 2)으로 양수일 때만 서로 다가가는 중
+            if (velocityAlongNormal <= 0) return; // 이미 분리되는 중
 
             const impulse = 2 * velocityAlongNormal / (particle1.mass + particle2.mass);
 
@@ -236,48 +1060,333 @@ class Physics {
 
     /**
      * 자기력선 계산 (시각화용)
-     * @param {THREE.Vector3} magnetPos 자석 위치
-     * @param {number} magnetStrength 자석 세기
-     * @param {string} magnetType 자석 종류
-     * @returns {Array} 자기력선 포인트 배열
+     * 각 자석의 N극 주변에서 출발해 합성 자기장을 따라 S극 쪽으로 추적
+     * (전류원은 전류를 감싸며 한 바퀴 돌아오는 닫힌 선)
+     * 자극마다 자하에 비례하는 개수의 선을 배치 (가우스 법칙)
+     * @param {Array} magnets 자석 배열
+     * @returns {Array} 자기력선 포인트 배열의 배열
      */
-    calculateFieldLines(magnetPos, magnetStrength, magnetType) {
+    calculateFieldLines(magnets) {
         const fieldLines = [];
-        const numLines = 8; // 자기력선 개수
-        const stepSize = 0.1; // 스텝 크기
-        const maxSteps = 100; // 최대 스텝 수
-
-        for (let i = 0; i < numLines; i++) {
-            const angle = (i / numLines) * Math.PI * 2;
-            const startRadius = 0.2;
-
-            const startPos = new THREE.Vector3(
-                magnetPos.x + Math.cos(angle) * startRadius,
-                magnetPos.y,
-                magnetPos.z + Math.sin(angle) * startRadius
+        const seedRadius = this.FIELD_LINE_SEED_RADIUS;
+
+        // 추적 중에는 자석이 움직이지 않으므로 자극 배치를 한 번만 계산
+        const poles = this.collectPoles(magnets);
+
+        const northPoles = poles.filter(pole => pole.charge > 0);
+        const southPoles = poles.filter(pole => pole.charge < 0);
+
+        northPoles.forEach(pole => {
+            const lineCount = this.limitCount(pole.charge * this.FIELD_LINES_PER_CHARGE, this.MAX_FIELD_LINES_PER_SOURCE);
+
+            this.getSphereSeedDirections(lineCount).forEach(direction => {
+                const start = pole.position.clone().addScaledVector(direction, seedRadius);
+                fieldLines.push(this.traceFieldLine(start, poles, southPoles));
+            });
+        });
+
+        // 전류원에는 자극이 없으므로 전류를 감싸는 닫힌 선을 추적
+        magnets.forEach(magnet => {
+            if (!magnet.isCurrentSource() || magnet.current === 0) return;
+
+            const seeds = this.getCurrentSourceSeeds(magnet);
+            if (!seeds) return;
+
+            seeds.points.forEach(start => {
+                fieldLines.push(this.traceFieldLine(start, poles, southPoles, seeds.loopPlane));
+            });
+        });
+
+        return fieldLines;
+    }
+
+    /**
+     * 전류원의 자기력선 출발점과 한 바퀴 판정용 단면
+     * 코일(전자석, 원형 도선)은 코일 면 안쪽에서 출발해 다시 코일 면을 지나면 닫힘
+     * 직선 도선은 도선에서 떨어진 점들에서 출발해 도선을 한 바퀴 돌면 닫힘
+     * 길이나 반지름이 양수가 아닌 전류원은 선을 그리지 않음
+     * @param {Magnet} magnet 전류원
+     * @returns {object|null} {points, loopPlane} (그릴 수 없으면 null)
+     */
+    getCurrentSourceSeeds(magnet) {
+        const direction = Math.sign(magnet.current);
+        const current = Math.abs(magnet.current);
+
+        switch (magnet.type) {
+            case 'wire': {
+                if (!(magnet.options.wire.length > 0)) return null;
+
+                // 도선 방향 a, 출발 방향 x̂ 일 때 출발점의 자기장 방향은 a × x̂
+                const radial = new THREE.Vector3(1, 0, 0).applyEuler(magnet.rotation);
+                return {
+                    points: this.getWireSeedPoints(magnet, current),
+                    loopPlane: {
+                        center: magnet.position,
+                        normal: magnet.getAxis().cross(radial).multiplyScalar(direction),
+                        radius: this.FIELD_LINE_MAX_DISTANCE
+                    }
+                };
+            }
+            case 'loop': {
+                // 같은 자기모멘트 NIπR² 를 내는 길이 2R 막대자석의 자하
+                const { radius } = magnet.options.loop;
+                if (!(radius > 0)) return null;
+
+                const equivalentCharge = this.BIOT_SAVART_SCALE * current * Math.PI * radius / 2;
+                return {
+                    points: this.getCoilSeedPoints(magnet, radius, equivalentCharge),
+                    loopPlane: {
+                        center: magnet.position,
+                        normal: magnet.getAxis().multiplyScalar(direction),
+                        radius: radius
+                    }
+                };
+            }
+            case 'solenoid':
+            default: {
+                // 코일 내부 자속과 같은 자속을 내는 자하 q = k·(N/L)·I·πR²
+                const { turns, radius, length } = magnet.options.solenoid;
+                if (!(radius > 0) || !(length > 0)) return null;
+
+                const equivalentCharge = this.BIOT_SAVART_SCALE * (turns / length) * current * Math.PI * radius * radius;
+                return {
+                    points: this.getCoilSeedPoints(magnet, radius, equivalentCharge),
+                    loopPlane: {
+                        center: magnet.position,
+                        normal: magnet.getAxis().multiplyScalar(direction),
+                        radius: radius
+                    }
+                };
+            }
+        }
+    }
+
+    /**
+     * 코일 가운데 단면 위의 자기력선 출발점 (해바라기 배치)
+     * @param {Magnet} magnet 전자석 또는 원형 도선
+     * @param {number} radius 코일 반지름
+     * @param {number} equivalentCharge 같은 자속을 내는 자하 (선 개수 결정)
+     * @returns {Array} 출발 위치 배열
+     */
+    getCoilSeedPoints(magnet, radius, equivalentCharge) {
+        const count = this.limitCount(equivalentCharge * this.FIELD_LINES_PER_CHARGE, this.MAX_FIELD_LINES_PER_SOURCE);
+        const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+        const points = [];
+
+        for (let i = 0; i < count; i++) {
+            const seedRadius = radius * 0.8 * Math.sqrt((i + 0.5) / count);
+            const angle = goldenAngle * i;
+
+            points.push(magnet.localToWorld(
+                new THREE.Vector3(Math.cos(angle) * seedRadius, 0, Math.sin(angle) * seedRadius)
+            ));
+        }
+
+        return points;
+    }
+
+    /**
+     * 직선 도선 주위 원형 자기력선의 출발점
+     * B ∝ 1/r 이므로 반지름을 등비로 늘려 선 간격이 자기장 세기에 반비례하게 함
+     * @param {Magnet} magnet 직선 도선
+     * @param {number} current 전류 크기
+     * @returns {Array} 출발 위치 배열 (도선 가운데 높이, 로컬 +X 방향)
+     */
+    getWireSeedPoints(magnet, current) {
+        const count = this.limitCount(current * this.WIRE_FIELD_LINES_PER_CURRENT, this.MAX_FIELD_LINES_PER_SOURCE);
+        const points = [];
+
+        for (let i = 0; i < count; i++) {
+            points.push(magnet.localToWorld(new THREE.Vector3(0.15 * Math.pow(1.6, i), 0, 0)));
+        }
+
+        return points;
+    }
+
+    /**
+     * 자기력선/전류 요소 개수를 1 ~ max 사이 정수로 반올림
+     * 잘못된 치수로 값이 무한대나 NaN이 되어도 반복이 끝나도록 항상 상한을 둠
+     * @param {number} value 계산한 개수
+     * @param {number} max 최대 개수
+     * @returns {number} 개수
+     */
+    limitCount(value, max) {
+        if (!(value >= 1)) return 1;
+
+        return Math.min(Math.round(value), max);
+    }
+
+    /**
+     * 구면 위에 고르게 분포된 방향 생성 (피보나치 구면 배치)
+     * @param {number} count 방향 개수
+     * @returns {Array} 단위 벡터 배열
+     */
+    getSphereSeedDirections(count) {
+        const directions = [];
+        const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+        for (let i = 0; i < count; i++) {
+            const y = count === 1 ? 0 : 1 - (i / (count - 1)) * 2;
+            const radius = Math.sqrt(1 - y * y);
+            const angle = goldenAngle * i;
+
+            directions.push(new THREE.Vector3(Math.cos(angle) * radius, y, Math.sin(angle) * radius));
+        }
+
+        return directions;
+    }
+
+    /**
+     * 한 점에서 출발하는 자기력선 추적 (2차 룽게-쿠타, 자기장 방향 N → S)
+     * @param {THREE.Vector3} start 출발 위치
+     * @param {Array} poles 전체 자극 배열
+     * @param {Array} southPoles 도착 판정용 S극 배열
+     * @param {object} loopPlane 닫힌 선 판정용 출발 단면 {center, normal, radius} (전류원, 없으면 null)
+     * @returns {Array} 자기력선 포인트 배열
+     */
+    traceFieldLine(start, poles, southPoles, loopPlane = null) {
+        const stepSize = this.FIELD_LINE_STEP;
+        const line = [start.clone()];
+        const currentPos = start.clone();
+
+        for (let step = 0; step < this.FIELD_LINE_MAX_STEPS; step++) {
+            const field = this.calculatePolesField(poles, currentPos);
+            if (field.length() < 1e-4) break;
+
+            // 중간점에서의 방향으로 한 스텝 진행
+            const midPos = currentPos.clone().addScaledVector(field.normalize(), stepSize / 2);
+            const midField = this.calculatePolesField(poles, midPos);
+            if (midField.length() < 1e-4) break;
+
+            const previousPos = currentPos.clone();
+            currentPos.addScaledVector(midField.normalize(), stepSize);
+            line.push(currentPos.clone());
+
+            // S극에 도착하거나 너무 멀어지면 중단
+            const reachedSouth = southPoles.some(pole =>
+                Utils.distance(pole.position, currentPos) < this.FIELD_LINE_SEED_RADIUS
             );
+            if (reachedSouth || currentPos.length() > this.FIELD_LINE_MAX_DISTANCE) break;
 
-            const line = [startPos.clone()];
-            let currentPos = startPos.clone();
+            // 출발 단면을 같은 방향으로 다시 지나면 한 바퀴 돈 닫힌 선
+            // (나선 코일의 자기력선은 정확히 출발점으로 돌아오지 않으므로 단면 통과로 판정)
+            if (loopPlane && step > 2 && this.crossesLoopPlane(previousPos, currentPos, loopPlane)) {
+                break;
+            }
+        }
 
-            for (let step = 0; step < maxSteps; step++) {
-                const force = this.calculateMagneticForce(
-                    magnetPos, currentPos, magnetStrength, magnetType
-                );
+        return line;
+    }
 
-                if (force.length() < 0.001) break;
+    /**
+     * 선분이 출발 단면(원판)을 법선 방향으로 지나는지 판정
+     * @param {THREE.Vector3} from 선분 시작
+     * @param {THREE.Vector3} to 선분 끝
+     * @param {object} plane {center, normal, radius}
+     * @returns {boolean} 통과 여부
+     */
+    crossesLoopPlane(from, to, plane) {
+        const before = new THREE.Vector3().subVectors(from, plane.center).dot(plane.normal);
+        const after = new THREE.Vector3().subVectors(to, plane.center).dot(plane.normal);
+        if (before >= 0 || after < 0) return false;
 
-                const direction = force.normalize();
-                currentPos.add(direction.multiplyScalar(stepSize));
-                line.push(currentPos.clone());
+        // 단면과 만나는 점이 코일 안쪽인지 확인
+        const crossing = from.clone().lerp(to, before / (before - after)).sub(plane.center);
+        const radial = crossing.addScaledVector(plane.normal, -crossing.dot(plane.normal));
 
-                // 너무 멀어지면 중단
-                if (Utils.distance(magnetPos, currentPos) > 5) break;
+        return radial.length() < plane.radius;
+    }
+
+    /**
+     * 평면 격자 위의 합성 자기장 계산 (화살표 격자 표시용)
+     * 'xz'는 바닥과 나란한 평면(높이 FIELD_GRID_HEIGHT), 'xy'와 'yz'는 원점을 지나는 바닥 위 세로 평면
+     * @param {Array} magnets 자석 배열
+     * @param {string} plane 'xz', 'xy', 'yz' (Physics.FIELD_GRID_PLANES 중 하나)
+     * @returns {object} {normal, samples: [{position, field}]} (normal은 평면 법선)
+     */
+    calculateFieldGrid(magnets, plane = 'xz') {
+        if (!Physics.FIELD_GRID_PLANES.includes(plane)) {
+            Utils.warn(`Unknown field grid plane: ${plane}`);
+            plane = 'xz';
+        }
+
+        const extent = this.FIELD_GRID_EXTENT;
+        const spacing = this.FIELD_GRID_SPACING;
+        const count = Math.floor(extent / spacing);
+
+        // 격자 계산 중에는 자석이 움직이지 않으므로 자극 배치를 한 번만 계산
+        const poles = this.collectPoles(magnets);
+        const samples = [];
+
+        for (let i = -count; i <= count; i++) {
+            // 세로 평면은 바닥 위쪽 절반만 (바닥 아래는 보이지 않음)
+            const start = plane === 'xz' ? -count : 1;
+
+            for (let j = start; j <= count; j++) {
+                const u = i * spacing;
+                const v = j * spacing;
+
+                let position;
+                switch (plane) {
+                    case 'xy':
+                        position = new THREE.Vector3(u, v, 0);
+                        break;
+                    case 'yz':
+                        position = new THREE.Vector3(0, v, u);
+                        break;
+                    case 'xz':
+                        position = new THREE.Vector3(u, this.FIELD_GRID_HEIGHT, v);
+                }
+
+                samples.push({ position, field: this.calculatePolesField(poles, position) });
+            }
+        }
+
+        const normals = {
+            xz: new THREE.Vector3(0, 1, 0),
+            xy: new THREE.Vector3(0, 0, 1),
+            yz: new THREE.Vector3(1, 0, 0)
+        };
+
+        return { normal: normals[plane], samples };
+    }
+
+    /**
+     * 바닥 높이의 자기장 세기 |B|를 정사각형 격자의 일부 행만 계산 (바닥 열지도용)
+     * 자석이 움직이는 동안 한 프레임에 몇 행씩 나눠 계산할 수 있도록 행 범위를 받음
+     * 행 j는 z = -size/2 + (j + 0.5)·size/resolution, 열 i는 x = -size/2 + (i + 0.5)·size/resolution
+     * @param {Array} poles 자극 배열 (collectPoles 결과)
+     * @param {number} size 격자 한 변의 길이 (바닥 크기)
+     * @param {number} resolution 한 변의 격자 수
+     * @param {number} startRow 시작 행
+     * @param {number} rowCount 계산할 행 수 (끝 행을 넘으면 0행부터 이어서 계산)
+     * @param {Float32Array} target 결과를 쓸 배열 (resolution² 크기, 행 우선)
+     * @param {number} height 측정 높이
+     * @returns {number} 다음에 계산할 행
+     */
+    calculateFloorFieldMagnitudes(poles, size, resolution, startRow, rowCount, target, height = 0) {
+        const cell = size / resolution;
+        const point = new THREE.Vector3(0, height, 0);
+        let row = startRow;
+
+        for (let r = 0; r < rowCount; r++) {
+            point.z = -size / 2 + (row + 0.5) * cell;
+
+            for (let column = 0; column < resolution; column++) {
+                point.x = -size / 2 + (column + 0.5) * cell;
+                target[row * resolution + column] = this.calculatePolesField(poles, point).length();
             }
 
-            fieldLines.push(line);
+            row = (row + 1) % resolution;
         }
 
-        return fieldLines;
+        return row;
     }
-}
\ No newline at end of file
+}
+
+// 선택 가능한 입자 적분 방식
+Physics.INTEGRATORS = ['euler', 'verlet', 'rk4'];
+
+// 자기장 화살표 격자를 그릴 수 있는 평면
+Physics.FIELD_GRID_PLANES = ['xz', 'xy', 'yz'];
@@ -0,0 +1,388 @@
+/**
+ * 철가루 물리 워커 클라이언트 클래스
+ * 메인 스레드 쪽에서 웹 워커에 스텝을 요청하고 최신 렌더 상태를 보관
+ * 렌더 상태 버퍼는 두 벌을 transferable로 주고받아 복사 없이 재사용
+ * 시간은 Physics.timeStep 간격의 고정 스텝 단위로 주고받고, 스텝마다 그때의 자극 배치를 함께 보내
+ * 화면 주사율이나 워커 속도와 무관하게 같은 결과를 냄 (워커가 밀리면 스텝을 버리지 않고 쌓아 둠)
+ * 워커를 만들 수 없으면 (file:// 실행 등) 같은 ParticleSystem을 메인 스레드에서 실행
+ */
+
+class PhysicsWorkerClient {
+    constructor(physics, capacity, options = {}) {
+        // 기본 옵션
+        const defaults = {
+            workerUrl: 'src/scripts/workers/physicsWorker.js',
+            useWorker: true,
+            maxQueuedSteps: 8 // 워커에 보내지 못하고 쌓인 스텝이 이만큼이면 밀린 것으로 봄 (isBehind)
+        };
+
+        this.options = { ...defaults, ...options };
+        this.physics = physics;
+        this.capacity = capacity;
+
+        this.worker = null;
+        this.localSystem = null; // 워커를 못 쓸 때의 대체 시스템
+
+        // 다음 스텝에 함께 보낼 변경 사항
+        this.pendingSpawns = []; // [x, y, z, angle, ...]
+        this.pendingClear = false;
+
+        // 워커가 이전 스텝을 계산하는 동안 쌓인 묶음 ({steps, poles, spawns, clear}, 순서대로 진행)
+        this.queue = [];
+        this.queuedSteps = 0;
+        this.isStepping = false;
+
+        // 렌더 상태 (state는 화면에 그리는 최신 상태, spareState는 워커에 돌려줄 버퍼)
+        this.state = ParticleSystem.createRenderState(capacity);
+        this.spareState = ParticleSystem.createRenderState(capacity);
+
+        this.onWorkerMessage = this.onWorkerMessage.bind(this);
+        this.onWorkerError = this.onWorkerError.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * 워커 생성 (실패하면 메인 스레드 시스템 사용)
+     */
+    init() {
+        if (!this.options.useWorker || typeof Worker === 'undefined') {
+            this.useLocalSystem();
+            return;
+        }
+
+        try {
+            this.worker = new Worker(this.options.workerUrl);
+            this.worker.addEventListener('message', this.onWorkerMessage);
+            this.worker.addEventListener('error', this.onWorkerError);
+            this.worker.postMessage({
+                type: 'init',
+                capacity: this.capacity,
+                integrator: this.physics.integrator
+            });
+
+            Utils.debug('Particle physics running in a Web Worker');
+        } catch (error) {
+            Utils.error('Failed to start physics worker', error);
+            this.useLocalSystem();
+        }
+    }
+
+    /**
+     * 메인 스레드 시스템으로 전환
+     * 워커가 마지막으로 보낸 렌더 상태를 이어받고 아직 보내지 못한 묶음을 이어서 진행해 철가루가 그대로 남음
+     */
+    useLocalSystem() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.localSystem = new ParticleSystem(this.physics, this.capacity);
+        this.localSystem.loadRenderState(this.state);
+        this.isStepping = false;
+
+        const polePool = [];
+        this.queue.forEach(batch => PhysicsWorkerClient.runBatch(this.localSystem, batch, polePool));
+        this.queue = [];
+        this.queuedSteps = 0;
+        this.localSystem.copyRenderState(this.state);
+
+        Utils.debug('Particle physics running on the main thread');
+    }
+
+    /**
+     * 워커에서 렌더 상태 수신
+     * @param {MessageEvent} event 메시지 이벤트
+     */
+    onWorkerMessage(event) {
+        const data = event.data;
+        if (data.type !== 'state') return;
+
+        // 지금까지 그리던 버퍼는 다음 스텝 때 워커로 돌려보냄
+        this.spareState = this.state;
+        this.state = data.state;
+        this.isStepping = false;
+    }
+
+    /**
+     * 워커 오류 처리 (스크립트 로드 실패 등)
+     * @param {ErrorEvent} event 오류 이벤트
+     */
+    onWorkerError(event) {
+        Utils.error('Physics worker error', event.message);
+        event.preventDefault();
+
+        this.useLocalSystem();
+    }
+
+    /**
+     * 입자 적분 방식 변경 (메인 스레드 Physics와 워커 양쪽에 적용)
+     * @param {string} integrator Physics.INTEGRATORS 중 하나
+     */
+    setIntegrator(integrator) {
+        this.physics.setIntegrator(integrator);
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'config', integrator: this.physics.integrator });
+        }
+    }
+
+    /**
+     * 물리 상수 변경 (메인 스레드 Physics와 워커 양쪽에 적용)
+     * @param {object} constants {상수 이름: 값}
+     */
+    setConstants(constants) {
+        this.physics.setConstants(constants);
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'config', constants: this.physics.getConstants() });
+        }
+    }
+
+    /**
+     * 입자 추가 요청 (다음 스텝에 반영)
+     * @param {THREE.Vector3} position 위치
+     * @param {number} angle 바늘의 초기 방향 각도
+     */
+    spawn(position, angle) {
+        this.pendingSpawns.push(position.x, position.y, position.z, angle);
+    }
+
+    /**
+     * 모든 입자 제거 요청 (다음 스텝에 반영)
+     */
+    clear() {
+        this.pendingSpawns = [];
+        this.pendingClear = true;
+        this.state.count = 0;
+    }
+
+    /**
+     * 아직 반영되지 않은 추가/제거 요청이 있는지 여부
+     * @returns {boolean} 대기 중인 변경 여부
+     */
+    hasPendingChanges() {
+        return this.pendingSpawns.length > 0 || this.pendingClear || this.queue.length > 0;
+    }
+
+    /**
+     * 워커가 밀려 아직 보내지 못한 스텝이 많은지 여부 (시뮬레이션이 시간을 더 진행하지 않고 기다리는 기준)
+     * @returns {boolean} 밀림 여부
+     */
+    isBehind() {
+        return this.queuedSteps >= this.options.maxQueuedSteps;
+    }
+
+    /**
+     * 고정 스텝 진행 요청 (같은 자극 배치로 steps번 진행한 뒤 바로 전송)
+     * @param {number} steps 진행할 고정 스텝 수 (0이면 추가/제거만 반영)
+     * @param {Array} poles 자극 배열 (Physics.collectPoles 결과)
+     */
+    step(steps, poles) {
+        for (let i = 0; i < steps; i++) {
+            this.queueStep(poles);
+        }
+
+        this.flush();
+    }
+
+    /**
+     * 고정 스텝 하나를 그 스텝의 자극 배치와 함께 쌓기 (flush로 전송)
+     * 메인 스레드 시스템은 바로 진행하고, 워커용 묶음은 자극 배치가 같으면 스텝 수만 늘림
+     * @param {Array} poles 이 스텝의 자극 배열 (Physics.collectPoles 결과)
+     */
+    queueStep(poles) {
+        if (this.localSystem) {
+            this.applyPendingChanges(this.localSystem);
+            this.localSystem.step(this.physics.timeStep, poles);
+            return;
+        }
+
+        const packedPoles = this.packPoles(poles);
+        const last = this.queue[this.queue.length - 1];
+
+        if (last && !this.hasPendingSpawnsOrClear() && PhysicsWorkerClient.isSamePoles(last.poles, packedPoles)) {
+            last.steps++;
+        } else {
+            this.queue.push({ steps: 1, poles: packedPoles, ...this.takePendingChanges() });
+        }
+
+        this.queuedSteps++;
+    }
+
+    /**
+     * 쌓인 스텝과 추가/제거 요청 전송
+     * 워커가 이전 묶음을 아직 계산 중이면 그대로 두고 다음 호출 때 한꺼번에 보냄
+     */
+    flush() {
+        if (this.localSystem) {
+            this.applyPendingChanges(this.localSystem);
+            this.localSystem.copyRenderState(this.state);
+            return;
+        }
+
+        if (this.hasPendingSpawnsOrClear()) {
+            this.queue.push({ steps: 0, poles: new Float64Array(0), ...this.takePendingChanges() });
+        }
+
+        if (this.isStepping || this.queue.length === 0) return;
+
+        const batches = this.queue;
+        const state = this.spareState;
+
+        const transfer = [];
+        batches.forEach(batch => transfer.push(batch.poles.buffer, batch.spawns.buffer));
+        if (state) {
+            transfer.push(state.positions.buffer, state.orientations.buffer, state.magnetized.buffer);
+        }
+
+        this.worker.postMessage({ type: 'step', batches, state }, transfer);
+
+        this.queue = [];
+        this.queuedSteps = 0;
+        this.spareState = null;
+        this.isStepping = true;
+    }
+
+    /**
+     * 다음 스텝 전에 반영할 추가/제거 요청이 있는지 여부
+     * @returns {boolean} 요청 여부
+     */
+    hasPendingSpawnsOrClear() {
+        return this.pendingSpawns.length > 0 || this.pendingClear;
+    }
+
+    /**
+     * 대기 중인 추가/제거 요청을 꺼내 워커 묶음 형식으로 반환
+     * @returns {object} {spawns: Float32Array [x, y, z, angle, ...], clear}
+     */
+    takePendingChanges() {
+        const changes = {
+            spawns: new Float32Array(this.pendingSpawns),
+            clear: this.pendingClear
+        };
+
+        this.pendingSpawns = [];
+        this.pendingClear = false;
+
+        return changes;
+    }
+
+    /**
+     * 대기 중인 추가/제거 요청을 시스템에 바로 반영
+     * @param {ParticleSystem} system 입자 시스템
+     */
+    applyPendingChanges(system) {
+        if (!this.hasPendingSpawnsOrClear()) return;
+
+        const { spawns, clear } = this.takePendingChanges();
+        system.applyChanges(spawns, clear);
+    }
+
+    /**
+     * 자극/전류 요소 배열을 워커로 보낼 수 있게 직렬화
+     * 자극은 전류 성분이 0, 전류 요소는 자하가 0
+     * @param {Array} poles 자극/전류 요소 배열
+     * @returns {Float64Array} [x, y, z, charge, currentX, currentY, currentZ, ...]
+     */
+    packPoles(poles) {
+        const packed = new Float64Array(poles.length * 7);
+
+        poles.forEach((pole, i) => {
+            const offset = i * 7;
+            packed[offset] = pole.position.x;
+            packed[offset + 1] = pole.position.y;
+            packed[offset + 2] = pole.position.z;
+            packed[offset + 3] = pole.charge;
+
+            if (pole.current) {
+                packed[offset + 4] = pole.current.x;
+                packed[offset + 5] = pole.current.y;
+                packed[offset + 6] = pole.current.z;
+            }
+        });
+
+        return packed;
+    }
+
+    /**
+     * 직렬화된 배열을 {position, charge} 자극 / {position, current} 전류 요소 객체로 풀기
+     * @param {Float64Array} packed [x, y, z, charge, currentX, currentY, currentZ, ...]
+     * @param {Array} pool 재사용할 자극/전류 요소 객체 배열 (길이를 맞춰 그대로 반환)
+     * @returns {Array} 자극/전류 요소 배열
+     */
+    static unpackPoles(packed, pool = []) {
+        const count = packed.length / 7;
+
+        while (pool.length < count) {
+            // currentVector는 전류 요소일 때만 current로 연결해 재사용
+            pool.push({ position: new THREE.Vector3(), charge: 0, current: null, currentVector: new THREE.Vector3() });
+        }
+        pool.length = count;
+
+        for (let i = 0; i < count; i++) {
+            const pole = pool[i];
+            const offset = i * 7;
+
+            pole.position.fromArray(packed, offset);
+            pole.charge = packed[offset + 3];
+            pole.currentVector.fromArray(packed, offset + 4);
+            pole.current = pole.currentVector.lengthSq() > 0 ? pole.currentVector : null;
+        }
+
+        return pool;
+    }
+
+    /**
+     * 워커 묶음 하나를 입자 시스템에 진행 (추가/제거 요청을 반영한 뒤 묶음의 자극 배치로 steps번)
+     * 워커와 메인 스레드 대체 시스템이 같은 순서로 진행하도록 함께 사용
+     * @param {ParticleSystem} system 입자 시스템
+     * @param {object} batch {steps, poles, spawns, clear}
+     * @param {Array} pool unpackPoles에 넘길 재사용 객체 배열
+     */
+    static runBatch(system, batch, pool) {
+        system.applyChanges(batch.spawns, batch.clear);
+
+        const poles = PhysicsWorkerClient.unpackPoles(batch.poles, pool);
+        for (let i = 0; i < batch.steps; i++) {
+            system.step(system.physics.timeStep, poles);
+        }
+    }
+
+    /**
+     * 직렬화된 두 자극 배치가 같은지 여부
+     * @param {Float64Array} a 자극 배치
+     * @param {Float64Array} b 자극 배치
+     * @returns {boolean} 같으면 true
+     */
+    static isSamePoles(a, b) {
+        if (a.length !== b.length) return false;
+
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * 현재 입자 수 (마지막으로 받은 렌더 상태 기준)
+     * @returns {number} 입자 수
+     */
+    getCount() {
+        return this.state.count;
+    }
+
+    /**
+     * 리소스 정리
+     */
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.localSystem = null;
+    }
+}
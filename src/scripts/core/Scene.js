@@ -20,6 +20,31 @@ class MagneticScene {
         this.ambientLight = null;
         this.directionalLight = null;
         this.floor = null;
+        this.glassSheet = null; // 철가루를 자석 위 유리판에 뿌리는 실험용 (Physics.SURFACE_HEIGHT > 0일 때만 표시)
+
+        // 자기력선 레이어
+        this.fieldLines = null;
+        this.fieldLinesVisible = false;
+
+        // 자기장 화살표 격자 레이어
+        this.fieldArrows = null;
+        this.fieldArrowsVisible = false;
+
+        // 바닥 자기장 세기 열지도 레이어 (바닥 텍스처)
+        this.floorSize = 20;
+        this.heatmapResolution = 128; // 한 변의 텍셀 수
+        this.heatmapValues = new Float32Array(this.heatmapResolution * this.heatmapResolution); // |B| (행 j: z, 열 i: x)
+        this.heatmapTexture = null;
+        this.heatmapVisible = false;
+        this.heatmapScale = 'log'; // 'log', 'linear'
+        this.heatmapPalette = 'viridis'; // MagneticScene.HEATMAP_PALETTES 중 하나
+
+        // 자기장 측정 표시 (측정 지점 구와 자기장 방향 화살표)
+        this.probeMarker = null;
+        this.probeArrow = null;
+
+        // 바닥 클릭 동작 ('spawn': 철가루 뿌리기, 'probe': 자기장 측정)
+        this.interactionMode = 'spawn';
 
         // 이벤트 바인딩
         this.onWindowResize = this.onWindowResize.bind(this);
@@ -149,7 +174,7 @@ class MagneticScene {
      * 바닥 생성
      */
     createFloor() {
-        const floorGeometry = new THREE.PlaneGeometry(20, 20);
+        const floorGeometry = new THREE.PlaneGeometry(this.floorSize, this.floorSize);
         const floorMaterial = new THREE.MeshLambertMaterial({
             color: 0xffffff,
             transparent: true,
@@ -163,8 +188,19 @@ class MagneticScene {
 
         this.scene.add(this.floor);
 
+        // 자기장 세기 열지도 텍스처 (표시할 때만 바닥에 입힘)
+        const resolution = this.heatmapResolution;
+        this.heatmapTexture = new THREE.DataTexture(
+            new Uint8Array(resolution * resolution * 4),
+            resolution,
+            resolution,
+            THREE.RGBAFormat
+        );
+        this.heatmapTexture.magFilter = THREE.LinearFilter;
+        this.heatmapTexture.needsUpdate = true;
+
         // 바닥 격자 추가
-        const gridHelper = new THREE.GridHelper(20, 20, 0x000000, 0x000000);
+        const gridHelper = new THREE.GridHelper(this.floorSize, this.floorSize, 0x000000, 0x000000);
         gridHelper.material.opacity = 0.2;
         gridHelper.material.transparent = true;
         this.scene.add(gridHelper);
@@ -172,6 +208,45 @@ class MagneticScene {
         Utils.debug('Floor created');
     }
 
+    /**
+     * 철가루가 놓이는 면 높이 설정 (0보다 높으면 그 높이에 유리판 표시)
+     * @param {number} height 면 높이 (Physics.SURFACE_HEIGHT)
+     */
+    setSurfaceHeight(height) {
+        if (height <= 0) {
+            if (this.glassSheet) this.glassSheet.visible = false;
+            return;
+        }
+
+        if (!this.glassSheet) {
+            const geometry = new THREE.PlaneGeometry(this.floorSize, this.floorSize);
+            const material = new THREE.MeshStandardMaterial({
+                color: 0xcceeff,
+                metalness: 0.1,
+                roughness: 0.1,
+                transparent: true,
+                opacity: 0.25,
+                depthWrite: false, // 아래 자석이 가려지지 않도록
+                side: THREE.DoubleSide
+            });
+
+            this.glassSheet = new THREE.Mesh(geometry, material);
+            this.glassSheet.rotation.x = -Math.PI / 2;
+            this.scene.add(this.glassSheet);
+        }
+
+        this.glassSheet.position.y = height;
+        this.glassSheet.visible = true;
+    }
+
+    /**
+     * 마우스로 철가루를 뿌리고 자기장을 측정하는 면 (유리판이 있으면 유리판, 없으면 바닥)
+     * @returns {THREE.Mesh} 면 메시
+     */
+    getSurfaceMesh() {
+        return this.glassSheet && this.glassSheet.visible ? this.glassSheet : this.floor;
+    }
+
     /**
      * 컨트롤러 생성 (OrbitControls)
      */
@@ -292,17 +367,27 @@ class MagneticScene {
         // 정규화된 마우스 좌표 계산
         this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+
+        // 측정 모드에서는 커서 아래 지점을 계속 측정
+        if (this.interactionMode === 'probe') {
+            this.dispatchFieldProbe(false);
+        }
     }
 
     /**
-     * 마우스 클릭 처리 (철가루 생성용)
+     * 마우스 클릭 처리 (철가루 생성, 측정 모드에서는 측정 지점 고정)
      * @param {Event} event 마우스 이벤트
      */
     onMouseClick(event) {
+        if (this.interactionMode === 'probe') {
+            this.dispatchFieldProbe(true);
+            return;
+        }
+
         // 클릭 위치에서 바닥으로의 레이캐스팅
         this.raycaster.setFromCamera(this.mouse, this.camera);
 
-        const intersects = this.raycaster.intersectObject(this.floor);
+        const intersects = this.raycaster.intersectObject(this.getSurfaceMesh());
 
         if (intersects.length > 0) {
             const clickPoint = intersects[0].point;
@@ -319,12 +404,39 @@ class MagneticScene {
         }
     }
 
+    /**
+     * 커서 아래 바닥 지점의 자기장 측정 요청 (main.js에서 처리)
+     * @param {boolean} pinned 클릭으로 측정 지점을 고정하는지 여부
+     */
+    dispatchFieldProbe(pinned) {
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const intersects = this.raycaster.intersectObject(this.getSurfaceMesh());
+
+        if (intersects.length > 0) {
+            document.dispatchEvent(new CustomEvent('fieldProbe', {
+                detail: {
+                    position: intersects[0].point,
+                    pinned
+                }
+            }));
+        }
+    }
+
+    /**
+     * 바닥 클릭 동작 변경
+     * @param {string} mode 'spawn', 'probe'
+     */
+    setInteractionMode(mode) {
+        this.interactionMode = mode;
+        this.isMouseDown = false;
+    }
+
     /**
      * 현재 마우스 위치에서 철가루 생성
      */
     spawnParticlesAtMousePosition() {
         this.raycaster.setFromCamera(this.mouse, this.camera);
-        const intersects = this.raycaster.intersectObject(this.floor);
+        const intersects = this.raycaster.intersectObject(this.getSurfaceMesh());
 
         if (intersects.length > 0) {
             const clickPoint = intersects[0].point;
@@ -367,7 +479,7 @@ class MagneticScene {
         const currentTime = performance.now();
 
         // 마우스 꾹 누르고 있을 때 연속 철가루 생성
-        if (this.isMouseDown && currentTime - this.lastParticleSpawn > this.particleSpawnInterval) {
+        if (this.isMouseDown && this.interactionMode === 'spawn' && currentTime - this.lastParticleSpawn > this.particleSpawnInterval) {
             this.spawnParticlesAtMousePosition();
             this.lastParticleSpawn = currentTime;
         }
@@ -405,6 +517,327 @@ class MagneticScene {
         this.scene.remove(object);
     }
 
+    /**
+     * 자기력선 레이어 표시/숨김
+     * @param {boolean} visible 표시 여부
+     */
+    setFieldLinesVisible(visible) {
+        this.fieldLinesVisible = visible;
+
+        if (this.fieldLines) {
+            this.fieldLines.visible = visible;
+        }
+    }
+
+    /**
+     * 자기력선 레이어 갱신
+     * 모든 선을 하나의 LineSegments로 묶고, N극(출발) → S극(도착) 방향으로 색을 보간
+     * @param {Array} lines Physics.calculateFieldLines 결과
+     * @param {object} colors {north, south} 16진수 색상
+     */
+    updateFieldLines(lines, colors = { north: 0xff4444, south: 0x4444ff }) {
+        const positions = [];
+        const vertexColors = [];
+        const northColor = new THREE.Color(colors.north);
+        const southColor = new THREE.Color(colors.south);
+        const color = new THREE.Color();
+
+        lines.forEach(line => {
+            for (let i = 0; i < line.length - 1; i++) {
+                const a = line[i];
+                const b = line[i + 1];
+                positions.push(a.x, a.y, a.z, b.x, b.y, b.z);
+
+                color.copy(northColor).lerp(southColor, i / (line.length - 1));
+                vertexColors.push(color.r, color.g, color.b);
+                color.copy(northColor).lerp(southColor, (i + 1) / (line.length - 1));
+                vertexColors.push(color.r, color.g, color.b);
+            }
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(vertexColors, 3));
+
+        if (this.fieldLines) {
+            this.fieldLines.geometry.dispose();
+            this.fieldLines.geometry = geometry;
+        } else {
+            const material = new THREE.LineBasicMaterial({
+                vertexColors: true,
+                transparent: true,
+                opacity: 0.7
+            });
+
+            this.fieldLines = new THREE.LineSegments(geometry, material);
+            this.fieldLines.userData.type = 'fieldLines';
+            this.scene.add(this.fieldLines);
+        }
+
+        this.fieldLines.visible = this.fieldLinesVisible;
+    }
+
+    /**
+     * 자기장 화살표 격자 레이어 표시/숨김
+     * @param {boolean} visible 표시 여부
+     */
+    setFieldArrowsVisible(visible) {
+        this.fieldArrowsVisible = visible;
+
+        if (this.fieldArrows) {
+            this.fieldArrows.visible = visible;
+        }
+    }
+
+    /**
+     * 자기장 화살표 격자 레이어 갱신
+     * 격자 평면 위로 투영한 자기장을 화살표로 그리고, 길이와 색(파랑 → 빨강)으로 상대 세기를 표시
+     * 세기는 격자 중앙값 기준 로그 눈금 (자극 근처와 먼 곳의 차이가 수천 배라 선형이면 대부분 보이지 않음)
+     * @param {object} grid Physics.calculateFieldGrid 결과 {normal, samples}
+     * @param {number} spacing 화살표 간격 (가장 센 화살표 길이)
+     */
+    updateFieldArrows(grid, spacing = 0.5) {
+        const { normal, samples } = grid;
+
+        // 평면 위로 투영한 자기장
+        const projected = samples.map(({ field }) =>
+            field.clone().addScaledVector(normal, -field.dot(normal))
+        );
+        const magnitudes = projected.map(field => field.length());
+
+        const sorted = magnitudes.filter(magnitude => magnitude > 0).sort((a, b) => a - b);
+        const reference = sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 1;
+        const maxScale = Math.log1p((sorted.length > 0 ? sorted[sorted.length - 1] : 1) / reference);
+
+        const positions = [];
+        const vertexColors = [];
+        const color = new THREE.Color();
+        const direction = new THREE.Vector3();
+        const side = new THREE.Vector3();
+        const tip = new THREE.Vector3();
+
+        samples.forEach(({ position }, index) => {
+            const magnitude = magnitudes[index];
+            if (magnitude === 0) return;
+
+            const scale = Math.log1p(magnitude / reference) / maxScale;
+            const length = spacing * 0.9 * Math.max(scale, 0.1);
+
+            // 격자점을 화살표 가운데에 두고 머리 양쪽 날개는 평면 안에서 벌림
+            direction.copy(projected[index]).divideScalar(magnitude);
+            side.crossVectors(normal, direction).multiplyScalar(length * 0.25);
+
+            const tail = position.clone().addScaledVector(direction, -length / 2);
+            tip.copy(position).addScaledVector(direction, length / 2);
+            const headBase = tip.clone().addScaledVector(direction, -length * 0.35);
+            const wing1 = headBase.clone().add(side);
+            const wing2 = headBase.clone().sub(side);
+
+            positions.push(
+                tail.x, tail.y, tail.z, tip.x, tip.y, tip.z,
+                tip.x, tip.y, tip.z, wing1.x, wing1.y, wing1.z,
+                tip.x, tip.y, tip.z, wing2.x, wing2.y, wing2.z
+            );
+
+            color.setHSL((1 - scale) * 0.66, 1, 0.45);
+            for (let i = 0; i < 6; i++) {
+                vertexColors.push(color.r, color.g, color.b);
+            }
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(vertexColors, 3));
+
+        if (this.fieldArrows) {
+            this.fieldArrows.geometry.dispose();
+            this.fieldArrows.geometry = geometry;
+        } else {
+            const material = new THREE.LineBasicMaterial({
+                vertexColors: true,
+                transparent: true,
+                opacity: 0.85
+            });
+
+            this.fieldArrows = new THREE.LineSegments(geometry, material);
+            this.fieldArrows.userData.type = 'fieldArrows';
+            this.scene.add(this.fieldArrows);
+        }
+
+        this.fieldArrows.visible = this.fieldArrowsVisible;
+    }
+
+    /**
+     * 바닥 열지도 표시/숨김 (바닥 재질의 텍스처를 바꿈)
+     * @param {boolean} visible 표시 여부
+     */
+    setHeatmapVisible(visible) {
+        this.heatmapVisible = visible;
+
+        if (this.floor) {
+            this.floor.material.map = visible ? this.heatmapTexture : null;
+            this.floor.material.needsUpdate = true;
+        }
+    }
+
+    /**
+     * 열지도 눈금 변경 ('log', 'linear') 후 전체 다시 칠하기
+     * @param {string} scale 눈금
+     */
+    setHeatmapScale(scale) {
+        if (!MagneticScene.HEATMAP_RANGES[scale]) {
+            Utils.warn(`Unknown heatmap scale: ${scale}`);
+            return;
+        }
+
+        this.heatmapScale = scale;
+        this.updateHeatmapRows(0, this.heatmapResolution);
+    }
+
+    /**
+     * 열지도 색상표 변경 후 전체 다시 칠하기
+     * @param {string} palette MagneticScene.HEATMAP_PALETTES 중 하나
+     */
+    setHeatmapPalette(palette) {
+        if (!MagneticScene.HEATMAP_PALETTES[palette]) {
+            Utils.warn(`Unknown heatmap palette: ${palette}`);
+            return;
+        }
+
+        this.heatmapPalette = palette;
+        this.updateHeatmapRows(0, this.heatmapResolution);
+    }
+
+    /**
+     * heatmapValues의 일부 행을 색으로 바꿔 텍스처에 반영
+     * 눈금 범위는 고정(MagneticScene.HEATMAP_RANGES)이라 자석을 옮기는 동안 행마다 나눠 칠해도 색이 일관됨
+     * @param {number} startRow 시작 행
+     * @param {number} rowCount 행 수 (끝 행을 넘으면 0행부터 이어서)
+     */
+    updateHeatmapRows(startRow, rowCount) {
+        if (!this.heatmapTexture) return;
+
+        const resolution = this.heatmapResolution;
+        const data = this.heatmapTexture.image.data;
+        const color = new THREE.Color();
+
+        for (let r = 0; r < rowCount; r++) {
+            const row = (startRow + r) % resolution;
+
+            // 바닥은 X축으로 -90° 눕혀 있어 텍스처 v가 -Z 방향이므로 행을 뒤집어 씀
+            const textureRow = resolution - 1 - row;
+
+            for (let column = 0; column < resolution; column++) {
+                this.getHeatmapColor(this.heatmapValues[row * resolution + column], color);
+
+                const offset = (textureRow * resolution + column) * 4;
+                data[offset] = Math.round(color.r * 255);
+                data[offset + 1] = Math.round(color.g * 255);
+                data[offset + 2] = Math.round(color.b * 255);
+                data[offset + 3] = 255;
+            }
+        }
+
+        this.heatmapTexture.needsUpdate = true;
+    }
+
+    /**
+     * 자기장 세기를 현재 눈금/색상표의 색으로 변환
+     * @param {number} magnitude |B|
+     * @param {THREE.Color} target 결과 색
+     * @returns {THREE.Color} target
+     */
+    getHeatmapColor(magnitude, target) {
+        const [min, max] = MagneticScene.HEATMAP_RANGES[this.heatmapScale];
+
+        const t = this.heatmapScale === 'log'
+            ? (Math.log10(Math.max(magnitude, min)) - Math.log10(min)) / (Math.log10(max) - Math.log10(min))
+            : (magnitude - min) / (max - min);
+
+        return MagneticScene.samplePalette(this.heatmapPalette, Utils.clamp(t, 0, 1), target);
+    }
+
+    /**
+     * 색상표에서 t(0 ~ 1) 위치의 색을 선형 보간
+     * @param {string} palette MagneticScene.HEATMAP_PALETTES 중 하나
+     * @param {number} t 위치
+     * @param {THREE.Color} target 결과 색
+     * @returns {THREE.Color} target
+     */
+    static samplePalette(palette, t, target) {
+        const stops = MagneticScene.HEATMAP_PALETTES[palette].stops;
+        const position = t * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+
+        return target.setHex(stops[index]).lerp(new THREE.Color(stops[index + 1]), position - index);
+    }
+
+    /**
+     * 카메라 위치와 바라보는 지점 (장면 파일 저장용)
+     * @returns {object} {position: [x, y, z], target: [x, y, z]}
+     */
+    getCameraState() {
+        const target = this.controls ? this.controls.target : new THREE.Vector3(0, 0, 0);
+
+        return {
+            position: this.camera.position.toArray(),
+            target: target.toArray()
+        };
+    }
+
+    /**
+     * 카메라 위치와 바라보는 지점 복원
+     * @param {object} state {position: [x, y, z], target: [x, y, z]}
+     */
+    setCameraState(state) {
+        this.camera.position.fromArray(state.position);
+
+        if (this.controls) {
+            this.controls.target.fromArray(state.target);
+            this.controls.update();
+        } else {
+            this.camera.lookAt(new THREE.Vector3().fromArray(state.target));
+        }
+    }
+
+    /**
+     * 측정 지점 표시 갱신 (지점 구와 자기장 방향 화살표)
+     * @param {THREE.Vector3} position 측정 위치
+     * @param {THREE.Vector3} field 측정한 자기장
+     */
+    updateProbeMarker(position, field) {
+        if (!this.probeMarker) {
+            this.probeMarker = new THREE.Mesh(
+                new THREE.SphereGeometry(0.05, 16, 16),
+                new THREE.MeshBasicMaterial({ color: 0xffcc00 })
+            );
+            this.probeMarker.userData.type = 'probe';
+
+            this.probeArrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 0.6, 0xffcc00, 0.15, 0.08);
+            this.probeMarker.add(this.probeArrow);
+
+            this.scene.add(this.probeMarker);
+        }
+
+        this.probeMarker.position.copy(position);
+        this.probeMarker.visible = true;
+
+        const magnitude = field.length();
+        this.probeArrow.visible = magnitude > 0;
+        if (magnitude > 0) {
+            this.probeArrow.setDirection(field.clone().divideScalar(magnitude));
+        }
+    }
+
+    /**
+     * 측정 지점 표시 숨김
+     */
+    hideProbeMarker() {
+        if (this.probeMarker) {
+            this.probeMarker.visible = false;
+        }
+    }
+
     /**
      * 모든 객체 제거 (리셋용)
      * @param {string} type 제거할 객체 타입 ('particles', 'magnets', 'all')
@@ -466,10 +899,50 @@ class MagneticScene {
             this.controls.dispose();
         }
 
+        if (this.fieldLines) {
+            this.fieldLines.geometry.dispose();
+            this.fieldLines.material.dispose();
+        }
+
+        if (this.fieldArrows) {
+            this.fieldArrows.geometry.dispose();
+            this.fieldArrows.material.dispose();
+        }
+
+        if (this.heatmapTexture) {
+            this.heatmapTexture.dispose();
+        }
+
+        if (this.glassSheet) {
+            this.glassSheet.geometry.dispose();
+            this.glassSheet.material.dispose();
+        }
+
+        if (this.probeMarker) {
+            this.probeMarker.traverse((child) => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+        }
+
         if (this.renderer) {
             this.renderer.dispose();
         }
 
         Utils.debug('Scene disposed');
     }
-}
\ No newline at end of file
+}
+
+// 바닥 열지도 색상표 (낮은 값 → 높은 값)
+MagneticScene.HEATMAP_PALETTES = {
+    viridis: { label: 'Viridis', stops: [0x440154, 0x3b528b, 0x21918c, 0x5ec962, 0xfde725] },
+    inferno: { label: 'Inferno', stops: [0x000004, 0x420a68, 0x932667, 0xdd513a, 0xfca50a, 0xfcffa4] },
+    jet: { label: '무지개', stops: [0x00007f, 0x0000ff, 0x00ffff, 0xffff00, 0xff0000, 0x7f0000] },
+    grayscale: { label: '흑백', stops: [0x000000, 0xffffff] }
+};
+
+// 바닥 열지도 눈금 범위 [최소, 최대] (|B|, 범위 밖은 양 끝 색)
+MagneticScene.HEATMAP_RANGES = {
+    log: [0.01, 100],
+    linear: [0, 10]
+};
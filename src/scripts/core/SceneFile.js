@@ -0,0 +1,473 @@
+/**
+ * 장면 파일 클래스
+ * 시뮬레이션 장면(자석, 나침반, 철가루, 물리 상수, 카메라)을 버전이 붙은 JSON 형식으로 저장/불러오기
+ * DOM에 의존하지 않아 Node에서도 그대로 사용 가능 (파일 선택/다운로드는 UIControls와 main.js가 처리)
+ *
+ * 형식 (version 1)
+ * {
+ *   format: 'magnetic-field-scene',
+ *   version: 1,
+ *   seed: 난수 시드,
+ *   magnets: [{ type, position: [x, y, z], rotation: [x, y, z], strength, current, options }],
+ *   compasses: [{ position: [x, y, z], heading }],
+ *   particles: [[x, y, z, angle], ...] (angle은 바닥에 누운 바늘 방향),
+ *   physics: { integrator, constants: { 상수 이름: 값 } } (SceneFile.FIXED_CONSTANTS는 저장하지도 불러오지도 않음),
+ *   camera: { position: [x, y, z], target: [x, y, z] } (없으면 null)
+ * }
+ */
+
+class SceneFile {
+    /**
+     * 시뮬레이션 상태를 장면 데이터로 변환
+     * @param {Simulation} simulation 시뮬레이션
+     * @param {object|null} camera 카메라 상태 {position, target} (MagneticScene.getCameraState)
+     * @returns {object} JSON으로 바꿀 수 있는 장면 데이터
+     */
+    static serialize(simulation, camera = null) {
+        const state = simulation.getParticleState();
+        const particles = [];
+
+        for (let i = 0; i < state.count; i++) {
+            const i3 = i * 3;
+            particles.push([
+                SceneFile.round(state.positions[i3]),
+                SceneFile.round(state.positions[i3 + 1]),
+                SceneFile.round(state.positions[i3 + 2]),
+                SceneFile.round(Math.atan2(state.orientations[i3 + 2], state.orientations[i3]))
+            ]);
+        }
+
+        return {
+            format: SceneFile.FORMAT,
+            version: SceneFile.VERSION,
+            seed: Utils.getSeed(),
+            magnets: simulation.magnets.map(magnet => {
+                // 세기와 전류는 옵션의 초기값이 아닌 현재 값으로 저장
+                const { strength, current, ...options } = magnet.options;
+
+                return {
+                    type: magnet.type,
+                    position: magnet.position.toArray(),
+                    rotation: [magnet.rotation.x, magnet.rotation.y, magnet.rotation.z],
+                    strength: magnet.strength,
+                    current: magnet.current,
+                    options: JSON.parse(JSON.stringify(options))
+                };
+            }),
+            compasses: simulation.compasses.map(compass => ({
+                position: compass.position.toArray(),
+                heading: compass.heading
+            })),
+            particles,
+            physics: {
+                integrator: simulation.physics.integrator,
+                constants: SceneFile.getLoadableConstants(simulation.physics.getConstants())
+            },
+            camera
+        };
+    }
+
+    /**
+     * JSON 문자열을 읽어 검증된 장면 데이터로 변환
+     * @param {string} text JSON 문자열
+     * @returns {object} 장면 데이터
+     * @throws {SceneFileError} JSON이 아니거나 형식이 맞지 않을 때
+     */
+    static parse(text) {
+        let data;
+
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new SceneFileError(`JSON 형식이 아닙니다 (${error.message})`);
+        }
+
+        SceneFile.validate(data);
+        return data;
+    }
+
+    /**
+     * 장면 데이터 검증 (잘못된 항목이 있으면 위치를 담아 오류 발생)
+     * @param {object} data 장면 데이터
+     * @throws {SceneFileError} 형식이 맞지 않을 때
+     */
+    static validate(data) {
+        if (!SceneFile.isObject(data) || data.format !== SceneFile.FORMAT) {
+            throw new SceneFileError('자기장 시뮬레이션 장면 파일이 아닙니다', 'format');
+        }
+
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > SceneFile.VERSION) {
+            throw new SceneFileError(`지원하지 않는 장면 파일 버전입니다 (${data.version})`, 'version');
+        }
+
+        SceneFile.expectNumber(data.seed, 'seed');
+
+        SceneFile.expectArray(data.magnets, 'magnets');
+        SceneFile.expectMaxLength(data.magnets, SceneFile.MAX_MAGNETS, 'magnets');
+        data.magnets.forEach((magnet, index) => SceneFile.validateMagnet(magnet, `magnets[${index}]`));
+
+        SceneFile.expectArray(data.compasses, 'compasses');
+        SceneFile.expectMaxLength(data.compasses, SceneFile.MAX_COMPASSES, 'compasses');
+        data.compasses.forEach((compass, index) => {
+            const path = `compasses[${index}]`;
+            SceneFile.expectObject(compass, path);
+            SceneFile.expectVector(compass.position, `${path}.position`);
+            SceneFile.expectNumber(compass.heading, `${path}.heading`);
+        });
+
+        SceneFile.expectArray(data.particles, 'particles');
+        SceneFile.expectMaxLength(data.particles, SceneFile.MAX_PARTICLES, 'particles');
+        data.particles.forEach((particle, index) => {
+            SceneFile.expectNumberArray(particle, 4, `particles[${index}]`);
+        });
+
+        SceneFile.expectObject(data.physics, 'physics');
+        if (!Physics.INTEGRATORS.includes(data.physics.integrator)) {
+            throw new SceneFileError(`알 수 없는 적분 방식입니다 (${data.physics.integrator})`, 'physics.integrator');
+        }
+
+        SceneFile.expectObject(data.physics.constants, 'physics.constants');
+        const knownConstants = new Physics().getConstants();
+        Object.keys(data.physics.constants).forEach(name => {
+            const path = `physics.constants.${name}`;
+            if (!(name in knownConstants)) {
+                throw new SceneFileError('알 수 없는 물리 상수입니다', path);
+            }
+            SceneFile.expectNumber(data.physics.constants[name], path);
+            if (!SceneFile.FIXED_CONSTANTS.includes(name)) {
+                SceneFile.expectConstantRange(name, data.physics.constants[name], knownConstants[name], path);
+            }
+        });
+
+        if (data.camera !== null && data.camera !== undefined) {
+            SceneFile.expectObject(data.camera, 'camera');
+            SceneFile.expectVector(data.camera.position, 'camera.position');
+            SceneFile.expectVector(data.camera.target, 'camera.target');
+        }
+    }
+
+    /**
+     * 자석 항목 검증 (옵션은 그 종류 자석의 기본 옵션에 있는 항목만 같은 형태와 범위로 허용)
+     * 세기와 전류는 범위를 벗어나도 apply에서 자석의 한계로 맞춤
+     * @param {object} magnet 자석 데이터
+     * @param {string} path 오류 위치
+     */
+    static validateMagnet(magnet, path) {
+        SceneFile.expectObject(magnet, path);
+
+        if (!Object.prototype.hasOwnProperty.call(Magnet.TYPE_NAMES, magnet.type)) {
+            throw new SceneFileError(`알 수 없는 자석 종류입니다 (${magnet.type})`, `${path}.type`);
+        }
+
+        SceneFile.expectVector(magnet.position, `${path}.position`);
+        SceneFile.expectVector(magnet.rotation, `${path}.rotation`);
+        SceneFile.expectNumber(magnet.strength, `${path}.strength`);
+        SceneFile.expectNumber(magnet.current, `${path}.current`);
+
+        SceneFile.expectObject(magnet.options, `${path}.options`);
+        const defaults = new Magnet(new THREE.Vector3(), magnet.type).options;
+
+        Object.keys(magnet.options).forEach(name => {
+            const value = magnet.options[name];
+            const expected = defaults[name];
+            const optionPath = `${path}.options.${name}`;
+
+            if (name === 'strength' || name === 'current' || expected === undefined) {
+                throw new SceneFileError('알 수 없는 자석 옵션입니다', optionPath);
+            }
+
+            if (typeof expected === 'boolean') {
+                if (typeof value !== 'boolean') {
+                    throw new SceneFileError('참/거짓 값이어야 합니다', optionPath);
+                }
+            } else if (typeof expected === 'number') {
+                SceneFile.expectNumber(value, optionPath);
+                SceneFile.expectOptionRange(name, value, optionPath);
+            } else {
+                SceneFile.expectObject(value, optionPath);
+                Object.keys(value).forEach(key => {
+                    if (!(key in expected)) {
+                        throw new SceneFileError('알 수 없는 자석 옵션입니다', `${optionPath}.${key}`);
+                    }
+                    SceneFile.expectNumber(value[key], `${optionPath}.${key}`);
+                    SceneFile.expectOptionRange(name === 'colors' ? name : key, value[key], `${optionPath}.${key}`);
+                });
+            }
+        });
+
+        // 빠진 항목은 기본값으로 채워지므로 채운 뒤의 치수로 확인
+        if (magnet.options.ring !== undefined) {
+            const ring = { ...defaults.ring, ...magnet.options.ring };
+            if (ring.innerRadius >= ring.outerRadius) {
+                throw new SceneFileError('안쪽 반지름은 바깥 반지름보다 작아야 합니다', `${path}.options.ring.innerRadius`);
+            }
+        }
+    }
+
+    /**
+     * 자석 숫자 옵션의 범위 확인
+     * 색은 0x000000 ~ 0xffffff 정수, 극성은 1 또는 -1, 감은 수는 1 ~ Magnet.MAX_TURNS 정수,
+     * 나머지(질량, 크기, 반지름, 길이)는 0보다 커야 함 (0이면 자기력선 계산이 끝나지 않음)
+     * @param {string} name 옵션 이름 (중첩 옵션은 항목 이름, 색은 'colors')
+     * @param {number} value 값
+     * @param {string} path 오류 위치
+     */
+    static expectOptionRange(name, value, path) {
+        switch (name) {
+            case 'colors':
+                if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+                    throw new SceneFileError('0x000000 ~ 0xffffff 사이의 색이어야 합니다', path);
+                }
+                break;
+            case 'polarity':
+                if (value !== 1 && value !== -1) {
+                    throw new SceneFileError('1 또는 -1이어야 합니다', path);
+                }
+                break;
+            case 'turns':
+                if (!Number.isInteger(value) || value < 1 || value > Magnet.MAX_TURNS) {
+                    throw new SceneFileError(`1 ~ ${Magnet.MAX_TURNS} 사이의 정수여야 합니다`, path);
+                }
+                break;
+            default:
+                if (value <= 0) {
+                    throw new SceneFileError('0보다 커야 합니다', path);
+                }
+        }
+    }
+
+    /**
+     * 물리 상수의 범위 확인
+     * SceneFile.CONSTANT_LIMITS에 있는 상수(감쇠, 반발 계수 등)는 그 범위,
+     * 나머지는 기본값과 부호가 같고 크기는 기본값의 1/100 ~ 100배 (기본값이 0인 상수는 제한 없음)
+     * @param {string} name 상수 이름
+     * @param {number} value 값
+     * @param {number} defaultValue 기본값
+     * @param {string} path 오류 위치
+     */
+    static expectConstantRange(name, value, defaultValue, path) {
+        const limits = SceneFile.CONSTANT_LIMITS[name];
+
+        if (limits) {
+            const exclusive = limits.above !== undefined;
+            if (!(exclusive ? value > limits.above : value >= limits.min) || value > limits.max) {
+                const lower = exclusive ? `${limits.above}보다 크고` : `${limits.min} 이상`;
+                throw new SceneFileError(`${lower} ${limits.max} 이하여야 합니다`, path);
+            }
+            return;
+        }
+
+        if (defaultValue === 0) return;
+
+        const ratio = value / defaultValue;
+        if (!(ratio >= 1 / SceneFile.CONSTANT_RANGE && ratio <= SceneFile.CONSTANT_RANGE)) {
+            throw new SceneFileError(`기본값(${defaultValue})의 1/${SceneFile.CONSTANT_RANGE} ~ ${SceneFile.CONSTANT_RANGE}배여야 합니다`, path);
+        }
+    }
+
+    /**
+     * 배열 길이 상한 확인 (장면을 불러오자마자 화면이 멈출 만큼 많은 항목 거부)
+     * @param {Array} value 배열
+     * @param {number} max 최대 길이
+     * @param {string} path 오류 위치
+     */
+    static expectMaxLength(value, max, path) {
+        if (value.length > max) {
+            throw new SceneFileError(`최대 ${max}개까지 불러올 수 있습니다 (${value.length}개)`, path);
+        }
+    }
+
+    /**
+     * 파일에 저장하고 불러오는 물리 상수만 남김 (SceneFile.FIXED_CONSTANTS 제외)
+     * @param {object} constants {상수 이름: 값}
+     * @returns {object} {상수 이름: 값}
+     */
+    static getLoadableConstants(constants) {
+        const loadable = {};
+
+        Object.keys(constants).forEach(name => {
+            if (!SceneFile.FIXED_CONSTANTS.includes(name)) {
+                loadable[name] = constants[name];
+            }
+        });
+
+        return loadable;
+    }
+
+    /**
+     * 검증된 장면 데이터를 시뮬레이션에 적용 (기존 자석, 나침반, 철가루는 모두 교체)
+     * 카메라는 렌더링 쪽이므로 호출한 쪽에서 적용
+     * @param {object} data SceneFile.validate를 통과한 장면 데이터
+     * @param {Simulation} simulation 시뮬레이션
+     */
+    static apply(data, simulation) {
+        Utils.setSeed(data.seed);
+
+        // 파일에 없는 상수는 기본값으로 (이전 장면에서 바꾼 값이 남지 않도록, 성능 상한은 파일 값을 무시하고 항상 기본값)
+        simulation.setPhysicsConstants({
+            ...new Physics().getConstants(),
+            ...SceneFile.getLoadableConstants(data.physics.constants)
+        });
+        simulation.setIntegrator(data.physics.integrator);
+
+        simulation.clearMagnets();
+        data.magnets.forEach(entry => {
+            const options = {
+                ...entry.options,
+                strength: Utils.clamp(entry.strength, Magnet.MIN_STRENGTH, Magnet.MAX_STRENGTH),
+                current: Utils.clamp(entry.current, -Magnet.MAX_CURRENT, Magnet.MAX_CURRENT)
+            };
+
+            // 중첩 옵션은 파일에 없는 항목을 기본값으로 채움
+            const defaults = new Magnet(new THREE.Vector3(), entry.type).options;
+            Object.keys(options).forEach(name => {
+                if (SceneFile.isObject(defaults[name])) {
+                    options[name] = { ...defaults[name], ...options[name] };
+                }
+            });
+
+            const magnet = simulation.addMagnet(new THREE.Vector3().fromArray(entry.position), entry.type, options);
+            magnet.setRotation(...entry.rotation);
+        });
+
+        simulation.clearCompasses();
+        data.compasses.forEach(entry => {
+            simulation.addCompass(new THREE.Vector3().fromArray(entry.position), { heading: entry.heading });
+        });
+
+        simulation.clearParticles();
+        data.particles.forEach(([x, y, z, angle]) => {
+            simulation.particleSystem.spawn(new THREE.Vector3(x, y, z), angle);
+        });
+    }
+
+    /**
+     * 파일 크기를 줄이기 위해 소수점 아래 4자리로 반올림
+     * @param {number} value 값
+     * @returns {number} 반올림한 값
+     */
+    static round(value) {
+        return Math.round(value * 1e4) / 1e4;
+    }
+
+    /**
+     * 배열이 아닌 객체인지 여부
+     * @param {*} value 값
+     * @returns {boolean} 객체 여부
+     */
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * 객체 확인
+     * @param {*} value 값
+     * @param {string} path 오류 위치
+     */
+    static expectObject(value, path) {
+        if (!SceneFile.isObject(value)) {
+            throw new SceneFileError('객체여야 합니다', path);
+        }
+    }
+
+    /**
+     * 배열 확인
+     * @param {*} value 값
+     * @param {string} path 오류 위치
+     */
+    static expectArray(value, path) {
+        if (!Array.isArray(value)) {
+            throw new SceneFileError('배열이어야 합니다', path);
+        }
+    }
+
+    /**
+     * 유한한 숫자 확인
+     * @param {*} value 값
+     * @param {string} path 오류 위치
+     */
+    static expectNumber(value, path) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new SceneFileError('숫자여야 합니다', path);
+        }
+    }
+
+    /**
+     * 길이가 정해진 숫자 배열 확인
+     * @param {*} value 값
+     * @param {number} length 길이
+     * @param {string} path 오류 위치
+     */
+    static expectNumberArray(value, length, path) {
+        if (!Array.isArray(value) || value.length !== length ||
+            !value.every(item => typeof item === 'number' && Number.isFinite(item))) {
+            throw new SceneFileError(`숫자 ${length}개짜리 배열이어야 합니다`, path);
+        }
+    }
+
+    /**
+     * [x, y, z] 벡터 확인
+     * @param {*} value 값
+     * @param {string} path 오류 위치
+     */
+    static expectVector(value, path) {
+        SceneFile.expectNumberArray(value, 3, path);
+    }
+}
+
+/**
+ * 장면 파일 오류 클래스
+ * 잘못된 항목의 위치(path)를 함께 담아 사용자에게 보여줄 메시지를 만듦
+ */
+class SceneFileError extends Error {
+    /**
+     * @param {string} message 오류 내용
+     * @param {string|null} path 잘못된 항목 위치 (예: 'magnets[0].position')
+     */
+    constructor(message, path = null) {
+        super(path ? `${path}: ${message}` : message);
+        this.name = 'SceneFileError';
+        this.path = path;
+    }
+}
+
+// 파일 형식 식별자와 현재 버전 (형식이 바뀌면 버전을 올리고 validate에서 이전 버전 처리)
+SceneFile.FORMAT = 'magnetic-field-scene';
+SceneFile.VERSION = 1;
+
+// 물리 상수가 기본값에서 벗어날 수 있는 배율 (SceneFile.CONSTANT_LIMITS에 없는 상수)
+SceneFile.CONSTANT_RANGE = 100;
+
+// 범위가 정해진 물리 상수 (min 이상 또는 above 초과, max 이하)
+SceneFile.CONSTANT_LIMITS = {
+    DAMPING: { above: 0, max: 1 }, // 1을 넘으면 스텝마다 속도가 커짐
+    AIR_RESISTANCE: { min: 0, max: 1 },
+    MAGNET_FRICTION: { min: 0, max: 1 },
+    restitution: { min: 0, max: 1 }, // 1을 넘으면 바닥에 닿을 때마다 더 높이 튐
+    maxVelocity: { above: 0, max: 50 },
+    maxAngularVelocity: { above: 0, max: 100 },
+    SURFACE_HEIGHT: { min: 0, max: 1 }
+};
+
+// 파일에 저장하지도 불러오지도 않는 상수 (시간 간격과 자기력선/전류 요소/격자 개수를 정하는 성능 상한)
+SceneFile.FIXED_CONSTANTS = [
+    'timeStep',
+    'RING_POLE_SEGMENTS',
+    'SOLENOID_SEGMENTS_PER_TURN',
+    'WIRE_ELEMENT_LENGTH',
+    'MAX_CURRENT_ELEMENTS',
+    'DIPOLE_INTERACTION_RANGE',
+    'FIELD_LINES_PER_CHARGE',
+    'FIELD_LINE_STEP',
+    'FIELD_LINE_MAX_STEPS',
+    'FIELD_LINE_MAX_DISTANCE',
+    'WIRE_FIELD_LINES_PER_CURRENT',
+    'MAX_FIELD_LINES_PER_SOURCE',
+    'FIELD_GRID_EXTENT',
+    'FIELD_GRID_SPACING'
+];
+
+// 불러올 수 있는 최대 항목 수 (철가루는 Simulation 기본 maxParticles와 같음)
+SceneFile.MAX_MAGNETS = 30;
+SceneFile.MAX_COMPASSES = 100;
+SceneFile.MAX_PARTICLES = 20000;
@@ -0,0 +1,216 @@
+/**
+ * 장면 공유 링크 클래스
+ * 자석 배치와 세기, 나침반, 카메라, 표시 설정을 압축해 URL 해시(#scene=...)에 담고 다시 풀어냄
+ * 철가루는 링크가 너무 길어지므로 담지 않음 (장면 파일로 저장)
+ * 장면 부분은 SceneFile 형식을 그대로 쓰고 기본값과 같은 항목만 빼서 줄임
+ * DOM에 의존하지 않아 Node에서도 그대로 사용 가능 (CompressionStream이 있는 Node 18 이상)
+ */
+
+class SceneLink {
+    /**
+     * 장면과 표시 설정을 URL 해시 값으로 변환
+     * @param {object} scene SceneFile.serialize 결과
+     * @param {object} view 표시 설정 (SceneLink.VIEW_DEFAULTS와 같은 항목)
+     * @returns {Promise<string>} '#scene=...' 해시
+     */
+    static async encode(scene, view = {}) {
+        const payload = {
+            scene: SceneLink.compact(scene),
+            view: { ...SceneLink.VIEW_DEFAULTS, ...view }
+        };
+
+        const bytes = await SceneLink.transform(new TextEncoder().encode(JSON.stringify(payload)), new CompressionStream('deflate-raw'));
+        return `#${SceneLink.HASH_KEY}=${SceneLink.toBase64Url(bytes)}`;
+    }
+
+    /**
+     * URL 해시 값을 장면과 표시 설정으로 변환
+     * @param {string} hash location.hash ('#scene=...')
+     * @returns {Promise<object|null>} {scene, view} (공유 링크 해시가 아니면 null)
+     * @throws {SceneFileError} 깨진 링크이거나 장면 형식이나 값의 범위가 맞지 않을 때
+     *   (길이 0인 전자석이나 너무 많은 자석처럼 화면이 멈추는 장면은 적용하기 전에 거부,
+     *   풀어낸 크기가 SceneLink.MAX_DECODED_BYTES를 넘으면 그 자리에서 압축 해제를 멈춤)
+     */
+    static async decode(hash) {
+        const prefix = `#${SceneLink.HASH_KEY}=`;
+        if (!hash || !hash.startsWith(prefix)) return null;
+
+        let payload;
+        try {
+            const bytes = await SceneLink.transform(
+                SceneLink.fromBase64Url(hash.slice(prefix.length)),
+                new DecompressionStream('deflate-raw'),
+                SceneLink.MAX_DECODED_BYTES
+            );
+            payload = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            if (error instanceof SceneFileError) throw error;
+            throw new SceneFileError(`공유 링크가 손상되었습니다 (${error.message})`);
+        }
+
+        if (!SceneFile.isObject(payload)) {
+            throw new SceneFileError('공유 링크가 손상되었습니다');
+        }
+
+        SceneFile.validate(payload.scene);
+        SceneLink.validateView(payload.view);
+
+        return {
+            scene: payload.scene,
+            view: { ...SceneLink.VIEW_DEFAULTS, ...payload.view }
+        };
+    }
+
+    /**
+     * 장면 데이터에서 기본값과 같은 항목과 철가루를 빼고 숫자를 반올림해 링크 길이를 줄임
+     * (빠진 자석 옵션과 물리 상수는 SceneFile.apply가 기본값으로 채움)
+     * @param {object} scene SceneFile 형식 데이터
+     * @returns {object} 줄인 장면 데이터
+     */
+    static compact(scene) {
+        const defaultConstants = new Physics().getConstants();
+        const constants = {};
+
+        Object.keys(scene.physics.constants).forEach(name => {
+            if (scene.physics.constants[name] !== defaultConstants[name]) {
+                constants[name] = scene.physics.constants[name];
+            }
+        });
+
+        const roundVector = vector => vector.map(SceneFile.round);
+
+        return {
+            ...scene,
+            magnets: scene.magnets.map(magnet => {
+                const defaults = new Magnet(new THREE.Vector3(), magnet.type).options;
+                const options = {};
+
+                Object.keys(magnet.options).forEach(name => {
+                    if (JSON.stringify(magnet.options[name]) !== JSON.stringify(defaults[name])) {
+                        options[name] = magnet.options[name];
+                    }
+                });
+
+                return {
+                    ...magnet,
+                    position: roundVector(magnet.position),
+                    rotation: roundVector(magnet.rotation),
+                    options
+                };
+            }),
+            compasses: scene.compasses.map(compass => ({
+                position: roundVector(compass.position),
+                heading: SceneFile.round(compass.heading)
+            })),
+            particles: [],
+            physics: { ...scene.physics, constants },
+            camera: scene.camera && {
+                position: roundVector(scene.camera.position),
+                target: roundVector(scene.camera.target)
+            }
+        };
+    }
+
+    /**
+     * 표시 설정 검증 (빠진 항목은 기본값, 모르는 항목이나 형태가 다른 값은 오류)
+     * @param {object} view 표시 설정
+     * @throws {SceneFileError} 형식이 맞지 않을 때
+     */
+    static validateView(view) {
+        if (view === undefined) return;
+        SceneFile.expectObject(view, 'view');
+
+        Object.keys(view).forEach(name => {
+            const path = `view.${name}`;
+            const expected = SceneLink.VIEW_DEFAULTS[name];
+
+            if (expected === undefined) {
+                throw new SceneFileError('알 수 없는 표시 설정입니다', path);
+            }
+
+            if (typeof view[name] !== typeof expected) {
+                throw new SceneFileError(typeof expected === 'boolean' ? '참/거짓 값이어야 합니다' : '문자열이어야 합니다', path);
+            }
+        });
+
+        if (view.fieldArrowsPlane !== undefined && !Physics.FIELD_GRID_PLANES.includes(view.fieldArrowsPlane)) {
+            throw new SceneFileError(`알 수 없는 평면입니다 (${view.fieldArrowsPlane})`, 'view.fieldArrowsPlane');
+        }
+    }
+
+    /**
+     * 바이트 배열을 압축/해제 스트림에 통과시킴
+     * @param {Uint8Array} bytes 입력
+     * @param {CompressionStream|DecompressionStream} stream 변환 스트림
+     * @param {number} maxBytes 최대 출력 크기 (넘으면 스트림을 멈추고 오류)
+     * @returns {Promise<Uint8Array>} 출력
+     * @throws {SceneFileError} 출력이 maxBytes를 넘을 때
+     */
+    static async transform(bytes, stream, maxBytes = Infinity) {
+        const reader = new Blob([bytes]).stream().pipeThrough(stream).getReader();
+        const chunks = [];
+        let length = 0;
+
+        let result = await reader.read();
+        while (!result.done) {
+            length += result.value.length;
+            if (length > maxBytes) {
+                await reader.cancel();
+                throw new SceneFileError(`공유 링크가 너무 큽니다 (풀어낸 크기 ${maxBytes}바이트 초과)`);
+            }
+
+            chunks.push(result.value);
+            result = await reader.read();
+        }
+
+        const output = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        return output;
+    }
+
+    /**
+     * 바이트 배열을 URL에 그대로 쓸 수 있는 base64url 문자열로 변환
+     * @param {Uint8Array} bytes 바이트 배열
+     * @returns {string} base64url 문자열 (= 패딩 없음)
+     */
+    static toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * base64url 문자열을 바이트 배열로 변환
+     * @param {string} text base64url 문자열
+     * @returns {Uint8Array} 바이트 배열
+     */
+    static fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+// URL 해시 키 (#scene=...)
+SceneLink.HASH_KEY = 'scene';
+
+// 링크를 풀어낸 JSON의 최대 크기 (자석 30개와 나침반 100개를 담아도 수십 KB)
+SceneLink.MAX_DECODED_BYTES = 256 * 1024;
+
+// 링크에 담는 표시 설정과 기본값
+SceneLink.VIEW_DEFAULTS = {
+    magnetDynamics: false,
+    fieldLines: false,
+    fieldArrows: false,
+    fieldArrowsPlane: 'xz',
+    heatmap: false,
+    heatmapScale: 'log',
+    heatmapPalette: 'viridis'
+};
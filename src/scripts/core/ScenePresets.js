@@ -0,0 +1,158 @@
+/**
+ * 장면 프리셋 클래스
+ * 교과서에 나오는 고전 자기장 실험 배치를 모아 두고 시뮬레이션에 바로 꾸며 줌
+ * 프리셋마다 자석을 놓고 철가루를 바닥(또는 유리판) 위에 고르게 한 겹 깔아 둠
+ * DOM에 의존하지 않아 Node에서도 그대로 사용 가능
+ */
+
+class ScenePresets {
+    /**
+     * 프리셋 찾기
+     * @param {string} id 프리셋 ID
+     * @returns {object|null} {id, name, description, build, filings, constants}
+     */
+    static get(id) {
+        return ScenePresets.LIST.find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * 프리셋으로 시뮬레이션 꾸미기 (기존 자석, 나침반, 철가루는 모두 교체하고 물리 상수는 기본값에서 시작)
+     * @param {string} id 프리셋 ID
+     * @param {Simulation} simulation 시뮬레이션
+     * @returns {boolean} 적용했는지 여부 (모르는 ID면 false)
+     */
+    static apply(id, simulation) {
+        const preset = ScenePresets.get(id);
+        if (!preset) {
+            Utils.warn(`Unknown scene preset: ${id}`);
+            return false;
+        }
+
+        simulation.setPhysicsConstants({ ...new Physics().getConstants(), ...preset.constants });
+
+        simulation.clearMagnets();
+        simulation.clearCompasses();
+        simulation.clearParticles();
+
+        preset.build(simulation);
+
+        const { halfSize, spacing } = { ...ScenePresets.FILINGS, ...preset.filings };
+        simulation.spawnParticleLayer(halfSize, spacing);
+
+        return true;
+    }
+
+    /**
+     * 바닥에 눕힌 막대자석 추가 (N극이 +X를 향하면 angle 0, 수직축 기준 회전)
+     * @param {Simulation} simulation 시뮬레이션
+     * @param {number} x X 위치
+     * @param {number} z Z 위치
+     * @param {number} angle N극 방향 (라디안, 위에서 볼 때 +X에서 반시계)
+     * @param {object} options 옵션
+     * @returns {Magnet} 추가된 자석
+     */
+    static addLyingBar(simulation, x, z, angle = 0, options = {}) {
+        const magnet = simulation.addMagnet(new THREE.Vector3(x, 0.15, z), 'bar', options);
+        magnet.setRotation(0, angle, -Math.PI / 2);
+        return magnet;
+    }
+}
+
+// 철가루 기본 깔기 범위 (원점 중심 정사각형의 반 너비와 격자 간격)
+ScenePresets.FILINGS = { halfSize: 3, spacing: 0.12 };
+
+// 처음 열 때의 프리셋
+ScenePresets.DEFAULT = 'overview';
+
+// 프리셋 목록 (선택 상자에 이 순서로 표시)
+ScenePresets.LIST = [
+    {
+        id: 'overview',
+        name: '여러 자석 둘러보기',
+        description: '막대자석, 고리자석, 전자석, 직선 도선, 원형 도선을 한자리에 놓고 자석마다 다른 무늬를 비교합니다.',
+        filings: { halfSize: 4, spacing: 0.2 }, // 전류 요소가 많아 계산이 무거우므로 성기게
+        build(simulation) {
+            ScenePresets.addLyingBar(simulation, 0, 0);
+            simulation.addMagnet(new THREE.Vector3(-3, 0.3, 0), 'ring', { strength: 0.8 });
+
+            const solenoid = simulation.addMagnet(new THREE.Vector3(3, 0.22, 0), 'solenoid', { current: 1.0 });
+            solenoid.setRotation(0, 0, -Math.PI / 2);
+
+            simulation.addMagnet(new THREE.Vector3(0, 0, -2.5), 'wire', { current: 1.0 });
+
+            const loop = simulation.addMagnet(new THREE.Vector3(0, 0, 2.5), 'loop', { current: 1.0 });
+            loop.setRotation(0, 0, -Math.PI / 2);
+        }
+    },
+    {
+        id: 'bar',
+        name: '막대자석 하나',
+        description: '막대자석 하나 주위의 자기력선 무늬. 철가루가 N극에서 나와 S극으로 들어가는 곡선을 따라 늘어섭니다.',
+        build(simulation) {
+            ScenePresets.addLyingBar(simulation, 0, 0);
+        }
+    },
+    {
+        id: 'attract',
+        name: '막대자석 두 개: 끌어당기는 극',
+        description: 'N극과 S극을 마주 보게 놓았습니다. 두 극 사이를 곧게 잇는 촘촘한 철가루 줄이 생깁니다.',
+        build(simulation) {
+            ScenePresets.addLyingBar(simulation, -0.9, 0);
+            ScenePresets.addLyingBar(simulation, 0.9, 0);
+        }
+    },
+    {
+        id: 'repel',
+        name: '막대자석 두 개: 밀어내는 극',
+        description: 'N극끼리 마주 보게 놓았습니다. 두 극 사이 가운데에 철가루가 거의 없는 중립점이 생기고 선이 옆으로 휘어 나갑니다.',
+        build(simulation) {
+            ScenePresets.addLyingBar(simulation, -0.9, 0);
+            ScenePresets.addLyingBar(simulation, 0.9, 0, Math.PI);
+        }
+    },
+    {
+        id: 'horseshoe',
+        name: '말굽자석',
+        description: '바닥에 눕힌 말굽자석. 마주 보는 두 극 사이에는 거의 고른 자기장이 생겨 철가루가 나란히 늘어섭니다.',
+        build(simulation) {
+            const magnet = simulation.addMagnet(new THREE.Vector3(0, 0.1, 0), 'horseshoe');
+            magnet.setRotation(-Math.PI / 2, 0, 0);
+        }
+    },
+    {
+        id: 'ring',
+        name: '고리자석',
+        description: '바닥에 눕힌 고리자석. 바깥 테두리가 N극, 안쪽 구멍 둘레가 S극이라 철가루가 고리 둘레에서 바깥으로 퍼지는 방사형 무늬를 만듭니다.',
+        build(simulation) {
+            simulation.addMagnet(new THREE.Vector3(0, 0.1, 0), 'ring');
+        }
+    },
+    {
+        id: 'glass',
+        name: '유리판 아래 막대자석',
+        description: '막대자석 위에 유리판을 얹고 그 위에 철가루를 뿌리는 고전 실험. 자석에서 떨어진 면이라 극 근처에 몰리지 않고 자기력선 전체 모양이 드러납니다.',
+        constants: { SURFACE_HEIGHT: 0.4 },
+        build(simulation) {
+            ScenePresets.addLyingBar(simulation, 0, 0);
+        }
+    },
+    {
+        id: 'solenoid',
+        name: '전자석 (솔레노이드)',
+        description: '바닥에 눕힌 전자석. 바깥 무늬는 막대자석과 같고, 전류를 반전하면 극이 바뀝니다.',
+        filings: { halfSize: 3, spacing: 0.15 },
+        build(simulation) {
+            const solenoid = simulation.addMagnet(new THREE.Vector3(0, 0.22, 0), 'solenoid', { current: 2.0 });
+            solenoid.setRotation(0, 0, -Math.PI / 2);
+        }
+    },
+    {
+        id: 'oersted',
+        name: '외르스테드 실험 (직선 도선)',
+        description: '바닥을 수직으로 뚫고 지나가는 도선. 전류가 흐르면 도선을 감싸는 동심원 무늬가 생깁니다.',
+        filings: { halfSize: 2, spacing: 0.08 },
+        build(simulation) {
+            simulation.addMagnet(new THREE.Vector3(0, 0, 0), 'wire', { current: 3.0 });
+        }
+    }
+];
@@ -0,0 +1,374 @@
+/**
+ * 시뮬레이션 코어 클래스
+ * 자석, 나침반, 철가루의 상태와 고정 시간 간격 진행을 담당 (렌더링/DOM 없음)
+ * 브라우저에서는 MagneticSimulationApp이 화면과 입력을 연결하고,
+ * Node에서는 src/scripts/headless.js로 불러와 그대로 실행
+ */
+
+class Simulation {
+    constructor(options = {}) {
+        // 기본 옵션
+        const defaults = {
+            maxParticles: 20000,
+            useWorker: true, // 브라우저에서 철가루 물리를 웹 워커로 계산 (Node에서는 항상 메인 스레드)
+            maxFrameTime: 0.25 // 한 번에 따라잡을 최대 프레임 시간
+        };
+
+        this.options = { ...defaults, ...options };
+
+        this.physics = new Physics();
+        this.magnets = [];
+        this.magnetDefaults = { strength: 1.0, current: 1.0 }; // 새로 놓는 자석의 세기/전류 (이미 놓인 자석은 그대로)
+        this.compasses = [];
+        this.particleSystem = new PhysicsWorkerClient(this.physics, this.options.maxParticles, {
+            useWorker: this.options.useWorker
+        });
+
+        // 진행 상태
+        this.magnetDynamicsEnabled = false; // 자석끼리 밀고 당기며 움직이는지 여부
+        this.accumulator = 0; // 아직 진행하지 않은 시간
+        this.time = 0; // 지금까지 진행한 시뮬레이션 시간 (초)
+    }
+
+    /**
+     * 자석 추가
+     * @param {THREE.Vector3} position 위치
+     * @param {string} type 자석 타입
+     * @param {object} options 옵션
+     * @returns {Magnet} 추가된 자석
+     */
+    addMagnet(position, type = 'bar', options = {}) {
+        const magnet = new Magnet(position, type, options);
+        this.magnets.push(magnet);
+
+        return magnet;
+    }
+
+    /**
+     * 바닥 위 지점에 종류별 기본 자세로 자석 새로 놓기 (세기/전류는 magnetDefaults 값)
+     * @param {number} x 바닥 위 x 좌표
+     * @param {number} z 바닥 위 z 좌표
+     * @param {string} type 자석 타입
+     * @returns {Magnet} 추가된 자석
+     */
+    placeMagnet(x, z, type = 'bar') {
+        const pose = Magnet.FLOOR_POSES[type];
+        const magnet = this.addMagnet(new THREE.Vector3(x, pose.height, z), type, { ...this.magnetDefaults });
+        magnet.setRotation(...pose.rotation);
+
+        return magnet;
+    }
+
+    /**
+     * 새로 놓는 자석의 세기/전류 변경 (자석의 한계로 맞춤)
+     * @param {object} values {strength, current} 중 바꿀 값
+     */
+    setMagnetDefaults(values) {
+        if (values.strength !== undefined) {
+            this.magnetDefaults.strength = Utils.clamp(values.strength, Magnet.MIN_STRENGTH, Magnet.MAX_STRENGTH);
+        }
+
+        if (values.current !== undefined) {
+            this.magnetDefaults.current = Utils.clamp(values.current, -Magnet.MAX_CURRENT, Magnet.MAX_CURRENT);
+        }
+    }
+
+    /**
+     * 자석 제거
+     * @param {Magnet} magnet 제거할 자석
+     * @returns {number} 제거하기 전 순서 (없으면 -1)
+     */
+    removeMagnet(magnet) {
+        const index = this.magnets.indexOf(magnet);
+        if (index !== -1) {
+            this.magnets.splice(index, 1);
+        }
+
+        return index;
+    }
+
+    /**
+     * 이미 만든 자석을 정해진 순서에 다시 넣기 (제거를 되돌릴 때)
+     * @param {Magnet} magnet 자석
+     * @param {number} index 넣을 순서 (범위를 벗어나면 맨 뒤)
+     */
+    insertMagnet(magnet, index = this.magnets.length) {
+        if (this.magnets.includes(magnet)) return;
+
+        this.magnets.splice(Utils.clamp(index, 0, this.magnets.length), 0, magnet);
+    }
+
+    /**
+     * 모든 자석 제거 (magnets 배열은 그대로 두고 비움)
+     */
+    clearMagnets() {
+        this.magnets.length = 0;
+    }
+
+    /**
+     * 나침반 추가
+     * @param {THREE.Vector3} position 바늘 중심 위치
+     * @param {object} options 옵션
+     * @returns {Compass} 추가된 나침반
+     */
+    addCompass(position, options = {}) {
+        const compass = new Compass(position, options);
+        this.compasses.push(compass);
+
+        return compass;
+    }
+
+    /**
+     * 중심을 둘러싼 원 위에 나침반을 고르게 배치
+     * 처음 바늘 방향은 임의 방향 (대칭 배치에서 자기장과 정확히 반대 방향으로 멈춰 있지 않도록)
+     * @param {THREE.Vector3} center 원의 중심 (높이는 무시하고 바닥 위에 배치)
+     * @param {number} radius 원 반지름
+     * @param {number} count 나침반 개수
+     * @returns {Array} 추가된 나침반 배열
+     */
+    addCompassRing(center, radius, count = 12) {
+        const compasses = [];
+
+        for (let i = 0; i < count; i++) {
+            const angle = i / count * Math.PI * 2;
+            const position = new THREE.Vector3(
+                center.x + radius * Math.cos(angle),
+                Simulation.COMPASS_HEIGHT,
+                center.z - radius * Math.sin(angle)
+            );
+
+            compasses.push(this.addCompass(position, { heading: Utils.random(-Math.PI, Math.PI) }));
+        }
+
+        return compasses;
+    }
+
+    /**
+     * 나침반 제거
+     * @param {Compass} compass 제거할 나침반
+     */
+    removeCompass(compass) {
+        const index = this.compasses.indexOf(compass);
+        if (index !== -1) {
+            this.compasses.splice(index, 1);
+        }
+    }
+
+    /**
+     * 모든 나침반 제거
+     */
+    clearCompasses() {
+        this.compasses.length = 0;
+    }
+
+    /**
+     * 철가루 뿌리기 (위치 주변에 약간의 랜덤 분산 적용)
+     * @param {THREE.Vector3} position 중심 위치
+     * @param {number} count 개수
+     */
+    spawnParticles(position, count) {
+        for (let i = 0; i < count; i++) {
+            const spawnPos = position.clone().add(new THREE.Vector3(
+                Utils.random(-0.1, 0.1),
+                Utils.random(0, 0.2),
+                Utils.random(-0.1, 0.1)
+            ));
+
+            // 바닥에 누운 임의 방향으로 뿌림
+            this.particleSystem.spawn(spawnPos, Utils.random(0, Math.PI * 2));
+        }
+    }
+
+    /**
+     * 철가루를 면 위에 고르게 한 겹 깔기 (격자 간격마다 하나씩, 위치와 방향은 약간 무작위)
+     * 같은 면 위에 놓인 자석의 자리는 비워 둠 (유리판 아래 자석 위에는 그대로 깔림)
+     * @param {number} halfSize 깔 영역의 반 너비 (원점 중심 정사각형)
+     * @param {number} spacing 격자 간격
+     * @returns {number} 뿌린 철가루 수
+     */
+    spawnParticleLayer(halfSize, spacing) {
+        const surface = this.physics.SURFACE_HEIGHT;
+        const count = Math.floor(halfSize * 2 / spacing) + 1;
+        let spawned = 0;
+
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < count; j++) {
+                const x = -halfSize + i * spacing + Utils.random(-0.3, 0.3) * spacing;
+                const z = -halfSize + j * spacing + Utils.random(-0.3, 0.3) * spacing;
+                const angle = Utils.random(0, Math.PI * 2);
+
+                const covered = this.magnets.some(magnet =>
+                    magnet.position.y >= surface &&
+                    Math.hypot(magnet.position.x - x, magnet.position.z - z) < magnet.getBoundingRadius()
+                );
+                if (covered) continue;
+
+                this.particleSystem.spawn(new THREE.Vector3(x, surface + Utils.random(0, 0.02), z), angle);
+                spawned++;
+            }
+        }
+
+        return spawned;
+    }
+
+    /**
+     * 모든 철가루 제거
+     */
+    clearParticles() {
+        this.particleSystem.clear();
+    }
+
+    /**
+     * 아직 반영되지 않은 철가루 추가/제거 요청이 있는지 여부
+     * @returns {boolean} 대기 중인 변경 여부
+     */
+    hasPendingChanges() {
+        return this.particleSystem.hasPendingChanges();
+    }
+
+    /**
+     * 프레임 시간을 누적해 Physics.timeStep 간격의 고정 스텝으로 나눠 진행
+     * 워커가 밀려 있으면 스텝을 버리지 않도록 이번 프레임 시간은 진행하지 않고 기다림 (시간이 느리게 흐름)
+     * @param {number} frameTime 프레임 간격 (초)
+     * @returns {number} 진행한 고정 스텝 수
+     */
+    advance(frameTime) {
+        const timeStep = this.physics.timeStep;
+        let steps = 0;
+
+        if (this.particleSystem.isBehind()) {
+            this.step(0);
+            return 0;
+        }
+
+        this.accumulator += Math.min(frameTime, this.options.maxFrameTime);
+        while (this.accumulator >= timeStep) {
+            this.accumulator -= timeStep;
+            steps++;
+        }
+
+        this.step(steps);
+        return steps;
+    }
+
+    /**
+     * 고정 스텝 진행
+     * 스텝마다 자석을 움직인 뒤 그 자석 배치로 나침반과 철가루를 진행해
+     * 한 프레임에 몇 스텝을 몰아 진행하든 같은 결과를 냄
+     * (0이면 시간 진행 없이 추가/제거 요청만 반영)
+     * @param {number} steps 스텝 수
+     */
+    step(steps = 1) {
+        const timeStep = this.physics.timeStep;
+
+        for (let i = 0; i < steps; i++) {
+            if (this.magnetDynamicsEnabled) {
+                this.updateMagnetDynamics(timeStep);
+            }
+
+            const poles = this.physics.collectPoles(this.magnets);
+
+            if (this.compasses.length > 0) {
+                this.updateCompasses(timeStep, poles);
+            }
+
+            this.particleSystem.queueStep(poles);
+        }
+
+        this.particleSystem.flush();
+        this.time += steps * timeStep;
+    }
+
+    /**
+     * 자석 간 힘/토크 적용 및 강체 운동 업데이트
+     * @param {number} deltaTime 시간 간격
+     */
+    updateMagnetDynamics(deltaTime) {
+        // 모든 자석의 힘을 먼저 계산한 뒤 한꺼번에 적용 (작용-반작용 유지)
+        const interactions = this.magnets.map(magnet =>
+            this.physics.calculateMagnetInteraction(magnet, this.magnets)
+        );
+
+        this.magnets.forEach((magnet, index) => {
+            if (!magnet.isDragging) {
+                this.physics.updateMagnet(magnet, interactions[index], deltaTime);
+            }
+        });
+
+        for (let i = 0; i < this.magnets.length - 1; i++) {
+            for (let j = i + 1; j < this.magnets.length; j++) {
+                this.physics.handleMagnetCollision(this.magnets[i], this.magnets[j]);
+            }
+        }
+    }
+
+    /**
+     * 나침반 바늘을 현재 자기장 방향으로 회전
+     * (나침반은 측정용이므로 자석이나 철가루에 영향을 주지 않음)
+     * @param {number} deltaTime 시간 간격
+     * @param {Array} poles 자극 배열 (생략하면 현재 자석 배치로 계산)
+     */
+    updateCompasses(deltaTime, poles = this.physics.collectPoles(this.magnets)) {
+        this.compasses.forEach(compass => {
+            const field = this.physics.calculatePolesField(poles, compass.position);
+            this.physics.updateCompass(compass, field, deltaTime);
+        });
+    }
+
+    /**
+     * 자석 움직임(자석 간 상호작용) 켜기/끄기
+     * @param {boolean} enabled 활성화 여부
+     */
+    setMagnetDynamics(enabled) {
+        this.magnetDynamicsEnabled = enabled;
+
+        if (!enabled) {
+            this.magnets.forEach(magnet => {
+                magnet.velocity.set(0, 0, 0);
+                magnet.angularVelocity = 0;
+            });
+        }
+    }
+
+    /**
+     * 입자 적분 방식 변경
+     * @param {string} integrator 'euler', 'verlet', 'rk4'
+     */
+    setIntegrator(integrator) {
+        this.particleSystem.setIntegrator(integrator);
+    }
+
+    /**
+     * 물리 상수 변경 (워커의 Physics에도 적용)
+     * @param {object} constants {상수 이름: 값}
+     */
+    setPhysicsConstants(constants) {
+        this.particleSystem.setConstants(constants);
+    }
+
+    /**
+     * 철가루 렌더 상태 (워커 사용 시 마지막으로 받은 결과)
+     * @returns {object} {count, positions, orientations, magnetized}
+     */
+    getParticleState() {
+        return this.particleSystem.state;
+    }
+
+    /**
+     * 현재 입자 수
+     * @returns {number} 입자 수
+     */
+    getParticleCount() {
+        return this.particleSystem.getCount();
+    }
+
+    /**
+     * 리소스 정리
+     */
+    dispose() {
+        this.particleSystem.dispose();
+    }
+}
+
+// 나침반 바늘 높이 (바닥 위에 놓인 나침반 판 위)
+Simulation.COMPASS_HEIGHT = 0.05;
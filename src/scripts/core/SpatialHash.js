@@ -0,0 +1,111 @@
+/**
+ * 공간 해시 클래스
+ * 균일 격자로 공간을 나눠 가까운 입자 쌍만 빠르게 찾는 충돌 브로드페이즈
+ */
+
+class SpatialHash {
+    constructor(cellSize = 0.2) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // 셀 키 → 항목 배열
+    }
+
+    /**
+     * 모든 항목 제거 (매 프레임 다시 채움)
+     */
+    clear() {
+        this.cells.clear();
+    }
+
+    /**
+     * 셀 좌표를 하나의 정수 키로 변환
+     * 각 축 ±1024칸 범위에서 충돌 없이 인코딩
+     * @param {number} ix X 셀 인덱스
+     * @param {number} iy Y 셀 인덱스
+     * @param {number} iz Z 셀 인덱스
+     * @returns {number} 셀 키
+     */
+    getKey(ix, iy, iz) {
+        return ((ix + 1024) * 2048 + (iy + 1024)) * 2048 + (iz + 1024);
+    }
+
+    /**
+     * 항목 추가
+     * @param {*} item 항목 (입자 인덱스 등)
+     * @param {number} x X 좌표
+     * @param {number} y Y 좌표
+     * @param {number} z Z 좌표
+     */
+    insert(item, x, y, z) {
+        const ix = Math.floor(x / this.cellSize);
+        const iy = Math.floor(y / this.cellSize);
+        const iz = Math.floor(z / this.cellSize);
+        const key = this.getKey(ix, iy, iz);
+
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = { ix, iy, iz, items: [] };
+            this.cells.set(key, cell);
+        }
+
+        cell.items.push(item);
+    }
+
+    /**
+     * 같은 셀 또는 이웃한 셀에 있는 모든 항목 쌍 순회 (각 쌍은 한 번만)
+     * 셀 크기 이내의 쌍은 빠짐없이 포함되며, 실제 거리 판정은 콜백에서 수행
+     * @param {Function} callback (item1, item2) => void
+     */
+    forEachPair(callback) {
+        this.cells.forEach(cell => {
+            const items = cell.items;
+
+            // 같은 셀 안의 쌍
+            for (let i = 0; i < items.length - 1; i++) {
+                for (let j = i + 1; j < items.length; j++) {
+                    callback(items[i], items[j]);
+                }
+            }
+
+            // 이웃 셀과의 쌍 (절반 방향만 확인해 중복 방지)
+            SpatialHash.FORWARD_NEIGHBORS.forEach(([dx, dy, dz]) => {
+                const neighbor = this.cells.get(this.getKey(cell.ix + dx, cell.iy + dy, cell.iz + dz));
+                if (!neighbor) return;
+
+                for (let i = 0; i < items.length; i++) {
+                    for (let j = 0; j < neighbor.items.length; j++) {
+                        callback(items[i], neighbor.items[j]);
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * 통계 정보 반환 (디버깅용)
+     * @returns {object} 셀 수, 최대 셀 크기
+     */
+    getInfo() {
+        let maxItems = 0;
+        this.cells.forEach(cell => {
+            maxItems = Math.max(maxItems, cell.items.length);
+        });
+
+        return {
+            cellSize: this.cellSize,
+            cellCount: this.cells.size,
+            maxItemsPerCell: maxItems
+        };
+    }
+}
+
+// 27개 이웃 셀 중 (0,0,0)보다 사전순으로 뒤에 있는 13개
+SpatialHash.FORWARD_NEIGHBORS = [];
+for (let dx = -1; dx <= 1; dx++) {
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+            if (dx > 0 || (dx === 0 && (dy > 0 || (dy === 0 && dz > 0)))) {
+                SpatialHash.FORWARD_NEIGHBORS.push([dx, dy, dz]);
+            }
+        }
+    }
+}
@@ -53,6 +53,45 @@ class Utils {
         return (value - inMin) * (outMax - outMin) / (inMax - inMin) + outMin;
     }
 
+    /**
+     * 난수 시드 설정 (같은 시드로 시작하면 같은 난수 순서가 재현됨)
+     * @param {number} seed 32비트 정수 시드
+     */
+    static setSeed(seed) {
+        Utils.seed = seed >>> 0;
+        Utils.randomState = Utils.seed;
+    }
+
+    /**
+     * 현재 난수 시드 반환
+     * @returns {number} 시드
+     */
+    static getSeed() {
+        return Utils.seed;
+    }
+
+    /**
+     * 새 시드 생성 (시드 자체는 재현할 필요가 없으므로 Math.random 사용)
+     * @returns {number} 32비트 정수 시드
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * 시드 기반 난수 (mulberry32)
+     * @returns {number} 0 이상 1 미만의 난수
+     */
+    static nextRandom() {
+        Utils.randomState = (Utils.randomState + 0x6D2B79F5) >>> 0;
+
+        let t = Utils.randomState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
     /**
      * 랜덤 값 생성 (min과 max 사이)
      * @param {number} min 최솟값
@@ -60,7 +99,7 @@ class Utils {
      * @returns {number} 랜덤값
      */
     static random(min, max) {
-        return Math.random() * (max - min) + min;
+        return Utils.nextRandom() * (max - min) + min;
     }
 
     /**
@@ -70,7 +109,7 @@ class Utils {
      * @returns {number} 랜덤 정수
      */
     static randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return Math.floor(Utils.nextRandom() * (max - min + 1)) + min;
     }
 
     /**
@@ -102,6 +141,15 @@ class Utils {
         return radians * 180 / Math.PI;
     }
 
+    /**
+     * 각도를 -π ~ π 범위로 정규화
+     * @param {number} angle 라디안
+     * @returns {number} 정규화된 라디안
+     */
+    static normalizeAngle(angle) {
+        return Math.atan2(Math.sin(angle), Math.cos(angle));
+    }
+
     /**
      * 색상 값을 16진수로 변환
      * @param {number} r 빨강 (0-255)
@@ -218,7 +266,7 @@ class Utils {
      * @param {any} data 추가 데이터
      */
     static debug(message, data = null) {
-        if (window.DEBUG_MODE) {
+        if (typeof window !== 'undefined' && window.DEBUG_MODE) {
             console.log(`[DEBUG] ${message}`, data);
         }
     }
@@ -241,5 +289,10 @@ class Utils {
     }
 }
 
-// 전역 디버그 모드 설정
-window.DEBUG_MODE = true;
\ No newline at end of file
+// 페이지를 열 때마다 새 시드로 시작 (UI에서 확인/변경 가능)
+Utils.setSeed(Utils.createSeed());
+
+// 전역 디버그 모드 설정 (웹 워커에는 window가 없으므로 건너뜀)
+if (typeof window !== 'undefined') {
+    window.DEBUG_MODE = true;
+}
\ No newline at end of file
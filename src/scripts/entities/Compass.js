@@ -0,0 +1,83 @@
+/**
+ * 나침반 클래스
+ * 바닥에 놓인 나침반의 물리 상태(위치, 바늘 방향, 각속도)를 담당
+ * 바늘은 수직축(Y) 기준으로만 돌며 그 자리의 수평 자기장 방향을 가리킴
+ * DOM이나 메시에 의존하지 않아 Node에서도 그대로 사용 가능
+ * 렌더링과 마우스 드래그는 CompassMesh가 처리
+ */
+
+class Compass {
+    constructor(position, options = {}) {
+        // 기본 옵션
+        const defaults = {
+            radius: 0.15, // 나침반 판 반지름
+            needleLength: 0.24, // 바늘 길이
+            needleMass: 0.01,
+            moment: 0.004, // 바늘의 영구 자기모멘트
+            heading: 0, // 처음 바늘 방향 (라디안, 0이면 +X)
+            colors: {
+                north: Magnet.COLORS.north, // 자석 N극과 같은 빨간색
+                south: 0xeeeeee
+            },
+            draggable: true // CompassMesh에서 드래그 가능 여부
+        };
+
+        this.options = { ...defaults, ...options };
+
+        // 기본 속성
+        this.position = position.clone(); // 바늘 중심 (이 위치의 자기장을 측정)
+        this.heading = this.options.heading; // 바늘 N극 방향 (수직축 기준 회전각)
+        this.angularVelocity = 0; // 바늘 각속도 (rad/s)
+        this.moment = this.options.moment;
+
+        // 상호작용 상태 (드래그 중에도 바늘은 계속 돌아감)
+        this.isDragging = false;
+    }
+
+    /**
+     * 바늘 N극이 가리키는 방향 (수평 단위 벡터, Y축 기준 heading만큼 회전한 +X)
+     * @returns {THREE.Vector3} 방향 벡터
+     */
+    getDirection() {
+        return new THREE.Vector3(Math.cos(this.heading), 0, -Math.sin(this.heading));
+    }
+
+    /**
+     * 바늘 방향 설정 (각속도 초기화)
+     * @param {number} heading 회전각 (라디안)
+     */
+    setHeading(heading) {
+        this.heading = Utils.normalizeAngle(heading);
+        this.angularVelocity = 0;
+    }
+
+    /**
+     * 바늘의 수직축 기준 관성 모멘트 (가운데를 축으로 도는 가는 막대)
+     * @returns {number} 관성 모멘트
+     */
+    getMomentOfInertia() {
+        const length = this.options.needleLength;
+        return this.options.needleMass * length * length / 12;
+    }
+
+    /**
+     * 특정 위치로 순간이동
+     * @param {THREE.Vector3} newPosition 새 위치
+     */
+    teleportTo(newPosition) {
+        this.position.copy(newPosition);
+    }
+
+    /**
+     * 나침반 정보 반환 (디버깅용)
+     * @returns {object} 나침반 정보
+     */
+    getInfo() {
+        return {
+            position: this.position.clone(),
+            heading: this.heading,
+            angularVelocity: this.angularVelocity,
+            isDragging: this.isDragging
+        };
+    }
+}
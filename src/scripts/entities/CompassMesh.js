@@ -0,0 +1,186 @@
+/**
+ * 나침반 메시 클래스
+ * Compass의 상태를 Three.js 메시로 그리고, 마우스 드래그를 처리
+ */
+
+class CompassMesh {
+    constructor(compass) {
+        this.compass = compass;
+
+        // 표시 상태
+        this.dragOffset = new THREE.Vector3();
+
+        // 3D 메시 생성
+        this.group = new THREE.Group();
+        this.createMesh();
+        this.update();
+
+        // 마우스 상호작용용
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+    }
+
+    /**
+     * 나침반 판과 바늘 생성
+     * 바늘은 로컬 +X가 N극 (Compass.getDirection과 같은 방향)
+     */
+    createMesh() {
+        const { radius, needleLength, colors } = this.compass.options;
+        const height = this.compass.position.y;
+
+        // 나침반 판 (바닥에서 바늘 바로 아래까지)
+        const baseGeometry = new THREE.CylinderGeometry(radius, radius, height, 32);
+        const baseMaterial = new THREE.MeshStandardMaterial({
+            color: 0xf5f0e1,
+            metalness: 0.1,
+            roughness: 0.8
+        });
+        const baseMesh = new THREE.Mesh(baseGeometry, baseMaterial);
+        baseMesh.position.y = -height / 2;
+
+        // 테두리
+        const rimGeometry = new THREE.TorusGeometry(radius, radius * 0.08, 8, 32);
+        const rimMaterial = new THREE.MeshStandardMaterial({
+            color: 0x555555,
+            metalness: 0.6,
+            roughness: 0.4
+        });
+        const rimMesh = new THREE.Mesh(rimGeometry, rimMaterial);
+        rimMesh.rotation.x = Math.PI / 2;
+
+        // 바늘 (수평으로 눕힌 두 원뿔, N극 빨강 / S극 흰색)
+        const needle = new THREE.Group();
+        const halfLength = needleLength / 2;
+        const needleWidth = needleLength * 0.1;
+
+        const createHalf = (color, direction) => {
+            const geometry = new THREE.ConeGeometry(needleWidth, halfLength, 4);
+            const material = new THREE.MeshStandardMaterial({ color, metalness: 0.3, roughness: 0.5 });
+            const half = new THREE.Mesh(geometry, material);
+            half.rotation.z = -direction * Math.PI / 2; // 원뿔 끝(+Y)을 ±X로
+            half.position.x = direction * halfLength / 2;
+            half.position.y = needleWidth;
+            return half;
+        };
+
+        const northHalf = createHalf(colors.north, 1);
+        const southHalf = createHalf(colors.south, -1);
+        needle.add(northHalf);
+        needle.add(southHalf);
+
+        // 바늘 축
+        const pivotGeometry = new THREE.CylinderGeometry(needleWidth * 0.6, needleWidth * 0.6, needleWidth * 2.5, 12);
+        const pivotMaterial = new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.8, roughness: 0.3 });
+        const pivotMesh = new THREE.Mesh(pivotGeometry, pivotMaterial);
+        pivotMesh.position.y = needleWidth;
+
+        this.group.add(baseMesh);
+        this.group.add(rimMesh);
+        this.group.add(needle);
+        this.group.add(pivotMesh);
+
+        this.needle = needle;
+
+        // 사용자 데이터 설정
+        this.group.userData.type = 'compass';
+        this.group.userData.compass = this.compass;
+
+        // 그림자 설정
+        this.group.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+    }
+
+    /**
+     * 나침반 상태를 메시에 반영
+     */
+    update() {
+        this.group.position.copy(this.compass.position);
+        this.needle.rotation.y = this.compass.heading;
+    }
+
+    /**
+     * 마우스 다운 이벤트 처리
+     * @param {Event} event 마우스 이벤트
+     * @param {THREE.Camera} camera 카메라
+     * @returns {boolean} 나침반을 잡았는지 여부
+     */
+    onMouseDown(event, camera) {
+        if (!this.compass.options.draggable) return false;
+
+        // 레이캐스팅으로 클릭 감지
+        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+
+        this.raycaster.setFromCamera(this.mouse, camera);
+        const intersects = this.raycaster.intersectObject(this.group, true);
+
+        if (intersects.length > 0) {
+            this.compass.isDragging = true;
+
+            // 드래그 오프셋 계산
+            this.dragOffset.subVectors(this.compass.position, intersects[0].point);
+
+            document.body.style.cursor = 'grabbing';
+            event.stopPropagation();
+
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * 마우스 이동 이벤트 처리
+     * @param {Event} event 마우스 이벤트
+     * @param {THREE.Camera} camera 카메라
+     * @param {THREE.Plane} groundPlane 바닥 평면
+     */
+    onMouseMove(event, camera, groundPlane) {
+        if (!this.compass.isDragging) return;
+
+        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+
+        this.raycaster.setFromCamera(this.mouse, camera);
+
+        const intersectPoint = new THREE.Vector3();
+        if (this.raycaster.ray.intersectPlane(groundPlane, intersectPoint)) {
+            // 바늘 높이는 그대로 유지
+            intersectPoint.add(this.dragOffset);
+            intersectPoint.y = this.compass.position.y;
+
+            this.compass.position.copy(intersectPoint);
+        }
+    }
+
+    /**
+     * 마우스 업 이벤트 처리
+     */
+    onMouseUp() {
+        if (this.compass.isDragging) {
+            this.compass.isDragging = false;
+            document.body.style.cursor = 'default';
+        }
+    }
+
+    /**
+     * 메시 제거
+     */
+    dispose() {
+        if (this.group.parent) {
+            this.group.parent.remove(this.group);
+        }
+
+        // 메모리 정리
+        this.group.traverse((child) => {
+            if (child.isMesh) {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            }
+        });
+    }
+}
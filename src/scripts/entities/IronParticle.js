@@ -1,17 +1,20 @@
 /**
  * 철가루 입자 클래스
- * 개별 철가루 입자의 물리 속성과 렌더링을 담당
+ * 개별 철가루 입자의 물리 속성과 표시 상태(색상, 크기)를 담당
+ * ParticleSystem은 타입 배열에 저장된 입자를 이 클래스의 임시 객체로 읽어 계산
+ * 실제 렌더링은 IronParticleMesh가 모든 입자를 모아 한 번에 처리
  */
 
 class IronParticle {
     constructor(position, options = {}) {
         // 기본 옵션
         const defaults = {
-            radius: 0.02,
+            radius: 0.02, // 충돌 판정 반지름
+            length: 0.08, // 바늘 길이
+            thickness: 0.012, // 바늘 굵기
             mass: 0.1,
             color: 0x2C2C2C, // 어두운 회색 (철 색상)
-            metalness: 0.8,
-            roughness: 0.2
+            magnetizedThreshold: 0.0002 // 이 이상의 자기모멘트면 자기화된 것으로 간주
         };
 
         this.options = { ...defaults, ...options };
@@ -23,63 +26,39 @@ class IronParticle {
         this.mass = this.options.mass;
         this.radius = this.options.radius;
 
+        // 회전 상태 (바늘의 긴 축 방향, 뿌려질 때는 바닥에 누운 임의 방향)
+        const angle = Utils.random(0, Math.PI * 2);
+        this.orientation = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
+        this.angularVelocity = new THREE.Vector3(0, 0, 0);
+
         // 생명주기
         this.age = 0;
         this.maxAge = Infinity; // 기본적으로 무한 생존
         this.isDead = false;
 
         // 상태
-        this.isAttractedToMagnet = false;
-        this.currentMagnet = null;
         this.stuckToGround = false;
 
-        // 3D 메시 생성
-        this.mesh = this.createMesh();
+        // 자기화 상태 (외부 자기장에 의해 유도된 자기모멘트)
+        this.magneticMoment = new THREE.Vector3(0, 0, 0);
+        this.isMagnetized = false;
+
+        // 표시 상태 (IronParticleMesh가 인스턴스 색상/스케일로 사용)
+        this.color = new THREE.Color(this.options.color);
+        this.scale = 1;
 
         // 성능 최적화용 플래그
         this.needsUpdate = true;
         this.lastUpdateTime = 0;
     }
 
-    /**
-     * 3D 메시 생성
-     * @returns {THREE.Mesh} 철가루 메시
-     */
-    createMesh() {
-        // 구체 지오메트리 (낮은 디테일로 성능 최적화)
-        const geometry = new THREE.SphereGeometry(this.radius, 8, 6);
-
-        // 철 재질
-        const material = new THREE.MeshStandardMaterial({
-            color: this.options.color,
-            metalness: this.options.metalness,
-            roughness: this.options.roughness,
-            envMapIntensity: 0.5
-        });
-
-        const mesh = new THREE.Mesh(geometry, material);
-
-        // 위치 설정
-        mesh.position.copy(this.position);
-
-        // 그림자 설정
-        mesh.castShadow = true;
-        mesh.receiveShadow = false;
-
-        // 사용자 데이터 설정 (식별용)
-        mesh.userData.type = 'ironParticle';
-        mesh.userData.particle = this;
-
-        return mesh;
-    }
-
     /**
      * 입자 물리 업데이트
      * @param {number} deltaTime 프레임 간격
-     * @param {Array} magnets 자석 배열
+     * @param {Array} poles 자극 배열 (Physics.collectPoles 결과)
      * @param {Physics} physics 물리 엔진
      */
-    update(deltaTime, magnets, physics) {
+    update(deltaTime, poles, physics) {
         if (this.isDead) return;
 
         // 나이 증가
@@ -92,13 +71,7 @@ class IronParticle {
         }
 
         // 물리 계산
-        physics.updateParticle(this, magnets, deltaTime);
-
-        // 메시 위치 업데이트
-        this.updateMesh();
-
-        // 자석 상호작용 체크
-        this.checkMagnetInteraction(magnets);
+        physics.updateParticle(this, poles, deltaTime);
 
         // 바닥에 붙어있는지 체크
         this.checkGroundStick();
@@ -107,50 +80,11 @@ class IronParticle {
     }
 
     /**
-     * 메시 위치 업데이트
+     * 긴 축에 수직인 축 기준 관성 모멘트 (가는 막대 근사)
+     * @returns {number} 관성 모멘트
      */
-    updateMesh() {
-        if (this.mesh) {
-            this.mesh.position.copy(this.position);
-
-            // 속도에 따른 회전 효과 (시각적 개선)
-            if (this.velocity.length() > 0.1) {
-                this.mesh.rotation.x += this.velocity.y * 0.1;
-                this.mesh.rotation.z += this.velocity.x * 0.1;
-            }
-        }
-    }
-
-    /**
-     * 자석과의 상호작용 체크
-     * @param {Array} magnets 자석 배열
-     */
-    checkMagnetInteraction(magnets) {
-        let closestMagnet = null;
-        let closestDistance = Infinity;
-
-        magnets.forEach(magnet => {
-            const distance = Utils.distance(this.position, magnet.position);
-
-            if (distance < closestDistance) {
-                closestDistance = distance;
-                closestMagnet = magnet;
-            }
-        });
-
-        // 자석에 매우 가까우면 끌어당김 상태
-        if (closestDistance < 0.5) {
-            this.isAttractedToMagnet = true;
-            this.currentMagnet = closestMagnet;
-
-            // 자석에 붙어버림 (매우 가까울 때)
-            if (closestDistance < 0.1) {
-                this.velocity.multiplyScalar(0.1); // 급속히 감속
-            }
-        } else {
-            this.isAttractedToMagnet = false;
-            this.currentMagnet = null;
-        }
+    getMomentOfInertia() {
+        return this.mass * this.options.length * this.options.length / 12;
     }
 
     /**
@@ -193,7 +127,7 @@ class IronParticle {
     teleportTo(newPosition) {
         this.position.copy(newPosition);
         this.velocity.set(0, 0, 0);
-        this.updateMesh();
+        this.angularVelocity.set(0, 0, 0);
     }
 
     /**
@@ -201,9 +135,7 @@ class IronParticle {
      * @param {number} color 새 색상 (16진수)
      */
     setColor(color) {
-        if (this.mesh && this.mesh.material) {
-            this.mesh.material.color.setHex(color);
-        }
+        this.color.setHex(color);
     }
 
     /**
@@ -211,28 +143,36 @@ class IronParticle {
      * @param {number} scale 스케일 배율
      */
     setScale(scale) {
-        if (this.mesh) {
-            this.mesh.scale.setScalar(scale);
-        }
+        this.scale = scale;
     }
 
     /**
      * 자기화 효과 (자석 근처에서)
+     * 자기화된 입자는 다른 입자를 끌어당김 (Physics.handleParticleDipoleInteraction)
+     * @param {THREE.Vector3} moment 유도 자기모멘트
      */
-    magnetize() {
-        if (!this.isAttractedToMagnet) return;
+    magnetize(moment) {
+        this.magneticMoment.copy(moment);
 
-        // 자기화된 입자는 색상이 약간 변함
-        this.setColor(0x1a1a1a); // 더 어두운 색상
+        const magnetized = moment.length() > this.options.magnetizedThreshold;
+        if (magnetized === this.isMagnetized) return;
 
-        // 자기화된 입자는 다른 입자를 약간 끌어당김
-        // (구현 시 다른 입자들과의 상호작용에서 처리)
+        if (magnetized) {
+            // 자기화된 입자는 색상이 약간 변함
+            this.isMagnetized = true;
+            this.setColor(0x1a1a1a); // 더 어두운 색상
+        } else {
+            this.demagnetize();
+        }
     }
 
     /**
      * 자기화 해제
      */
     demagnetize() {
+        this.magneticMoment.set(0, 0, 0);
+        this.isMagnetized = false;
+
         // 원래 색상으로 복원
         this.setColor(this.options.color);
     }
@@ -255,22 +195,8 @@ class IronParticle {
      * 입자 제거
      */
     kill() {
+        // 입자 배열에서의 제거는 파티클 시스템에서 처리
         this.isDead = true;
-
-        // 메시 제거는 파티클 시스템에서 처리
-        if (this.mesh && this.mesh.parent) {
-            this.mesh.parent.remove(this.mesh);
-        }
-
-        // 메모리 정리
-        if (this.mesh) {
-            if (this.mesh.geometry) {
-                this.mesh.geometry.dispose();
-            }
-            if (this.mesh.material) {
-                this.mesh.material.dispose();
-            }
-        }
     }
 
     /**
@@ -291,11 +217,17 @@ class IronParticle {
         return {
             position: this.position.clone(),
             velocity: this.velocity.clone(),
+            orientation: this.orientation.clone(),
+            angularVelocity: this.angularVelocity.clone(),
             mass: this.mass,
             age: this.age,
-            isAttracted: this.isAttractedToMagnet,
+            magneticMoment: this.magneticMoment.clone(),
+            isMagnetized: this.isMagnetized,
             stuckToGround: this.stuckToGround,
             isDead: this.isDead
         };
     }
-}
\ No newline at end of file
+}
+
+// 바늘의 긴 축 (IronParticleMesh 지오메트리 기준 축)
+IronParticle.NEEDLE_AXIS = new THREE.Vector3(0, 1, 0);
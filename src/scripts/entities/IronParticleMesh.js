@@ -0,0 +1,111 @@
+/**
+ * 철가루 인스턴스 렌더러 클래스
+ * 모든 철가루를 하나의 InstancedMesh로 그려 드로우 콜 하나로 수만 개를 렌더링
+ */
+
+class IronParticleMesh {
+    constructor(capacity, options = {}) {
+        // 기본 옵션
+        const defaults = {
+            length: 0.08, // 바늘 길이 (IronParticle과 동일)
+            thickness: 0.012, // 바늘 굵기
+            color: 0x2C2C2C, // 어두운 회색 (철 색상)
+            magnetizedColor: 0x1a1a1a, // 자기화된 입자는 더 어두운 색상
+            metalness: 0.8,
+            roughness: 0.2
+        };
+
+        this.options = { ...defaults, ...options };
+        this.capacity = capacity;
+
+        // 인스턴스 변환 계산용 임시 객체 (매 프레임 재사용)
+        this.matrix = new THREE.Matrix4();
+        this.position = new THREE.Vector3();
+        this.orientation = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+        this.scale = new THREE.Vector3(
+            this.options.thickness,
+            this.options.length,
+            this.options.thickness
+        );
+
+        // 자기화 여부(0/1)로 고르는 인스턴스 색상
+        this.colors = [
+            new THREE.Color(this.options.color),
+            new THREE.Color(this.options.magnetizedColor)
+        ];
+
+        this.mesh = this.createMesh();
+    }
+
+    /**
+     * InstancedMesh 생성
+     * @returns {THREE.InstancedMesh} 철가루 인스턴스 메시
+     */
+    createMesh() {
+        // 단위 바늘 지오메트리 (지름 1, 길이 1, 긴 축 = 로컬 Y)
+        // 입자별 굵기/길이는 인스턴스 스케일로 적용
+        const geometry = new THREE.CylinderGeometry(0.5, 0.5, 1, 5);
+
+        // 철 재질 (색상은 인스턴스 색상으로 지정하므로 흰색)
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            metalness: this.options.metalness,
+            roughness: this.options.roughness,
+            envMapIntensity: 0.5
+        });
+
+        const mesh = new THREE.InstancedMesh(geometry, material, this.capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.setColorAt(0, new THREE.Color()); // instanceColor 버퍼 생성
+        mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        mesh.count = 0;
+
+        // 인스턴스가 바닥 전체에 흩어져 있으므로 지오메트리 기준 컬링 비활성화
+        mesh.frustumCulled = false;
+
+        // 그림자 설정
+        mesh.castShadow = true;
+        mesh.receiveShadow = false;
+
+        // 사용자 데이터 설정 (식별용)
+        mesh.userData.type = 'ironParticles';
+
+        return mesh;
+    }
+
+    /**
+     * 렌더 상태로부터 인스턴스 변환/색상 갱신
+     * @param {object} state 렌더 상태 {count, positions, orientations, magnetized}
+     */
+    update(state) {
+        const count = Math.min(state.count, this.capacity);
+
+        for (let i = 0; i < count; i++) {
+            this.position.fromArray(state.positions, i * 3);
+            this.orientation.fromArray(state.orientations, i * 3);
+            this.quaternion.setFromUnitVectors(IronParticle.NEEDLE_AXIS, this.orientation);
+
+            this.matrix.compose(this.position, this.quaternion, this.scale);
+            this.mesh.setMatrixAt(i, this.matrix);
+            this.mesh.setColorAt(i, this.colors[state.magnetized[i]]);
+        }
+
+        this.mesh.count = count;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * 리소스 정리
+     */
+    dispose() {
+        if (this.mesh.parent) {
+            this.mesh.parent.remove(this.mesh);
+        }
+
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.mesh.dispose();
+    }
+}
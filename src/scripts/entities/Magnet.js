@@ -1,6 +1,8 @@
 /**
  * 자석 클래스
- * 자석의 물리 속성, 렌더링, 상호작용을 담당
+ * 자석의 물리 상태(종류, 위치, 회전, 세기, 운동 상태)를 담당
+ * DOM이나 메시에 의존하지 않아 Node에서도 그대로 사용 가능
+ * 렌더링과 마우스 드래그는 MagnetMesh가 처리
  */
 
 class Magnet {
@@ -8,368 +10,242 @@ class Magnet {
         // 기본 옵션
         const defaults = {
             strength: 1.0,
-            size: { width: 0.3, height: 1.0, depth: 0.3 },
-            colors: {
-                north: 0xff4444, // 빨간색 (N극)
-                south: 0x4444ff  // 파란색 (S극)
-            },
-            draggable: true
+            size: { ...Magnet.SIZE_DEFAULTS.size },
+            ring: { ...Magnet.SIZE_DEFAULTS.ring },
+            horseshoe: { ...Magnet.SIZE_DEFAULTS.horseshoe },
+            solenoid: { ...Magnet.SIZE_DEFAULTS.solenoid },
+            wire: { ...Magnet.SIZE_DEFAULTS.wire },
+            loop: { ...Magnet.SIZE_DEFAULTS.loop },
+            current: 1.0, // 전류원(전자석, 도선) 전류 (A, 음수면 반대 방향)
+            colors: { ...Magnet.COLORS },
+            polarity: 1, // 영구자석 극성 (-1이면 N극과 S극이 뒤바뀜, 전류원은 전류 부호로 뒤집음)
+            mass: 0.2,
+            draggable: true // MagnetMesh에서 드래그 가능 여부
         };
 
         this.options = { ...defaults, ...options };
 
         // 기본 속성
-        this.type = type; // 'bar', 'ring', 'horseshoe'
+        this.type = type; // 'bar', 'ring', 'horseshoe', 'solenoid', 'wire', 'loop'
         this.position = position.clone();
         this.rotation = new THREE.Euler(0, 0, 0);
-        this.strength = this.options.strength;
+        this.strength = this.options.strength; // 영구자석 세기 (전류원은 current 사용)
+        this.current = this.options.current;
 
-        // 상호작용 상태
-        this.isDragging = false;
-        this.isHovered = false;
-        this.dragOffset = new THREE.Vector3();
-
-        // 3D 메시 생성
-        this.group = new THREE.Group();
-        this.createMesh();
+        // 강체 운동 상태 (자석 간 상호작용 시 사용)
+        this.mass = this.options.mass;
+        this.velocity = new THREE.Vector3(0, 0, 0);
+        this.angularVelocity = 0; // 수직축(Y) 기준 각속도 (rad/s)
 
-        // 마우스 상호작용용
-        this.raycaster = new THREE.Raycaster();
-        this.mouse = new THREE.Vector2();
+        // 상호작용 상태 (드래그 중인 자석은 자석 간 힘으로 움직이지 않음)
+        this.isDragging = false;
+    }
 
-        // 이벤트 바인딩
-        this.onMouseDown = this.onMouseDown.bind(this);
-        this.onMouseMove = this.onMouseMove.bind(this);
-        this.onMouseUp = this.onMouseUp.bind(this);
+    /**
+     * 자석 세기 설정
+     * @param {number} strength 세기 (Magnet.MIN_STRENGTH ~ Magnet.MAX_STRENGTH)
+     */
+    setStrength(strength) {
+        this.strength = Utils.clamp(strength, Magnet.MIN_STRENGTH, Magnet.MAX_STRENGTH);
     }
 
     /**
-     * 자석 타입에 따른 3D 메시 생성
+     * 극 세기 (영구자석 세기에 극성 부호를 붙인 값, 자하 계산용)
+     * @returns {number} 극 세기
      */
-    createMesh() {
-        this.group.position.copy(this.position);
+    getPoleStrength() {
+        return this.strength * this.options.polarity;
+    }
 
-        switch (this.type) {
-            case 'bar':
-                this.createBarMagnet();
-                break;
-            case 'ring':
-                this.createRingMagnet();
-                break;
-            case 'horseshoe':
-                this.createHorseshoeMagnet();
-                break;
-            default:
-                this.createBarMagnet();
+    /**
+     * 극성 뒤집기 (영구자석은 N극과 S극을 맞바꾸고 전류원은 전류 방향을 바꿈)
+     */
+    flipPolarity() {
+        if (this.isCurrentSource()) {
+            this.setCurrent(-this.current);
+        } else {
+            this.options.polarity = -this.options.polarity;
         }
-
-        // 사용자 데이터 설정
-        this.group.userData.type = 'magnet';
-        this.group.userData.magnet = this;
-
-        // 그림자 설정
-        this.group.traverse((child) => {
-            if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
-            }
-        });
     }
 
     /**
-     * 막대자석 생성
+     * 자석 종류 바꾸기 (크기 배율은 유지하고 새 종류의 바닥 위 자세로 놓음)
+     * @param {string} type 새 자석 타입
      */
-    createBarMagnet() {
-        const { width, height, depth } = this.options.size;
-        const halfHeight = height / 2;
-
-        // N극 (빨간색, 위쪽)
-        const northGeometry = new THREE.BoxGeometry(width, halfHeight, depth);
-        const northMaterial = new THREE.MeshStandardMaterial({
-            color: this.options.colors.north,
-            metalness: 0.7,
-            roughness: 0.3
-        });
-        const northMesh = new THREE.Mesh(northGeometry, northMaterial);
-        northMesh.position.y = halfHeight / 2;
-
-        // S극 (파란색, 아래쪽)
-        const southGeometry = new THREE.BoxGeometry(width, halfHeight, depth);
-        const southMaterial = new THREE.MeshStandardMaterial({
-            color: this.options.colors.south,
-            metalness: 0.7,
-            roughness: 0.3
-        });
-        const southMesh = new THREE.Mesh(southGeometry, southMaterial);
-        southMesh.position.y = -halfHeight / 2;
-
-        // 극 표시 텍스트 (선택적)
-        this.addPoleLabels(northMesh, southMesh);
+    setType(type) {
+        const scale = this.getScale();
+        const pose = Magnet.FLOOR_POSES[type];
 
-        this.group.add(northMesh);
-        this.group.add(southMesh);
+        this.type = type;
+        this.position.y = pose.height * this.getScale();
+        this.setRotation(...pose.rotation);
+        this.setScale(scale);
 
-        // 메시 참조 저장
-        this.northMesh = northMesh;
-        this.southMesh = southMesh;
+        this.velocity.set(0, 0, 0);
+        this.angularVelocity = 0;
     }
 
     /**
-     * 고리자석 생성
+     * 기본 크기에 대한 배율 (종류별 대표 치수로 계산)
+     * @returns {number} 배율
      */
-    createRingMagnet() {
-        const outerRadius = 0.6;
-        const innerRadius = 0.3;
-        const height = 0.2;
-
-        // 외부 고리 (N극)
-        const outerGeometry = new THREE.CylinderGeometry(outerRadius, outerRadius, height, 16);
-        const outerMaterial = new THREE.MeshStandardMaterial({
-            color: this.options.colors.north,
-            metalness: 0.7,
-            roughness: 0.3
-        });
-        const outerMesh = new THREE.Mesh(outerGeometry, outerMaterial);
-
-        // 내부 구멍 (S극)
-        const innerGeometry = new THREE.CylinderGeometry(innerRadius, innerRadius, height + 0.01, 16);
-        const innerMaterial = new THREE.MeshStandardMaterial({
-            color: this.options.colors.south,
-            metalness: 0.7,
-            roughness: 0.3
-        });
-        const innerMesh = new THREE.Mesh(innerGeometry, innerMaterial);
-
-        // 불린 연산으로 고리 모양 만들기 (간단한 방법)
-        this.group.add(outerMesh);
-        this.group.add(innerMesh);
+    getScale() {
+        const [group, key] = Magnet.SIZE_OPTIONS[this.type];
 
-        this.northMesh = outerMesh;
-        this.southMesh = innerMesh;
+        return this.options[group][key] / Magnet.SIZE_DEFAULTS[group][key];
     }
 
     /**
-     * 말굽자석 생성
+     * 크기 배율 설정 (자석의 치수를 모두 같은 비율로 늘이거나 줄여 비율을 유지하고, 바닥에 놓인 높이도 맞춤)
+     * 솔레노이드 감은 수는 바꾸지 않음
+     * @param {number} scale 배율 (Magnet.MIN_SCALE ~ Magnet.MAX_SCALE)
      */
-    createHorseshoeMagnet() {
-        const radius = 0.5;
-        const thickness = 0.1;
-        const height = 0.8;
-
-        // U자 모양의 곡선 생성
-        const curve = new THREE.QuadraticBezierCurve3(
-            new THREE.Vector3(-radius, 0, 0),
-            new THREE.Vector3(0, -radius, 0),
-            new THREE.Vector3(radius, 0, 0)
-        );
-
-        // 곡선을 따라 튜브 생성
-        const tubeGeometry = new THREE.TubeGeometry(curve, 20, thickness, 8, false);
-        const tubeMaterial = new THREE.MeshStandardMaterial({
-            color: 0x888888, // 회색 (기본 철)
-            metalness: 0.8,
-            roughness: 0.2
-        });
-        const tubeMesh = new THREE.Mesh(tubeGeometry, tubeMaterial);
-
-        // 양쪽 끝에 극 표시
-        const poleRadius = thickness * 1.5;
+    setScale(scale) {
+        scale = Utils.clamp(scale, Magnet.MIN_SCALE, Magnet.MAX_SCALE);
 
-        // N극 (왼쪽 끝)
-        const northGeometry = new THREE.SphereGeometry(poleRadius, 8, 8);
-        const northMaterial = new THREE.MeshStandardMaterial({
-            color: this.options.colors.north
-        });
-        const northMesh = new THREE.Mesh(northGeometry, northMaterial);
-        northMesh.position.set(-radius, 0, 0);
+        const [group] = Magnet.SIZE_OPTIONS[this.type];
+        const ratio = scale / this.getScale();
+        const sized = { ...this.options[group] };
 
-        // S극 (오른쪽 끝)
-        const southGeometry = new THREE.SphereGeometry(poleRadius, 8, 8);
-        const southMaterial = new THREE.MeshStandardMaterial({
-            color: this.options.colors.south
+        Object.keys(sized).forEach(key => {
+            if (key !== 'turns') {
+                sized[key] *= ratio;
+            }
         });
-        const southMesh = new THREE.Mesh(southGeometry, southMaterial);
-        southMesh.position.set(radius, 0, 0);
 
-        this.group.add(tubeMesh);
-        this.group.add(northMesh);
-        this.group.add(southMesh);
-
-        this.northMesh = northMesh;
-        this.southMesh = southMesh;
-        this.bodyMesh = tubeMesh;
+        this.position.y *= ratio;
+        this.options[group] = sized;
     }
 
     /**
-     * 극 표시 라벨 추가
-     * @param {THREE.Mesh} northMesh N극 메시
-     * @param {THREE.Mesh} southMesh S극 메시
+     * 전류원 전류 설정 (0이면 자기장 없음, 부호를 바꾸면 자기장 방향이 뒤바뀜)
+     * @param {number} current 전류 (-Magnet.MAX_CURRENT ~ Magnet.MAX_CURRENT)
      */
-    addPoleLabels(northMesh, southMesh) {
-        // 텍스트는 복잡하므로 간단한 기하학적 표시로 대체
-
-        // N극 표시 (작은 큐브)
-        const nLabelGeometry = new THREE.BoxGeometry(0.05, 0.05, 0.05);
-        const nLabelMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
-        const nLabel = new THREE.Mesh(nLabelGeometry, nLabelMaterial);
-        nLabel.position.set(0, 0, this.options.size.depth / 2 + 0.03);
-        northMesh.add(nLabel);
-
-        // S극 표시 (작은 구)
-        const sLabelGeometry = new THREE.SphereGeometry(0.025, 8, 8);
-        const sLabelMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
-        const sLabel = new THREE.Mesh(sLabelGeometry, sLabelMaterial);
-        sLabel.position.set(0, 0, this.options.size.depth / 2 + 0.03);
-        southMesh.add(sLabel);
+    setCurrent(current) {
+        this.current = Utils.clamp(current, -Magnet.MAX_CURRENT, Magnet.MAX_CURRENT);
     }
 
     /**
-     * 자석 업데이트
-     * @param {number} deltaTime 프레임 간격
+     * 전류를 흘려 자기장을 만드는 전류원(전자석, 직선 도선, 원형 도선)인지 여부
+     * @returns {boolean} 전류원 여부
      */
-    update(deltaTime) {
-        // 호버 효과
-        if (this.isHovered) {
-            this.group.scale.setScalar(1.05);
-        } else {
-            this.group.scale.setScalar(1.0);
-        }
-
-        // 드래그 중일 때 약간의 회전 효과
-        if (this.isDragging) {
-            this.group.rotation.y += deltaTime * 0.5;
-        }
-
-        // 위치 동기화
-        this.group.position.copy(this.position);
+    isCurrentSource() {
+        return Magnet.CURRENT_SOURCE_TYPES.includes(this.type);
     }
 
     /**
-     * 마우스 다운 이벤트 처리
-     * @param {Event} event 마우스 이벤트
-     * @param {THREE.Camera} camera 카메라
+     * 자석 회전
+     * @param {number} x X축 회전 (라디안)
+     * @param {number} y Y축 회전 (라디안)
+     * @param {number} z Z축 회전 (라디안)
      */
-    onMouseDown(event, camera) {
-        if (!this.options.draggable) return;
-
-        // 레이캐스팅으로 클릭 감지
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-
-        this.raycaster.setFromCamera(this.mouse, camera);
-        const intersects = this.raycaster.intersectObject(this.group, true);
-
-        if (intersects.length > 0) {
-            this.isDragging = true;
-
-            // 드래그 오프셋 계산
-            const intersectPoint = intersects[0].point;
-            this.dragOffset.subVectors(this.position, intersectPoint);
-
-            // 커서 변경
-            document.body.style.cursor = 'grabbing';
-
-            // 이벤트 전파 방지
-            event.stopPropagation();
-
-            return true; // 클릭됨을 표시
-        }
-
-        return false;
+    setRotation(x, y, z) {
+        this.rotation.set(x, y, z);
     }
 
     /**
-     * 마우스 이동 이벤트 처리
-     * @param {Event} event 마우스 이벤트
-     * @param {THREE.Camera} camera 카메라
-     * @param {THREE.Plane} groundPlane 바닥 평면
+     * 월드 수직축(Y) 기준으로 지금 방향에서 더 회전 (눕힌 자석도 바닥에 누운 채로 돎)
+     * @param {number} angle 회전 각도 (라디안, 위에서 볼 때 반시계)
      */
-    onMouseMove(event, camera, groundPlane) {
-        if (!this.isDragging) return;
-
-        // 마우스 위치를 월드 좌표로 변환
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-
-        this.raycaster.setFromCamera(this.mouse, camera);
-
-        const intersectPoint = new THREE.Vector3();
-        this.raycaster.ray.intersectPlane(groundPlane, intersectPoint);
-
-        if (intersectPoint) {
-            // 새 위치 계산
-            const newPosition = intersectPoint.add(this.dragOffset);
-
-            // Y 위치는 자석 높이의 절반으로 고정
-            newPosition.y = this.options.size.height / 2;
-
-            this.position.copy(newPosition);
-        }
+    rotateAroundVertical(angle) {
+        const spin = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+        const orientation = new THREE.Quaternion().setFromEuler(this.rotation).premultiply(spin);
+        this.rotation.setFromQuaternion(orientation);
     }
 
     /**
-     * 마우스 업 이벤트 처리
+     * 특정 위치로 순간이동
+     * @param {THREE.Vector3} newPosition 새 위치
      */
-    onMouseUp() {
-        if (this.isDragging) {
-            this.isDragging = false;
-            document.body.style.cursor = 'default';
-        }
+    teleportTo(newPosition) {
+        this.position.copy(newPosition);
+        this.velocity.set(0, 0, 0);
+        this.angularVelocity = 0;
     }
 
     /**
-     * 호버 상태 설정
-     * @param {boolean} hovered 호버 여부
+     * 수평면 위 충돌 판정용 경계 반지름
+     * @returns {number} 반지름
      */
-    setHovered(hovered) {
-        this.isHovered = hovered;
-
-        if (hovered) {
-            document.body.style.cursor = 'grab';
-        } else {
-            document.body.style.cursor = 'default';
+    getBoundingRadius() {
+        switch (this.type) {
+            case 'ring':
+                return this.options.ring.outerRadius;
+            case 'horseshoe':
+                return this.options.horseshoe.radius + this.options.horseshoe.thickness * 1.5;
+            case 'solenoid': {
+                const { radius, length, wireRadius } = this.options.solenoid;
+                return Math.max(radius + wireRadius, length / 2);
+            }
+            case 'wire': {
+                // 긴 도선은 세워 두는 경우가 많으므로 도선 축의 수평 성분만 반영
+                const { length, radius } = this.options.wire;
+                const axis = this.getAxis();
+                return Math.hypot(axis.x, axis.z) * length / 2 + radius;
+            }
+            case 'loop':
+                return this.options.loop.radius + this.options.loop.wireRadius;
+            case 'bar':
+            default: {
+                const { width, height, depth } = this.options.size;
+                return Math.max(width, height, depth) / 2;
+            }
         }
     }
 
     /**
-     * 자석 세기 설정
-     * @param {number} strength 세기 (0.1 ~ 2.0)
+     * 수직축(Y) 기준 관성 모멘트 (단순 형상 근사)
+     * @returns {number} 관성 모멘트
      */
-    setStrength(strength) {
-        this.strength = Utils.clamp(strength, 0.1, 2.0);
-
-        // 시각적 피드백 (세기에 따른 발광 효과)
-        const emissiveIntensity = Utils.map(this.strength, 0.1, 2.0, 0, 0.3);
-
-        if (this.northMesh && this.northMesh.material) {
-            this.northMesh.material.emissive.setHex(0x330000);
-            this.northMesh.material.emissiveIntensity = emissiveIntensity;
-        }
-
-        if (this.southMesh && this.southMesh.material) {
-            this.southMesh.material.emissive.setHex(0x000033);
-            this.southMesh.material.emissiveIntensity = emissiveIntensity;
+    getMomentOfInertia() {
+        switch (this.type) {
+            case 'ring': {
+                const { outerRadius, innerRadius } = this.options.ring;
+                return this.mass * (outerRadius * outerRadius + innerRadius * innerRadius) / 2;
+            }
+            case 'horseshoe': {
+                const { radius } = this.options.horseshoe;
+                return this.mass * radius * radius;
+            }
+            case 'solenoid': {
+                // 눕혀 놓은 원통 코일 (길이 방향 회전)
+                const { radius, length } = this.options.solenoid;
+                return this.mass * (3 * radius * radius + length * length) / 12;
+            }
+            case 'wire': {
+                // 가는 막대 (길이 방향 회전)
+                const { length } = this.options.wire;
+                return this.mass * length * length / 12;
+            }
+            case 'loop': {
+                // 세워 놓은 고리 (지름 축 회전)
+                const { radius } = this.options.loop;
+                return this.mass * radius * radius / 2;
+            }
+            case 'bar':
+            default: {
+                // 눕혀 놓은 막대 기준 (길이 방향 회전)
+                const length = this.options.size.height;
+                return this.mass * length * length / 12;
+            }
         }
     }
 
     /**
-     * 자석 회전
-     * @param {number} x X축 회전 (라디안)
-     * @param {number} y Y축 회전 (라디안)
-     * @param {number} z Z축 회전 (라디안)
+     * 자석의 중심축 방향 계산 (S → N, 회전 반영)
+     * @returns {THREE.Vector3} 단위 방향 벡터
      */
-    setRotation(x, y, z) {
-        this.rotation.set(x, y, z);
-        this.group.rotation.copy(this.rotation);
+    getAxis() {
+        return new THREE.Vector3(0, 1, 0).applyEuler(this.rotation);
     }
 
     /**
-     * 특정 위치로 순간이동
-     * @param {THREE.Vector3} newPosition 새 위치
+     * 자석 로컬 좌표를 월드 좌표로 변환
+     * @param {THREE.Vector3} localPoint 로컬 좌표
+     * @returns {THREE.Vector3} 월드 좌표
      */
-    teleportTo(newPosition) {
-        this.position.copy(newPosition);
-        this.group.position.copy(this.position);
+    localToWorld(localPoint) {
+        return localPoint.clone().applyEuler(this.rotation).add(this.position);
     }
 
     /**
@@ -379,11 +255,17 @@ class Magnet {
     getNorthPolePosition() {
         switch (this.type) {
             case 'bar':
-                return this.position.clone().add(new THREE.Vector3(0, this.options.size.height / 4, 0));
+                return this.localToWorld(new THREE.Vector3(0, this.options.size.height / 4, 0));
             case 'ring':
                 return this.position.clone();
             case 'horseshoe':
-                return this.position.clone().add(new THREE.Vector3(-0.5, 0, 0));
+                return this.localToWorld(new THREE.Vector3(-this.options.horseshoe.radius, 0, 0));
+            case 'solenoid':
+                // 오른나사 법칙: 전류가 양수면 +Y 끝이 N극
+                return this.localToWorld(new THREE.Vector3(0, Math.sign(this.current) * this.options.solenoid.length / 2, 0));
+            case 'loop':
+                // 고리면을 지나는 자기장이 나가는 쪽
+                return this.localToWorld(new THREE.Vector3(0, Math.sign(this.current) * this.options.loop.radius / 2, 0));
             default:
                 return this.position.clone();
         }
@@ -396,11 +278,15 @@ class Magnet {
     getSouthPolePosition() {
         switch (this.type) {
             case 'bar':
-                return this.position.clone().add(new THREE.Vector3(0, -this.options.size.height / 4, 0));
+                return this.localToWorld(new THREE.Vector3(0, -this.options.size.height / 4, 0));
             case 'ring':
                 return this.position.clone();
             case 'horseshoe':
-                return this.position.clone().add(new THREE.Vector3(0.5, 0, 0));
+                return this.localToWorld(new THREE.Vector3(this.options.horseshoe.radius, 0, 0));
+            case 'solenoid':
+                return this.localToWorld(new THREE.Vector3(0, -Math.sign(this.current) * this.options.solenoid.length / 2, 0));
+            case 'loop':
+                return this.localToWorld(new THREE.Vector3(0, -Math.sign(this.current) * this.options.loop.radius / 2, 0));
             default:
                 return this.position.clone();
         }
@@ -416,26 +302,73 @@ class Magnet {
             position: this.position.clone(),
             rotation: this.rotation.clone(),
             strength: this.strength,
-            isDragging: this.isDragging,
-            isHovered: this.isHovered
+            current: this.current,
+            velocity: this.velocity.clone(),
+            angularVelocity: this.angularVelocity,
+            isDragging: this.isDragging
         };
     }
-
-    /**
-     * 자석 제거
-     */
-    dispose() {
-        // 메시 제거
-        if (this.group && this.group.parent) {
-            this.group.parent.remove(this.group);
-        }
-
-        // 메모리 정리
-        this.group.traverse((child) => {
-            if (child.isMesh) {
-                if (child.geometry) child.geometry.dispose();
-                if (child.material) child.material.dispose();
-            }
-        });
-    }
-}
\ No newline at end of file
+}
+
+// 자석 종류별 표시 이름
+Magnet.TYPE_NAMES = {
+    bar: '막대자석',
+    ring: '고리자석',
+    horseshoe: '말굽자석',
+    solenoid: '전자석',
+    wire: '직선 도선',
+    loop: '원형 도선'
+};
+
+// 극 표시 색상 (나침반 바늘도 같은 색 사용)
+Magnet.COLORS = {
+    north: 0xff4444, // 빨간색 (N극)
+    south: 0x4444ff  // 파란색 (S극)
+};
+
+// 영구자석 세기 범위
+Magnet.MIN_STRENGTH = 0.1;
+Magnet.MAX_STRENGTH = 2.0;
+
+// 전류원 최대 전류 (A)
+Magnet.MAX_CURRENT = 3;
+
+// 전자석 최대 감은 수 (장면 파일 검증용, 전류 요소 수가 감은 수에 비례)
+Magnet.MAX_TURNS = 50;
+
+// 자극 대신 전류로 자기장을 만드는 자석 종류
+Magnet.CURRENT_SOURCE_TYPES = ['solenoid', 'wire', 'loop'];
+
+// 새로 놓을 때 바닥 위 자세 (중심 높이와 회전, 프리셋과 같은 눕힌 방향)
+Magnet.FLOOR_POSES = {
+    bar: { height: 0.15, rotation: [0, 0, -Math.PI / 2] },
+    ring: { height: 0.1, rotation: [0, 0, 0] },
+    horseshoe: { height: 0.1, rotation: [-Math.PI / 2, 0, 0] },
+    solenoid: { height: 0.22, rotation: [0, 0, -Math.PI / 2] },
+    wire: { height: 0, rotation: [0, 0, 0] },
+    loop: { height: 0, rotation: [0, 0, -Math.PI / 2] }
+};
+
+// 종류별 크기 옵션 기본값 (배율 1)
+Magnet.SIZE_DEFAULTS = {
+    size: { width: 0.3, height: 1.0, depth: 0.3 },
+    ring: { outerRadius: 0.6, innerRadius: 0.3, height: 0.2 },
+    horseshoe: { radius: 0.5, thickness: 0.1 },
+    solenoid: { turns: 10, radius: 0.2, length: 0.8, wireRadius: 0.02 },
+    wire: { length: 3.0, radius: 0.03 },
+    loop: { radius: 0.5, wireRadius: 0.03 }
+};
+
+// 종류별 크기 옵션 이름과 배율을 재는 대표 치수
+Magnet.SIZE_OPTIONS = {
+    bar: ['size', 'height'],
+    ring: ['ring', 'outerRadius'],
+    horseshoe: ['horseshoe', 'radius'],
+    solenoid: ['solenoid', 'length'],
+    wire: ['wire', 'length'],
+    loop: ['loop', 'radius']
+};
+
+// 크기 배율 범위
+Magnet.MIN_SCALE = 0.5;
+Magnet.MAX_SCALE = 2;
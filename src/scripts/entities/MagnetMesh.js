@@ -0,0 +1,606 @@
+/**
+ * 자석 메시 클래스
+ * Magnet의 상태를 Three.js 메시로 그리고, 마우스 드래그/호버를 처리
+ */
+
+class MagnetMesh {
+    constructor(magnet) {
+        this.magnet = magnet;
+
+        // 표시 상태
+        this.isHovered = false;
+        this.selectionBox = null; // 선택했을 때 자석을 둘러싸는 상자 (선택하지 않으면 null)
+        this.shapeKey = MagnetMesh.getShapeKey(magnet); // 메시를 만든 종류와 옵션 (바뀌면 다시 만듦)
+        this.displayedStrength = magnet.strength; // 발광 효과에 마지막으로 반영한 세기 (처음에는 발광 없음)
+        this.displayedCurrent = null; // 전류원 극/전류 방향 표시에 마지막으로 반영한 전류
+        this.dragOffset = new THREE.Vector3();
+
+        // 3D 메시 생성
+        this.group = new THREE.Group();
+        this.createMesh();
+        this.update();
+
+        // 마우스 상호작용용
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+
+        // 이벤트 바인딩
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+    }
+
+    /**
+     * 자석 타입에 따른 3D 메시 생성
+     */
+    createMesh() {
+        this.group.position.copy(this.magnet.position);
+
+        switch (this.magnet.type) {
+            case 'bar':
+                this.createBarMagnet();
+                break;
+            case 'ring':
+                this.createRingMagnet();
+                break;
+            case 'horseshoe':
+                this.createHorseshoeMagnet();
+                break;
+            case 'solenoid':
+                this.createSolenoid();
+                break;
+            case 'wire':
+                this.createWire();
+                break;
+            case 'loop':
+                this.createLoop();
+                break;
+            default:
+                this.createBarMagnet();
+        }
+
+        // 사용자 데이터 설정
+        this.group.userData.type = 'magnet';
+        this.group.userData.magnet = this.magnet;
+
+        // 그림자 설정
+        this.group.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+    }
+
+    /**
+     * 막대자석 생성
+     */
+    createBarMagnet() {
+        const { width, height, depth } = this.magnet.options.size;
+        const halfHeight = height / 2;
+
+        // N극 (빨간색, 위쪽)
+        const northGeometry = new THREE.BoxGeometry(width, halfHeight, depth);
+        const northMaterial = new THREE.MeshStandardMaterial({
+            color: this.getPoleColors().north,
+            metalness: 0.7,
+            roughness: 0.3
+        });
+        const northMesh = new THREE.Mesh(northGeometry, northMaterial);
+        northMesh.position.y = halfHeight / 2;
+
+        // S극 (파란색, 아래쪽)
+        const southGeometry = new THREE.BoxGeometry(width, halfHeight, depth);
+        const southMaterial = new THREE.MeshStandardMaterial({
+            color: this.getPoleColors().south,
+            metalness: 0.7,
+            roughness: 0.3
+        });
+        const southMesh = new THREE.Mesh(southGeometry, southMaterial);
+        southMesh.position.y = -halfHeight / 2;
+
+        // 극 표시 텍스트 (선택적)
+        // 극성을 뒤집으면 표시도 반대쪽 끝으로
+        if (this.magnet.options.polarity < 0) {
+            this.addPoleLabels(southMesh, northMesh);
+        } else {
+            this.addPoleLabels(northMesh, southMesh);
+        }
+
+        this.group.add(northMesh);
+        this.group.add(southMesh);
+
+        // 메시 참조 저장
+        this.northMesh = northMesh;
+        this.southMesh = southMesh;
+    }
+
+    /**
+     * 고리자석 생성
+     */
+    createRingMagnet() {
+        const { outerRadius, innerRadius, height } = this.magnet.options.ring;
+
+        // 외부 고리 (N극)
+        const outerGeometry = new THREE.CylinderGeometry(outerRadius, outerRadius, height, 16);
+        const outerMaterial = new THREE.MeshStandardMaterial({
+            color: this.getPoleColors().north,
+            metalness: 0.7,
+            roughness: 0.3
+        });
+        const outerMesh = new THREE.Mesh(outerGeometry, outerMaterial);
+
+        // 내부 구멍 (S극)
+        const innerGeometry = new THREE.CylinderGeometry(innerRadius, innerRadius, height + 0.01, 16);
+        const innerMaterial = new THREE.MeshStandardMaterial({
+            color: this.getPoleColors().south,
+            metalness: 0.7,
+            roughness: 0.3
+        });
+        const innerMesh = new THREE.Mesh(innerGeometry, innerMaterial);
+
+        // 불린 연산으로 고리 모양 만들기 (간단한 방법)
+        this.group.add(outerMesh);
+        this.group.add(innerMesh);
+
+        this.northMesh = outerMesh;
+        this.southMesh = innerMesh;
+    }
+
+    /**
+     * 말굽자석 생성
+     */
+    createHorseshoeMagnet() {
+        const { radius, thickness } = this.magnet.options.horseshoe;
+
+        // U자 모양의 곡선 생성
+        const curve = new THREE.QuadraticBezierCurve3(
+            new THREE.Vector3(-radius, 0, 0),
+            new THREE.Vector3(0, -radius, 0),
+            new THREE.Vector3(radius, 0, 0)
+        );
+
+        // 곡선을 따라 튜브 생성
+        const tubeGeometry = new THREE.TubeGeometry(curve, 20, thickness, 8, false);
+        const tubeMaterial = new THREE.MeshStandardMaterial({
+            color: 0x888888, // 회색 (기본 철)
+            metalness: 0.8,
+            roughness: 0.2
+        });
+        const tubeMesh = new THREE.Mesh(tubeGeometry, tubeMaterial);
+
+        // 양쪽 끝에 극 표시
+        const poleRadius = thickness * 1.5;
+
+        // N극 (왼쪽 끝)
+        const northGeometry = new THREE.SphereGeometry(poleRadius, 8, 8);
+        const northMaterial = new THREE.MeshStandardMaterial({
+            color: this.getPoleColors().north
+        });
+        const northMesh = new THREE.Mesh(northGeometry, northMaterial);
+        northMesh.position.set(-radius, 0, 0);
+
+        // S극 (오른쪽 끝)
+        const southGeometry = new THREE.SphereGeometry(poleRadius, 8, 8);
+        const southMaterial = new THREE.MeshStandardMaterial({
+            color: this.getPoleColors().south
+        });
+        const southMesh = new THREE.Mesh(southGeometry, southMaterial);
+        southMesh.position.set(radius, 0, 0);
+
+        this.group.add(tubeMesh);
+        this.group.add(northMesh);
+        this.group.add(southMesh);
+
+        this.northMesh = northMesh;
+        this.southMesh = southMesh;
+        this.bodyMesh = tubeMesh;
+    }
+
+    /**
+     * 전자석(솔레노이드) 생성
+     * 원통 심 위에 나선 코일을 감고, 양 끝 덮개 색으로 현재 전류가 만드는 극을 표시
+     */
+    createSolenoid() {
+        const { turns, radius, length, wireRadius } = this.magnet.options.solenoid;
+
+        // 나선 코일 (Physics.getSolenoidCurrentElements와 같은 감김 방향)
+        const samples = Math.max(2, Math.round(turns * 24));
+        const points = [];
+        for (let i = 0; i <= samples; i++) {
+            const t = i / samples;
+            const angle = t * turns * Math.PI * 2;
+            points.push(new THREE.Vector3(radius * Math.cos(angle), (t - 0.5) * length, -radius * Math.sin(angle)));
+        }
+
+        const coilGeometry = new THREE.TubeGeometry(new THREE.CatmullRomCurve3(points), samples * 2, wireRadius, 6, false);
+        const coilMaterial = new THREE.MeshStandardMaterial({
+            color: 0xb87333, // 구리색
+            metalness: 0.8,
+            roughness: 0.35
+        });
+        const coilMesh = new THREE.Mesh(coilGeometry, coilMaterial);
+
+        // 코일을 감은 심 (반투명해서 안쪽 철가루가 보이도록)
+        const coreGeometry = new THREE.CylinderGeometry(radius - wireRadius, radius - wireRadius, length, 24, 1, true);
+        const coreMaterial = new THREE.MeshStandardMaterial({
+            color: 0xdddddd,
+            transparent: true,
+            opacity: 0.25,
+            side: THREE.DoubleSide
+        });
+        const coreMesh = new THREE.Mesh(coreGeometry, coreMaterial);
+
+        // 양 끝 덮개 (+Y 끝, -Y 끝): 전류 방향에 따라 N/S 색이 바뀜
+        const capGeometry = new THREE.RingGeometry(radius * 0.6, radius + wireRadius, 24);
+        const createCap = (y) => {
+            const cap = new THREE.Mesh(capGeometry.clone(), new THREE.MeshStandardMaterial({
+                color: 0x888888,
+                side: THREE.DoubleSide
+            }));
+            cap.rotation.x = Math.PI / 2;
+            cap.position.y = y;
+            return cap;
+        };
+        const positiveCap = createCap(length / 2);
+        const negativeCap = createCap(-length / 2);
+        capGeometry.dispose();
+
+        this.group.add(coilMesh);
+        this.group.add(coreMesh);
+        this.group.add(positiveCap);
+        this.group.add(negativeCap);
+
+        this.bodyMesh = coilMesh;
+        this.positiveCap = positiveCap;
+        this.negativeCap = negativeCap;
+    }
+
+    /**
+     * 직선 도선 생성
+     * 로컬 Y축을 따라 놓인 구리 도선과 전류 방향 화살표
+     */
+    createWire() {
+        const { length, radius } = this.magnet.options.wire;
+
+        const wireGeometry = new THREE.CylinderGeometry(radius, radius, length, 12);
+        const wireMaterial = new THREE.MeshStandardMaterial({
+            color: 0xb87333, // 구리색
+            metalness: 0.8,
+            roughness: 0.35
+        });
+        const wireMesh = new THREE.Mesh(wireGeometry, wireMaterial);
+
+        // 전류 방향 화살표 (+Y 방향, 전류가 음수면 뒤집음)
+        const arrows = new THREE.Group();
+        [-0.3, 0.3].forEach(fraction => {
+            const arrow = this.createCurrentArrow(radius * 3);
+            arrow.position.y = fraction * length;
+            arrows.add(arrow);
+        });
+
+        this.group.add(wireMesh);
+        this.group.add(arrows);
+
+        this.bodyMesh = wireMesh;
+        this.currentArrows = arrows;
+    }
+
+    /**
+     * 원형 도선 생성
+     * 로컬 XZ 평면의 구리 고리와 전류 방향 화살표 (Physics.getLoopCurrentElements와 같은 방향)
+     */
+    createLoop() {
+        const { radius, wireRadius } = this.magnet.options.loop;
+
+        const loopGeometry = new THREE.TorusGeometry(radius, wireRadius, 8, 48);
+        const loopMaterial = new THREE.MeshStandardMaterial({
+            color: 0xb87333, // 구리색
+            metalness: 0.8,
+            roughness: 0.35
+        });
+        const loopMesh = new THREE.Mesh(loopGeometry, loopMaterial);
+        loopMesh.rotation.x = Math.PI / 2; // 토러스 기본 평면(XY)을 XZ로
+
+        // 전류 방향 화살표 (+Y 쪽에서 볼 때 반시계 방향, 전류가 음수면 뒤집음)
+        const arrows = new THREE.Group();
+        const up = new THREE.Vector3(0, 1, 0);
+        for (let i = 0; i < 4; i++) {
+            const angle = (i + 0.5) * Math.PI / 2;
+            const arrow = this.createCurrentArrow(wireRadius * 3);
+            arrow.position.set(radius * Math.cos(angle), 0, -radius * Math.sin(angle));
+            arrow.quaternion.setFromUnitVectors(up, new THREE.Vector3(-Math.sin(angle), 0, -Math.cos(angle)));
+            arrows.add(arrow);
+        }
+
+        this.group.add(loopMesh);
+        this.group.add(arrows);
+
+        this.bodyMesh = loopMesh;
+        this.currentArrows = arrows;
+    }
+
+    /**
+     * 전류 방향 화살표 (로컬 +Y를 가리키는 원뿔)
+     * @param {number} radius 원뿔 밑면 반지름
+     * @returns {THREE.Mesh} 화살표 메시
+     */
+    createCurrentArrow(radius) {
+        const geometry = new THREE.ConeGeometry(radius, radius * 3, 12);
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xffcc00,
+            emissive: 0x664400,
+            emissiveIntensity: 0.5
+        });
+        return new THREE.Mesh(geometry, material);
+    }
+
+    /**
+     * 기본 자세에서 N극 쪽 끝과 S극 쪽 끝에 칠할 색 (극성을 뒤집으면 서로 바뀜)
+     * @returns {object} {north, south}
+     */
+    getPoleColors() {
+        const { north, south } = this.magnet.options.colors;
+        return this.magnet.options.polarity < 0 ? { north: south, south: north } : { north, south };
+    }
+
+    /**
+     * 극 표시 라벨 추가
+     * @param {THREE.Mesh} northMesh N극 메시
+     * @param {THREE.Mesh} southMesh S극 메시
+     */
+    addPoleLabels(northMesh, southMesh) {
+        // 텍스트는 복잡하므로 간단한 기하학적 표시로 대체
+
+        // N극 표시 (작은 큐브)
+        const nLabelGeometry = new THREE.BoxGeometry(0.05, 0.05, 0.05);
+        const nLabelMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+        const nLabel = new THREE.Mesh(nLabelGeometry, nLabelMaterial);
+        nLabel.position.set(0, 0, this.magnet.options.size.depth / 2 + 0.03);
+        northMesh.add(nLabel);
+
+        // S극 표시 (작은 구)
+        const sLabelGeometry = new THREE.SphereGeometry(0.025, 8, 8);
+        const sLabelMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+        const sLabel = new THREE.Mesh(sLabelGeometry, sLabelMaterial);
+        sLabel.position.set(0, 0, this.magnet.options.size.depth / 2 + 0.03);
+        southMesh.add(sLabel);
+    }
+
+    /**
+     * 자석 상태를 메시에 반영
+     */
+    update() {
+        const magnet = this.magnet;
+
+        // 호버 효과
+        if (this.isHovered) {
+            this.group.scale.setScalar(1.05);
+        } else {
+            this.group.scale.setScalar(1.0);
+        }
+
+        // 위치/회전 동기화 (자기장 계산과 메시 방향을 일치시킴)
+        this.group.position.copy(magnet.position);
+        this.group.rotation.copy(magnet.rotation);
+
+        if (this.selectionBox) {
+            this.selectionBox.update();
+        }
+
+        // 세기/전류가 바뀌었을 때만 발광 효과 갱신
+        if (magnet.isCurrentSource()) {
+            if (magnet.current !== this.displayedCurrent) {
+                this.updateCurrentEffect(magnet.current);
+            }
+        } else if (magnet.strength !== this.displayedStrength) {
+            this.updateStrengthEffect(magnet.strength);
+        }
+    }
+
+    /**
+     * 전류에 따른 전류원 표시 갱신
+     * 전자석 덮개는 전류가 양수면 +Y 끝이 N극, 음수면 S극, 0이면 극이 없음 (회색)
+     * 도선의 전류 방향 화살표는 전류 부호에 따라 뒤집고 0이면 숨김
+     * @param {number} current 전류
+     */
+    updateCurrentEffect(current) {
+        const { north, south } = this.magnet.options.colors;
+        const emissiveIntensity = Utils.map(Math.abs(current), 0, Magnet.MAX_CURRENT, 0, 0.5);
+
+        const paint = (cap, color) => {
+            cap.material.color.setHex(current === 0 ? 0x888888 : color);
+            cap.material.emissive.setHex(current === 0 ? 0x000000 : color);
+            cap.material.emissiveIntensity = emissiveIntensity;
+        };
+
+        if (this.positiveCap) {
+            paint(this.positiveCap, current >= 0 ? north : south);
+            paint(this.negativeCap, current >= 0 ? south : north);
+        }
+
+        if (this.currentArrows) {
+            // X축 기준 반 바퀴 회전하면 직선 도선 화살표와 고리의 회전 방향이 모두 뒤집힘
+            this.currentArrows.rotation.x = current < 0 ? Math.PI : 0;
+            this.currentArrows.visible = current !== 0;
+        }
+
+        // 전류가 흐르는 도선은 살짝 달아오름
+        this.bodyMesh.material.emissive.setHex(0x331100);
+        this.bodyMesh.material.emissiveIntensity = emissiveIntensity;
+
+        this.displayedCurrent = current;
+    }
+
+    /**
+     * 세기에 따른 발광 효과
+     * @param {number} strength 자석 세기
+     */
+    updateStrengthEffect(strength) {
+        const emissiveIntensity = Utils.map(strength, 0.1, 2.0, 0, 0.3);
+        const reversed = this.magnet.options.polarity < 0;
+
+        if (this.northMesh && this.northMesh.material) {
+            this.northMesh.material.emissive.setHex(reversed ? 0x000033 : 0x330000);
+            this.northMesh.material.emissiveIntensity = emissiveIntensity;
+        }
+
+        if (this.southMesh && this.southMesh.material) {
+            this.southMesh.material.emissive.setHex(reversed ? 0x330000 : 0x000033);
+            this.southMesh.material.emissiveIntensity = emissiveIntensity;
+        }
+
+        this.displayedStrength = strength;
+    }
+
+    /**
+     * 마우스 다운 이벤트 처리
+     * @param {Event} event 마우스 이벤트
+     * @param {THREE.Camera} camera 카메라
+     */
+    onMouseDown(event, camera) {
+        if (!this.magnet.options.draggable) return;
+
+        // 레이캐스팅으로 클릭 감지
+        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+
+        this.raycaster.setFromCamera(this.mouse, camera);
+        const intersects = this.raycaster.intersectObject(this.group, true);
+
+        if (intersects.length > 0) {
+            this.magnet.isDragging = true;
+
+            // 드래그하는 동안은 손으로 잡고 있으므로 운동 상태 초기화
+            this.magnet.velocity.set(0, 0, 0);
+            this.magnet.angularVelocity = 0;
+
+            // 드래그 오프셋 계산
+            const intersectPoint = intersects[0].point;
+            this.dragOffset.subVectors(this.magnet.position, intersectPoint);
+
+            // 커서 변경
+            document.body.style.cursor = 'grabbing';
+
+            // 이벤트 전파 방지
+            event.stopPropagation();
+
+            return true; // 클릭됨을 표시
+        }
+
+        return false;
+    }
+
+    /**
+     * 마우스 이동 이벤트 처리
+     * @param {Event} event 마우스 이벤트
+     * @param {THREE.Camera} camera 카메라
+     * @param {THREE.Plane} groundPlane 바닥 평면
+     */
+    onMouseMove(event, camera, groundPlane) {
+        if (!this.magnet.isDragging) return;
+
+        // 마우스 위치를 월드 좌표로 변환
+        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+
+        this.raycaster.setFromCamera(this.mouse, camera);
+
+        const intersectPoint = new THREE.Vector3();
+        this.raycaster.ray.intersectPlane(groundPlane, intersectPoint);
+
+        if (intersectPoint) {
+            // 새 위치 계산
+            const newPosition = intersectPoint.add(this.dragOffset);
+
+            // Y 위치는 현재 높이로 고정 (눕힌 자석도 바닥에 놓인 상태 유지)
+            newPosition.y = this.magnet.position.y;
+
+            this.magnet.position.copy(newPosition);
+        }
+    }
+
+    /**
+     * 마우스 업 이벤트 처리
+     */
+    onMouseUp() {
+        if (this.magnet.isDragging) {
+            this.magnet.isDragging = false;
+            document.body.style.cursor = 'default';
+        }
+    }
+
+    /**
+     * 호버 상태 설정
+     * @param {boolean} hovered 호버 여부
+     */
+    setHovered(hovered) {
+        this.isHovered = hovered;
+
+        if (hovered) {
+            document.body.style.cursor = 'grab';
+        } else {
+            document.body.style.cursor = 'default';
+        }
+    }
+
+    /**
+     * 메시 모양을 정하는 종류와 옵션 요약 (세기/전류 초기값 제외)
+     * @param {Magnet} magnet 자석
+     * @returns {string} 모양 키
+     */
+    static getShapeKey(magnet) {
+        const { strength, current, ...options } = magnet.options;
+        return JSON.stringify([magnet.type, options]);
+    }
+
+    /**
+     * 선택 표시 설정 (씬에 추가된 뒤 호출)
+     * @param {boolean} selected 선택 여부
+     */
+    setSelected(selected) {
+        if (selected && !this.selectionBox && this.group.parent) {
+            this.selectionBox = new THREE.BoxHelper(this.group, MagnetMesh.SELECTION_COLOR);
+            this.group.parent.add(this.selectionBox);
+        } else if (!selected && this.selectionBox) {
+            this.removeSelectionBox();
+        }
+    }
+
+    /**
+     * 선택 상자 제거
+     */
+    removeSelectionBox() {
+        if (this.selectionBox.parent) {
+            this.selectionBox.parent.remove(this.selectionBox);
+        }
+
+        this.selectionBox.geometry.dispose();
+        this.selectionBox.material.dispose();
+        this.selectionBox = null;
+    }
+
+    /**
+     * 메시 제거
+     */
+    dispose() {
+        if (this.selectionBox) {
+            this.removeSelectionBox();
+        }
+
+        if (this.group.parent) {
+            this.group.parent.remove(this.group);
+        }
+
+        // 메모리 정리
+        this.group.traverse((child) => {
+            if (child.isMesh) {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            }
+        });
+    }
+}
+
+// 선택한 자석을 둘러싸는 상자 색
+MagnetMesh.SELECTION_COLOR = 0xffcc00;
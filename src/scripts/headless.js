@@ -0,0 +1,65 @@
+/**
+ * Node용 시뮬레이션 코어 로더
+ * 브라우저에서 <script>로 불러오는 코어 파일들을 같은 순서로 전역 스코프에 실행하고
+ * 렌더링/DOM과 무관한 클래스만 모듈로 내보냄
+ *
+ * 사용 예:
+ *   const { THREE, Simulation, Utils } = require('./src/scripts/headless');
+ *   Utils.setSeed(42);
+ *   const simulation = new Simulation();
+ *   simulation.addMagnet(new THREE.Vector3(0, 0.15, 0), 'bar');
+ *   simulation.spawnParticles(new THREE.Vector3(1, 0.5, 0), 100);
+ *   simulation.step(600); // 10초
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// 브라우저에서는 CDN으로 불러오는 Three.js (수학 클래스만 사용)
+global.THREE = require('three');
+
+// index.html과 같은 순서 (렌더링 파일 제외)
+const CORE_SCRIPTS = [
+    'core/Utils.js',
+    'core/SpatialHash.js',
+    'core/Physics.js',
+    'entities/IronParticle.js',
+    'core/ParticleSystem.js',
+    'core/PhysicsWorkerClient.js',
+    'entities/Magnet.js',
+    'entities/Compass.js',
+    'core/Simulation.js',
+    'core/SceneFile.js',
+    'core/SceneLink.js',
+    'core/ScenePresets.js',
+    'core/EditHistory.js'
+];
+
+CORE_SCRIPTS.forEach(file => {
+    const filename = path.join(__dirname, file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+});
+
+// 스크립트 최상위 class 선언은 전역 객체의 속성이 아니므로 이름으로 꺼냄
+const exported = { THREE: global.THREE };
+[
+    'Utils',
+    'SpatialHash',
+    'Physics',
+    'IronParticle',
+    'ParticleSystem',
+    'PhysicsWorkerClient',
+    'Magnet',
+    'Compass',
+    'Simulation',
+    'SceneFile',
+    'SceneFileError',
+    'SceneLink',
+    'ScenePresets',
+    'EditHistory'
+].forEach(name => {
+    exported[name] = vm.runInThisContext(name);
+});
+
+module.exports = exported;
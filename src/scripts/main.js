@@ -7,29 +7,72 @@ class MagneticSimulationApp {
     constructor() {
         // 핵심 시스템들
         this.scene = null;
+        this.simulation = null; // 자석/철가루 상태와 진행 (렌더링과 분리된 코어)
         this.physics = null;
         this.uiControls = null;
 
-        // 게임 객체들
-        this.particles = [];
+        // 게임 객체들 (magnets는 simulation.magnets와 같은 배열)
         this.magnets = [];
+        this.magnetMeshes = []; // 자석별 메시 (magnets와 같은 순서)
+        this.compasses = []; // simulation.compasses와 같은 배열
+        this.compassMeshes = []; // 나침반별 메시 (compasses와 같은 순서)
+        this.particleMesh = null; // 모든 철가루를 그리는 인스턴스 메시
 
         // 시뮬레이션 상태
         this.isRunning = false;
         this.isPaused = false;
         this.animationFrameId = null;
+        this.magnetDynamicsEnabled = false; // 자석끼리 밀고 당기며 움직이는지 여부
+
+        // 자기력선 표시
+        this.fieldLinesEnabled = false;
+        this.fieldLinesKey = null; // 마지막으로 자기력선을 계산한 자석 상태
+        this.lastFieldLinesUpdate = 0;
+        this.fieldLinesInterval = 100; // 드래그 중 재계산 최소 간격 (ms)
+
+        // 자기장 화살표 격자 표시
+        this.fieldArrowsEnabled = false;
+        this.fieldArrowsPlane = 'xz'; // Physics.FIELD_GRID_PLANES 중 하나
+        this.fieldArrowsKey = null; // 마지막으로 격자를 계산한 자석 상태와 평면
+        this.lastFieldArrowsUpdate = 0;
+
+        // 바닥 자기장 세기 열지도 (자석이 바뀌면 한 프레임에 몇 행씩 이어서 다시 계산)
+        this.heatmapEnabled = false;
+        this.heatmapKey = null; // 마지막으로 계산을 시작한 자석 상태
+        this.heatmapRow = 0; // 다음에 계산할 행
+        this.heatmapRowsRemaining = 0; // 현재 자석 배치로 아직 계산하지 않은 행 수
+        this.heatmapRowsPerFrame = 8;
+
+        // 자기장 측정 (측정 모드에서 커서 아래 또는 클릭으로 고정한 지점)
+        this.interactionMode = 'spawn'; // 'spawn': 철가루 뿌리기, 'probe': 자기장 측정
+        this.probePosition = null; // 측정 지점 (없으면 null)
+        this.probePinned = false; // 클릭으로 고정했는지 여부 (고정 중에는 커서를 따라가지 않음)
+
+        // 장면 (리셋하면 불러온 장면이 있으면 그 장면, 없으면 선택한 프리셋으로 돌아감)
+        this.activePresetId = ScenePresets.DEFAULT; // 선택한 프리셋 (장면 파일/공유 링크를 불러오면 null)
+        this.loadedScene = null; // 마지막으로 불러온 장면 데이터
+
+        // 편집 기록 (되돌리기/다시 실행, 장면을 통째로 바꾸면 비움)
+        this.history = new EditHistory({
+            onChange: () => {
+                if (this.uiControls) this.uiControls.updateHistoryButtons();
+            }
+        });
 
         // 성능 관리
-        this.maxParticles = 1000;
-        this.particlePool = []; // 객체 풀링
+        this.maxParticles = 20000;
         this.lastUpdateTime = 0;
 
         // 드래그 앤 드롭
         this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-        this.draggedMagnet = null;
+        this.draggedMesh = null; // 드래그 중인 자석/나침반 메시
+        this.dragStartTransform = null; // 드래그를 시작할 때 자석 위치/방향 (이동 기록용)
+        this.selectedMagnet = null; // 클릭으로 선택한 자석 (속성 패널에 표시, 없으면 null)
 
         // 이벤트 바인딩
         this.onIronParticleSpawn = this.onIronParticleSpawn.bind(this);
+        this.onFieldProbe = this.onFieldProbe.bind(this);
+        this.onHashChange = this.onHashChange.bind(this);
         this.onMouseDown = this.onMouseDown.bind(this);
         this.onMouseMove = this.onMouseMove.bind(this);
         this.onMouseUp = this.onMouseUp.bind(this);
@@ -47,8 +90,9 @@ class MagneticSimulationApp {
             // 핵심 시스템 초기화
             await this.initializeSystems();
 
-            // 초기 씬 설정
-            this.setupInitialScene();
+            // 초기 씬 설정 (공유 링크로 열었으면 링크의 장면으로 교체)
+            this.loadPreset(this.activePresetId);
+            await this.loadSceneFromHash();
 
             // 이벤트 리스너 등록
             this.setupEventListeners();
@@ -72,8 +116,15 @@ class MagneticSimulationApp {
         const canvas = document.getElementById('threejs-canvas');
         this.scene = new MagneticScene(canvas);
 
-        // 물리 엔진 초기화
-        this.physics = new Physics();
+        // 철가루 인스턴스 렌더러 초기화
+        this.particleMesh = new IronParticleMesh(this.maxParticles);
+        this.scene.add(this.particleMesh.mesh);
+
+        // 시뮬레이션 코어 초기화 (철가루 물리는 웹 워커에서 진행, 메인 스레드는 렌더링만)
+        this.simulation = new Simulation({ maxParticles: this.maxParticles });
+        this.physics = this.simulation.physics;
+        this.magnets = this.simulation.magnets;
+        this.compasses = this.simulation.compasses;
 
         // UI 컨트롤러 초기화
         this.uiControls = new UIControls(this);
@@ -84,23 +135,16 @@ class MagneticSimulationApp {
         }, 1000);
     }
 
-    /**
-     * 초기 씬 설정
-     */
-    setupInitialScene() {
-        // 기본 막대자석 추가 (가운데)
-        this.addMagnet(new THREE.Vector3(0, 0.5, 0), 'bar', { strength: 1.0 });
-
-        // 고리자석 추가 (왼쪽)
-        this.addMagnet(new THREE.Vector3(-3, 0.3, 0), 'ring', { strength: 0.8 });
-    }
-
     /**
      * 이벤트 리스너 설정
      */
     setupEventListeners() {
         // 철가루 생성 이벤트
         document.addEventListener('ironParticleSpawn', this.onIronParticleSpawn);
+        document.addEventListener('fieldProbe', this.onFieldProbe);
+
+        // 공유 링크 해시가 바뀌면 (열린 페이지에 다른 링크를 붙여 넣은 경우) 그 장면 불러오기
+        window.addEventListener('hashchange', this.onHashChange);
 
         // 마우스 이벤트 (자석 드래그용)
         document.addEventListener('mousedown', this.onMouseDown);
@@ -129,42 +173,292 @@ class MagneticSimulationApp {
      * @param {object} options 옵션
      */
     addMagnet(position, type = 'bar', options = {}) {
-        const magnet = new Magnet(position, type, options);
-        this.magnets.push(magnet);
-        this.scene.add(magnet.group);
+        const magnet = this.simulation.addMagnet(position, type, options);
+
+        const magnetMesh = new MagnetMesh(magnet);
+        this.magnetMeshes.push(magnetMesh);
+        this.scene.add(magnetMesh.group);
 
         Utils.debug(`Added ${type} magnet at position:`, position);
         return magnet;
     }
 
     /**
-     * 철가루 입자 추가
-     * @param {THREE.Vector3} position 위치
-     * @param {object} options 옵션
+     * 화면 가운데가 가리키는 바닥에 자석 새로 놓기 (세기/전류는 전체 슬라이더 값, 편집 기록에 남음)
+     * @param {string} type 자석 타입
+     * @returns {Magnet} 추가된 자석
      */
-    addParticle(position, options = {}) {
-        // 최대 입자 수 제한
-        if (this.particles.length >= this.maxParticles) {
-            // 가장 오래된 입자 제거
-            this.removeOldestParticle();
-        }
-
-        // 객체 풀에서 재사용 또는 새로 생성
-        let particle;
-        if (this.particlePool.length > 0) {
-            particle = this.particlePool.pop();
-            particle.position.copy(position);
-            particle.velocity.set(0, 0, 0);
-            particle.isDead = false;
-            particle.age = 0;
-        } else {
-            particle = new IronParticle(position, options);
+    addMagnetAtView(type) {
+        this.scene.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.scene.camera);
+        const point = this.scene.raycaster.ray.intersectPlane(this.groundPlane, new THREE.Vector3()) || new THREE.Vector3();
+
+        const magnet = this.simulation.placeMagnet(point.x, point.z, type);
+        this.syncMagnetMeshes();
+
+        this.history.record(EditHistory.addMagnet(this.simulation, magnet));
+        Utils.debug(`Added ${type} magnet at position:`, magnet.position);
+        return magnet;
+    }
+
+    /**
+     * 자석 제거 (편집 기록에 남음)
+     * @param {Magnet} magnet 제거할 자석
+     */
+    removeMagnet(magnet) {
+        if (!this.magnets.includes(magnet)) return;
+
+        this.history.record(EditHistory.removeMagnet(this.simulation, magnet));
+        this.simulation.removeMagnet(magnet);
+        this.syncMagnetMeshes();
+
+        Utils.debug(`Removed ${magnet.type} magnet`);
+    }
+
+    /**
+     * 자석을 수직축 기준으로 회전 (편집 기록에 남음)
+     * @param {Magnet} magnet 자석
+     * @param {number} angle 회전 각도 (라디안, 위에서 볼 때 반시계)
+     */
+    rotateMagnet(magnet, angle) {
+        const before = EditHistory.getTransform(magnet);
+
+        magnet.rotateAroundVertical(angle);
+        magnet.angularVelocity = 0;
+
+        this.history.record(EditHistory.transformMagnet(
+            magnet, before, EditHistory.getTransform(magnet), `${Magnet.TYPE_NAMES[magnet.type]} 회전`
+        ));
+    }
+
+    /**
+     * 마우스 커서 아래 가장 가까운 자석
+     * @returns {Magnet|null} 자석 (가리키지 않으면 null)
+     */
+    getMagnetAtMouse() {
+        this.scene.raycaster.setFromCamera(this.scene.mouse, this.scene.camera);
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.magnetMeshes.forEach(magnetMesh => {
+            const hit = this.scene.raycaster.intersectObject(magnetMesh.group, true)[0];
+            if (hit && hit.distance < nearestDistance) {
+                nearest = magnetMesh.magnet;
+                nearestDistance = hit.distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * 자석 메시를 magnets 배열에 맞춤
+     * 자석이 생기거나 사라졌을 때, 종류/크기/색/극성이 바뀌어 모양을 다시 만들어야 할 때 호출
+     */
+    syncMagnetMeshes() {
+        const meshes = new Map(this.magnetMeshes.map(magnetMesh => [magnetMesh.magnet, magnetMesh]));
+
+        this.magnetMeshes = this.magnets.map(magnet => {
+            const existing = meshes.get(magnet);
+            if (existing && existing.shapeKey === MagnetMesh.getShapeKey(magnet)) {
+                meshes.delete(magnet);
+                return existing;
+            }
+
+            const magnetMesh = new MagnetMesh(magnet);
+            this.scene.add(magnetMesh.group);
+            magnetMesh.setSelected(magnet === this.selectedMagnet);
+            return magnetMesh;
+        });
+
+        // 남은 메시는 사라졌거나 다시 만든 자석의 것
+        meshes.forEach(magnetMesh => {
+            if (this.draggedMesh === magnetMesh) this.draggedMesh = null;
+            magnetMesh.dispose();
+        });
+
+        if (this.selectedMagnet && !this.magnets.includes(this.selectedMagnet)) {
+            this.selectMagnet(null);
+        }
+    }
+
+    /**
+     * 자석 선택 (선택 상자 표시와 속성 패널 갱신)
+     * @param {Magnet|null} magnet 선택할 자석 (null이면 선택 해제)
+     */
+    selectMagnet(magnet) {
+        this.selectedMagnet = magnet;
+
+        this.magnetMeshes.forEach(magnetMesh => {
+            magnetMesh.setSelected(magnetMesh.magnet === magnet);
+        });
+
+        if (this.uiControls) {
+            this.uiControls.updateMagnetPanel(magnet);
+        }
+    }
+
+    /**
+     * 선택한 자석 속성 바꾸기 (편집 기록에 남기고 메시와 패널을 맞춤)
+     * @param {string} label 편집 기록에 표시할 이름
+     * @param {Function} edit 자석을 바꾸는 함수 (magnet) => void
+     * @param {boolean} merge 슬라이더처럼 이어지는 변경을 하나로 합칠지 여부
+     */
+    editSelectedMagnet(label, edit, merge = false) {
+        const magnet = this.selectedMagnet;
+        if (!magnet) return;
+
+        const before = EditHistory.getMagnetProperties(magnet);
+        edit(magnet);
+        this.history.record(EditHistory.changeMagnetProperties(
+            magnet, before, EditHistory.getMagnetProperties(magnet), label, merge
+        ));
+
+        this.syncMagnetMeshes();
+
+        if (this.uiControls) {
+            this.uiControls.updateMagnetPanel(magnet);
+        }
+    }
+
+    /**
+     * 마지막 편집 되돌리기
+     * @returns {object|null} 되돌린 명령 (없거나 드래그 중이면 null)
+     */
+    undo() {
+        if (this.draggedMesh) return null;
+
+        const command = this.history.undo();
+        if (command) {
+            this.onHistoryApplied();
+            Utils.debug(`Undo: ${command.label}`);
+        }
+
+        return command;
+    }
+
+    /**
+     * 되돌린 편집 다시 실행
+     * @returns {object|null} 다시 실행한 명령 (없거나 드래그 중이면 null)
+     */
+    redo() {
+        if (this.draggedMesh) return null;
+
+        const command = this.history.redo();
+        if (command) {
+            this.onHistoryApplied();
+            Utils.debug(`Redo: ${command.label}`);
+        }
+
+        return command;
+    }
+
+    /**
+     * 되돌리기/다시 실행 뒤 메시와 슬라이더를 바뀐 장면에 맞춤
+     */
+    onHistoryApplied() {
+        this.syncMagnetMeshes();
+
+        if (this.uiControls) {
+            this.uiControls.resetUI();
+            this.uiControls.updateMagnetPanel(this.selectedMagnet);
         }
+    }
+
+    /**
+     * 나침반 추가
+     * @param {THREE.Vector3} position 바닥 위치 (높이는 나침반 바늘 높이로 맞춤)
+     * @returns {Compass} 추가된 나침반
+     */
+    addCompass(position) {
+        const compass = this.simulation.addCompass(
+            new THREE.Vector3(position.x, Simulation.COMPASS_HEIGHT, position.z),
+            { heading: Utils.random(-Math.PI, Math.PI) }
+        );
+        this.addCompassMesh(compass);
+
+        Utils.debug('Added compass at position:', position);
+        return compass;
+    }
+
+    /**
+     * 자석 주위에 나침반을 원형으로 배치
+     * @param {Magnet} magnet 둘러쌀 자석 (없으면 첫 번째 자석)
+     * @param {number} count 나침반 개수
+     * @returns {Array} 추가된 나침반 배열
+     */
+    addCompassRing(magnet = this.magnets[0], count = 12) {
+        if (!magnet) return [];
+
+        const radius = magnet.getBoundingRadius() + 0.5;
+        const compasses = this.simulation.addCompassRing(magnet.position, radius, count);
+        compasses.forEach(compass => this.addCompassMesh(compass));
+
+        Utils.debug(`Added ${count} compasses around ${magnet.type} magnet`);
+        return compasses;
+    }
+
+    /**
+     * 나침반 메시 생성 후 씬에 추가
+     * @param {Compass} compass 나침반
+     */
+    addCompassMesh(compass) {
+        const compassMesh = new CompassMesh(compass);
+        this.compassMeshes.push(compassMesh);
+        this.scene.add(compassMesh.group);
+    }
 
-        this.particles.push(particle);
-        this.scene.add(particle.mesh);
+    /**
+     * 모든 나침반 제거
+     */
+    clearCompasses() {
+        this.simulation.clearCompasses();
+        this.compassMeshes.forEach(compassMesh => compassMesh.dispose());
+        this.compassMeshes = [];
+
+        Utils.debug('All compasses cleared');
+    }
+
+    /**
+     * 마우스 커서 아래 바닥 위치 (바닥을 가리키지 않으면 null)
+     * @returns {THREE.Vector3|null} 바닥 위치
+     */
+    getMouseFloorPoint() {
+        this.scene.raycaster.setFromCamera(this.scene.mouse, this.scene.camera);
 
-        return particle;
+        const intersectPoint = new THREE.Vector3();
+        return this.scene.raycaster.ray.intersectPlane(this.groundPlane, intersectPoint);
+    }
+
+    /**
+     * 마우스 커서 위치에 나침반 하나 놓기
+     * @returns {Compass|null} 추가된 나침반
+     */
+    addCompassAtMouse() {
+        const point = this.getMouseFloorPoint();
+        return point ? this.addCompass(point) : null;
+    }
+
+    /**
+     * 마우스 커서에서 가장 가까운 자석 주위에 나침반 고리 배치
+     * @returns {Array} 추가된 나침반 배열
+     */
+    addCompassRingAtMouse() {
+        const point = this.getMouseFloorPoint();
+        if (!point) return this.addCompassRing();
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.magnets.forEach(magnet => {
+            const distance = Math.hypot(magnet.position.x - point.x, magnet.position.z - point.z);
+            if (distance < nearestDistance) {
+                nearest = magnet;
+                nearestDistance = distance;
+            }
+        });
+
+        return this.addCompassRing(nearest);
     }
 
     /**
@@ -174,63 +468,136 @@ class MagneticSimulationApp {
     onIronParticleSpawn(event) {
         const { position, count } = event.detail;
 
-        for (let i = 0; i < count; i++) {
-            // 약간의 랜덤 분산 적용
-            const spawnPos = position.clone().add(new THREE.Vector3(
-                Utils.random(-0.1, 0.1),
-                Utils.random(0, 0.2),
-                Utils.random(-0.1, 0.1)
-            ));
-
-            this.addParticle(spawnPos);
-        }
+        // 워커의 다음 스텝에 반영 (가득 차면 가장 오래된 입자를 대체)
+        this.simulation.spawnParticles(position, count);
 
         Utils.debug(`Spawned ${count} iron particles at:`, position);
     }
 
     /**
-     * 마우스 다운 이벤트 (자석 드래그 시작)
+     * 자기장 측정 이벤트 처리
+     * 클릭하면 그 지점에 고정하고, 고정하지 않았을 때는 커서를 따라감
+     * @param {CustomEvent} event 이벤트
+     */
+    onFieldProbe(event) {
+        const { position, pinned } = event.detail;
+
+        // 자석/나침반을 잡고 있을 때의 클릭과 이동은 측정하지 않음
+        if (this.draggedMesh) return;
+        if (this.probePinned && !pinned) return;
+
+        this.probePosition = position.clone();
+        this.probePinned = pinned;
+        this.updateProbe();
+    }
+
+    /**
+     * URL 해시 변경 이벤트 (공유 링크)
+     */
+    onHashChange() {
+        this.loadSceneFromHash();
+    }
+
+    /**
+     * 마우스 다운 이벤트 (자석/나침반 드래그 시작, 누른 자석 선택)
      * @param {MouseEvent} event 마우스 이벤트
      */
     onMouseDown(event) {
-        // 자석 드래그 체크
-        for (const magnet of this.magnets) {
-            if (magnet.onMouseDown(event, this.scene.camera)) {
-                this.draggedMagnet = magnet;
-                break;
+        // 자석 드래그 체크 (자석이 나침반보다 우선)
+        for (const mesh of [...this.magnetMeshes, ...this.compassMeshes]) {
+            if (mesh.onMouseDown(event, this.scene.camera)) {
+                this.draggedMesh = mesh;
+                if (mesh instanceof MagnetMesh) {
+                    this.dragStartTransform = EditHistory.getTransform(mesh.magnet);
+                    this.selectMagnet(mesh.magnet);
+                }
+                return;
             }
         }
+
+        // 화면의 빈 곳을 누르면 선택 해제 (컨트롤 패널 클릭은 제외)
+        if (this.selectedMagnet && event.target === this.scene.canvas) {
+            this.selectMagnet(null);
+        }
     }
 
     /**
-     * 마우스 이동 이벤트 (자석 드래그)
+     * 마우스 이동 이벤트 (자석/나침반 드래그)
      * @param {MouseEvent} event 마우스 이벤트
      */
     onMouseMove(event) {
-        if (this.draggedMagnet) {
-            this.draggedMagnet.onMouseMove(event, this.scene.camera, this.groundPlane);
+        if (this.draggedMesh) {
+            this.draggedMesh.onMouseMove(event, this.scene.camera, this.groundPlane);
         }
     }
 
     /**
-     * 마우스 업 이벤트 (자석 드래그 종료)
+     * 마우스 업 이벤트 (자석/나침반 드래그 종료)
      * @param {MouseEvent} event 마우스 이벤트
      */
     onMouseUp(event) {
-        if (this.draggedMagnet) {
-            this.draggedMagnet.onMouseUp(event);
-            this.draggedMagnet = null;
+        if (this.draggedMesh) {
+            this.draggedMesh.onMouseUp(event);
+
+            // 실제로 옮겼을 때만 이동 기록
+            const start = this.dragStartTransform;
+            if (start && !start.position.equals(this.draggedMesh.magnet.position)) {
+                const magnet = this.draggedMesh.magnet;
+                this.history.record(EditHistory.transformMagnet(magnet, start, EditHistory.getTransform(magnet)));
+            }
+
+            this.draggedMesh = null;
+            this.dragStartTransform = null;
         }
     }
 
     /**
-     * 자석 세기 변경 처리
+     * 전체 자석 세기 변경 처리
+     * 이미 놓인 자석은 각자의 세기를 그대로 두고, 새로 놓을 자석의 세기와 선택한 영구자석에만 적용
      * @param {number} strength 새로운 세기
      */
     onMagnetStrengthChange(strength) {
-        this.magnets.forEach(magnet => {
-            magnet.setStrength(strength);
-        });
+        this.simulation.setMagnetDefaults({ strength });
+
+        if (this.selectedMagnet && !this.selectedMagnet.isCurrentSource()) {
+            this.editSelectedMagnet('선택한 자석 세기 변경', magnet => magnet.setStrength(strength), true);
+        }
+    }
+
+    /**
+     * 전류원(전자석, 도선) 전체 전류 변경 처리 (부호를 바꾸면 자기장이 뒤집히고 0이면 사라짐)
+     * 새로 놓을 전류원의 전류와 선택한 전류원에만 적용
+     * @param {number} current 새로운 전류
+     */
+    onSolenoidCurrentChange(current) {
+        this.simulation.setMagnetDefaults({ current });
+
+        if (this.selectedMagnet && this.selectedMagnet.isCurrentSource()) {
+            this.editSelectedMagnet('선택한 전류원 전류 변경', magnet => magnet.setCurrent(current), true);
+        }
+    }
+
+    /**
+     * 놓인 모든 전류원(전자석, 도선)과 새로 놓을 전류원의 전류를 한꺼번에 바꿈 (E 반전, 0 끄기, 편집 기록에 남음)
+     * @param {Function} change 지금 전류를 받아 새 전류를 돌려주는 함수
+     * @param {string} label 표시 이름
+     */
+    changeAllCurrents(change, label) {
+        const sources = this.magnets.filter(magnet => magnet.isCurrentSource());
+        const before = EditHistory.getMagnetValues(sources);
+
+        this.simulation.setMagnetDefaults({ current: change(this.simulation.magnetDefaults.current) });
+        sources.forEach(magnet => magnet.setCurrent(change(magnet.current)));
+
+        const after = EditHistory.getMagnetValues(sources);
+        if (after.some((value, index) => value.current !== before[index].current)) {
+            this.history.record(EditHistory.changeMagnetValues(before, after, label));
+
+            // 선택한 전류원 패널의 전류도 함께 바뀜
+            if (this.uiControls) {
+                this.uiControls.updateMagnetPanel(this.selectedMagnet);
+            }
+        }
     }
 
     /**
@@ -289,10 +656,13 @@ class MagneticSimulationApp {
         this.animationFrameId = requestAnimationFrame(() => this.animate());
 
         const currentTime = performance.now();
-        const deltaTime = Math.min((currentTime - this.lastUpdateTime) / 1000, 1/30); // 최대 30fps로 제한
+        const frameTime = (currentTime - this.lastUpdateTime) / 1000;
 
         if (!this.isPaused) {
-            this.update(deltaTime);
+            this.update(frameTime);
+        } else if (this.simulation.hasPendingChanges()) {
+            // 일시정지 중에도 새로 뿌린 철가루는 보이도록 시간 진행 없이 반영
+            this.simulation.step(0);
         }
 
         this.render();
@@ -302,112 +672,282 @@ class MagneticSimulationApp {
 
     /**
      * 시뮬레이션 업데이트
-     * @param {number} deltaTime 프레임 간격
+     * 프레임 시간을 고정 스텝으로 나눠 자석과 철가루를 진행 (철가루는 웹 워커에서 비동기로 계산)
+     * @param {number} frameTime 프레임 간격
      */
-    update(deltaTime) {
-        // 자석 업데이트
-        this.magnets.forEach(magnet => {
-            magnet.update(deltaTime);
-        });
+    update(frameTime) {
+        this.simulation.advance(frameTime);
 
-        // 입자 물리 업데이트
-        this.updateParticles(deltaTime);
+        // 자기력선/화살표 격자 갱신 (자석이 움직였을 때만)
+        if (this.fieldLinesEnabled) {
+            this.updateFieldLines();
+        }
+
+        if (this.fieldArrowsEnabled) {
+            this.updateFieldArrows();
+        }
 
-        // 입자 간 충돌 처리 (성능 고려하여 제한적으로)
-        if (this.particles.length < 100) {
-            this.handleParticleCollisions();
+        if (this.heatmapEnabled) {
+            this.updateHeatmap();
         }
 
-        // 죽은 입자 정리
-        this.cleanupDeadParticles();
+        // 자석이 움직여도 측정값이 따라가도록 매 프레임 다시 측정
+        if (this.probePosition) {
+            this.updateProbe();
+        }
     }
 
     /**
-     * 입자들 업데이트
-     * @param {number} deltaTime 프레임 간격
+     * 자석 배치가 바뀌었으면 자기력선 다시 계산
+     * @param {boolean} force 간격 제한 없이 즉시 계산
      */
-    updateParticles(deltaTime) {
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
+    updateFieldLines(force = false) {
+        const key = this.getMagnetStateKey();
+        if (!force && key === this.fieldLinesKey) return;
 
-            particle.update(deltaTime, this.magnets, this.physics);
+        const now = performance.now();
+        if (!force && now - this.lastFieldLinesUpdate < this.fieldLinesInterval) return;
 
-            // 경계 밖으로 나간 입자 제거
-            if (particle.isOutOfBounds()) {
-                this.removeParticle(i);
-            }
+        const lines = this.physics.calculateFieldLines(this.magnets);
+        this.scene.updateFieldLines(lines);
+
+        this.fieldLinesKey = key;
+        this.lastFieldLinesUpdate = now;
+    }
+
+    /**
+     * 자석 배치나 격자 평면이 바뀌었으면 자기장 화살표 격자 다시 계산
+     * @param {boolean} force 간격 제한 없이 즉시 계산
+     */
+    updateFieldArrows(force = false) {
+        const key = `${this.fieldArrowsPlane}|${this.getMagnetStateKey()}`;
+        if (!force && key === this.fieldArrowsKey) return;
+
+        const now = performance.now();
+        if (!force && now - this.lastFieldArrowsUpdate < this.fieldLinesInterval) return;
+
+        const grid = this.physics.calculateFieldGrid(this.magnets, this.fieldArrowsPlane);
+        this.scene.updateFieldArrows(grid, this.physics.FIELD_GRID_SPACING);
+
+        this.fieldArrowsKey = key;
+        this.lastFieldArrowsUpdate = now;
+    }
+
+    /**
+     * 바닥 열지도를 몇 행씩 이어서 다시 계산
+     * 자석이 바뀔 때마다 처음부터 다시 시작하지 않고 지금 행부터 한 바퀴를 더 돌아,
+     * 드래그하는 동안에도 화면 전체가 골고루 새 배치를 따라옴
+     * @param {boolean} force 남은 행을 이번 프레임에 모두 계산
+     */
+    updateHeatmap(force = false) {
+        const key = this.getMagnetStateKey();
+        if (key !== this.heatmapKey) {
+            this.heatmapKey = key;
+            this.heatmapRowsRemaining = this.scene.heatmapResolution;
         }
+
+        if (this.heatmapRowsRemaining === 0) return;
+
+        const rowCount = force
+            ? this.heatmapRowsRemaining
+            : Math.min(this.heatmapRowsPerFrame, this.heatmapRowsRemaining);
+        const startRow = this.heatmapRow;
+
+        this.heatmapRow = this.physics.calculateFloorFieldMagnitudes(
+            this.physics.collectPoles(this.magnets),
+            this.scene.floorSize,
+            this.scene.heatmapResolution,
+            startRow,
+            rowCount,
+            this.scene.heatmapValues
+        );
+        this.scene.updateHeatmapRows(startRow, rowCount);
+
+        this.heatmapRowsRemaining -= rowCount;
     }
 
     /**
-     * 입자 간 충돌 처리
+     * 자석 위치/회전/세기/크기를 문자열로 요약 (변경 감지용)
+     * @returns {string} 상태 키
      */
-    handleParticleCollisions() {
-        for (let i = 0; i < this.particles.length - 1; i++) {
-            for (let j = i + 1; j < this.particles.length; j++) {
-                this.physics.handleParticleCollision(
-                    this.particles[i],
-                    this.particles[j]
-                );
-            }
+    getMagnetStateKey() {
+        return this.magnets.map(magnet => [
+            magnet.type,
+            magnet.position.x.toFixed(3),
+            magnet.position.y.toFixed(3),
+            magnet.position.z.toFixed(3),
+            magnet.rotation.x.toFixed(3),
+            magnet.rotation.y.toFixed(3),
+            magnet.rotation.z.toFixed(3),
+            magnet.getPoleStrength().toFixed(2),
+            magnet.current.toFixed(2),
+            JSON.stringify(magnet.options[Magnet.SIZE_OPTIONS[magnet.type][0]])
+        ].join(',')).join('|');
+    }
+
+    /**
+     * 자기력선 표시 켜기/끄기
+     * @param {boolean} enabled 표시 여부
+     */
+    setFieldLinesVisible(enabled) {
+        this.fieldLinesEnabled = enabled;
+        this.scene.setFieldLinesVisible(enabled);
+
+        if (enabled) {
+            this.updateFieldLines(true);
         }
+
+        Utils.debug(`Field lines: ${enabled ? 'ON' : 'OFF'}`);
     }
 
     /**
-     * 죽은 입자들 정리
+     * 자기장 화살표 격자 표시 켜기/끄기
+     * @param {boolean} enabled 표시 여부
      */
-    cleanupDeadParticles() {
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            if (this.particles[i].isDead) {
-                this.removeParticle(i);
-            }
+    setFieldArrowsVisible(enabled) {
+        this.fieldArrowsEnabled = enabled;
+        this.scene.setFieldArrowsVisible(enabled);
+
+        if (enabled) {
+            this.updateFieldArrows(true);
         }
+
+        Utils.debug(`Field arrows: ${enabled ? 'ON' : 'OFF'}`);
     }
 
     /**
-     * 특정 입자 제거
-     * @param {number} index 입자 인덱스
+     * 자기장 화살표 격자 평면 변경
+     * @param {string} plane 'xz', 'xy', 'yz'
      */
-    removeParticle(index) {
-        if (index < 0 || index >= this.particles.length) return;
+    setFieldArrowsPlane(plane) {
+        if (!Physics.FIELD_GRID_PLANES.includes(plane)) {
+            Utils.warn(`Unknown field grid plane: ${plane}`);
+            return;
+        }
 
-        const particle = this.particles[index];
+        this.fieldArrowsPlane = plane;
+
+        if (this.fieldArrowsEnabled) {
+            this.updateFieldArrows(true);
+        }
 
-        // 씬에서 메시 제거
-        this.scene.remove(particle.mesh);
+        Utils.debug(`Field arrows plane: ${plane}`);
+    }
 
-        // 배열에서 제거
-        this.particles.splice(index, 1);
+    /**
+     * 바닥 열지도 표시 켜기/끄기 (켤 때는 바닥 전체를 바로 계산)
+     * @param {boolean} enabled 표시 여부
+     */
+    setHeatmapVisible(enabled) {
+        this.heatmapEnabled = enabled;
+        this.scene.setHeatmapVisible(enabled);
 
-        // 객체 풀에 반환 (재사용을 위해)
-        if (this.particlePool.length < 50) {
-            this.particlePool.push(particle);
+        if (enabled) {
+            this.updateHeatmap(true);
         }
+
+        Utils.debug(`Heatmap: ${enabled ? 'ON' : 'OFF'}`);
     }
 
     /**
-     * 가장 오래된 입자 제거
+     * 측정 지점의 자기장과 자석별 기여를 계산해 표시
      */
-    removeOldestParticle() {
-        if (this.particles.length === 0) return;
+    updateProbe() {
+        if (!this.probePosition) return;
 
-        let oldestIndex = 0;
-        let maxAge = this.particles[0].age;
+        const probe = this.physics.probeField(this.probePosition, this.magnets);
+        this.scene.updateProbeMarker(this.probePosition, probe.field);
 
-        for (let i = 1; i < this.particles.length; i++) {
-            if (this.particles[i].age > maxAge) {
-                maxAge = this.particles[i].age;
-                oldestIndex = i;
-            }
+        if (this.uiControls) {
+            this.uiControls.updateProbeReadout(this.probePosition, probe, this.probePinned);
         }
+    }
+
+    /**
+     * 바닥 클릭 동작 변경 (측정 모드를 벗어나면 측정 지점을 지움)
+     * @param {string} mode 'spawn', 'probe'
+     */
+    setInteractionMode(mode) {
+        this.interactionMode = mode;
+        this.scene.setInteractionMode(mode);
+
+        if (mode !== 'probe') {
+            this.clearProbe();
+        }
+
+        Utils.debug(`Interaction mode: ${mode}`);
+    }
+
+    /**
+     * 고정한 측정 지점 해제 (다시 커서를 따라감)
+     */
+    unpinProbe() {
+        this.probePinned = false;
+    }
+
+    /**
+     * 측정 지점과 표시 제거
+     */
+    clearProbe() {
+        this.probePosition = null;
+        this.probePinned = false;
+        this.scene.hideProbeMarker();
 
-        this.removeParticle(oldestIndex);
+        if (this.uiControls) {
+            this.uiControls.updateProbeReadout(null);
+        }
+    }
+
+    /**
+     * 바닥 열지도 눈금 변경
+     * @param {string} scale 'log', 'linear'
+     */
+    setHeatmapScale(scale) {
+        this.scene.setHeatmapScale(scale);
+    }
+
+    /**
+     * 바닥 열지도 색상표 변경
+     * @param {string} palette MagneticScene.HEATMAP_PALETTES 중 하나
+     */
+    setHeatmapPalette(palette) {
+        this.scene.setHeatmapPalette(palette);
+    }
+
+    /**
+     * 자석 움직임(자석 간 상호작용) 켜기/끄기
+     * @param {boolean} enabled 활성화 여부
+     */
+    setMagnetDynamics(enabled) {
+        this.magnetDynamicsEnabled = enabled;
+        this.simulation.setMagnetDynamics(enabled);
+
+        Utils.debug(`Magnet dynamics: ${enabled ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * 입자 적분 방식 변경
+     * @param {string} integrator 'euler', 'verlet', 'rk4'
+     */
+    setIntegrator(integrator) {
+        this.simulation.setIntegrator(integrator);
+
+        Utils.debug(`Integrator: ${this.physics.integrator}`);
     }
 
     /**
      * 렌더링
      */
     render() {
+        // 자석/나침반 메시 동기화 (일시정지 중 리셋/드래그도 바로 보이도록 매 프레임)
+        this.magnetMeshes.forEach(magnetMesh => {
+            magnetMesh.update();
+        });
+        this.compassMeshes.forEach(compassMesh => {
+            compassMesh.update();
+        });
+
+        this.particleMesh.update(this.simulation.getParticleState());
         this.scene.render();
     }
 
@@ -415,36 +955,209 @@ class MagneticSimulationApp {
      * 모든 입자 제거
      */
     clearParticles() {
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            this.removeParticle(i);
+        if (this.simulation.getParticleCount() > 0) {
+            this.history.record(EditHistory.clearParticles(this.simulation));
         }
 
+        this.simulation.clearParticles();
+
         Utils.debug('All particles cleared');
     }
 
     /**
-     * 전체 리셋
+     * 전체 리셋 (불러온 장면이 있으면 그 장면, 없으면 선택한 프리셋을 현재 시드로 처음부터 다시 꾸밈)
      */
     reset() {
-        // 모든 입자 제거
-        this.clearParticles();
-
-        // 자석들을 초기 위치로
-        this.magnets.forEach((magnet, index) => {
-            switch (index) {
-                case 0: // 막대자석
-                    magnet.teleportTo(new THREE.Vector3(0, 0.5, 0));
-                    break;
-                case 1: // 고리자석
-                    magnet.teleportTo(new THREE.Vector3(-3, 0.3, 0));
-                    break;
-            }
+        if (this.loadedScene) {
+            this.loadScene({ ...this.loadedScene, seed: Utils.getSeed() });
+        } else {
+            this.loadPreset(this.activePresetId);
+        }
+
+        Utils.debug('Application reset');
+    }
+
+    /**
+     * 프리셋 장면 불러오기 (자석, 나침반, 철가루를 모두 교체)
+     * @param {string} id ScenePresets.LIST의 프리셋 ID
+     * @returns {boolean} 불러왔는지 여부
+     */
+    loadPreset(id) {
+        if (!ScenePresets.get(id)) {
+            Utils.warn(`Unknown scene preset: ${id}`);
+            return false;
+        }
+
+        // 같은 시드로 난수 순서를 처음부터 다시 시작 (같은 조작이면 같은 결과)
+        Utils.setSeed(Utils.getSeed());
+
+        this.disposeSceneMeshes();
+        ScenePresets.apply(id, this.simulation);
+        this.createSceneMeshes();
+
+        this.activePresetId = id;
+        this.loadedScene = null;
+        this.history.clear();
+
+        Utils.debug(`Preset loaded: ${id}`);
+        return true;
+    }
+
+    /**
+     * 현재 장면을 장면 파일 데이터로 변환
+     * @returns {object} SceneFile 형식 데이터
+     */
+    getSceneData() {
+        return SceneFile.serialize(this.simulation, this.scene.getCameraState());
+    }
+
+    /**
+     * 현재 장면을 JSON 파일로 내려받기
+     */
+    saveSceneToFile() {
+        const blob = new Blob([JSON.stringify(this.getSceneData())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'magnetic-scene.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+
+        Utils.debug('Scene saved');
+    }
+
+    /**
+     * JSON 문자열에서 장면 불러오기
+     * @param {string} text 장면 파일 내용
+     * @throws {SceneFileError} 형식이 잘못된 파일 (현재 장면은 그대로 유지)
+     */
+    loadSceneFromText(text) {
+        const data = SceneFile.parse(text);
+
+        this.loadScene(data);
+        this.loadedScene = data;
+        this.activePresetId = null;
+    }
+
+    /**
+     * 현재 표시 설정 (공유 링크용)
+     * @returns {object} SceneLink.VIEW_DEFAULTS와 같은 항목
+     */
+    getViewSettings() {
+        return {
+            magnetDynamics: this.magnetDynamicsEnabled,
+            fieldLines: this.fieldLinesEnabled,
+            fieldArrows: this.fieldArrowsEnabled,
+            fieldArrowsPlane: this.fieldArrowsPlane,
+            heatmap: this.heatmapEnabled,
+            heatmapScale: this.scene.heatmapScale,
+            heatmapPalette: this.scene.heatmapPalette
+        };
+    }
+
+    /**
+     * 현재 자석 배치와 표시 설정을 담은 공유 링크
+     * @returns {Promise<string>} URL
+     */
+    async getShareUrl() {
+        const hash = await SceneLink.encode(this.getSceneData(), this.getViewSettings());
+        return window.location.href.split('#')[0] + hash;
+    }
+
+    /**
+     * URL 해시의 공유 장면 불러오기 (깨진 링크면 알림만 띄우고 현재 장면 유지)
+     * @returns {Promise<boolean>} 불러왔는지 여부
+     */
+    async loadSceneFromHash() {
+        try {
+            const shared = await SceneLink.decode(window.location.hash);
+            if (!shared) return false;
+
+            this.loadScene(shared.scene);
+            this.loadedScene = shared.scene;
+            this.activePresetId = null;
+
+            this.uiControls.applyViewSettings(shared.view);
+            this.uiControls.onSceneLoaded();
+
+            Utils.debug('Scene loaded from share link');
+            return true;
+        } catch (error) {
+            Utils.error('Failed to load shared scene', error);
+            this.uiControls.showNotification(`공유 링크를 열지 못했습니다. ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * 검증된 장면 데이터로 자석, 나침반, 철가루, 물리 상수, 카메라를 모두 교체
+     * @param {object} data SceneFile 형식 데이터
+     */
+    loadScene(data) {
+        this.disposeSceneMeshes();
+        SceneFile.apply(data, this.simulation);
+        this.createSceneMeshes();
+        this.history.clear();
+
+        if (data.camera) {
+            this.scene.setCameraState(data.camera);
+        }
+
+        Utils.debug(`Scene loaded: ${this.magnets.length} magnets, ${data.particles.length} particles`);
+    }
+
+    /**
+     * 자석/나침반 메시 모두 제거 (장면을 통째로 바꾸기 전)
+     */
+    disposeSceneMeshes() {
+        this.draggedMesh = null;
+        this.selectMagnet(null);
+        this.magnetMeshes.forEach(magnetMesh => magnetMesh.dispose());
+        this.magnetMeshes = [];
+        this.compassMeshes.forEach(compassMesh => compassMesh.dispose());
+        this.compassMeshes = [];
+    }
+
+    /**
+     * 새로 꾸민 장면의 자석/나침반 메시 생성과 표시 갱신
+     */
+    createSceneMeshes() {
+        this.magnets.forEach(magnet => {
+            const magnetMesh = new MagnetMesh(magnet);
+            this.magnetMeshes.push(magnetMesh);
+            this.scene.add(magnetMesh.group);
         });
+        this.compasses.forEach(compass => this.addCompassMesh(compass));
 
-        // 자석 세기 초기화
-        this.onMagnetStrengthChange(1.0);
+        this.scene.setSurfaceHeight(this.physics.SURFACE_HEIGHT);
 
-        Utils.debug('Application reset');
+        // 자석 배치가 같아도 상수가 바뀌었을 수 있으므로 표시 중인 자기장을 다시 계산
+        this.fieldLinesKey = null;
+        this.fieldArrowsKey = null;
+        this.heatmapKey = null;
+    }
+
+    /**
+     * 난수 시드를 바꾸고 처음부터 다시 시작
+     * @param {number} seed 32비트 정수 시드
+     */
+    setSeed(seed) {
+        Utils.setSeed(seed);
+        this.reset();
+
+        Utils.debug(`Random seed: ${Utils.getSeed()}`);
+    }
+
+    /**
+     * 현재 난수 시드 반환
+     * @returns {number} 시드
+     */
+    getSeed() {
+        return Utils.getSeed();
     }
 
     /**
@@ -477,13 +1190,21 @@ class MagneticSimulationApp {
         }, 5000);
     }
 
+    /**
+     * 현재 입자 수
+     * @returns {number} 입자 수
+     */
+    getParticleCount() {
+        return this.simulation ? this.simulation.getParticleCount() : 0;
+    }
+
     /**
      * 성능 통계 반환
      * @returns {object} 성능 통계
      */
     getPerformanceStats() {
         return {
-            particleCount: this.particles.length,
+            particleCount: this.getParticleCount(),
             magnetCount: this.magnets.length,
             fps: this.scene?.fpsCounter?.getFPS() || 0,
             memoryUsage: performance.memory ? {
@@ -504,14 +1225,19 @@ class MagneticSimulationApp {
 
         // 이벤트 리스너 제거
         document.removeEventListener('ironParticleSpawn', this.onIronParticleSpawn);
+        document.removeEventListener('fieldProbe', this.onFieldProbe);
+        window.removeEventListener('hashchange', this.onHashChange);
         document.removeEventListener('mousedown', this.onMouseDown);
         document.removeEventListener('mousemove', this.onMouseMove);
         document.removeEventListener('mouseup', this.onMouseUp);
 
         // 모든 객체 제거
-        this.clearParticles();
-        this.magnets.forEach(magnet => magnet.dispose());
-        this.magnets = [];
+        if (this.simulation) this.simulation.dispose();
+        this.magnetMeshes.forEach(magnetMesh => magnetMesh.dispose());
+        this.magnetMeshes = [];
+        this.compassMeshes.forEach(compassMesh => compassMesh.dispose());
+        this.compassMeshes = [];
+        if (this.particleMesh) this.particleMesh.dispose();
 
         // 시스템들 정리
         if (this.scene) this.scene.dispose();
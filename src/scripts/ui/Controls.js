@@ -9,15 +9,55 @@ class UIControls {
 
         // UI 요소들
         this.elements = {
+            presetSelect: document.getElementById('preset-select'),
+            presetDescription: document.getElementById('preset-description'),
             strengthSlider: document.getElementById('magnet-strength'),
             strengthValue: document.getElementById('strength-value'),
+            currentSlider: document.getElementById('solenoid-current'),
+            currentValue: document.getElementById('current-value'),
+            reverseCurrentBtn: document.getElementById('reverse-current-btn'),
+            compassRingBtn: document.getElementById('compass-ring-btn'),
+            clearCompassesBtn: document.getElementById('clear-compasses-btn'),
             resetBtn: document.getElementById('reset-btn'),
+            saveSceneBtn: document.getElementById('save-scene-btn'),
+            loadSceneBtn: document.getElementById('load-scene-btn'),
+            sceneFileInput: document.getElementById('scene-file-input'),
+            copyLinkBtn: document.getElementById('copy-link-btn'),
             clearParticlesBtn: document.getElementById('clear-particles-btn'),
+            magnetTypeSelect: document.getElementById('magnet-type-select'),
+            addMagnetBtn: document.getElementById('add-magnet-btn'),
+            undoBtn: document.getElementById('undo-btn'),
+            redoBtn: document.getElementById('redo-btn'),
+            magnetPanel: document.getElementById('magnet-panel'),
+            selectedTypeSelect: document.getElementById('selected-type'),
+            selectedStrengthLabel: document.getElementById('selected-strength-label'),
+            selectedStrengthSlider: document.getElementById('selected-strength'),
+            selectedStrengthValue: document.getElementById('selected-strength-value'),
+            flipPolarityBtn: document.getElementById('flip-polarity-btn'),
+            selectedScaleSlider: document.getElementById('selected-scale'),
+            selectedScaleValue: document.getElementById('selected-scale-value'),
+            northColorInput: document.getElementById('north-color'),
+            southColorInput: document.getElementById('south-color'),
+            deselectBtn: document.getElementById('deselect-btn'),
+            magnetDynamicsToggle: document.getElementById('magnet-dynamics-toggle'),
+            fieldLinesToggle: document.getElementById('field-lines-toggle'),
+            fieldArrowsToggle: document.getElementById('field-arrows-toggle'),
+            fieldArrowsPlaneSelect: document.getElementById('field-arrows-plane'),
+            heatmapToggle: document.getElementById('heatmap-toggle'),
+            heatmapScaleSelect: document.getElementById('heatmap-scale'),
+            heatmapPaletteSelect: document.getElementById('heatmap-palette'),
+            heatmapLegend: document.getElementById('heatmap-legend'),
+            interactionModeSelect: document.getElementById('interaction-mode'),
+            probePanel: document.getElementById('probe-panel'),
+            integratorSelect: document.getElementById('integrator-select'),
+            seedInput: document.getElementById('seed-input'),
+            newSeedBtn: document.getElementById('new-seed-btn'),
             loadingScreen: document.getElementById('loading')
         };
 
         // 상태
         this.magnetStrength = 1.0;
+        this.solenoidCurrent = 1.0;
 
         // 이벤트 바인딩
         this.bindEvents();
@@ -29,6 +69,15 @@ class UIControls {
      * 이벤트 리스너 바인딩
      */
     bindEvents() {
+        // 실험 프리셋 선택 (목록은 ScenePresets.LIST로 채움)
+        if (this.elements.presetSelect) {
+            this.populatePresets();
+
+            this.elements.presetSelect.addEventListener('change', (e) => {
+                this.onPresetChange(e.target.value);
+            });
+        }
+
         // 자석 세기 슬라이더
         if (this.elements.strengthSlider) {
             this.elements.strengthSlider.addEventListener('input', (e) => {
@@ -40,6 +89,34 @@ class UIControls {
             });
         }
 
+        // 전류원(전자석, 도선) 전류 슬라이더
+        if (this.elements.currentSlider) {
+            this.elements.currentSlider.addEventListener('input', (e) => {
+                this.onCurrentChange(parseFloat(e.target.value));
+            });
+        }
+
+        // 전류 반전 버튼
+        if (this.elements.reverseCurrentBtn) {
+            this.elements.reverseCurrentBtn.addEventListener('click', () => {
+                this.reverseCurrent();
+            });
+        }
+
+        // 나침반 고리 버튼 (막대자석 주위)
+        if (this.elements.compassRingBtn) {
+            this.elements.compassRingBtn.addEventListener('click', () => {
+                this.onCompassRing();
+            });
+        }
+
+        // 나침반 제거 버튼
+        if (this.elements.clearCompassesBtn) {
+            this.elements.clearCompassesBtn.addEventListener('click', () => {
+                this.onClearCompasses();
+            });
+        }
+
         // 리셋 버튼
         if (this.elements.resetBtn) {
             this.elements.resetBtn.addEventListener('click', () => {
@@ -47,6 +124,37 @@ class UIControls {
             });
         }
 
+        // 장면 저장 버튼
+        if (this.elements.saveSceneBtn) {
+            this.elements.saveSceneBtn.addEventListener('click', () => {
+                this.onSaveScene();
+            });
+        }
+
+        // 장면 불러오기 버튼 (숨겨 둔 파일 입력을 대신 클릭)
+        if (this.elements.loadSceneBtn && this.elements.sceneFileInput) {
+            this.elements.loadSceneBtn.addEventListener('click', () => {
+                this.elements.sceneFileInput.click();
+            });
+
+            this.elements.sceneFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.onLoadScene(file);
+                }
+
+                // 같은 파일을 다시 골라도 change가 발생하도록 비움
+                e.target.value = '';
+            });
+        }
+
+        // 공유 링크 복사 버튼
+        if (this.elements.copyLinkBtn) {
+            this.elements.copyLinkBtn.addEventListener('click', () => {
+                this.onCopyLink();
+            });
+        }
+
         // 철가루 제거 버튼
         if (this.elements.clearParticlesBtn) {
             this.elements.clearParticlesBtn.addEventListener('click', () => {
@@ -54,6 +162,170 @@ class UIControls {
             });
         }
 
+        // 자석 추가 (종류 목록은 Magnet.TYPE_NAMES로 채움)
+        if (this.elements.magnetTypeSelect) {
+            Object.keys(Magnet.TYPE_NAMES).forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = Magnet.TYPE_NAMES[type];
+                this.elements.magnetTypeSelect.appendChild(option);
+            });
+        }
+
+        if (this.elements.addMagnetBtn) {
+            this.elements.addMagnetBtn.addEventListener('click', () => {
+                this.onAddMagnet(this.elements.magnetTypeSelect ? this.elements.magnetTypeSelect.value : 'bar');
+            });
+        }
+
+        // 되돌리기/다시 실행 버튼
+        if (this.elements.undoBtn) {
+            this.elements.undoBtn.addEventListener('click', () => {
+                this.onUndo();
+            });
+        }
+
+        if (this.elements.redoBtn) {
+            this.elements.redoBtn.addEventListener('click', () => {
+                this.onRedo();
+            });
+        }
+
+        this.updateHistoryButtons();
+
+        // 선택한 자석 속성 패널 (종류 목록은 Magnet.TYPE_NAMES로 채움)
+        if (this.elements.selectedTypeSelect) {
+            Object.keys(Magnet.TYPE_NAMES).forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = Magnet.TYPE_NAMES[type];
+                this.elements.selectedTypeSelect.appendChild(option);
+            });
+
+            this.elements.selectedTypeSelect.addEventListener('change', (e) => {
+                this.onSelectedTypeChange(e.target.value);
+            });
+        }
+
+        if (this.elements.selectedStrengthSlider) {
+            this.elements.selectedStrengthSlider.addEventListener('input', (e) => {
+                this.onSelectedStrengthChange(parseFloat(e.target.value));
+            });
+        }
+
+        if (this.elements.flipPolarityBtn) {
+            this.elements.flipPolarityBtn.addEventListener('click', () => {
+                this.onFlipPolarity();
+            });
+        }
+
+        if (this.elements.selectedScaleSlider) {
+            this.elements.selectedScaleSlider.min = Magnet.MIN_SCALE;
+            this.elements.selectedScaleSlider.max = Magnet.MAX_SCALE;
+            this.elements.selectedScaleSlider.addEventListener('input', (e) => {
+                this.onSelectedScaleChange(parseFloat(e.target.value));
+            });
+        }
+
+        [['north', this.elements.northColorInput], ['south', this.elements.southColorInput]].forEach(([pole, input]) => {
+            if (input) {
+                input.addEventListener('input', (e) => {
+                    this.onSelectedColorChange(pole, e.target.value);
+                });
+            }
+        });
+
+        if (this.elements.deselectBtn) {
+            this.elements.deselectBtn.addEventListener('click', () => {
+                this.onDeselectMagnet();
+            });
+        }
+
+        // 자석 움직임 토글
+        if (this.elements.magnetDynamicsToggle) {
+            this.elements.magnetDynamicsToggle.addEventListener('change', (e) => {
+                this.onMagnetDynamicsChange(e.target.checked);
+            });
+        }
+
+        // 자기력선 표시 토글
+        if (this.elements.fieldLinesToggle) {
+            this.elements.fieldLinesToggle.addEventListener('change', (e) => {
+                this.onFieldLinesChange(e.target.checked);
+            });
+        }
+
+        // 자기장 화살표 격자 토글
+        if (this.elements.fieldArrowsToggle) {
+            this.elements.fieldArrowsToggle.addEventListener('change', (e) => {
+                this.onFieldArrowsChange(e.target.checked);
+            });
+        }
+
+        // 화살표 격자 평면 선택
+        if (this.elements.fieldArrowsPlaneSelect) {
+            this.elements.fieldArrowsPlaneSelect.addEventListener('change', (e) => {
+                this.onFieldArrowsPlaneChange(e.target.value);
+            });
+        }
+
+        // 바닥 열지도 토글
+        if (this.elements.heatmapToggle) {
+            this.elements.heatmapToggle.addEventListener('change', (e) => {
+                this.onHeatmapChange(e.target.checked);
+            });
+        }
+
+        // 열지도 눈금 선택
+        if (this.elements.heatmapScaleSelect) {
+            this.elements.heatmapScaleSelect.addEventListener('change', (e) => {
+                this.onHeatmapScaleChange(e.target.value);
+            });
+        }
+
+        // 열지도 색상표 선택
+        if (this.elements.heatmapPaletteSelect) {
+            this.elements.heatmapPaletteSelect.addEventListener('change', (e) => {
+                this.onHeatmapPaletteChange(e.target.value);
+            });
+        }
+
+        // 클릭 동작 선택 (철가루 뿌리기 / 자기장 측정)
+        if (this.elements.interactionModeSelect) {
+            this.elements.interactionModeSelect.addEventListener('change', (e) => {
+                this.onInteractionModeChange(e.target.value);
+            });
+        }
+
+        // 적분 방식 선택
+        if (this.elements.integratorSelect) {
+            this.elements.integratorSelect.addEventListener('change', (e) => {
+                this.onIntegratorChange(e.target.value);
+            });
+        }
+
+        // 난수 시드 입력 (적용하면 같은 시드로 처음부터 다시 시작)
+        if (this.elements.seedInput) {
+            this.elements.seedInput.value = Utils.getSeed();
+
+            this.elements.seedInput.addEventListener('change', (e) => {
+                const seed = parseInt(e.target.value, 10);
+                if (Number.isNaN(seed)) {
+                    e.target.value = Utils.getSeed();
+                    return;
+                }
+
+                this.onSeedChange(seed);
+            });
+        }
+
+        // 새 시드 버튼
+        if (this.elements.newSeedBtn) {
+            this.elements.newSeedBtn.addEventListener('click', () => {
+                this.onSeedChange(Utils.createSeed());
+            });
+        }
+
         // 키보드 단축키
         document.addEventListener('keydown', (e) => {
             this.onKeyDown(e);
@@ -68,7 +340,7 @@ class UIControls {
     }
 
     /**
-     * 자석 세기 변경 처리
+     * 전체 자석 세기 변경 처리 (새로 놓을 자석과 선택한 자석에만 적용)
      * @param {number} value 새로운 세기 값
      */
     onStrengthChange(value) {
@@ -87,6 +359,64 @@ class UIControls {
         Utils.debug(`Magnet strength changed to: ${value}`);
     }
 
+    /**
+     * 전류원(전자석, 도선) 전체 전류 변경 처리 (새로 놓을 전류원과 선택한 전류원에만 적용)
+     * @param {number} value 새로운 전류 (음수면 반대 방향)
+     */
+    onCurrentChange(value) {
+        this.solenoidCurrent = value;
+
+        if (this.elements.currentValue) {
+            this.elements.currentValue.textContent = `${value.toFixed(1)} A`;
+        }
+
+        if (this.app && this.app.onSolenoidCurrentChange) {
+            this.app.onSolenoidCurrentChange(value);
+        }
+
+        Utils.debug(`Solenoid current changed to: ${value}`);
+    }
+
+    /**
+     * 전류원 전류 설정 (슬라이더도 함께 갱신)
+     * @param {number} value 전류
+     */
+    setSolenoidCurrent(value) {
+        const current = Utils.clamp(value, -Magnet.MAX_CURRENT, Magnet.MAX_CURRENT);
+
+        if (this.elements.currentSlider) {
+            this.elements.currentSlider.value = current;
+        }
+
+        this.onCurrentChange(current);
+    }
+
+    /**
+     * 놓인 모든 전류원과 새로 놓을 전류원의 전류 반전 (자기장과 철가루 무늬가 바로 뒤집힘)
+     */
+    reverseCurrent() {
+        this.changeAllCurrents(current => -current, '전류 반전');
+    }
+
+    /**
+     * 놓인 모든 전류원과 새로 놓을 전류원의 전류 끄기
+     */
+    turnOffCurrent() {
+        this.changeAllCurrents(() => 0, '전류 끄기');
+    }
+
+    /**
+     * 놓인 모든 전류원과 새로 놓을 전류원의 전류를 한꺼번에 바꾸고 슬라이더 표시를 맞춤
+     * @param {Function} change 지금 전류를 받아 새 전류를 돌려주는 함수
+     * @param {string} label 편집 기록 표시 이름
+     */
+    changeAllCurrents(change, label) {
+        if (this.app && this.app.changeAllCurrents) {
+            this.app.changeAllCurrents(change, label);
+            this.syncStrengthSliders();
+        }
+    }
+
     /**
      * 리셋 버튼 처리
      */
@@ -101,6 +431,163 @@ class UIControls {
         Utils.debug('Application reset');
     }
 
+    /**
+     * 프리셋 선택 상자 채우기 (장면 파일/링크를 불러왔을 때 표시할 빈 항목 포함)
+     */
+    populatePresets() {
+        const select = this.elements.presetSelect;
+
+        const loadedOption = document.createElement('option');
+        loadedOption.value = '';
+        loadedOption.textContent = '불러온 장면';
+        loadedOption.disabled = true;
+        loadedOption.hidden = true;
+        select.appendChild(loadedOption);
+
+        ScenePresets.LIST.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        });
+
+        this.updatePresetDisplay();
+    }
+
+    /**
+     * 프리셋 선택 처리
+     * @param {string} id 프리셋 ID
+     */
+    onPresetChange(id) {
+        if (this.app && this.app.loadPreset) {
+            this.app.loadPreset(id);
+        }
+
+        this.onSceneLoaded();
+    }
+
+    /**
+     * 선택 상자와 설명을 지금 장면에 맞춤
+     */
+    updatePresetDisplay() {
+        const presetId = this.app ? this.app.activePresetId : ScenePresets.DEFAULT;
+        const preset = presetId ? ScenePresets.get(presetId) : null;
+
+        if (this.elements.presetSelect) {
+            this.elements.presetSelect.value = preset ? preset.id : '';
+        }
+
+        if (this.elements.presetDescription) {
+            this.elements.presetDescription.textContent = preset
+                ? preset.description
+                : '장면 파일이나 공유 링크에서 불러온 장면입니다. 리셋하면 이 장면으로 돌아갑니다.';
+        }
+    }
+
+    /**
+     * 장면 저장 버튼 처리
+     */
+    onSaveScene() {
+        if (this.app && this.app.saveSceneToFile) {
+            this.app.saveSceneToFile();
+        }
+    }
+
+    /**
+     * 장면 파일 불러오기 처리 (형식이 잘못된 파일은 알림으로 이유 표시)
+     * @param {File} file 선택한 파일
+     */
+    async onLoadScene(file) {
+        try {
+            const text = await file.text();
+            this.app.loadSceneFromText(text);
+            this.onSceneLoaded();
+
+            this.showNotification(`장면을 불러왔습니다: ${file.name}`);
+        } catch (error) {
+            Utils.error('Failed to load scene file', error);
+            this.showNotification(`장면을 불러오지 못했습니다. ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 장면을 불러온 뒤 프리셋 표시, 시드 입력, 슬라이더를 장면에 맞춤
+     */
+    onSceneLoaded() {
+        if (this.elements.seedInput) {
+            this.elements.seedInput.value = Utils.getSeed();
+        }
+
+        this.updatePresetDisplay();
+        this.resetUI();
+    }
+
+    /**
+     * 공유 링크 복사 버튼 처리 (클립보드를 쓸 수 없으면 링크를 직접 복사하도록 보여줌)
+     */
+    async onCopyLink() {
+        try {
+            const url = await this.app.getShareUrl();
+
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(url);
+                this.showNotification('공유 링크를 복사했습니다');
+            } else {
+                window.prompt('공유 링크', url);
+            }
+        } catch (error) {
+            Utils.error('Failed to copy share link', error);
+            this.showNotification('공유 링크를 만들지 못했습니다', 'error');
+        }
+    }
+
+    /**
+     * 공유 링크의 표시 설정 적용 (체크박스와 선택 상자도 함께 갱신)
+     * @param {object} view SceneLink.VIEW_DEFAULTS와 같은 항목
+     */
+    applyViewSettings(view) {
+        this.onMagnetDynamicsChange(view.magnetDynamics);
+        this.onFieldLinesChange(view.fieldLines);
+        this.onFieldArrowsPlaneChange(view.fieldArrowsPlane);
+        this.onFieldArrowsChange(view.fieldArrows);
+
+        // 눈금과 색상표는 이 화면에서 지원하는 값만 적용
+        if (MagneticScene.HEATMAP_RANGES[view.heatmapScale]) {
+            this.onHeatmapScaleChange(view.heatmapScale);
+        }
+        if (MagneticScene.HEATMAP_PALETTES[view.heatmapPalette]) {
+            this.onHeatmapPaletteChange(view.heatmapPalette);
+        }
+        this.onHeatmapChange(view.heatmap);
+    }
+
+    /**
+     * 막대자석 주위에 나침반 고리 배치
+     */
+    onCompassRing() {
+        if (this.app && this.app.addCompassRing) {
+            this.app.addCompassRing();
+        }
+    }
+
+    /**
+     * 커서에서 가장 가까운 자석 주위에 나침반 고리 배치
+     */
+    onCompassRingAtMouse() {
+        if (this.app && this.app.addCompassRingAtMouse) {
+            this.app.addCompassRingAtMouse();
+        }
+    }
+
+    /**
+     * 나침반 제거 버튼 처리
+     */
+    onClearCompasses() {
+        if (this.app && this.app.clearCompasses) {
+            this.app.clearCompasses();
+        }
+    }
+
     /**
      * 철가루 제거 버튼 처리
      */
@@ -112,11 +599,441 @@ class UIControls {
         Utils.debug('Particles cleared');
     }
 
+    /**
+     * 자석 추가 버튼 처리
+     * @param {string} type 자석 타입
+     */
+    onAddMagnet(type) {
+        if (this.app && this.app.addMagnetAtView) {
+            this.app.addMagnetAtView(type);
+        }
+    }
+
+    /**
+     * 단축키로 다룰 자석 (커서 아래 자석, 없으면 선택한 자석)
+     * @returns {Magnet|null} 자석
+     */
+    getTargetMagnet() {
+        if (!this.app || !this.app.getMagnetAtMouse) return null;
+
+        return this.app.getMagnetAtMouse() || this.app.selectedMagnet;
+    }
+
+    /**
+     * 커서 아래 또는 선택한 자석 제거 (Delete)
+     */
+    onRemoveMagnet() {
+        const magnet = this.getTargetMagnet();
+
+        if (magnet) {
+            this.app.removeMagnet(magnet);
+        }
+    }
+
+    /**
+     * 커서 아래 또는 선택한 자석 회전 (R)
+     * @param {number} angle 회전 각도 (라디안, 위에서 볼 때 반시계)
+     */
+    onRotateMagnet(angle) {
+        const magnet = this.getTargetMagnet();
+
+        if (magnet) {
+            this.app.rotateMagnet(magnet, angle);
+        }
+    }
+
+    /**
+     * 선택한 자석 속성 패널을 자석에 맞춤 (선택하지 않았으면 숨김)
+     * 영구자석은 세기, 전류원은 전류를 같은 슬라이더로 조절
+     * @param {Magnet|null} magnet 선택한 자석
+     */
+    updateMagnetPanel(magnet) {
+        const el = this.elements;
+        if (!el.magnetPanel) return;
+
+        el.magnetPanel.hidden = !magnet;
+        if (!magnet) return;
+
+        const isCurrentSource = magnet.isCurrentSource();
+        const value = isCurrentSource ? magnet.current : magnet.strength;
+        const scale = magnet.getScale();
+
+        if (el.selectedTypeSelect) el.selectedTypeSelect.value = magnet.type;
+
+        if (el.selectedStrengthLabel) el.selectedStrengthLabel.textContent = isCurrentSource ? '전류' : '세기';
+        if (el.selectedStrengthSlider) {
+            el.selectedStrengthSlider.min = isCurrentSource ? -Magnet.MAX_CURRENT : Magnet.MIN_STRENGTH;
+            el.selectedStrengthSlider.max = isCurrentSource ? Magnet.MAX_CURRENT : Magnet.MAX_STRENGTH;
+            el.selectedStrengthSlider.value = value;
+        }
+        if (el.selectedStrengthValue) {
+            el.selectedStrengthValue.textContent = isCurrentSource ? `${value.toFixed(1)} A` : value.toFixed(1);
+        }
+
+        if (el.selectedScaleSlider) el.selectedScaleSlider.value = scale;
+        if (el.selectedScaleValue) el.selectedScaleValue.textContent = `×${scale.toFixed(1)}`;
+
+        if (el.northColorInput) el.northColorInput.value = UIControls.toColorValue(magnet.options.colors.north);
+        if (el.southColorInput) el.southColorInput.value = UIControls.toColorValue(magnet.options.colors.south);
+    }
+
+    /**
+     * 선택한 자석 세기(전류원은 전류) 변경
+     * @param {number} value 새 값
+     */
+    onSelectedStrengthChange(value) {
+        if (this.app && this.app.editSelectedMagnet && this.app.selectedMagnet) {
+            if (this.app.selectedMagnet.isCurrentSource()) {
+                this.app.editSelectedMagnet('선택한 전류원 전류 변경', magnet => magnet.setCurrent(value), true);
+            } else {
+                this.app.editSelectedMagnet('선택한 자석 세기 변경', magnet => magnet.setStrength(value), true);
+            }
+        }
+    }
+
+    /**
+     * 선택한 자석 극성 뒤집기
+     */
+    onFlipPolarity() {
+        if (this.app && this.app.editSelectedMagnet) {
+            this.app.editSelectedMagnet('극성 뒤집기', magnet => magnet.flipPolarity());
+        }
+    }
+
+    /**
+     * 선택한 자석 종류 변경
+     * @param {string} type 새 자석 타입
+     */
+    onSelectedTypeChange(type) {
+        if (this.app && this.app.editSelectedMagnet) {
+            this.app.editSelectedMagnet(`${Magnet.TYPE_NAMES[type]}(으)로 바꾸기`, magnet => magnet.setType(type));
+        }
+    }
+
+    /**
+     * 선택한 자석 크기 배율 변경
+     * @param {number} scale 배율
+     */
+    onSelectedScaleChange(scale) {
+        if (this.app && this.app.editSelectedMagnet) {
+            this.app.editSelectedMagnet('크기 변경', magnet => magnet.setScale(scale), true);
+        }
+    }
+
+    /**
+     * 선택한 자석 극 색 변경
+     * @param {string} pole 'north' 또는 'south'
+     * @param {string} value 색 입력 값 ('#rrggbb')
+     */
+    onSelectedColorChange(pole, value) {
+        if (this.app && this.app.editSelectedMagnet) {
+            this.app.editSelectedMagnet(pole === 'north' ? 'N극 색 변경' : 'S극 색 변경', magnet => {
+                magnet.options.colors = { ...magnet.options.colors, [pole]: parseInt(value.slice(1), 16) };
+            }, true);
+        }
+    }
+
+    /**
+     * 선택 해제
+     */
+    onDeselectMagnet() {
+        if (this.app && this.app.selectMagnet) {
+            this.app.selectMagnet(null);
+        }
+    }
+
+    /**
+     * 색 숫자를 색 입력 값으로 변환
+     * @param {number} color 0xrrggbb
+     * @returns {string} '#rrggbb'
+     */
+    static toColorValue(color) {
+        return `#${color.toString(16).padStart(6, '0')}`;
+    }
+
+    /**
+     * 되돌리기 처리
+     */
+    onUndo() {
+        if (this.app && this.app.undo) {
+            this.app.undo();
+        }
+    }
+
+    /**
+     * 다시 실행 처리
+     */
+    onRedo() {
+        if (this.app && this.app.redo) {
+            this.app.redo();
+        }
+    }
+
+    /**
+     * 되돌리기/다시 실행 버튼을 편집 기록에 맞춤 (할 일이 없으면 비활성화, 제목에 무엇을 하는지 표시)
+     */
+    updateHistoryButtons() {
+        const history = this.app && this.app.history;
+        const undoCommand = history ? history.undoStack[history.undoStack.length - 1] : null;
+        const redoCommand = history ? history.redoStack[history.redoStack.length - 1] : null;
+
+        if (this.elements.undoBtn) {
+            this.elements.undoBtn.disabled = !undoCommand;
+            this.elements.undoBtn.title = undoCommand ? `되돌리기: ${undoCommand.label} (Ctrl+Z)` : '되돌릴 편집 없음';
+        }
+
+        if (this.elements.redoBtn) {
+            this.elements.redoBtn.disabled = !redoCommand;
+            this.elements.redoBtn.title = redoCommand ? `다시 실행: ${redoCommand.label} (Ctrl+Shift+Z)` : '다시 실행할 편집 없음';
+        }
+    }
+
+    /**
+     * 자석 움직임 토글 처리
+     * @param {boolean} enabled 활성화 여부
+     */
+    onMagnetDynamicsChange(enabled) {
+        if (this.elements.magnetDynamicsToggle) {
+            this.elements.magnetDynamicsToggle.checked = enabled;
+        }
+
+        if (this.app && this.app.setMagnetDynamics) {
+            this.app.setMagnetDynamics(enabled);
+        }
+    }
+
+    /**
+     * 자기력선 표시 토글 처리
+     * @param {boolean} enabled 표시 여부
+     */
+    onFieldLinesChange(enabled) {
+        if (this.elements.fieldLinesToggle) {
+            this.elements.fieldLinesToggle.checked = enabled;
+        }
+
+        if (this.app && this.app.setFieldLinesVisible) {
+            this.app.setFieldLinesVisible(enabled);
+        }
+    }
+
+    /**
+     * 자기장 화살표 격자 토글 처리
+     * @param {boolean} enabled 표시 여부
+     */
+    onFieldArrowsChange(enabled) {
+        if (this.elements.fieldArrowsToggle) {
+            this.elements.fieldArrowsToggle.checked = enabled;
+        }
+
+        if (this.app && this.app.setFieldArrowsVisible) {
+            this.app.setFieldArrowsVisible(enabled);
+        }
+    }
+
+    /**
+     * 화살표 격자 평면 변경 처리
+     * @param {string} plane 'xz', 'xy', 'yz'
+     */
+    onFieldArrowsPlaneChange(plane) {
+        if (this.elements.fieldArrowsPlaneSelect) {
+            this.elements.fieldArrowsPlaneSelect.value = plane;
+        }
+
+        if (this.app && this.app.setFieldArrowsPlane) {
+            this.app.setFieldArrowsPlane(plane);
+        }
+    }
+
+    /**
+     * 바닥 열지도 토글 처리
+     * @param {boolean} enabled 표시 여부
+     */
+    onHeatmapChange(enabled) {
+        if (this.elements.heatmapToggle) {
+            this.elements.heatmapToggle.checked = enabled;
+        }
+
+        if (this.app && this.app.setHeatmapVisible) {
+            this.app.setHeatmapVisible(enabled);
+        }
+
+        this.updateHeatmapLegend();
+    }
+
+    /**
+     * 열지도 눈금 변경 처리
+     * @param {string} scale 'log', 'linear'
+     */
+    onHeatmapScaleChange(scale) {
+        if (this.elements.heatmapScaleSelect) {
+            this.elements.heatmapScaleSelect.value = scale;
+        }
+
+        if (this.app && this.app.setHeatmapScale) {
+            this.app.setHeatmapScale(scale);
+        }
+
+        this.updateHeatmapLegend();
+    }
+
+    /**
+     * 열지도 색상표 변경 처리
+     * @param {string} palette MagneticScene.HEATMAP_PALETTES 중 하나
+     */
+    onHeatmapPaletteChange(palette) {
+        if (this.elements.heatmapPaletteSelect) {
+            this.elements.heatmapPaletteSelect.value = palette;
+        }
+
+        if (this.app && this.app.setHeatmapPalette) {
+            this.app.setHeatmapPalette(palette);
+        }
+
+        this.updateHeatmapLegend();
+    }
+
+    /**
+     * 열지도 범례 갱신 (현재 색상표 그라데이션과 눈금 양 끝/가운데 값)
+     */
+    updateHeatmapLegend() {
+        const legend = this.elements.heatmapLegend;
+        const scene = this.app && this.app.scene;
+        if (!legend || !scene) return;
+
+        legend.hidden = !scene.heatmapVisible;
+
+        const stops = MagneticScene.HEATMAP_PALETTES[scene.heatmapPalette].stops;
+        const gradient = stops
+            .map((stop, index) => `#${stop.toString(16).padStart(6, '0')} ${index / (stops.length - 1) * 100}%`)
+            .join(', ');
+        legend.querySelector('.heatmap-legend-bar').style.background = `linear-gradient(to right, ${gradient})`;
+
+        // 로그 눈금의 가운데는 기하 평균
+        const [min, max] = MagneticScene.HEATMAP_RANGES[scene.heatmapScale];
+        const mid = scene.heatmapScale === 'log' ? Math.sqrt(min * max) : (min + max) / 2;
+
+        legend.querySelector('.heatmap-legend-min').textContent = `≤${min}`;
+        legend.querySelector('.heatmap-legend-mid').textContent = `${mid}`;
+        legend.querySelector('.heatmap-legend-max').textContent = `≥${max} |B|`;
+    }
+
+    /**
+     * 클릭 동작 변경 처리 (측정 모드에서만 측정값 패널 표시)
+     * @param {string} mode 'spawn', 'probe'
+     */
+    onInteractionModeChange(mode) {
+        if (this.elements.interactionModeSelect) {
+            this.elements.interactionModeSelect.value = mode;
+        }
+
+        if (this.elements.probePanel) {
+            this.elements.probePanel.hidden = mode !== 'probe';
+        }
+
+        if (this.app && this.app.setInteractionMode) {
+            this.app.setInteractionMode(mode);
+        }
+    }
+
+    /**
+     * 자기장 측정값 표시 갱신
+     * 세기는 Physics.FIELD_UNIT_TESLA로 환산한 mT와 가우스, 방향은 수평 방위각(+X에서 위에서 볼 때 반시계)과 앙각
+     * @param {THREE.Vector3|null} position 측정 위치 (null이면 표시 지움)
+     * @param {object} probe Physics.probeField 결과
+     * @param {boolean} pinned 클릭으로 고정한 지점인지 여부
+     */
+    updateProbeReadout(position, probe, pinned = false) {
+        const panel = this.elements.probePanel;
+        if (!panel) return;
+
+        const setText = (selector, text) => {
+            panel.querySelector(selector).textContent = text;
+        };
+        const list = panel.querySelector('.probe-contributions');
+
+        if (!position) {
+            ['.probe-position', '.probe-magnitude', '.probe-components', '.probe-direction'].forEach(selector => {
+                setText(selector, '-');
+            });
+            list.innerHTML = '';
+            return;
+        }
+
+        const tesla = this.app.physics.FIELD_UNIT_TESLA;
+        const { field, contributions } = probe;
+        const magnitude = field.length();
+        const toMilliTesla = (value) => value * tesla * 1e3;
+        const toDegrees = (angle) => angle * 180 / Math.PI;
+
+        setText('.probe-position', `(${position.x.toFixed(2)}, ${position.z.toFixed(2)})${pinned ? ' 고정' : ''}`);
+        setText('.probe-magnitude', `${toMilliTesla(magnitude).toFixed(3)} mT (${(magnitude * tesla * 1e4).toFixed(2)} G)`);
+        setText('.probe-components', ['x', 'y', 'z'].map(axis => toMilliTesla(field[axis]).toFixed(3)).join(', ') + ' mT');
+
+        if (magnitude > 0) {
+            const azimuth = toDegrees(Math.atan2(-field.z, field.x));
+            const elevation = toDegrees(Math.atan2(field.y, Math.hypot(field.x, field.z)));
+            setText('.probe-direction', `방위각 ${azimuth.toFixed(1)}°, 앙각 ${elevation.toFixed(1)}°`);
+        } else {
+            setText('.probe-direction', '-');
+        }
+
+        // 자석별 기여 (세기 순)
+        list.innerHTML = '';
+        contributions
+            .map((contribution, index) => ({ ...contribution, index }))
+            .sort((a, b) => b.field.length() - a.field.length())
+            .forEach(({ magnet, field: part, index }) => {
+                const item = document.createElement('li');
+                const name = document.createElement('span');
+                const value = document.createElement('span');
+                name.textContent = `${index + 1}. ${Magnet.TYPE_NAMES[magnet.type] || magnet.type}`;
+                value.textContent = `${toMilliTesla(part.length()).toFixed(3)} mT`;
+                item.appendChild(name);
+                item.appendChild(value);
+                list.appendChild(item);
+            });
+    }
+
+    /**
+     * 적분 방식 변경 처리
+     * @param {string} integrator 'euler', 'verlet', 'rk4'
+     */
+    onIntegratorChange(integrator) {
+        if (this.elements.integratorSelect) {
+            this.elements.integratorSelect.value = integrator;
+        }
+
+        if (this.app && this.app.setIntegrator) {
+            this.app.setIntegrator(integrator);
+        }
+    }
+
+    /**
+     * 난수 시드 변경 처리
+     * @param {number} seed 새 시드
+     */
+    onSeedChange(seed) {
+        if (this.app && this.app.setSeed) {
+            this.app.setSeed(seed);
+        }
+
+        // 범위를 벗어난 값은 32비트로 정리된 실제 시드로 표시
+        if (this.elements.seedInput) {
+            this.elements.seedInput.value = Utils.getSeed();
+        }
+
+        this.resetUI();
+    }
+
     /**
      * 키보드 이벤트 처리
      * @param {KeyboardEvent} event 키보드 이벤트
      */
     onKeyDown(event) {
+        // 시드 입력 등에 타이핑하는 중에는 단축키 무시
+        const tagName = event.target && event.target.tagName;
+        if (tagName === 'INPUT' || tagName === 'SELECT' || tagName === 'TEXTAREA') return;
+
         switch (event.code) {
             case 'Space':
                 event.preventDefault();
@@ -127,9 +1044,28 @@ class UIControls {
                 if (event.ctrlKey || event.metaKey) {
                     event.preventDefault();
                     this.onReset();
+                } else {
+                    this.onRotateMagnet((event.shiftKey ? -1 : 1) * UIControls.ROTATE_STEP);
+                }
+                break;
+
+            case 'KeyZ':
+                if (event.ctrlKey || event.metaKey) {
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        this.onRedo();
+                    } else {
+                        this.onUndo();
+                    }
                 }
                 break;
 
+            case 'Delete':
+            case 'Backspace':
+                event.preventDefault();
+                this.onRemoveMagnet();
+                break;
+
             case 'ArrowUp':
                 event.preventDefault();
                 this.adjustMagnetStrength(0.1);
@@ -153,13 +1089,58 @@ class UIControls {
                 break;
 
             case 'Digit4':
-                this.setMagnetStrength(2.0);
+                this.setMagnetStrength(Magnet.MAX_STRENGTH);
+                break;
+
+            case 'KeyE':
+                this.reverseCurrent();
+                break;
+
+            case 'Digit0':
+                this.turnOffCurrent();
+                break;
+
+            case 'KeyC':
+                if (event.ctrlKey || event.metaKey) break; // 복사 단축키는 그대로 둠
+
+                if (event.shiftKey) {
+                    this.onCompassRingAtMouse();
+                } else if (this.app && this.app.addCompassAtMouse) {
+                    this.app.addCompassAtMouse();
+                }
                 break;
 
             case 'KeyH':
                 this.toggleHelp();
                 break;
 
+            case 'KeyM':
+                this.onMagnetDynamicsChange(!this.app.magnetDynamicsEnabled);
+                break;
+
+            case 'KeyL':
+                this.onFieldLinesChange(!this.app.fieldLinesEnabled);
+                break;
+
+            case 'KeyV':
+                this.onFieldArrowsChange(!this.app.fieldArrowsEnabled);
+                break;
+
+            case 'KeyF':
+                this.onHeatmapChange(!this.app.heatmapEnabled);
+                break;
+
+            case 'KeyP':
+                this.onInteractionModeChange(this.app.interactionMode === 'probe' ? 'spawn' : 'probe');
+                break;
+
+            case 'Escape':
+                if (this.app && this.app.unpinProbe) {
+                    this.app.unpinProbe();
+                }
+                this.onDeselectMagnet();
+                break;
+
             case 'KeyD':
                 if (event.ctrlKey || event.metaKey) {
                     event.preventDefault();
@@ -174,7 +1155,7 @@ class UIControls {
      * @param {number} delta 변화량
      */
     adjustMagnetStrength(delta) {
-        const newValue = Utils.clamp(this.magnetStrength + delta, 0.1, 2.0);
+        const newValue = Utils.clamp(this.magnetStrength + delta, Magnet.MIN_STRENGTH, Magnet.MAX_STRENGTH);
         this.setMagnetStrength(newValue);
     }
 
@@ -183,7 +1164,7 @@ class UIControls {
      * @param {number} value 새로운 값
      */
     setMagnetStrength(value) {
-        value = Utils.clamp(value, 0.1, 2.0);
+        value = Utils.clamp(value, Magnet.MIN_STRENGTH, Magnet.MAX_STRENGTH);
 
         if (this.elements.strengthSlider) {
             this.elements.strengthSlider.value = value;
@@ -233,7 +1214,7 @@ class UIControls {
                 const currentDistance = Math.sqrt(dx * dx + dy * dy);
 
                 const distanceRatio = currentDistance / initialDistance;
-                const newStrength = Utils.clamp(initialStrength * distanceRatio, 0.1, 2.0);
+                const newStrength = Utils.clamp(initialStrength * distanceRatio, Magnet.MIN_STRENGTH, Magnet.MAX_STRENGTH);
 
                 this.setMagnetStrength(newStrength);
             }
@@ -282,8 +1263,9 @@ class UIControls {
 
                 <h3 style="color: #667eea;">마우스 조작</h3>
                 <ul style="line-height: 1.6;">
-                    <li><strong>클릭:</strong> 철가루 뿌리기</li>
-                    <li><strong>드래그:</strong> 자석 이동</li>
+                    <li><strong>클릭:</strong> 철가루 뿌리기 (측정 모드에서는 측정 지점 고정)</li>
+                    <li><strong>자석 클릭:</strong> 선택 후 패널에서 세기, 극성, 종류, 크기, 색 편집</li>
+                    <li><strong>드래그:</strong> 자석/나침반 이동</li>
                     <li><strong>휠:</strong> 확대/축소</li>
                     <li><strong>우클릭 드래그:</strong> 시점 회전</li>
                 </ul>
@@ -292,8 +1274,21 @@ class UIControls {
                 <ul style="line-height: 1.6;">
                     <li><strong>스페이스바:</strong> 철가루 제거</li>
                     <li><strong>Ctrl+R:</strong> 전체 리셋</li>
-                    <li><strong>↑↓:</strong> 자석 세기 조절</li>
-                    <li><strong>1-4:</strong> 자석 세기 프리셋</li>
+                    <li><strong>Ctrl+Z / Ctrl+Shift+Z:</strong> 되돌리기 / 다시 실행</li>
+                    <li><strong>R / Shift+R:</strong> 커서 아래(없으면 선택한) 자석 15° 회전</li>
+                    <li><strong>Delete:</strong> 커서 아래(없으면 선택한) 자석 제거</li>
+                    <li><strong>↑↓:</strong> 새로 놓을(선택했으면 선택한) 자석 세기 조절</li>
+                    <li><strong>1-4:</strong> 새로 놓을(선택했으면 선택한) 자석 세기 프리셋</li>
+                    <li><strong>E:</strong> 모든 전자석·도선 전류 반전</li>
+                    <li><strong>0:</strong> 모든 전자석·도선 전류 끄기</li>
+                    <li><strong>C:</strong> 커서 위치에 나침반 놓기</li>
+                    <li><strong>Shift+C:</strong> 커서에서 가까운 자석 주위에 나침반 고리</li>
+                    <li><strong>M:</strong> 자석 움직임 토글</li>
+                    <li><strong>L:</strong> 자기력선 표시 토글</li>
+                    <li><strong>V:</strong> 자기장 화살표 격자 토글</li>
+                    <li><strong>F:</strong> 바닥 자기장 세기 지도 토글</li>
+                    <li><strong>P:</strong> 자기장 측정 모드 토글</li>
+                    <li><strong>Esc:</strong> 측정 지점 고정과 자석 선택 해제</li>
                     <li><strong>H:</strong> 도움말 토글</li>
                     <li><strong>Ctrl+D:</strong> 디버그 모드</li>
                 </ul>
@@ -301,7 +1296,7 @@ class UIControls {
                 <h3 style="color: #667eea;">모바일</h3>
                 <ul style="line-height: 1.6;">
                     <li><strong>더블 탭:</strong> 리셋</li>
-                    <li><strong>핀치:</strong> 자석 세기 조절</li>
+                    <li><strong>핀치:</strong> 새로 놓을(선택했으면 선택한) 자석 세기 조절</li>
                 </ul>
 
                 <button onclick="this.parentElement.parentElement.remove()" style="
@@ -378,14 +1373,17 @@ class UIControls {
         if (!debugPanel || !window.DEBUG_MODE) return;
 
         const fps = this.app?.scene?.fpsCounter?.getFPS() || 0;
-        const particleCount = this.app?.particles?.length || 0;
+        const particleCount = this.app?.getParticleCount?.() || 0;
         const magnetCount = this.app?.magnets?.length || 0;
+        const compassCount = this.app?.compasses?.length || 0;
 
         debugPanel.innerHTML = `
             <div><strong>FPS:</strong> ${fps}</div>
             <div><strong>Particles:</strong> ${particleCount}</div>
             <div><strong>Magnets:</strong> ${magnetCount}</div>
+            <div><strong>Compasses:</strong> ${compassCount}</div>
             <div><strong>Strength:</strong> ${this.magnetStrength.toFixed(1)}</div>
+            <div><strong>Current:</strong> ${this.solenoidCurrent.toFixed(1)} A</div>
             <div><strong>Memory:</strong> ${this.getMemoryUsage()}</div>
         `;
 
@@ -424,9 +1422,31 @@ class UIControls {
 
     /**
      * UI 초기 상태로 리셋
+     * 자석 값과 새로 놓을 자석의 세기/전류는 그대로 두고 슬라이더와 적분 방식 표시만 맞춤
      */
     resetUI() {
-        this.setMagnetStrength(1.0);
+        if (!this.app) return;
+
+        this.syncStrengthSliders();
+
+        if (this.elements.integratorSelect) {
+            this.elements.integratorSelect.value = this.app.physics.integrator;
+        }
+    }
+
+    /**
+     * 전체 세기/전류 슬라이더 표시를 새로 놓을 자석의 값(Simulation.magnetDefaults)에 맞춤
+     */
+    syncStrengthSliders() {
+        const { strength, current } = this.app.simulation.magnetDefaults;
+
+        this.magnetStrength = strength;
+        if (this.elements.strengthSlider) this.elements.strengthSlider.value = strength;
+        if (this.elements.strengthValue) this.elements.strengthValue.textContent = strength.toFixed(1);
+
+        this.solenoidCurrent = current;
+        if (this.elements.currentSlider) this.elements.currentSlider.value = current;
+        if (this.elements.currentValue) this.elements.currentValue.textContent = `${current.toFixed(1)} A`;
     }
 
     /**
@@ -482,6 +1502,9 @@ class UIControls {
     }
 }
 
+// R 키로 자석을 돌리는 한 번의 각도 (15°)
+UIControls.ROTATE_STEP = Math.PI / 12;
+
 // CSS 애니메이션 추가
 const style = document.createElement('style');
 style.textContent = `
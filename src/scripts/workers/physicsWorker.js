@@ -0,0 +1,66 @@
+/**
+ * 철가루 물리 웹 워커
+ * 메인 스레드에서 받은 자극 배치로 ParticleSystem을 진행하고 렌더 상태만 돌려보냄
+ *
+ * 메시지 형식
+ * - 받음 { type: 'init', capacity, integrator }
+ * - 받음 { type: 'config', integrator, constants } (둘 중 하나만 보내도 됨)
+ * - 받음 { type: 'step', batches, state }
+ *   batches: 순서대로 진행할 묶음 배열 [{ steps, poles, spawns, clear }, ...]
+ *     steps: 진행할 고정 스텝 수 (Physics.timeStep 간격)
+ *     poles: 그 스텝들의 자극 배치 Float64Array [x, y, z, charge, currentX, currentY, currentZ, ...]
+ *     spawns: 스텝 전에 추가할 입자 Float32Array [x, y, z, angle, ...]
+ *     clear: 스텝 전에 모든 입자를 제거할지 여부
+ *   state: 메인 스레드가 다 쓴 렌더 상태 버퍼 (없으면 새로 할당)
+ * - 보냄 { type: 'state', state } (버퍼는 transferable로 전달)
+ */
+
+importScripts(
+    'https://unpkg.com/three@0.140.0/build/three.min.js',
+    '../core/Utils.js',
+    '../core/SpatialHash.js',
+    '../core/Physics.js',
+    '../entities/IronParticle.js',
+    '../core/ParticleSystem.js',
+    '../core/PhysicsWorkerClient.js'
+);
+
+let system = null;
+const polePool = []; // 매 스텝 재사용하는 자극/전류 요소 객체
+
+self.onmessage = (event) => {
+    const data = event.data;
+
+    switch (data.type) {
+        case 'init': {
+            const physics = new Physics();
+            physics.setIntegrator(data.integrator);
+            system = new ParticleSystem(physics, data.capacity);
+            break;
+        }
+
+        case 'config':
+            if (data.integrator) {
+                system.physics.setIntegrator(data.integrator);
+            }
+            if (data.constants) {
+                system.physics.setConstants(data.constants);
+            }
+            break;
+
+        case 'step': {
+            data.batches.forEach(batch => PhysicsWorkerClient.runBatch(system, batch, polePool));
+
+            const state = system.copyRenderState(
+                data.state || ParticleSystem.createRenderState(system.capacity)
+            );
+
+            self.postMessage({ type: 'state', state }, [
+                state.positions.buffer,
+                state.orientations.buffer,
+                state.magnetized.buffer
+            ]);
+            break;
+        }
+    }
+};
@@ -0,0 +1,279 @@
+/**
+ * 충돌 처리 테스트
+ * 바닥 충돌의 반발/마찰, 입자 간 충돌의 운동량 보존과 운동 에너지 비증가,
+ * ParticleSystem의 입자 간 계산이 Physics와 같은지와 가득 찼을 때 대체 순서를 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { THREE, Physics, IronParticle, ParticleSystem, Magnet } = require('../src/scripts/headless');
+
+const physics = new Physics();
+
+/**
+ * 입자 생성
+ * @param {THREE.Vector3} position 위치
+ * @param {THREE.Vector3} velocity 속도
+ * @param {number} mass 질량
+ * @returns {IronParticle} 입자
+ */
+function createParticle(position, velocity, mass = 0.1) {
+    const particle = new IronParticle(position, { mass });
+    particle.velocity.copy(velocity);
+    return particle;
+}
+
+/**
+ * 두 입자의 총 운동량
+ * @param {IronParticle} particle1 첫 번째 입자
+ * @param {IronParticle} particle2 두 번째 입자
+ * @returns {THREE.Vector3} 운동량
+ */
+function totalMomentum(particle1, particle2) {
+    return particle1.velocity.clone().multiplyScalar(particle1.mass)
+        .addScaledVector(particle2.velocity, particle2.mass);
+}
+
+/**
+ * 두 입자의 총 운동 에너지
+ * @param {IronParticle} particle1 첫 번째 입자
+ * @param {IronParticle} particle2 두 번째 입자
+ * @returns {number} 운동 에너지
+ */
+function totalKineticEnergy(particle1, particle2) {
+    return 0.5 * particle1.mass * particle1.velocity.lengthSq() +
+        0.5 * particle2.mass * particle2.velocity.lengthSq();
+}
+
+test('바닥 아래 입자는 바닥으로 올라오고 반발 계수만큼 튀어 오름', () => {
+    const particle = createParticle(new THREE.Vector3(0.5, -0.01, 0.2), new THREE.Vector3(1, -2, -0.5));
+
+    physics.handleGroundCollision(particle);
+
+    assert.equal(particle.position.y, 0);
+    assert.ok(Math.abs(particle.velocity.y - 2 * physics.restitution) < 1e-12);
+    assert.ok(Math.abs(particle.velocity.x - 0.8) < 1e-12);
+    assert.ok(Math.abs(particle.velocity.z + 0.4) < 1e-12);
+});
+
+test('restingSpeed보다 느리게 닿은 입자는 튀지 않고 멈춤', () => {
+    const particle = createParticle(new THREE.Vector3(0, -0.002, 0), new THREE.Vector3(0, -physics.restingSpeed * 0.5, 0));
+
+    physics.handleGroundCollision(particle);
+
+    assert.equal(particle.position.y, 0);
+    assert.equal(particle.velocity.y, 0);
+});
+
+test('바닥 위 입자는 바닥 충돌의 영향을 받지 않음', () => {
+    const particle = createParticle(new THREE.Vector3(0, 0.3, 0), new THREE.Vector3(1, -2, 0.5));
+
+    physics.handleGroundCollision(particle);
+
+    assert.equal(particle.position.y, 0.3);
+    assert.deepEqual(particle.velocity.toArray(), [1, -2, 0.5]);
+});
+
+test('바닥에서 이미 떠오르는 입자는 수직 속도가 바뀌지 않음', () => {
+    const particle = createParticle(new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0.5, 0));
+
+    physics.handleGroundCollision(particle);
+
+    assert.equal(particle.velocity.y, 0.5);
+});
+
+test('바닥 충돌은 속력을 늘리지 않음', () => {
+    for (let i = 0; i < 50; i++) {
+        const velocity = new THREE.Vector3(Math.sin(i) * 3, Math.cos(i * 1.3) * 3, Math.sin(i * 0.7) * 3);
+        const particle = createParticle(new THREE.Vector3(0, -0.001 * i, 0), velocity);
+        const speed = particle.velocity.length();
+
+        physics.handleGroundCollision(particle);
+
+        assert.ok(particle.velocity.length() <= speed + 1e-12);
+    }
+});
+
+test('입자 간 충돌은 운동량을 보존하고 운동 에너지를 늘리지 않음', () => {
+    const cases = [
+        // 같은 질량 정면 충돌
+        [new THREE.Vector3(0, 0.1, 0), new THREE.Vector3(1, 0, 0), 0.1,
+            new THREE.Vector3(0.03, 0.1, 0), new THREE.Vector3(-1, 0, 0), 0.1],
+        // 다른 질량 비스듬한 충돌
+        [new THREE.Vector3(0, 0.1, 0), new THREE.Vector3(0.8, 0.2, -0.3), 0.1,
+            new THREE.Vector3(0.025, 0.115, 0.01), new THREE.Vector3(-0.4, 0, 0.5), 0.3],
+        // 한쪽이 정지
+        [new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, 2), 0.2,
+            new THREE.Vector3(0, 0.01, 0.035), new THREE.Vector3(0, 0, 0), 0.05]
+    ];
+
+    cases.forEach(([p1, v1, m1, p2, v2, m2]) => {
+        const particle1 = createParticle(p1, v1, m1);
+        const particle2 = createParticle(p2, v2, m2);
+        const momentum = totalMomentum(particle1, particle2);
+        const energy = totalKineticEnergy(particle1, particle2);
+
+        physics.handleParticleCollision(particle1, particle2);
+
+        assert.ok(totalMomentum(particle1, particle2).distanceTo(momentum) < 1e-12);
+        assert.ok(totalKineticEnergy(particle1, particle2) <= energy + 1e-12);
+
+        // 충돌 후에는 서로 멀어지는 중
+        const normal = new THREE.Vector3().subVectors(particle2.position, particle1.position).normalize();
+        const approach = new THREE.Vector3().subVectors(particle1.velocity, particle2.velocity).dot(normal);
+        assert.ok(approach <= 1e-12);
+    });
+});
+
+test('같은 질량 정면 충돌은 속도를 맞바꿈', () => {
+    const particle1 = createParticle(new THREE.Vector3(0, 0, 0), new THREE.Vector3(1.5, 0, 0));
+    const particle2 = createParticle(new THREE.Vector3(0.03, 0, 0), new THREE.Vector3(-0.5, 0, 0));
+
+    physics.handleParticleCollision(particle1, particle2);
+
+    assert.ok(Math.abs(particle1.velocity.x + 0.5) < 1e-12);
+    assert.ok(Math.abs(particle2.velocity.x - 1.5) < 1e-12);
+});
+
+test('겹친 입자는 접촉 거리만큼 떨어지고 질량 중심은 그대로', () => {
+    const particle1 = createParticle(new THREE.Vector3(0, 0.1, 0), new THREE.Vector3(0, 0, 0));
+    const particle2 = createParticle(new THREE.Vector3(0.01, 0.11, 0.005), new THREE.Vector3(0, 0, 0));
+    const center = particle1.position.clone().add(particle2.position).multiplyScalar(0.5);
+
+    physics.handleParticleCollision(particle1, particle2);
+
+    const distance = particle1.position.distanceTo(particle2.position);
+    assert.ok(Math.abs(distance - (particle1.radius + particle2.radius)) < 1e-12);
+    assert.ok(particle1.position.clone().add(particle2.position).multiplyScalar(0.5).distanceTo(center) < 1e-12);
+});
+
+test('이미 멀어지는 입자는 분리만 하고 속도는 그대로 둠', () => {
+    const particle1 = createParticle(new THREE.Vector3(0, 0, 0), new THREE.Vector3(-1, 0, 0));
+    const particle2 = createParticle(new THREE.Vector3(0.03, 0, 0), new THREE.Vector3(1, 0.2, 0));
+
+    physics.handleParticleCollision(particle1, particle2);
+
+    assert.deepEqual(particle1.velocity.toArray(), [-1, 0, 0]);
+    assert.deepEqual(particle2.velocity.toArray(), [1, 0.2, 0]);
+});
+
+test('떨어져 있는 입자는 충돌 처리하지 않음', () => {
+    const particle1 = createParticle(new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 0));
+    const particle2 = createParticle(new THREE.Vector3(0.1, 0, 0), new THREE.Vector3(-1, 0, 0));
+
+    physics.handleParticleCollision(particle1, particle2);
+
+    assert.deepEqual(particle1.position.toArray(), [0, 0, 0]);
+    assert.deepEqual(particle1.velocity.toArray(), [1, 0, 0]);
+});
+
+test('ParticleSystem의 타입 배열 충돌 처리는 Physics.handleParticleCollision과 같은 결과', () => {
+    const system = new ParticleSystem(physics, 2);
+    system.add(0, 0.1, 0, 0);
+    system.add(0.02, 0.11, 0.01, 0);
+    system.velocities.set([0.7, -0.1, 0.2, -0.3, 0.4, 0]);
+
+    const particle1 = createParticle(new THREE.Vector3(0, 0.1, 0), new THREE.Vector3(0.7, -0.1, 0.2));
+    const particle2 = createParticle(new THREE.Vector3(0.02, 0.11, 0.01), new THREE.Vector3(-0.3, 0.4, 0));
+
+    const offset = new THREE.Vector3().subVectors(particle2.position, particle1.position);
+    const distance = offset.length();
+    offset.divideScalar(distance);
+    system.resolveCollision(0, 1, offset.x, offset.y, offset.z, particle1.radius * 2 - distance);
+    physics.handleParticleCollision(particle1, particle2);
+
+    // Float32Array 정밀도 안에서 일치
+    [particle1, particle2].forEach((particle, index) => {
+        for (let axis = 0; axis < 3; axis++) {
+            assert.ok(Math.abs(system.positions[index * 3 + axis] - particle.position.getComponent(axis)) < 1e-6);
+            assert.ok(Math.abs(system.velocities[index * 3 + axis] - particle.velocity.getComponent(axis)) < 1e-6);
+        }
+    });
+});
+
+/**
+ * ParticleSystem의 입자 상태가 IronParticle과 같은지 확인 (Float32Array 정밀도 안에서)
+ * @param {ParticleSystem} system 입자 시스템
+ * @param {number} index 입자 인덱스
+ * @param {IronParticle} particle 비교할 입자
+ */
+function assertSameParticle(system, index, particle) {
+    const fields = [
+        [system.positions, particle.position],
+        [system.velocities, particle.velocity],
+        [system.accelerations, particle.acceleration]
+    ];
+
+    fields.forEach(([array, vector]) => {
+        for (let axis = 0; axis < 3; axis++) {
+            const expected = vector.getComponent(axis);
+            assert.ok(Math.abs(array[index * 3 + axis] - expected) < 1e-5 * Math.max(1, Math.abs(expected)),
+                `${array[index * 3 + axis]} !== ${expected}`);
+        }
+    });
+}
+
+test('ParticleSystem.step의 입자 간 충돌은 입자별 진행 뒤 Physics.handleParticleCollision과 같은 결과', () => {
+    const system = new ParticleSystem(physics, 2);
+    system.add(0, 0.5, 0, 0);
+    system.add(0.02, 0.51, 0.01, 0);
+    system.velocities.set([0.7, -0.1, 0.2, -0.3, 0.4, 0]);
+
+    const particle1 = createParticle(new THREE.Vector3(0, 0.5, 0), new THREE.Vector3(0.7, -0.1, 0.2));
+    const particle2 = createParticle(new THREE.Vector3(0.02, 0.51, 0.01), new THREE.Vector3(-0.3, 0.4, 0));
+    particle1.orientation.set(1, 0, 0);
+    particle2.orientation.set(1, 0, 0);
+
+    system.step(physics.timeStep, []);
+    particle1.update(physics.timeStep, [], physics);
+    particle2.update(physics.timeStep, [], physics);
+    physics.handleParticleCollision(particle1, particle2);
+
+    assertSameParticle(system, 0, particle1);
+    assertSameParticle(system, 1, particle2);
+});
+
+test('ParticleSystem.step의 자기화된 입자 간 힘은 Physics.handleParticleDipoleInteraction과 같은 결과', () => {
+    const magnet = new Magnet(new THREE.Vector3(0, 0.15, 0), 'bar');
+    magnet.setRotation(0, 0, -Math.PI / 2);
+    const poles = physics.collectPoles([magnet]);
+
+    const start1 = new THREE.Vector3(0.75, 0.02, 0.02);
+    const start2 = new THREE.Vector3(0.8, 0.02, 0.04);
+    const system = new ParticleSystem(physics, 2);
+    system.add(start1.x, start1.y, start1.z, 0.3);
+    system.add(start2.x, start2.y, start2.z, 0.3);
+
+    const particle1 = createParticle(start1, new THREE.Vector3());
+    const particle2 = createParticle(start2, new THREE.Vector3());
+    [particle1, particle2].forEach(particle => particle.orientation.set(Math.cos(0.3), 0, Math.sin(0.3)));
+
+    system.step(physics.timeStep, poles);
+    particle1.update(physics.timeStep, poles, physics);
+    particle2.update(physics.timeStep, poles, physics);
+    physics.handleParticleDipoleInteraction(particle1, particle2);
+
+    assert.ok(particle1.isMagnetized && particle2.isMagnetized);
+    assert.deepEqual(Array.from(system.magnetized.subarray(0, 2)), [1, 1]);
+    assertSameParticle(system, 0, particle1);
+    assertSameParticle(system, 1, particle2);
+});
+
+test('가득 찬 ParticleSystem은 중간 입자가 제거된 뒤에도 가장 먼저 추가한 입자부터 대체', () => {
+    const system = new ParticleSystem(physics, 4);
+    const xs = count => Array.from(system.positions.subarray(0, count * 3)).filter((_, i) => i % 3 === 0).sort((a, b) => a - b);
+
+    [1, 2, 3, 4].forEach(x => system.add(x, 0, 0, 0));
+    system.removeAt(1); // x = 2 제거, 마지막 입자(x = 4)가 빈 자리로 옮겨 옴
+    system.add(5, 0, 0, 0);
+    system.add(6, 0, 0, 0); // 가득 차서 가장 오래된 x = 1 대체
+    assert.deepEqual(xs(4), [3, 4, 5, 6]);
+
+    system.add(7, 0, 0, 0); // 다음으로 오래된 x = 3 대체
+    system.add(8, 0, 0, 0); // 옮겨 온 x = 4 대체
+    assert.deepEqual(xs(4), [5, 6, 7, 8]);
+
+    system.clear();
+    [9, 10, 11, 12, 13].forEach(x => system.add(x, 0, 0, 0));
+    assert.deepEqual(xs(4), [10, 11, 12, 13]);
+});
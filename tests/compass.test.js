@@ -0,0 +1,136 @@
+/**
+ * 나침반 테스트
+ * 바늘이 수평 자기장 방향으로 정렬되는지, 감쇠 진동하며 멈추는지, 자석 주위 고리 배치를 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { THREE, Utils, Physics, Magnet, Compass, Simulation } = require('../src/scripts/headless');
+
+const physics = new Physics();
+
+/**
+ * 두 각도의 차이 (-π ~ π)
+ * @param {number} a 각도
+ * @param {number} b 각도
+ * @returns {number} 차이
+ */
+function angleDifference(a, b) {
+    return Utils.normalizeAngle(a - b);
+}
+
+/**
+ * 수평 자기장이 가리키는 나침반 회전각
+ * @param {THREE.Vector3} field 자기장
+ * @returns {number} 회전각
+ */
+function fieldHeading(field) {
+    return Math.atan2(-field.z, field.x);
+}
+
+test('바늘 방향은 heading만큼 Y축 기준으로 회전한 +X', () => {
+    const compass = new Compass(new THREE.Vector3(0, 0, 0));
+    [0, 0.7, Math.PI / 2, -2.4].forEach(heading => {
+        compass.setHeading(heading);
+
+        const expected = new THREE.Vector3(1, 0, 0).applyAxisAngle(new THREE.Vector3(0, 1, 0), heading);
+        assert.ok(compass.getDirection().distanceTo(expected) < 1e-12);
+    });
+});
+
+test('균일한 수평 자기장에서 바늘은 감쇠 진동하며 자기장 방향에 멈춤', () => {
+    const compass = new Compass(new THREE.Vector3(0, 0, 0), { heading: 2.0 });
+    const field = new THREE.Vector3(0.3, 0, -0.4);
+    const target = fieldHeading(field);
+
+    let crossings = 0;
+    let previous = angleDifference(compass.heading, target);
+
+    for (let i = 0; i < 600; i++) {
+        physics.updateCompass(compass, field, physics.timeStep);
+
+        const offset = angleDifference(compass.heading, target);
+        if (Math.sign(offset) !== Math.sign(previous)) crossings++;
+        previous = offset;
+    }
+
+    assert.ok(crossings >= 2, `흔들림 없이 멈춤 (${crossings})`);
+    assert.ok(Math.abs(angleDifference(compass.heading, target)) < 1e-3);
+    assert.ok(Math.abs(compass.angularVelocity) < 1e-3);
+});
+
+test('수직 자기장 성분은 바늘을 돌리지 않음', () => {
+    const compass = new Compass(new THREE.Vector3(0, 0, 0), { heading: 0.5 });
+
+    physics.updateCompass(compass, new THREE.Vector3(0, 5, 0), physics.timeStep);
+    assert.equal(compass.angularVelocity, 0);
+
+    const tilted = new Compass(new THREE.Vector3(0, 0, 0), { heading: 0.5 });
+    const flat = new Compass(new THREE.Vector3(0, 0, 0), { heading: 0.5 });
+    physics.updateCompass(tilted, new THREE.Vector3(0.2, 3, 0.1), physics.timeStep);
+    physics.updateCompass(flat, new THREE.Vector3(0.2, 0, 0.1), physics.timeStep);
+    assert.equal(tilted.angularVelocity, flat.angularVelocity);
+});
+
+test('자극 바로 옆의 강한 자기장에서도 토크가 제한되어 발산하지 않음', () => {
+    const compass = new Compass(new THREE.Vector3(0, 0, 0), { heading: 1.0 });
+    const field = new THREE.Vector3(-400, 0, 0);
+
+    for (let i = 0; i < 600; i++) {
+        physics.updateCompass(compass, field, physics.timeStep);
+        assert.ok(Number.isFinite(compass.heading));
+        assert.ok(Math.abs(compass.angularVelocity) <= physics.maxAngularVelocity);
+    }
+
+    assert.ok(Math.abs(angleDifference(compass.heading, Math.PI)) < 1e-2);
+});
+
+test('막대자석 주위 나침반 고리는 각자 자리의 수평 자기장 방향을 가리킴', () => {
+    Utils.setSeed(7);
+    const simulation = new Simulation({ maxParticles: 10 });
+    const magnet = simulation.addMagnet(new THREE.Vector3(0, 0.15, 0), 'bar');
+    magnet.setRotation(0, 0, -Math.PI / 2);
+
+    const ring = simulation.addCompassRing(magnet.position, 1.0, 12);
+    assert.equal(simulation.compasses.length, 12);
+    ring.forEach(compass => {
+        assert.ok(Math.abs(compass.position.distanceTo(new THREE.Vector3(0, compass.position.y, 0)) - 1.0) < 1e-12);
+        assert.equal(compass.position.y, Simulation.COMPASS_HEIGHT);
+    });
+
+    simulation.step(600);
+
+    ring.forEach(compass => {
+        const field = physics.calculateMagneticField(compass.position, simulation.magnets);
+        assert.ok(Math.abs(angleDifference(compass.heading, fieldHeading(field))) < 0.02);
+    });
+
+    // 나침반은 측정용이라 자석을 움직이지 않음
+    assert.ok(magnet.position.distanceTo(new THREE.Vector3(0, 0.15, 0)) < 1e-12);
+
+    simulation.clearCompasses();
+    assert.equal(simulation.compasses.length, 0);
+});
+
+test('직선 도선 주위 나침반은 도선을 감싸는 원의 접선 방향을 가리킴 (외르스테드 실험)', () => {
+    Utils.setSeed(11);
+    const simulation = new Simulation({ maxParticles: 10 });
+    simulation.addMagnet(new THREE.Vector3(0, 0, 0), 'wire', { current: 2.0 });
+    const ring = simulation.addCompassRing(new THREE.Vector3(0, 0, 0), 0.6, 8);
+
+    simulation.step(600);
+
+    ring.forEach(compass => {
+        // 위로 흐르는 전류: 위에서 볼 때 반시계 방향 ŷ × r̂
+        const radial = new THREE.Vector3(compass.position.x, 0, compass.position.z).normalize();
+        const tangent = new THREE.Vector3(0, 1, 0).cross(radial);
+        assert.ok(compass.getDirection().dot(tangent) > 0.999);
+    });
+});
+
+test('나침반 바늘 N극 색은 자석 N극 색과 같음', () => {
+    const compass = new Compass(new THREE.Vector3(0, 0, 0));
+    const magnet = new Magnet(new THREE.Vector3(0, 0, 0), 'bar');
+
+    assert.equal(compass.options.colors.north, magnet.options.colors.north);
+});
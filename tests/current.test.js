@@ -0,0 +1,137 @@
+/**
+ * 직선 도선/원형 도선 테스트
+ * 비오-사바르 적분으로 계산한 자기장을 무한 직선 도선과 원형 도선 중심의 해석적 값과 비교하고
+ * 오른손 법칙 방향, 전류 반전, 해석적 기울기, 닫힌 자기력선을 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { THREE, Physics, Magnet } = require('../src/scripts/headless');
+
+const physics = new Physics();
+
+/**
+ * 원점에 세워 둔 직선 도선 (전류가 양수면 +Y 방향으로 흐름)
+ * @param {number} current 전류
+ * @returns {Magnet} 직선 도선
+ */
+function createWire(current = 1.0) {
+    return new Magnet(new THREE.Vector3(0, 0, 0), 'wire', { current });
+}
+
+/**
+ * 원점에 눕혀 둔 원형 도선 (전류가 양수면 고리면을 지나는 자기장이 +Y)
+ * @param {number} current 전류
+ * @returns {Magnet} 원형 도선
+ */
+function createLoop(current = 1.0) {
+    return new Magnet(new THREE.Vector3(0, 0, 0), 'loop', { current });
+}
+
+test('직선 도선 가운데 근처의 자기장은 무한 직선 도선의 2kI/r', () => {
+    const wire = createWire(1.5);
+    const halfLength = wire.options.wire.length / 2;
+
+    [0.2, 0.4, 0.8].forEach(r => {
+        const field = physics.calculateMagneticField(new THREE.Vector3(r, 0, 0), [wire]);
+
+        // 유한 도선의 정확한 값 2kI/r · (L/2)/√((L/2)²+r²) 과 비교
+        const expected = 2 * physics.BIOT_SAVART_SCALE * 1.5 / r * halfLength / Math.hypot(halfLength, r);
+        assert.ok(Math.abs(field.length() - expected) / expected < 0.02, `r=${r}: ${field.length()} vs ${expected}`);
+    });
+});
+
+test('직선 도선 주위 자기장은 도선을 감싸는 원 방향 (오른손 법칙)', () => {
+    const wire = createWire(1.0);
+    const axis = new THREE.Vector3(0, 1, 0);
+
+    for (let i = 0; i < 8; i++) {
+        const angle = i * Math.PI / 4;
+        const point = new THREE.Vector3(0.3 * Math.cos(angle), 0.1, 0.3 * Math.sin(angle));
+        const field = physics.calculateMagneticField(point, [wire]).normalize();
+
+        const radial = new THREE.Vector3(point.x, 0, point.z).normalize();
+        const tangent = new THREE.Vector3().crossVectors(axis, radial);
+        assert.ok(field.dot(tangent) > 1 - 1e-6, `angle ${angle}`);
+    }
+});
+
+test('원형 도선 중심의 자기장은 2πkI/R 이고 축 방향', () => {
+    const loop = createLoop(2.0);
+    const { radius } = loop.options.loop;
+
+    const field = physics.calculateMagneticField(new THREE.Vector3(0, 0, 0), [loop]);
+    const expected = 2 * Math.PI * physics.BIOT_SAVART_SCALE * 2.0 / radius;
+
+    assert.ok(Math.abs(field.y - expected) / expected < 0.01, `${field.y} vs ${expected}`);
+    assert.ok(Math.hypot(field.x, field.z) < 1e-9 * expected);
+});
+
+test('멀리서 원형 도선은 자기모멘트 I·πR² 인 쌍극자', () => {
+    const loop = createLoop(1.0);
+    const { radius } = loop.options.loop;
+    const moment = physics.BIOT_SAVART_SCALE * Math.PI * radius * radius;
+    const r = 20;
+
+    const axial = physics.calculateMagneticField(new THREE.Vector3(0, r, 0), [loop]);
+    assert.ok(Math.abs(axial.y - 2 * moment / r ** 3) < 5e-3 * 2 * moment / r ** 3);
+});
+
+test('전류를 반전하면 도선 자기장이 반대가 되고 0이면 사라짐', () => {
+    [createWire(1.0), createLoop(1.0)].forEach(source => {
+        const point = new THREE.Vector3(0.35, 0.2, -0.15);
+        const forward = physics.calculateMagneticField(point, [source]);
+
+        source.setCurrent(-1.0);
+        assert.ok(physics.calculateMagneticField(point, [source]).add(forward).length() < 1e-12 * forward.length());
+
+        source.setCurrent(0);
+        assert.equal(physics.getMagnetPoles(source).length, 0);
+    });
+});
+
+test('도선이 섞여 있어도 해석적 ∇|B|²는 중앙 차분과 일치', () => {
+    const wire = createWire(1.2);
+    const loop = new Magnet(new THREE.Vector3(1, 0, 0.5), 'loop', { current: -0.8 });
+    loop.setRotation(0, 0, -Math.PI / 2);
+    const magnets = [wire, loop];
+    const poles = physics.collectPoles(magnets);
+    const h = 1e-5;
+
+    [
+        new THREE.Vector3(0.2, 0.05, 0.1),
+        new THREE.Vector3(0.9, 0.3, 0.4), // 고리 안쪽
+        new THREE.Vector3(-0.5, -0.4, 0.7)
+    ].forEach(point => {
+        const { field, gradient } = physics.calculateFieldAndGradient(point, poles);
+        assert.ok(field.distanceTo(physics.calculateMagneticField(point, magnets)) < 1e-10 * field.length());
+
+        const energy = (x, y, z) =>
+            physics.calculateMagneticField(new THREE.Vector3(x, y, z), magnets).lengthSq();
+        const numeric = new THREE.Vector3(
+            (energy(point.x + h, point.y, point.z) - energy(point.x - h, point.y, point.z)) / (2 * h),
+            (energy(point.x, point.y + h, point.z) - energy(point.x, point.y - h, point.z)) / (2 * h),
+            (energy(point.x, point.y, point.z + h) - energy(point.x, point.y, point.z - h)) / (2 * h)
+        );
+
+        assert.ok(gradient.distanceTo(numeric) < 1e-5 * numeric.length());
+    });
+});
+
+test('직선 도선 자기력선은 도선을 한 바퀴 감싸고 닫힘', () => {
+    const wire = createWire(1.0);
+    const lines = physics.calculateFieldLines([wire]);
+
+    assert.equal(lines.length, physics.getCurrentSourceSeeds(wire).points.length);
+    lines.forEach(line => {
+        const start = line[0];
+        const end = line[line.length - 1];
+        const radius = Math.hypot(start.x, start.z);
+
+        assert.ok(line.length > 10);
+        assert.ok(end.distanceTo(start) < 0.1 * radius + physics.FIELD_LINE_STEP);
+        line.forEach(point => {
+            assert.ok(Math.abs(Math.hypot(point.x, point.z) - radius) < 0.05 * radius);
+        });
+    });
+});
@@ -0,0 +1,217 @@
+/**
+ * 시간 진행 테스트
+ * 자석이 없을 때 정지한 입자가 에너지를 얻지 않는지, 적분 방식과 무관하게
+ * 역학적 에너지가 늘지 않는지, 같은 시드로 같은 결과가 나오는지,
+ * 프레임 간격이나 워커 속도와 무관하게 같은 결과가 나오는지,
+ * 워커에서 메인 스레드로 넘어가도 철가루가 남는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { THREE, Utils, Physics, IronParticle, ParticleSystem, PhysicsWorkerClient, Simulation } = require('../src/scripts/headless');
+
+/**
+ * 입자의 역학적 에너지 (운동 에너지 + 중력 위치 에너지)
+ * @param {IronParticle} particle 입자
+ * @param {Physics} physics 물리 엔진
+ * @returns {number} 에너지
+ */
+function mechanicalEnergy(particle, physics) {
+    return 0.5 * particle.mass * particle.velocity.lengthSq() -
+        particle.mass * physics.GRAVITY * particle.position.y;
+}
+
+Physics.INTEGRATORS.forEach(integrator => {
+    test(`${integrator}: 바닥에 정지한 입자는 자석이 없으면 계속 정지`, () => {
+        const physics = new Physics();
+        physics.setIntegrator(integrator);
+
+        const particle = new IronParticle(new THREE.Vector3(0.3, 0, -0.2));
+        const start = particle.position.clone();
+
+        for (let i = 0; i < 600; i++) {
+            particle.update(physics.timeStep, [], physics);
+
+            // 한 스텝에 중력으로 얻는 속도보다 빨라지지 않음
+            assert.ok(particle.velocity.length() <= Math.abs(physics.GRAVITY) * physics.timeStep);
+            assert.ok(particle.position.y >= 0);
+        }
+
+        assert.ok(particle.position.distanceTo(start) < 1e-3);
+        assert.equal(particle.magneticMoment.length(), 0);
+    });
+
+    test(`${integrator}: 떨어지는 입자의 역학적 에너지는 늘지 않음`, () => {
+        const physics = new Physics();
+        physics.setIntegrator(integrator);
+
+        const particle = new IronParticle(new THREE.Vector3(0, 1, 0));
+        particle.velocity.set(0.5, 0, -0.3);
+        let energy = mechanicalEnergy(particle, physics);
+
+        for (let i = 0; i < 300; i++) {
+            particle.update(physics.timeStep, [], physics);
+
+            const next = mechanicalEnergy(particle, physics);
+            assert.ok(next <= energy + 1e-12, `step ${i}: ${next} > ${energy}`);
+            energy = next;
+        }
+    });
+});
+
+test('같은 시드로 시작한 헤드리스 시뮬레이션은 같은 결과를 냄', () => {
+    const run = () => {
+        Utils.setSeed(1234);
+        const simulation = new Simulation({ maxParticles: 200 });
+        simulation.addMagnet(new THREE.Vector3(0, 0.15, 0), 'bar').setRotation(0, 0, Math.PI / 2);
+        simulation.spawnParticles(new THREE.Vector3(0.8, 0.3, 0), 100);
+        simulation.step(120);
+
+        const state = simulation.getParticleState();
+        return Array.from(state.positions.subarray(0, state.count * 3));
+    };
+
+    const first = run();
+    assert.equal(first.length, 300);
+    assert.deepEqual(run(), first);
+});
+
+test('프레임 간격이 달라도 고정 스텝 수가 같으면 같은 결과를 냄', () => {
+    const run = frameTime => {
+        Utils.setSeed(99);
+        const simulation = new Simulation({ maxParticles: 50 });
+        simulation.addMagnet(new THREE.Vector3(0, 0.15, 0), 'horseshoe');
+        simulation.spawnParticles(new THREE.Vector3(0.4, 0.3, 0.2), 30);
+
+        let steps = 0;
+        while (steps < 60) {
+            steps += simulation.advance(Math.min(frameTime, (60 - steps) * simulation.physics.timeStep));
+        }
+
+        const state = simulation.getParticleState();
+        return Array.from(state.positions.subarray(0, state.count * 3));
+    };
+
+    assert.deepEqual(run(1 / 144), run(1 / 30));
+});
+
+test('자석이 움직여도 프레임마다 몰아 진행한 스텝 수와 무관하게 같은 결과를 냄', () => {
+    const run = stepsPerFrame => {
+        Utils.setSeed(7);
+        const simulation = new Simulation({ maxParticles: 50 });
+        simulation.addMagnet(new THREE.Vector3(-0.4, 0.15, 0), 'bar').setRotation(0, 0, -Math.PI / 2);
+        simulation.addMagnet(new THREE.Vector3(0.4, 0.15, 0), 'bar').setRotation(0, 0, -Math.PI / 2);
+        simulation.setMagnetDynamics(true);
+        simulation.spawnParticles(new THREE.Vector3(0, 0.3, 0.5), 30);
+
+        for (let steps = 0; steps < 60; steps += stepsPerFrame) {
+            simulation.step(stepsPerFrame);
+        }
+
+        const state = simulation.getParticleState();
+        return Array.from(state.positions.subarray(0, state.count * 3));
+    };
+
+    // 144Hz 화면의 한 스텝씩과 느린 화면의 네 스텝씩
+    assert.deepEqual(run(4), run(1));
+});
+
+/**
+ * 메시지를 쌓아 두었다가 respond를 부를 때만 처리하는 가짜 워커 (physicsWorker.js와 같은 처리)
+ */
+class SlowWorker {
+    constructor() {
+        this.listeners = {};
+        this.inbox = [];
+        this.system = null;
+        this.polePool = [];
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    postMessage(message) {
+        // 초기화는 바로 처리 (메인 스레드 시스템과 같은 시점에 입자 시스템을 만들어 시드 난수 순서를 맞춤)
+        if (message.type === 'init') {
+            this.system = new ParticleSystem(new Physics(), message.capacity);
+            return;
+        }
+
+        this.inbox.push(message);
+    }
+
+    terminate() {}
+
+    respond() {
+        this.inbox.splice(0).forEach(data => {
+            if (data.type !== 'step') return;
+
+            data.batches.forEach(batch => PhysicsWorkerClient.runBatch(this.system, batch, this.polePool));
+            const state = this.system.copyRenderState(data.state || ParticleSystem.createRenderState(this.system.capacity));
+            this.listeners.message({ data: { type: 'state', state } });
+        });
+    }
+}
+
+test('워커가 느려도 스텝을 버리지 않고 스텝마다의 자석 배치로 진행', () => {
+    const run = useWorker => {
+        Utils.setSeed(11);
+        const simulation = new Simulation({ maxParticles: 50, useWorker });
+        simulation.addMagnet(new THREE.Vector3(-0.4, 0.15, 0), 'bar').setRotation(0, 0, -Math.PI / 2);
+        simulation.addMagnet(new THREE.Vector3(0.4, 0.15, 0), 'bar').setRotation(0, 0, -Math.PI / 2);
+        simulation.setMagnetDynamics(true);
+        simulation.spawnParticles(new THREE.Vector3(0, 0.3, 0.5), 30);
+
+        const worker = simulation.particleSystem.worker;
+        for (let frame = 0; frame < 30; frame++) {
+            simulation.step(2);
+            // 세 프레임에 한 번만 응답하는 워커
+            if (worker && frame % 3 === 2) worker.respond();
+        }
+        while (worker && simulation.hasPendingChanges()) {
+            worker.respond();
+            simulation.step(0);
+        }
+        if (worker) worker.respond();
+
+        const state = simulation.getParticleState();
+        return Array.from(state.positions.subarray(0, state.count * 3));
+    };
+
+    global.Worker = SlowWorker;
+    try {
+        assert.deepEqual(run(true), run(false));
+    } finally {
+        delete global.Worker;
+    }
+});
+
+test('워커가 밀려 있는 동안에는 스텝을 버리지 않고 시간을 진행하지 않음', () => {
+    const simulation = new Simulation({ maxParticles: 10 });
+    simulation.particleSystem.isBehind = () => true;
+
+    assert.equal(simulation.advance(0.1), 0);
+    assert.equal(simulation.time, 0);
+    assert.equal(simulation.accumulator, 0);
+});
+
+test('워커를 쓸 수 없게 되면 마지막으로 받은 철가루를 메인 스레드에서 이어서 진행', () => {
+    const physics = new Physics();
+    const client = new PhysicsWorkerClient(physics, 10, { useWorker: false });
+
+    // 워커가 마지막으로 보낸 렌더 상태
+    const received = new ParticleSystem(physics, 10);
+    received.add(0.2, 0, -0.1, 0.5);
+    received.add(-0.3, 0, 0.4, 1.2);
+    received.magnetized[1] = 1;
+    received.copyRenderState(client.state);
+
+    client.useLocalSystem();
+    client.step(0, []);
+
+    assert.equal(client.getCount(), 2);
+    assert.deepEqual(client.state.positions.subarray(0, 6), received.positions.subarray(0, 6));
+    assert.deepEqual(client.state.orientations.subarray(0, 6), received.orientations.subarray(0, 6));
+    assert.deepEqual(Array.from(client.state.magnetized.subarray(0, 2)), [0, 1]);
+});
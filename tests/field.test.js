@@ -0,0 +1,274 @@
+/**
+ * 자기장 계산 테스트
+ * 자하 모델의 해석적 값, 쌍극자 감쇠, 자석 축 대칭성, 해석적 기울기, 화살표 격자, 바닥 세기 지도와 측정 도구 계산을 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { THREE, Physics, Magnet } = require('../src/scripts/headless');
+
+const physics = new Physics();
+
+/**
+ * 상대 오차가 허용 범위 안인지 확인
+ * @param {number} actual 계산값
+ * @param {number} expected 기대값
+ * @param {number} tolerance 허용 상대 오차
+ */
+function assertClose(actual, expected, tolerance) {
+    const error = Math.abs(actual - expected) / Math.max(Math.abs(expected), 1e-12);
+    assert.ok(error <= tolerance, `${actual} != ${expected} (relative error ${error})`);
+}
+
+/**
+ * 원점에 세워 둔 막대자석 (N극이 +Y)
+ * @param {number} strength 세기
+ * @returns {Magnet} 자석
+ */
+function createBarMagnet(strength = 1.0) {
+    return new Magnet(new THREE.Vector3(0, 0, 0), 'bar', { strength });
+}
+
+test('점 자극의 자기장은 q·r/(|r|²+ε²)^(3/2)', () => {
+    const pole = new THREE.Vector3(0.3, -0.2, 0.1);
+    const point = new THREE.Vector3(1.1, 0.4, -0.7);
+    const charge = 1.7;
+
+    const field = physics.addPoleField(pole, charge, point, new THREE.Vector3());
+
+    const d = new THREE.Vector3().subVectors(point, pole);
+    const s2 = d.lengthSq() + physics.FIELD_SOFTENING ** 2;
+    const expected = d.multiplyScalar(charge / Math.pow(s2, 1.5));
+
+    assertClose(field.x, expected.x, 1e-12);
+    assertClose(field.y, expected.y, 1e-12);
+    assertClose(field.z, expected.z, 1e-12);
+});
+
+test('막대자석 축 위의 자기장은 두 자극의 해석적 합과 같음', () => {
+    const magnet = createBarMagnet();
+    const halfLength = magnet.options.size.height / 2;
+    const q = magnet.strength * physics.POLE_STRENGTH;
+    const eps2 = physics.FIELD_SOFTENING ** 2;
+
+    [0.8, 1.5, 3].forEach(r => {
+        const field = physics.calculateMagneticField(new THREE.Vector3(0, r, 0), [magnet]);
+
+        const dNorth = r - halfLength;
+        const dSouth = r + halfLength;
+        const expected = q * dNorth / Math.pow(dNorth * dNorth + eps2, 1.5)
+            - q * dSouth / Math.pow(dSouth * dSouth + eps2, 1.5);
+
+        assertClose(field.y, expected, 1e-12);
+        assert.ok(Math.abs(field.x) < 1e-15 && Math.abs(field.z) < 1e-15);
+    });
+});
+
+test('멀리서는 쌍극자처럼 1/r³로 감소 (축 방향 2m/r³, 적도 방향 -m/r³)', () => {
+    const magnet = createBarMagnet();
+    const moment = magnet.strength * physics.POLE_STRENGTH * magnet.options.size.height;
+
+    [20, 40].forEach(r => {
+        const axial = physics.calculateMagneticField(new THREE.Vector3(0, r, 0), [magnet]);
+        const equatorial = physics.calculateMagneticField(new THREE.Vector3(r, 0, 0), [magnet]);
+
+        assertClose(axial.y, 2 * moment / r ** 3, 2e-3);
+        assertClose(equatorial.y, -moment / r ** 3, 2e-3);
+    });
+
+    // 거리가 두 배면 세기는 1/8
+    const near = physics.calculateMagneticField(new THREE.Vector3(0, 20, 0), [magnet]).length();
+    const far = physics.calculateMagneticField(new THREE.Vector3(0, 40, 0), [magnet]).length();
+    assertClose(near / far, 8, 5e-3);
+});
+
+test('막대자석 자기장은 자석 축 기준 회전 대칭', () => {
+    const magnet = createBarMagnet();
+    const point = new THREE.Vector3(0.7, 0.4, 0);
+    const reference = physics.calculateMagneticField(point, [magnet]);
+
+    [0.3, 1.2, Math.PI / 2, 2.5, Math.PI].forEach(angle => {
+        const rotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+        const rotatedPoint = point.clone().applyQuaternion(rotation);
+
+        const field = physics.calculateMagneticField(rotatedPoint, [magnet]);
+        const expected = reference.clone().applyQuaternion(rotation);
+
+        assert.ok(field.distanceTo(expected) < 1e-12 * reference.length());
+    });
+});
+
+test('막대자석 자기장은 적도면 기준 거울 대칭 (축 성분은 같고 수평 성분은 반대)', () => {
+    const magnet = createBarMagnet();
+    const above = physics.calculateMagneticField(new THREE.Vector3(0.6, 0.9, -0.3), [magnet]);
+    const below = physics.calculateMagneticField(new THREE.Vector3(0.6, -0.9, -0.3), [magnet]);
+
+    assertClose(below.y, above.y, 1e-12);
+    assertClose(below.x, -above.x, 1e-12);
+    assertClose(below.z, -above.z, 1e-12);
+});
+
+test('자석을 회전하면 자기장도 같이 회전', () => {
+    const upright = createBarMagnet();
+    const lying = createBarMagnet();
+    lying.setRotation(0, 0, -Math.PI / 2); // N극이 +X
+
+    const rotation = new THREE.Quaternion().setFromEuler(lying.rotation);
+    const point = new THREE.Vector3(0.2, 0.9, 0.4);
+
+    const expected = physics.calculateMagneticField(point, [upright]).applyQuaternion(rotation);
+    const field = physics.calculateMagneticField(point.clone().applyQuaternion(rotation), [lying]);
+
+    assert.ok(field.distanceTo(expected) < 1e-12 * expected.length());
+});
+
+test('고리자석 자기장은 자극 분할 각도만큼 회전 대칭', () => {
+    const magnet = new Magnet(new THREE.Vector3(0, 0, 0), 'ring');
+    const step = Math.PI * 2 / physics.RING_POLE_SEGMENTS;
+    const point = new THREE.Vector3(0.9, 0.25, 0.2);
+    const reference = physics.calculateMagneticField(point, [magnet]);
+
+    const rotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), step);
+    const field = physics.calculateMagneticField(point.clone().applyQuaternion(rotation), [magnet]);
+
+    assert.ok(field.distanceTo(reference.applyQuaternion(rotation)) < 1e-12 * field.length());
+});
+
+test('여러 자석의 자기장은 각 자석 자기장의 합 (중첩)', () => {
+    const bar = createBarMagnet(1.3);
+    const ring = new Magnet(new THREE.Vector3(-2, 0.3, 1), 'ring', { strength: 0.8 });
+    const horseshoe = new Magnet(new THREE.Vector3(1.5, 0.2, -1), 'horseshoe');
+    const point = new THREE.Vector3(0.4, 0.3, 0.2);
+
+    const total = physics.calculateMagneticField(point, [bar, ring, horseshoe]);
+    const sum = physics.calculateMagneticField(point, [bar])
+        .add(physics.calculateMagneticField(point, [ring]))
+        .add(physics.calculateMagneticField(point, [horseshoe]));
+
+    assert.ok(total.distanceTo(sum) < 1e-12 * sum.length());
+});
+
+test('자기장 세기는 자석 세기에 비례', () => {
+    const point = new THREE.Vector3(0.5, 0.8, 0.1);
+    const weak = physics.calculateMagneticField(point, [createBarMagnet(0.5)]);
+    const strong = physics.calculateMagneticField(point, [createBarMagnet(1.5)]);
+
+    assert.ok(strong.distanceTo(weak.multiplyScalar(3)) < 1e-12 * strong.length());
+});
+
+test('calculateFieldAndGradient의 해석적 ∇|B|²는 중앙 차분과 일치', () => {
+    const magnets = [
+        createBarMagnet(),
+        new Magnet(new THREE.Vector3(-2, 0.3, 0.5), 'ring', { strength: 0.8 })
+    ];
+    const poles = physics.collectPoles(magnets);
+    const h = 1e-5;
+
+    [
+        new THREE.Vector3(0.7, 0.3, 0.2),
+        new THREE.Vector3(-1.2, 0.05, 0.9),
+        new THREE.Vector3(0.1, 1.4, -0.6)
+    ].forEach(point => {
+        const { field, gradient } = physics.calculateFieldAndGradient(point, poles);
+        const reference = physics.calculateMagneticField(point, magnets);
+        assert.ok(field.distanceTo(reference) < 1e-12 * reference.length());
+
+        const energy = (x, y, z) =>
+            physics.calculateMagneticField(new THREE.Vector3(x, y, z), magnets).lengthSq();
+        const numeric = new THREE.Vector3(
+            (energy(point.x + h, point.y, point.z) - energy(point.x - h, point.y, point.z)) / (2 * h),
+            (energy(point.x, point.y + h, point.z) - energy(point.x, point.y - h, point.z)) / (2 * h),
+            (energy(point.x, point.y, point.z + h) - energy(point.x, point.y, point.z - h)) / (2 * h)
+        );
+
+        assert.ok(gradient.distanceTo(numeric) < 1e-5 * numeric.length());
+    });
+});
+
+test('자석 밖 자기장은 발산이 없음 (∇·B ≈ 0)', () => {
+    const magnet = createBarMagnet();
+    const h = 1e-4;
+
+    [new THREE.Vector3(1, 0.8, 0.3), new THREE.Vector3(-0.9, -1.2, 0.6)].forEach(point => {
+        const fieldAt = (dx, dy, dz) =>
+            physics.calculateMagneticField(point.clone().add(new THREE.Vector3(dx, dy, dz)), [magnet]);
+
+        const divergence =
+            (fieldAt(h, 0, 0).x - fieldAt(-h, 0, 0).x) / (2 * h) +
+            (fieldAt(0, h, 0).y - fieldAt(0, -h, 0).y) / (2 * h) +
+            (fieldAt(0, 0, h).z - fieldAt(0, 0, -h).z) / (2 * h);
+
+        // 완화 거리(ε)가 자극에서 먼 곳에는 거의 영향을 주지 않으므로 0에 가까워야 함
+        const scale = physics.calculateMagneticField(point, [magnet]).length() / point.length();
+        assert.ok(Math.abs(divergence) < 1e-2 * scale, `divergence ${divergence}`);
+    });
+});
+
+test('화살표 격자는 평면 위 격자점마다 합성 자기장을 계산', () => {
+    const magnets = [createBarMagnet(), new Magnet(new THREE.Vector3(2, 0.15, 1), 'ring')];
+    const count = Math.floor(physics.FIELD_GRID_EXTENT / physics.FIELD_GRID_SPACING);
+
+    const floor = physics.calculateFieldGrid(magnets, 'xz');
+    assert.equal(floor.samples.length, (2 * count + 1) ** 2);
+    assert.deepEqual(floor.normal.toArray(), [0, 1, 0]);
+    floor.samples.forEach(({ position, field }) => {
+        assert.equal(position.y, physics.FIELD_GRID_HEIGHT);
+        assert.ok(field.distanceTo(physics.calculateMagneticField(position, magnets)) < 1e-12 * field.length());
+    });
+
+    // 세로 평면은 바닥 위쪽만
+    ['xy', 'yz'].forEach(plane => {
+        const grid = physics.calculateFieldGrid(magnets, plane);
+        assert.equal(grid.samples.length, (2 * count + 1) * count);
+        grid.samples.forEach(({ position }) => {
+            assert.ok(position.y > 0);
+            assert.equal(Math.abs(position.dot(grid.normal)), 0);
+        });
+    });
+});
+
+test('바닥 세기 지도는 요청한 행만 계산하고 끝 행을 넘으면 0행부터 이어서 계산', () => {
+    const magnets = [new Magnet(new THREE.Vector3(0.3, 0.15, -0.2), 'bar')];
+    const poles = physics.collectPoles(magnets);
+    const size = 4;
+    const resolution = 8;
+    const target = new Float32Array(resolution * resolution).fill(-1);
+
+    const next = physics.calculateFloorFieldMagnitudes(poles, size, resolution, 6, 3, target);
+    assert.equal(next, 1);
+
+    for (let row = 0; row < resolution; row++) {
+        for (let column = 0; column < resolution; column++) {
+            const value = target[row * resolution + column];
+
+            if (row === 6 || row === 7 || row === 0) {
+                const point = new THREE.Vector3(
+                    -size / 2 + (column + 0.5) * size / resolution,
+                    0,
+                    -size / 2 + (row + 0.5) * size / resolution
+                );
+                assertClose(value, physics.calculateMagneticField(point, magnets).length(), 1e-6);
+            } else {
+                assert.equal(value, -1);
+            }
+        }
+    }
+});
+
+test('측정 도구의 자석별 기여는 각 자석 자기장이고 합하면 합성 자기장', () => {
+    const bar = createBarMagnet(1.0);
+    const wire = new Magnet(new THREE.Vector3(1.5, 0, -1), 'wire', { current: 2.0 });
+    const magnets = [bar, wire];
+    const point = new THREE.Vector3(0.8, 0, 0.4);
+
+    const { field, contributions } = physics.probeField(point, magnets);
+
+    assert.equal(contributions.length, magnets.length);
+    contributions.forEach((contribution, index) => {
+        assert.equal(contribution.magnet, magnets[index]);
+        assert.ok(contribution.field.distanceTo(physics.calculateMagnetField(magnets[index], point)) < 1e-12);
+    });
+
+    const total = physics.calculateMagneticField(point, magnets);
+    assert.ok(field.distanceTo(total) < 1e-12 * total.length());
+});
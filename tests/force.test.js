@@ -0,0 +1,142 @@
+/**
+ * 자기력 계산 테스트
+ * 철가루가 받는 유도 자기력(F ∝ ∇|B|²)과 입자 간 쌍극자 힘을 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { THREE, Physics, IronParticle, Magnet } = require('../src/scripts/headless');
+
+const physics = new Physics();
+
+/**
+ * 원점에 세워 둔 막대자석 (N극이 +Y)
+ * @returns {Magnet} 자석
+ */
+function createBarMagnet() {
+    return new Magnet(new THREE.Vector3(0, 0, 0), 'bar');
+}
+
+test('calculateMagneticForce는 MAGNETIC_FORCE_SCALE·∇|B|²', () => {
+    const magnets = [createBarMagnet()];
+    const point = new THREE.Vector3(0.9, 0.6, 0.3);
+    const h = 1e-5;
+
+    const energy = offset =>
+        physics.calculateMagneticField(point.clone().add(offset), magnets).lengthSq();
+    const gradient = new THREE.Vector3(
+        (energy(new THREE.Vector3(h, 0, 0)) - energy(new THREE.Vector3(-h, 0, 0))) / (2 * h),
+        (energy(new THREE.Vector3(0, h, 0)) - energy(new THREE.Vector3(0, -h, 0))) / (2 * h),
+        (energy(new THREE.Vector3(0, 0, h)) - energy(new THREE.Vector3(0, 0, -h))) / (2 * h)
+    );
+
+    const force = physics.calculateMagneticForce(point, magnets);
+    const expected = gradient.multiplyScalar(physics.MAGNETIC_FORCE_SCALE);
+
+    assert.ok(force.length() < physics.MAX_FORCE);
+    assert.ok(force.distanceTo(expected) < 1e-5 * expected.length());
+});
+
+test('철가루는 자석의 양쪽 극 모두에 끌려감', () => {
+    const magnets = [createBarMagnet()];
+
+    const aboveNorth = physics.calculateMagneticForce(new THREE.Vector3(0, 1.2, 0), magnets);
+    const belowSouth = physics.calculateMagneticForce(new THREE.Vector3(0, -1.2, 0), magnets);
+
+    assert.ok(aboveNorth.y < 0, 'N극 위에서는 아래로 당겨짐');
+    assert.ok(belowSouth.y > 0, 'S극 아래에서는 위로 당겨짐');
+    assert.ok(Math.abs(aboveNorth.y + belowSouth.y) < 1e-12 * Math.abs(aboveNorth.y));
+});
+
+test('자기력은 자석 축 기준 회전 대칭이고 축 방향으로는 수평 성분이 없음', () => {
+    const magnets = [createBarMagnet()];
+    const point = new THREE.Vector3(0.8, 0.7, 0);
+    const reference = physics.calculateMagneticForce(point, magnets);
+
+    [Math.PI / 3, Math.PI, 4].forEach(angle => {
+        const rotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+        const force = physics.calculateMagneticForce(point.clone().applyQuaternion(rotation), magnets);
+
+        assert.ok(force.distanceTo(reference.clone().applyQuaternion(rotation)) < 1e-12 * reference.length());
+    });
+
+    const onAxis = physics.calculateMagneticForce(new THREE.Vector3(0, 2, 0), magnets);
+    assert.ok(Math.hypot(onAxis.x, onAxis.z) < 1e-15);
+});
+
+test('멀리서 자기력은 1/r⁷로 감소 (|B|² ∝ 1/r⁶)', () => {
+    const magnets = [createBarMagnet()];
+
+    const near = physics.calculateMagneticForce(new THREE.Vector3(0, 20, 0), magnets).length();
+    const far = physics.calculateMagneticForce(new THREE.Vector3(0, 40, 0), magnets).length();
+
+    const ratio = near / far;
+    assert.ok(Math.abs(ratio - 128) / 128 < 1e-2, `ratio ${ratio}`);
+});
+
+test('자기력은 자극 근처에서 MAX_FORCE로 제한됨', () => {
+    const magnets = [createBarMagnet()];
+    const nearPole = new THREE.Vector3(0.01, 0.53, 0);
+
+    const { gradient } = physics.calculateFieldAndGradient(nearPole, physics.collectPoles(magnets));
+    assert.ok(gradient.length() * physics.MAGNETIC_FORCE_SCALE > physics.MAX_FORCE);
+
+    const force = physics.calculateMagneticForce(nearPole, magnets);
+    assert.ok(Math.abs(force.length() - physics.MAX_FORCE) < 1e-9);
+    assert.ok(force.clone().normalize().dot(gradient.clone().normalize()) > 1 - 1e-12);
+});
+
+test('자석이 없으면 자기력은 0', () => {
+    const force = physics.calculateMagneticForce(new THREE.Vector3(1, 2, 3), []);
+    assert.equal(force.length(), 0);
+});
+
+test('입자 간 쌍극자 힘은 크기가 같고 방향이 반대 (작용-반작용)', () => {
+    const particle1 = new IronParticle(new THREE.Vector3(0, 0, 0));
+    const particle2 = new IronParticle(new THREE.Vector3(0.05, 0.03, -0.02));
+    particle1.magneticMoment.set(0.001, 0.0015, 0);
+    particle2.magneticMoment.set(0, 0.002, 0.0005);
+
+    const onSecond = physics.calculateDipoleForce(particle1, particle2);
+    const onFirst = physics.calculateDipoleForce(particle2, particle1);
+
+    assert.ok(onSecond.length() > 0);
+    assert.ok(onFirst.clone().add(onSecond).length() < 1e-12 * onSecond.length());
+
+    physics.handleParticleDipoleInteraction(particle1, particle2);
+    const total = particle1.acceleration.clone().multiplyScalar(particle1.mass)
+        .add(particle2.acceleration.clone().multiplyScalar(particle2.mass));
+    assert.ok(total.length() < 1e-12 * onSecond.length());
+});
+
+test('같은 방향 쌍극자는 축 방향으로 당기고 옆으로는 밀어냄', () => {
+    const moment = new THREE.Vector3(0, 0.002, 0);
+    const origin = new IronParticle(new THREE.Vector3(0, 0, 0));
+    const axial = new IronParticle(new THREE.Vector3(0, 0.08, 0));
+    const side = new IronParticle(new THREE.Vector3(0.08, 0, 0));
+    [origin, axial, side].forEach(particle => particle.magneticMoment.copy(moment));
+
+    const axialForce = physics.calculateDipoleForce(origin, axial);
+    const sideForce = physics.calculateDipoleForce(origin, side);
+
+    // 축 방향: F = -6m²/r⁴ (인력), 옆 방향: F = 3m²/r⁴ (척력)
+    const m2 = moment.lengthSq();
+    const r4 = Math.pow(0.08, 4);
+    assert.ok(Math.abs(axialForce.y + 6 * m2 / r4) < 1e-9 * 6 * m2 / r4);
+    assert.ok(Math.abs(sideForce.x - 3 * m2 / r4) < 1e-9 * 3 * m2 / r4);
+});
+
+test('바늘 입자의 유도 자기모멘트는 긴 축 방향 성분만 남고 포화됨', () => {
+    const axis = new THREE.Vector3(1, 1, 0).normalize();
+
+    assert.equal(physics.calculateInducedMoment(new THREE.Vector3(0, 0, 0), axis).length(), 0);
+
+    const weakField = new THREE.Vector3(0.5, 0, 0.3);
+    const weak = physics.calculateInducedMoment(weakField, axis);
+    const expected = axis.clone().multiplyScalar(weakField.dot(axis) * physics.INDUCED_MOMENT_SCALE);
+    assert.ok(weak.distanceTo(expected) < 1e-15);
+
+    const strong = physics.calculateInducedMoment(new THREE.Vector3(0, 100, 0), axis);
+    assert.ok(Math.abs(strong.length() - physics.SATURATION_MOMENT) < 1e-15);
+    assert.ok(strong.clone().normalize().distanceTo(axis) < 1e-12);
+});
@@ -0,0 +1,164 @@
+/**
+ * 편집 기록 테스트
+ * 자석 추가/제거/이동/회전/세기와 철가루 제거를 되돌리고 다시 실행하면 원래 장면으로 돌아가는지,
+ * 연속 변경 합치기와 기록 개수 제한을 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { THREE, Utils, Simulation, EditHistory } = require('../src/scripts/headless');
+
+/**
+ * 막대자석 둘과 전자석 하나가 있는 시뮬레이션
+ * @returns {Simulation} 시뮬레이션
+ */
+function createSimulation() {
+    const simulation = new Simulation({ maxParticles: 500 });
+
+    simulation.addMagnet(new THREE.Vector3(-1, 0.15, 0), 'bar').setRotation(0, 0, -Math.PI / 2);
+    simulation.addMagnet(new THREE.Vector3(1, 0.15, 0), 'bar').setRotation(0, 0, -Math.PI / 2);
+    simulation.addMagnet(new THREE.Vector3(0, 0.22, 2), 'solenoid', { current: 2.0 });
+
+    return simulation;
+}
+
+test('자석 추가와 제거는 같은 자석 객체를 원래 순서로 되돌림', () => {
+    const simulation = createSimulation();
+    const history = new EditHistory();
+    const [first, second, third] = simulation.magnets;
+
+    history.record(EditHistory.removeMagnet(simulation, second));
+    simulation.removeMagnet(second);
+    assert.deepEqual(simulation.magnets, [first, third]);
+
+    const added = simulation.addMagnet(new THREE.Vector3(0, 0.1, -2), 'ring');
+    history.record(EditHistory.addMagnet(simulation, added));
+
+    history.undo();
+    assert.deepEqual(simulation.magnets, [first, third]);
+    history.undo();
+    assert.deepEqual(simulation.magnets, [first, second, third]);
+    assert.equal(history.canUndo(), false);
+
+    history.redo();
+    history.redo();
+    assert.deepEqual(simulation.magnets, [first, third, added]);
+    assert.equal(history.canRedo(), false);
+});
+
+test('이동과 회전을 되돌리면 위치와 방향이 그대로 돌아가고 새 편집은 다시 실행 목록을 지움', () => {
+    const simulation = createSimulation();
+    const history = new EditHistory();
+    const magnet = simulation.magnets[0];
+    const start = EditHistory.getTransform(magnet);
+
+    magnet.position.set(0.5, 0.15, -1);
+    history.record(EditHistory.transformMagnet(magnet, start, EditHistory.getTransform(magnet)));
+
+    const moved = EditHistory.getTransform(magnet);
+    magnet.rotateAroundVertical(Math.PI / 2);
+    history.record(EditHistory.transformMagnet(magnet, moved, EditHistory.getTransform(magnet), '회전'));
+
+    // 눕힌 막대자석의 N극(+X)이 위에서 볼 때 반시계로 90° 돌아 -Z를 향하고 여전히 바닥에 누워 있음
+    const axis = new THREE.Vector3(0, 1, 0).applyEuler(magnet.rotation);
+    assert.ok(axis.distanceTo(new THREE.Vector3(0, 0, -1)) < 1e-9);
+
+    assert.equal(history.undo().label, '회전');
+    assert.ok(magnet.position.equals(moved.position));
+    assert.ok(magnet.rotation.equals(start.rotation));
+
+    history.undo();
+    assert.ok(magnet.position.equals(start.position));
+
+    history.redo();
+    magnet.rotateAroundVertical(0.3);
+    history.record(EditHistory.transformMagnet(magnet, moved, EditHistory.getTransform(magnet), '회전'));
+    assert.equal(history.canRedo(), false);
+});
+
+test('이어서 바꾼 세기는 한 번에 되돌아가고 전류 변경과는 합치지 않음', () => {
+    const simulation = createSimulation();
+    const history = new EditHistory();
+    const change = (apply, label) => {
+        const before = EditHistory.getMagnetValues(simulation.magnets);
+        simulation.magnets.forEach(apply);
+        history.record(EditHistory.changeMagnetValues(before, EditHistory.getMagnetValues(simulation.magnets), label));
+    };
+
+    [1.2, 1.5, 1.8].forEach(strength => change(magnet => magnet.setStrength(strength), '세기'));
+    change(magnet => magnet.setCurrent(-1), '전류');
+
+    assert.equal(history.undoStack.length, 2);
+
+    history.undo();
+    assert.deepEqual(simulation.magnets.map(magnet => magnet.current), [1, 1, 2]);
+    assert.ok(simulation.magnets.every(magnet => magnet.strength === 1.8));
+
+    history.undo();
+    assert.ok(simulation.magnets.every(magnet => magnet.strength === 1.0));
+
+    history.redo();
+    assert.ok(simulation.magnets.every(magnet => magnet.strength === 1.8));
+
+    // 되돌린 뒤의 변경은 앞 명령과 합치지 않음
+    history.undo();
+    change(magnet => magnet.setStrength(0.5), '세기');
+    assert.equal(history.undoStack.length, 1);
+    history.undo();
+    assert.ok(simulation.magnets.every(magnet => magnet.strength === 1.0));
+});
+
+test('철가루 제거를 되돌리면 같은 자리에 같은 바닥 위 방향으로 다시 놓임', () => {
+    Utils.setSeed(5);
+    const simulation = createSimulation();
+    const history = new EditHistory();
+
+    simulation.spawnParticles(new THREE.Vector3(0, 0.3, -1), 40);
+    simulation.step(20);
+    const before = simulation.getParticleState();
+    const count = before.count;
+    const positions = before.positions.slice(0, count * 3);
+    const heading = (orientations, i) => Math.atan2(orientations[i * 3 + 2], orientations[i * 3]);
+    const headings = Array.from({ length: count }, (_, i) => heading(before.orientations, i));
+
+    history.record(EditHistory.clearParticles(simulation));
+    simulation.clearParticles();
+    simulation.step(0);
+    assert.equal(simulation.getParticleCount(), 0);
+
+    history.undo();
+    simulation.step(0);
+    const after = simulation.getParticleState();
+    assert.equal(after.count, count);
+    for (let i = 0; i < count; i++) {
+        for (let axis = 0; axis < 3; axis++) {
+            assert.ok(Math.abs(after.positions[i * 3 + axis] - positions[i * 3 + axis]) < 1e-6);
+        }
+        assert.ok(Math.abs(Utils.normalizeAngle(heading(after.orientations, i) - headings[i])) < 1e-5);
+    }
+
+    history.redo();
+    simulation.step(0);
+    assert.equal(simulation.getParticleCount(), 0);
+});
+
+test('기록 개수 제한을 넘으면 오래된 편집부터 버리고 변경마다 알림', () => {
+    const simulation = createSimulation();
+    let changes = 0;
+    const history = new EditHistory({ limit: 3, onChange: () => changes++ });
+    const magnet = simulation.magnets[0];
+
+    for (let i = 0; i < 5; i++) {
+        const before = EditHistory.getTransform(magnet);
+        magnet.position.x += 1;
+        history.record(EditHistory.transformMagnet(magnet, before, EditHistory.getTransform(magnet)));
+    }
+
+    assert.equal(history.undoStack.length, 3);
+    while (history.undo()) { /* 모두 되돌림 */ }
+    assert.equal(magnet.position.x, 1);
+
+    history.clear();
+    assert.equal(history.canRedo(), false);
+    assert.equal(changes, 5 + 3 + 1);
+});
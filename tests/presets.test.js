@@ -0,0 +1,115 @@
+/**
+ * 실험 프리셋 테스트
+ * 프리셋마다 자석과 고르게 깐 철가루가 준비되는지, 같은 시드면 같은 장면이 되는지,
+ * 끌어당김/밀어냄 배치와 유리판 실험이 의도한 자기장과 면을 만드는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { THREE, Utils, Physics, Simulation, ScenePresets } = require('../src/scripts/headless');
+
+const physics = new Physics();
+
+/**
+ * 프리셋으로 꾸민 시뮬레이션 (철가루 추가 요청까지 반영)
+ * @param {string} id 프리셋 ID
+ * @param {number} seed 난수 시드
+ * @returns {Simulation} 시뮬레이션
+ */
+function createPreset(id, seed = 3) {
+    Utils.setSeed(seed);
+    const simulation = new Simulation({ maxParticles: 20000 });
+    assert.equal(ScenePresets.apply(id, simulation), true);
+    simulation.step(0);
+    return simulation;
+}
+
+test('모든 프리셋은 이름, 설명, 자석, 고르게 깐 철가루를 가짐', () => {
+    const ids = new Set();
+
+    ScenePresets.LIST.forEach(preset => {
+        assert.ok(!ids.has(preset.id), `중복 ID ${preset.id}`);
+        ids.add(preset.id);
+        assert.ok(preset.name.length > 0 && preset.description.length > 0);
+
+        const simulation = createPreset(preset.id);
+        const { halfSize, spacing } = { ...ScenePresets.FILINGS, ...preset.filings };
+        const { count, positions } = simulation.getParticleState();
+        const surface = simulation.physics.SURFACE_HEIGHT;
+
+        assert.ok(simulation.magnets.length > 0);
+        assert.ok(count > 0.8 * ((halfSize * 2 / spacing) ** 2) - 500, `${preset.id}: ${count}`);
+
+        for (let i = 0; i < count; i++) {
+            const x = positions[i * 3];
+            const y = positions[i * 3 + 1];
+            const z = positions[i * 3 + 2];
+            assert.ok(Math.abs(x) <= halfSize + spacing && Math.abs(z) <= halfSize + spacing);
+            assert.ok(y >= surface && y <= surface + 0.02);
+
+            // 같은 면 위에 놓인 자석 자리는 비워 둠
+            simulation.magnets.forEach(magnet => {
+                if (magnet.position.y >= surface) {
+                    assert.ok(Math.hypot(magnet.position.x - x, magnet.position.z - z) >= magnet.getBoundingRadius());
+                }
+            });
+        }
+    });
+
+    assert.ok(ScenePresets.get(ScenePresets.DEFAULT));
+});
+
+test('같은 시드로 다시 꾸미면 같은 장면이고 기존 자석/나침반/철가루는 교체됨', () => {
+    const first = createPreset('repel');
+    const second = createPreset('bar');
+
+    // 리셋처럼 시드를 다시 맞추고 꾸밈
+    first.addCompass(new THREE.Vector3(1, Simulation.COMPASS_HEIGHT, 1));
+    [first, second].forEach(simulation => {
+        Utils.setSeed(9);
+        ScenePresets.apply('attract', simulation);
+        simulation.step(0);
+    });
+
+    assert.equal(first.magnets.length, 2);
+    assert.equal(first.compasses.length, 0);
+    const firstState = first.getParticleState();
+    const secondState = second.getParticleState();
+    assert.equal(firstState.count, secondState.count);
+    assert.deepEqual(firstState.positions.subarray(0, firstState.count * 3), secondState.positions.subarray(0, secondState.count * 3));
+
+    assert.equal(ScenePresets.apply('no-such-preset', first), false);
+    assert.equal(first.magnets.length, 2);
+});
+
+test('끌어당기는 배치는 두 극 사이 자기장이 강하고 밀어내는 배치는 가운데가 중립점', () => {
+    const attract = createPreset('attract');
+    const repel = createPreset('repel');
+    const center = new THREE.Vector3(0, 0.15, 0);
+
+    const attractField = physics.calculateMagneticField(center, attract.magnets);
+    const repelField = physics.calculateMagneticField(center, repel.magnets);
+
+    // 왼쪽 자석 N극에서 오른쪽 자석 S극으로 (+X)
+    assert.ok(attractField.x > 0);
+    assert.ok(Math.abs(attractField.x) > 0.9 * attractField.length());
+    assert.ok(repelField.length() < 1e-9 * attractField.length() + 1e-12);
+});
+
+test('유리판 실험은 철가루가 자석 위 유리판에 놓이고 다른 프리셋으로 바꾸면 바닥으로 돌아감', () => {
+    const simulation = createPreset('glass');
+    const surface = simulation.physics.SURFACE_HEIGHT;
+    const magnet = simulation.magnets[0];
+
+    assert.ok(surface > magnet.position.y + magnet.options.size.width / 2);
+
+    // 입자끼리 밀어내며 조금 파고들 수는 있지만 유리판 아래 자석 쪽으로 떨어지지 않음
+    simulation.step(120);
+    const { count, positions } = simulation.getParticleState();
+    for (let i = 0; i < count; i++) {
+        assert.ok(positions[i * 3 + 1] > surface - 0.05);
+    }
+
+    ScenePresets.apply('bar', simulation);
+    assert.equal(simulation.physics.SURFACE_HEIGHT, 0);
+});
@@ -0,0 +1,207 @@
+/**
+ * 자석별 속성 테스트
+ * 자석마다 다른 세기, 극성 뒤집기, 크기 배율, 종류 바꾸기가 자기장과 장면 파일에 반영되고,
+ * 전체 세기/전류 변경이 이미 놓인 자석의 값을 덮어쓰지 않으며
+ * 속성 변경을 되돌리면 원래 자석으로 돌아가는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { THREE, Physics, Magnet, Simulation, SceneFile, EditHistory } = require('../src/scripts/headless');
+
+const physics = new Physics();
+
+/**
+ * 바닥에 눕힌 막대자석
+ * @param {object} options 옵션
+ * @returns {Magnet} 자석
+ */
+function createBar(options = {}) {
+    const magnet = new Magnet(new THREE.Vector3(0, 0.15, 0), 'bar', options);
+    magnet.setRotation(0, 0, -Math.PI / 2);
+    return magnet;
+}
+
+test('자석마다 세기가 다를 수 있고 극성을 뒤집으면 자기장이 반대가 됨', () => {
+    const point = new THREE.Vector3(1.2, 0.15, 0.3);
+    const weak = createBar({ strength: 0.5 });
+    const strong = createBar({ strength: 1.5 });
+
+    const weakField = physics.calculateMagneticField(point, [weak]);
+    const strongField = physics.calculateMagneticField(point, [strong]);
+    assert.ok(strongField.distanceTo(weakField.clone().multiplyScalar(3)) < 1e-9 * strongField.length());
+
+    const original = physics.calculateMagneticField(point, [strong]);
+    strong.flipPolarity();
+    assert.equal(strong.getPoleStrength(), -1.5);
+    assert.ok(physics.calculateMagneticField(point, [strong]).add(original).length() < 1e-12);
+
+    // 고리자석처럼 돌려서는 뒤집을 수 없는 극 배치도 반대가 됨
+    const ring = new Magnet(new THREE.Vector3(0, 0.1, 0), 'ring');
+    const ringField = physics.calculateMagneticField(point, [ring]);
+    ring.flipPolarity();
+    assert.ok(physics.calculateMagneticField(point, [ring]).add(ringField).length() < 1e-12);
+
+    // 전류원은 극성 대신 전류 방향을 바꿈
+    const solenoid = new Magnet(new THREE.Vector3(0, 0.22, 0), 'solenoid', { current: 2 });
+    solenoid.flipPolarity();
+    assert.equal(solenoid.current, -2);
+    assert.equal(solenoid.options.polarity, 1);
+});
+
+test('크기 배율은 종류별 치수와 바닥 위 높이를 함께 바꾸고 감은 수는 그대로 둠', () => {
+    const bar = createBar();
+    bar.setScale(2);
+
+    assert.equal(bar.getScale(), 2);
+    assert.deepEqual(bar.options.size, { width: 0.6, height: 2.0, depth: 0.6 });
+    assert.ok(Math.abs(bar.position.y - 0.3) < 1e-12);
+
+    const solenoid = new Magnet(new THREE.Vector3(0, 0.22, 0), 'solenoid');
+    solenoid.setScale(0.5);
+    assert.equal(solenoid.options.solenoid.turns, 10);
+    assert.equal(solenoid.options.solenoid.length, 0.4);
+
+    bar.setScale(10);
+    assert.equal(bar.getScale(), Magnet.MAX_SCALE);
+});
+
+test('크기 배율을 바꿔도 자석마다 정한 감은 수와 치수 비율은 그대로', () => {
+    const close = (actual, expected) => Object.keys(expected).forEach(key => {
+        assert.ok(Math.abs(actual[key] - expected[key]) < 1e-12, `${key}: ${actual[key]} != ${expected[key]}`);
+    });
+
+    const solenoid = new Magnet(new THREE.Vector3(0, 0.22, 0), 'solenoid', {
+        solenoid: { turns: 30, radius: 0.2, length: 0.8, wireRadius: 0.02 }
+    });
+    solenoid.setScale(1.5);
+    assert.equal(solenoid.options.solenoid.turns, 30);
+    close(solenoid.options.solenoid, { radius: 0.3, length: 1.2, wireRadius: 0.03 });
+
+    const bar = createBar({ size: { width: 0.5, height: 1.0, depth: 0.2 } });
+    bar.setScale(1.2);
+    close(bar.options.size, { width: 0.6, height: 1.2, depth: 0.24 });
+
+    // 다른 종류로 바꿨다 돌아와도 원래 비율과 감은 수 유지
+    solenoid.setType('bar');
+    solenoid.setType('solenoid');
+    assert.equal(solenoid.options.solenoid.turns, 30);
+    close(solenoid.options.solenoid, { radius: 0.3, length: 1.2, wireRadius: 0.03 });
+});
+
+test('종류를 바꾸면 새 종류의 바닥 위 자세로 놓이고 크기 배율은 유지', () => {
+    const magnet = createBar();
+    magnet.position.set(1, 0.15, -2);
+    magnet.setScale(1.5);
+    magnet.setType('horseshoe');
+
+    assert.equal(magnet.type, 'horseshoe');
+    assert.ok(Math.abs(magnet.getScale() - 1.5) < 1e-12);
+    assert.ok(Math.abs(magnet.position.y - Magnet.FLOOR_POSES.horseshoe.height * 1.5) < 1e-12);
+    assert.equal(magnet.position.x, 1);
+    assert.equal(magnet.position.z, -2);
+    assert.deepEqual(magnet.rotation.toArray().slice(0, 3), Magnet.FLOOR_POSES.horseshoe.rotation);
+});
+
+test('속성 변경을 되돌리면 종류, 자세, 세기, 옵션이 모두 돌아감', () => {
+    const magnet = createBar({ strength: 1.2 });
+    const history = new EditHistory();
+    const before = EditHistory.getMagnetProperties(magnet);
+
+    magnet.setType('ring');
+    magnet.setScale(1.4);
+    magnet.flipPolarity();
+    magnet.options.colors = { north: 0x00ff00, south: 0xffff00 };
+    const after = EditHistory.getMagnetProperties(magnet);
+    history.record(EditHistory.changeMagnetProperties(magnet, before, after, '속성 변경'));
+
+    history.undo();
+    assert.deepEqual(EditHistory.getMagnetProperties(magnet), before);
+    assert.equal(magnet.type, 'bar');
+    assert.equal(magnet.options.polarity, 1);
+
+    history.redo();
+    assert.deepEqual(EditHistory.getMagnetProperties(magnet), after);
+
+    // 기록한 옵션을 나중에 바꿔도 되돌릴 값은 그대로
+    magnet.options.colors.north = 0x123456;
+    history.undo();
+    history.redo();
+    assert.equal(magnet.options.colors.north, 0x00ff00);
+});
+
+test('같은 이름의 슬라이더 변경이라도 다른 자석의 변경과는 합치지 않음', () => {
+    const first = createBar();
+    const second = createBar();
+    const history = new EditHistory();
+    const change = (magnet, strength) => {
+        const before = EditHistory.getMagnetProperties(magnet);
+        magnet.setStrength(strength);
+        history.record(EditHistory.changeMagnetProperties(
+            magnet, before, EditHistory.getMagnetProperties(magnet), '선택한 자석 세기 변경', true
+        ));
+    };
+
+    change(first, 1.4);
+    change(first, 1.6);
+    change(second, 0.5);
+    change(second, 0.3);
+    assert.equal(history.undoStack.length, 2);
+
+    history.undo();
+    assert.equal(first.strength, 1.6);
+    assert.equal(second.strength, 1.0);
+
+    history.undo();
+    assert.equal(first.strength, 1.0);
+
+    history.redo();
+    history.redo();
+    assert.equal(first.strength, 1.6);
+    assert.equal(second.strength, 0.3);
+});
+
+test('장면 파일에 자석별 세기, 극성, 크기, 색이 저장됨', () => {
+    const simulation = new Simulation({ maxParticles: 10 });
+    const first = simulation.addMagnet(new THREE.Vector3(-1, 0.15, 0), 'bar', { strength: 0.4 });
+    const second = simulation.addMagnet(new THREE.Vector3(1, 0.15, 0), 'bar', { strength: 1.8 });
+    second.flipPolarity();
+    second.setScale(1.5);
+    second.options.colors = { north: 0x00ff00, south: 0xffff00 };
+
+    const data = SceneFile.parse(JSON.stringify(SceneFile.serialize(simulation)));
+    const loaded = new Simulation({ maxParticles: 10 });
+    SceneFile.apply(data, loaded);
+
+    assert.equal(loaded.magnets[0].strength, first.strength);
+    assert.equal(loaded.magnets[1].strength, 1.8);
+    assert.equal(loaded.magnets[1].options.polarity, -1);
+    assert.ok(Math.abs(loaded.magnets[1].getScale() - 1.5) < 1e-12);
+    assert.deepEqual(loaded.magnets[1].options.colors, second.options.colors);
+});
+
+test('전체 세기/전류를 바꿔도 이미 놓인 자석의 값은 그대로이고 새로 놓는 자석에만 적용', () => {
+    const simulation = new Simulation({ maxParticles: 100 });
+    const bar = simulation.placeMagnet(-1, 0, 'bar');
+    const solenoid = simulation.placeMagnet(1, 0, 'solenoid');
+
+    bar.setStrength(0.4);
+    solenoid.setCurrent(-2.5);
+
+    simulation.setMagnetDefaults({ strength: 1.8, current: 0.5 });
+    assert.equal(bar.strength, 0.4);
+    assert.equal(solenoid.current, -2.5);
+
+    const placedBar = simulation.placeMagnet(0, 1, 'bar');
+    const placedSolenoid = simulation.placeMagnet(0, -1, 'solenoid');
+    assert.equal(placedBar.strength, 1.8);
+    assert.equal(placedSolenoid.current, 0.5);
+    assert.equal(placedBar.position.y, Magnet.FLOOR_POSES.bar.height);
+
+    // 자석의 한계로 맞춤
+    simulation.setMagnetDefaults({ strength: 5, current: -10 });
+    assert.deepEqual(simulation.magnetDefaults, { strength: Magnet.MAX_STRENGTH, current: -Magnet.MAX_CURRENT });
+    assert.equal(bar.strength, 0.4);
+
+    simulation.dispose();
+});
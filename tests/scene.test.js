@@ -0,0 +1,265 @@
+/**
+ * 장면 파일/공유 링크 테스트
+ * 저장한 장면을 JSON이나 링크로 바꿔 다시 불러오면 같은 장면이 되는지, 잘못된 파일과 링크는 위치를 담은 오류로 거부하는지,
+ * 범위를 벗어난 값(길이 0인 전자석 등)을 불러오지 않는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { THREE, Utils, Physics, Magnet, Simulation, SceneFile, SceneFileError, SceneLink } = require('../src/scripts/headless');
+
+/**
+ * 자석, 나침반, 철가루, 바꾼 물리 상수가 있는 장면
+ * @returns {Simulation} 시뮬레이션
+ */
+function createScene() {
+    Utils.setSeed(21);
+    const simulation = new Simulation({ maxParticles: 200 });
+
+    const bar = simulation.addMagnet(new THREE.Vector3(0, 0.15, 0), 'bar', { strength: 1.5 });
+    bar.setRotation(0, 0.4, -Math.PI / 2);
+    simulation.addMagnet(new THREE.Vector3(2, 0.22, 1), 'solenoid', {
+        current: -2.0,
+        solenoid: { turns: 6, radius: 0.25, length: 0.6, wireRadius: 0.02 }
+    });
+
+    simulation.addCompass(new THREE.Vector3(1, Simulation.COMPASS_HEIGHT, -1), { heading: 0.8 });
+    simulation.spawnParticles(new THREE.Vector3(-1, 0.3, 0.5), 30);
+    simulation.physics.FIELD_SOFTENING = 0.07;
+    simulation.setIntegrator('rk4');
+    simulation.step(30);
+
+    return simulation;
+}
+
+/**
+ * 장면 데이터를 JSON 문자열로 만들고 다른 값으로 바꾼 뒤 검증
+ * @param {Function} modify 장면 데이터를 바꾸는 함수
+ * @returns {Function} SceneFile.parse 호출
+ */
+function parseModified(modify) {
+    const data = JSON.parse(JSON.stringify(SceneFile.serialize(createScene())));
+    modify(data);
+    return () => SceneFile.parse(JSON.stringify(data));
+}
+
+test('저장한 장면을 다시 불러오면 자석, 나침반, 철가루, 물리 설정이 같음', () => {
+    const original = createScene();
+    const camera = { position: [5, 8, 10], target: [0, 0, 0] };
+    const text = JSON.stringify(SceneFile.serialize(original, camera));
+
+    const data = SceneFile.parse(text);
+    assert.equal(data.version, SceneFile.VERSION);
+    assert.deepEqual(data.camera, camera);
+
+    Utils.setSeed(1);
+    const loaded = new Simulation({ maxParticles: 200 });
+    loaded.addMagnet(new THREE.Vector3(5, 0, 5), 'ring'); // 기존 자석은 교체됨
+    SceneFile.apply(data, loaded);
+    loaded.step(0);
+
+    assert.equal(Utils.getSeed(), 21);
+    assert.equal(loaded.magnets.length, original.magnets.length);
+    loaded.magnets.forEach((magnet, index) => {
+        const source = original.magnets[index];
+        assert.equal(magnet.type, source.type);
+        assert.ok(magnet.position.equals(source.position));
+        assert.ok(magnet.rotation.equals(source.rotation));
+        assert.equal(magnet.strength, source.strength);
+        assert.equal(magnet.current, source.current);
+        assert.deepEqual(magnet.options, source.options);
+    });
+
+    assert.equal(loaded.compasses.length, 1);
+    assert.ok(loaded.compasses[0].position.equals(original.compasses[0].position));
+    assert.equal(loaded.compasses[0].heading, original.compasses[0].heading);
+
+    const before = original.getParticleState();
+    const after = loaded.getParticleState();
+    assert.equal(after.count, before.count);
+    for (let i = 0; i < before.count * 3; i++) {
+        assert.ok(Math.abs(after.positions[i] - before.positions[i]) < 1e-4);
+    }
+
+    assert.equal(loaded.physics.integrator, 'rk4');
+    assert.deepEqual(loaded.physics.getConstants(), original.physics.getConstants());
+});
+
+test('파일에 없는 물리 상수는 기본값으로 돌아감', () => {
+    const data = SceneFile.parse(JSON.stringify(SceneFile.serialize(createScene())));
+    delete data.physics.constants.FIELD_SOFTENING;
+
+    const simulation = new Simulation({ maxParticles: 10 });
+    simulation.physics.FIELD_SOFTENING = 0.5;
+    SceneFile.apply(data, simulation);
+
+    assert.equal(simulation.physics.FIELD_SOFTENING, new Physics().FIELD_SOFTENING);
+});
+
+test('JSON이 아니거나 다른 형식/버전의 파일은 거부', () => {
+    assert.throws(() => SceneFile.parse('{ magnets: ['), SceneFileError);
+    assert.throws(() => SceneFile.parse('[]'), { name: 'SceneFileError', path: 'format' });
+    assert.throws(parseModified(data => { data.format = 'other'; }), { path: 'format' });
+    assert.throws(parseModified(data => { data.version = SceneFile.VERSION + 1; }), { path: 'version' });
+});
+
+test('잘못된 항목은 위치를 담은 오류로 거부', () => {
+    const cases = [
+        [data => { data.magnets[0].type = 'dragon'; }, 'magnets[0].type'],
+        [data => { data.magnets[1].position = [1, 2]; }, 'magnets[1].position'],
+        [data => { data.magnets[0].strength = 'strong'; }, 'magnets[0].strength'],
+        [data => { data.magnets[0].options.glow = true; }, 'magnets[0].options.glow'],
+        [data => { data.magnets[1].options.solenoid.turns = null; }, 'magnets[1].options.solenoid.turns'],
+        [data => { data.magnets[0].options.draggable = 1; }, 'magnets[0].options.draggable'],
+        [data => { data.compasses[0].heading = '1'; }, 'compasses[0].heading'],
+        [data => { data.particles[3] = [0, 0, 0]; }, 'particles[3]'],
+        [data => { data.physics.integrator = 'leapfrog'; }, 'physics.integrator'],
+        [data => { data.physics.constants.WARP_FACTOR = 9; }, 'physics.constants.WARP_FACTOR'],
+        [data => { data.camera = { position: [0, 0, 0] }; }, 'camera.target']
+    ];
+
+    cases.forEach(([modify, path]) => {
+        assert.throws(parseModified(modify), (error) => {
+            assert.ok(error instanceof SceneFileError);
+            assert.equal(error.path, path);
+            assert.ok(error.message.startsWith(path));
+            return true;
+        });
+    });
+});
+
+test('범위를 벗어난 자석 옵션과 물리 상수는 위치를 담은 오류로 거부', () => {
+    const cases = [
+        [data => { data.magnets[1].options.solenoid.length = 0; }, 'magnets[1].options.solenoid.length'],
+        [data => { data.magnets[1].options.solenoid.radius = -0.2; }, 'magnets[1].options.solenoid.radius'],
+        [data => { data.magnets[1].options.solenoid.turns = 0; }, 'magnets[1].options.solenoid.turns'],
+        [data => { data.magnets[1].options.solenoid.turns = 1e9; }, 'magnets[1].options.solenoid.turns'],
+        [data => { data.magnets[1].options.solenoid.turns = 2.5; }, 'magnets[1].options.solenoid.turns'],
+        [data => { data.magnets[0].options.size.width = 0; }, 'magnets[0].options.size.width'],
+        [data => { data.magnets[0].options.polarity = 0.5; }, 'magnets[0].options.polarity'],
+        [data => { data.magnets[0].options.polarity = 0; }, 'magnets[0].options.polarity'],
+        [data => { data.magnets[0].options.mass = 0; }, 'magnets[0].options.mass'],
+        [data => { data.magnets[0].options.colors.north = -1; }, 'magnets[0].options.colors.north'],
+        [data => { data.magnets[0].options.colors.south = 0x1000000; }, 'magnets[0].options.colors.south'],
+        [data => { data.magnets[0].options.ring = { innerRadius: 0.6 }; }, 'magnets[0].options.ring.innerRadius'],
+        [data => { data.magnets[0].options.ring = { outerRadius: 0.4, innerRadius: 0.5 }; }, 'magnets[0].options.ring.innerRadius'],
+        [data => { data.physics.constants.GRAVITY = 9.81; }, 'physics.constants.GRAVITY'],
+        [data => { data.physics.constants.DAMPING = 0; }, 'physics.constants.DAMPING'],
+        [data => { data.physics.constants.DAMPING = 1.5; }, 'physics.constants.DAMPING'],
+        [data => { data.physics.constants.restitution = 1.2; }, 'physics.constants.restitution'],
+        [data => { data.physics.constants.restitution = -0.1; }, 'physics.constants.restitution'],
+        [data => { data.physics.constants.SURFACE_HEIGHT = 1e6; }, 'physics.constants.SURFACE_HEIGHT'],
+        [data => { data.magnets = Array(SceneFile.MAX_MAGNETS + 1).fill(data.magnets[0]); }, 'magnets'],
+        [data => { data.compasses = Array(SceneFile.MAX_COMPASSES + 1).fill(data.compasses[0]); }, 'compasses'],
+        [data => { data.particles = Array(SceneFile.MAX_PARTICLES + 1).fill(data.particles[0]); }, 'particles']
+    ];
+
+    cases.forEach(([modify, path]) => {
+        assert.throws(parseModified(modify), { name: 'SceneFileError', path });
+    });
+});
+
+test('성능 상한과 시간 간격은 파일에 저장하지 않고 파일에 있어도 기본값으로 불러옴', () => {
+    const data = JSON.parse(JSON.stringify(SceneFile.serialize(createScene())));
+    SceneFile.FIXED_CONSTANTS.forEach(name => assert.ok(!(name in data.physics.constants), name));
+
+    Object.assign(data.physics.constants, {
+        timeStep: 0,
+        MAX_CURRENT_ELEMENTS: 200000,
+        SOLENOID_SEGMENTS_PER_TURN: 2400,
+        FIELD_LINE_MAX_STEPS: 40000,
+        MAX_FIELD_LINES_PER_SOURCE: 20000
+    });
+
+    const loaded = new Simulation({ maxParticles: 200 });
+    SceneFile.apply(SceneFile.parse(JSON.stringify(data)), loaded);
+
+    const defaults = new Physics();
+    SceneFile.FIXED_CONSTANTS.forEach(name => assert.equal(loaded.physics[name], defaults[name], name));
+    assert.equal(loaded.physics.FIELD_SOFTENING, 0.07);
+});
+
+test('범위를 벗어난 세기와 전류는 자석의 한계로 맞춰 불러옴', () => {
+    const data = JSON.parse(JSON.stringify(SceneFile.serialize(createScene())));
+    data.magnets[0].strength = 50;
+    data.magnets[1].current = -1e6;
+
+    const loaded = new Simulation({ maxParticles: 200 });
+    SceneFile.apply(SceneFile.parse(JSON.stringify(data)), loaded);
+
+    assert.equal(loaded.magnets[0].strength, Magnet.MAX_STRENGTH);
+    assert.equal(loaded.magnets[0].options.strength, Magnet.MAX_STRENGTH);
+    assert.equal(loaded.magnets[1].current, -Magnet.MAX_CURRENT);
+});
+
+test('공유 링크는 철가루를 빼고 자석, 나침반, 물리 설정, 표시 설정을 그대로 담음', async () => {
+    const original = createScene();
+    const hash = await SceneLink.encode(SceneFile.serialize(original), { fieldLines: true, heatmapPalette: 'jet' });
+
+    assert.match(hash, /^#scene=[A-Za-z0-9_-]+$/);
+
+    const shared = await SceneLink.decode(hash);
+    assert.equal(shared.view.fieldLines, true);
+    assert.equal(shared.view.heatmapPalette, 'jet');
+    assert.equal(shared.view.fieldArrowsPlane, SceneLink.VIEW_DEFAULTS.fieldArrowsPlane);
+    assert.deepEqual(shared.scene.particles, []);
+
+    const loaded = new Simulation({ maxParticles: 200 });
+    SceneFile.apply(shared.scene, loaded);
+    loaded.step(0);
+
+    assert.equal(loaded.getParticleCount(), 0);
+    loaded.magnets.forEach((magnet, index) => {
+        const source = original.magnets[index];
+        assert.equal(magnet.type, source.type);
+        assert.ok(magnet.position.distanceTo(source.position) < 1e-4);
+        assert.equal(magnet.strength, source.strength);
+        assert.equal(magnet.current, source.current);
+        assert.deepEqual(magnet.options, source.options);
+    });
+    assert.equal(loaded.physics.integrator, 'rk4');
+    assert.deepEqual(loaded.physics.getConstants(), original.physics.getConstants());
+});
+
+test('공유 링크가 아닌 해시는 무시하고 깨진 링크나 잘못된 표시 설정은 거부', async () => {
+    assert.equal(await SceneLink.decode(''), null);
+    assert.equal(await SceneLink.decode('#section-2'), null);
+
+    await assert.rejects(SceneLink.decode('#scene=not-a-link'), SceneFileError);
+
+    const scene = SceneFile.serialize(createScene());
+    const corrupt = await SceneLink.encode(scene, { fieldArrowsPlane: 'xw' });
+    await assert.rejects(SceneLink.decode(corrupt), { path: 'view.fieldArrowsPlane' });
+
+    const wrongType = await SceneLink.encode(scene, { heatmap: 'yes' });
+    await assert.rejects(SceneLink.decode(wrongType), { path: 'view.heatmap' });
+});
+
+test('길이 0인 전자석과 자기력선 표시를 담은 링크는 멈추지 않고 거부', { timeout: 5000 }, async () => {
+    const scene = SceneFile.serialize(createScene());
+    scene.magnets[1].options.solenoid.length = 0;
+    const hash = await SceneLink.encode(scene, { fieldLines: true });
+
+    await assert.rejects(SceneLink.decode(hash), { name: 'SceneFileError', path: 'magnets[1].options.solenoid.length' });
+});
+
+test('풀면 지나치게 커지는 링크는 끝까지 풀지 않고 거부', { timeout: 5000 }, async () => {
+    const scene = SceneFile.serialize(createScene());
+    const payload = JSON.stringify({ scene, view: {}, padding: ' '.repeat(SceneLink.MAX_DECODED_BYTES * 8) });
+    const bytes = await SceneLink.transform(new TextEncoder().encode(payload), new CompressionStream('deflate-raw'));
+    const hash = `#${SceneLink.HASH_KEY}=${SceneLink.toBase64Url(bytes)}`;
+
+    await assert.rejects(SceneLink.decode(hash), (error) => {
+        assert.ok(error instanceof SceneFileError);
+        assert.match(error.message, /너무 큽니다/);
+        return true;
+    });
+});
+
+test('자석이 지나치게 많은 링크는 적용하기 전에 거부', async () => {
+    const scene = SceneFile.serialize(createScene());
+    scene.magnets = Array(SceneFile.MAX_MAGNETS + 1).fill(scene.magnets[1]);
+    const hash = await SceneLink.encode(scene, { fieldLines: true });
+
+    await assert.rejects(SceneLink.decode(hash), { name: 'SceneFileError', path: 'magnets' });
+});
@@ -0,0 +1,181 @@
+/**
+ * 전자석(솔레노이드) 테스트
+ * 비오-사바르 적분으로 계산한 자기장을 유한 솔레노이드의 해석적 값, 쌍극자 극한과 비교하고
+ * 전류 반전/차단, 해석적 기울기, 자석 간 힘, 잘못된 치수에서도 계산이 끝나는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { THREE, Physics, Magnet } = require('../src/scripts/headless');
+
+const physics = new Physics();
+
+/**
+ * 원점에 세워 둔 전자석 (전류가 양수면 +Y 끝이 N극)
+ * @param {number} current 전류
+ * @returns {Magnet} 전자석
+ */
+function createSolenoid(current = 1.0) {
+    return new Magnet(new THREE.Vector3(0, 0, 0), 'solenoid', { current });
+}
+
+test('코일 중심의 자기장은 유한 솔레노이드의 해석적 값 μ₀nI·(L/2)/√((L/2)²+R²)', () => {
+    const solenoid = createSolenoid(1.5);
+    const { turns, radius, length } = solenoid.options.solenoid;
+
+    const field = physics.calculateMagneticField(new THREE.Vector3(0, 0, 0), [solenoid]);
+    const expected = 4 * Math.PI * physics.BIOT_SAVART_SCALE * (turns / length) * 1.5 *
+        (length / 2) / Math.hypot(length / 2, radius);
+
+    assert.ok(Math.abs(field.y - expected) / expected < 0.02, `${field.y} vs ${expected}`);
+});
+
+test('멀리서는 자기모멘트 m = N·I·πR² 인 쌍극자 자기장', () => {
+    const solenoid = createSolenoid();
+    const { turns, radius } = solenoid.options.solenoid;
+    const moment = physics.BIOT_SAVART_SCALE * turns * solenoid.current * Math.PI * radius * radius;
+    const r = 20;
+
+    const axial = physics.calculateMagneticField(new THREE.Vector3(0, r, 0), [solenoid]);
+    const equatorial = physics.calculateMagneticField(new THREE.Vector3(r, 0, 0), [solenoid]);
+
+    assert.ok(Math.abs(axial.y - 2 * moment / r ** 3) < 5e-3 * 2 * moment / r ** 3);
+    assert.ok(Math.abs(equatorial.y + moment / r ** 3) < 5e-3 * moment / r ** 3);
+});
+
+test('전류를 반전하면 자기장이 반대가 되고 0이면 사라짐', () => {
+    const solenoid = createSolenoid(1.0);
+    const points = [new THREE.Vector3(0.1, 0.2, 0), new THREE.Vector3(0.7, 0.6, -0.4)];
+    const forward = points.map(point => physics.calculateMagneticField(point, [solenoid]));
+
+    solenoid.setCurrent(-1.0);
+    points.forEach((point, i) => {
+        const reversed = physics.calculateMagneticField(point, [solenoid]);
+        assert.ok(reversed.add(forward[i]).length() < 1e-12 * forward[i].length());
+    });
+
+    solenoid.setCurrent(0);
+    assert.equal(physics.getMagnetPoles(solenoid).length, 0);
+    assert.equal(physics.calculateMagneticField(points[0], [solenoid]).length(), 0);
+});
+
+test('전류는 ±Magnet.MAX_CURRENT로 제한되고 N극 위치는 전류 방향을 따름', () => {
+    const solenoid = createSolenoid();
+    const halfLength = solenoid.options.solenoid.length / 2;
+
+    solenoid.setCurrent(100);
+    assert.equal(solenoid.current, Magnet.MAX_CURRENT);
+    assert.ok(Math.abs(solenoid.getNorthPolePosition().y - halfLength) < 1e-12);
+
+    solenoid.setCurrent(-100);
+    assert.equal(solenoid.current, -Magnet.MAX_CURRENT);
+    assert.ok(Math.abs(solenoid.getNorthPolePosition().y + halfLength) < 1e-12);
+});
+
+test('전류 요소의 자기장은 k·(I·dl × r)/(|r|²+ε²)^(3/2)', () => {
+    const position = new THREE.Vector3(0.1, 0.2, -0.1);
+    const current = new THREE.Vector3(0.02, -0.01, 0.03);
+    const point = new THREE.Vector3(0.5, -0.3, 0.2);
+
+    const field = physics.addCurrentElementField(position, current, point, new THREE.Vector3());
+
+    const d = new THREE.Vector3().subVectors(point, position);
+    const s2 = d.lengthSq() + physics.WIRE_SOFTENING ** 2;
+    const expected = new THREE.Vector3().crossVectors(current, d)
+        .multiplyScalar(physics.BIOT_SAVART_SCALE / Math.pow(s2, 1.5));
+
+    assert.ok(field.distanceTo(expected) < 1e-12 * expected.length());
+});
+
+test('자석을 회전하면 전자석 자기장도 같이 회전', () => {
+    const upright = createSolenoid();
+    const lying = createSolenoid();
+    lying.setRotation(0, 0, -Math.PI / 2);
+
+    const rotation = new THREE.Quaternion().setFromEuler(lying.rotation);
+    const point = new THREE.Vector3(0.3, 0.6, 0.2);
+
+    const expected = physics.calculateMagneticField(point, [upright]).applyQuaternion(rotation);
+    const field = physics.calculateMagneticField(point.clone().applyQuaternion(rotation), [lying]);
+
+    assert.ok(field.distanceTo(expected) < 1e-10 * expected.length());
+});
+
+test('전자석이 섞여 있어도 해석적 ∇|B|²는 중앙 차분과 일치', () => {
+    const magnets = [
+        createSolenoid(1.2),
+        new Magnet(new THREE.Vector3(1.2, 0.1, 0.3), 'bar')
+    ];
+    const poles = physics.collectPoles(magnets);
+    const h = 1e-5;
+
+    [
+        new THREE.Vector3(0.05, 0.1, 0.02), // 코일 안쪽
+        new THREE.Vector3(0.5, 0.6, -0.2),
+        new THREE.Vector3(0.8, -0.2, 0.4)
+    ].forEach(point => {
+        const { field, gradient } = physics.calculateFieldAndGradient(point, poles);
+        const reference = physics.calculateMagneticField(point, magnets);
+        assert.ok(field.distanceTo(reference) < 1e-10 * reference.length());
+
+        const energy = (x, y, z) =>
+            physics.calculateMagneticField(new THREE.Vector3(x, y, z), magnets).lengthSq();
+        const numeric = new THREE.Vector3(
+            (energy(point.x + h, point.y, point.z) - energy(point.x - h, point.y, point.z)) / (2 * h),
+            (energy(point.x, point.y + h, point.z) - energy(point.x, point.y - h, point.z)) / (2 * h),
+            (energy(point.x, point.y, point.z + h) - energy(point.x, point.y, point.z - h)) / (2 * h)
+        );
+
+        assert.ok(gradient.distanceTo(numeric) < 1e-5 * numeric.length());
+    });
+});
+
+test('전자석과 막대자석 사이의 힘은 작용-반작용이고 전류를 반전하면 인력이 척력으로 바뀜', () => {
+    const solenoid = createSolenoid(1.0);
+    const bar = new Magnet(new THREE.Vector3(0, 1.5, 0), 'bar'); // S극이 전자석 N극을 마주 봄
+    const magnets = [solenoid, bar];
+
+    const onSolenoid = physics.calculateMagnetInteraction(solenoid, magnets).force;
+    const onBar = physics.calculateMagnetInteraction(bar, magnets).force;
+
+    assert.ok(onBar.y < 0, '막대자석이 전자석 쪽으로 당겨짐');
+    assert.ok(onSolenoid.clone().add(onBar).length() < 0.02 * onBar.length());
+
+    solenoid.setCurrent(-1.0);
+    assert.ok(physics.calculateMagnetInteraction(bar, magnets).force.y > 0);
+});
+
+test('전자석 자기력선은 코일 안에서 출발하고 전류 방향으로 코일을 지남', () => {
+    const solenoid = createSolenoid(1.0);
+    const lines = physics.calculateFieldLines([solenoid]);
+
+    assert.equal(lines.length, physics.getCurrentSourceSeeds(solenoid).points.length);
+    lines.forEach(line => {
+        assert.ok(line.length > 2);
+        assert.ok(line[1].y > line[0].y);
+    });
+
+    solenoid.setCurrent(0);
+    assert.equal(physics.calculateFieldLines([solenoid]).length, 0);
+});
+
+test('길이나 반지름이 0인 전류원과 지나치게 큰 값도 자기력선/전류 요소 계산이 끝나고 개수에 상한이 있음', () => {
+    const flat = new Magnet(new THREE.Vector3(0, 0, 0), 'solenoid', {
+        solenoid: { turns: 10, radius: 0.2, length: 0, wireRadius: 0.02 }
+    });
+    const point = new Magnet(new THREE.Vector3(1, 0, 0), 'loop', { loop: { radius: 0, wireRadius: 0.03 } });
+    const wire = new Magnet(new THREE.Vector3(-1, 0, 0), 'wire', { wire: { length: -1, radius: 0.03 } });
+
+    assert.equal(physics.getCurrentSourceSeeds(flat), null);
+    assert.equal(physics.getCurrentSourceSeeds(point), null);
+    assert.equal(physics.getCurrentSourceSeeds(wire), null);
+    assert.equal(physics.calculateFieldLines([flat, point, wire]).length, 0);
+    assert.equal(physics.getMagnetPoles(point).length, 0);
+    assert.equal(physics.getMagnetPoles(wire).length, 0);
+
+    const huge = new Magnet(new THREE.Vector3(0, 0, 0), 'solenoid', {
+        solenoid: { turns: 1e9, radius: 0.2, length: 1e-9, wireRadius: 0.02 }
+    });
+    assert.equal(physics.getMagnetPoles(huge).length, physics.MAX_CURRENT_ELEMENTS);
+    assert.equal(physics.getCurrentSourceSeeds(huge).points.length, physics.MAX_FIELD_LINES_PER_SOURCE);
+});